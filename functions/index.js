@@ -1,6 +1,7 @@
 /**
  * Firebase Cloud Functions for Big Surf Workout Tracker
  * Handles scheduled push notifications for rest timers on iOS
+ * and workout reminders (training days, inactivity, streak at risk)
  * Includes reverse geocoding for location city/state display
  *
  * Uses Web Push API directly (more reliable on iOS Safari than FCM)
@@ -27,6 +28,92 @@ webpush.setVapidDetails(
     VAPID_PRIVATE_KEY
 );
 
+// ============================================================================
+// DELIVERY STATUS
+// ============================================================================
+
+// Sent notifications are removed after an hour; failures are kept a day so
+// they show up in getNotificationHealth
+const SENT_RETENTION_MS = 60 * 60 * 1000;
+const FAILED_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+// FCM errors that mean the device token will never work again
+const DEAD_TOKEN_ERRORS = [
+    'messaging/registration-token-not-registered',
+    'messaging/invalid-registration-token'
+];
+
+/**
+ * Web push rejected because the subscription is gone (unsubscribed, expired,
+ * or the browser data was cleared)
+ */
+function isExpiredSubscriptionError(error) {
+    return error.statusCode === 410 || error.statusCode === 404;
+}
+
+function isDeadTokenError(error) {
+    return DEAD_TOKEN_ERRORS.includes(error.code || error.errorInfo?.code);
+}
+
+/**
+ * Record the outcome of a delivery on users/{uid}/notification_health/current
+ * @param {string} channel - 'web' | 'native'
+ * @param {string} status - 'sent' | 'failed' | 'expired'
+ */
+async function recordDelivery(userId, channel, status, error = null) {
+    if (!userId) return;
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    const update = { status, lastAttemptAt: now };
+    if (status === 'sent') {
+        update.lastSentAt = now;
+    } else {
+        update.lastError = error?.message || 'Unknown error';
+        update.lastErrorCode = error?.statusCode || error?.code || error?.errorInfo?.code || null;
+        update.lastErrorAt = now;
+    }
+
+    try {
+        await db.collection('users').doc(userId).collection('notification_health').doc('current')
+            .set({ [channel]: update }, { merge: true });
+    } catch (healthError) {
+        console.error(`❌ Failed to record delivery status for ${userId}:`, healthError.message);
+    }
+}
+
+/**
+ * Remove a dead web push subscription. Only the saved one is removed, and only
+ * if it's the same subscription - a newer one from another device stays.
+ */
+async function pruneWebSubscription(userId, endpoint) {
+    if (!userId || !endpoint) return;
+
+    const ref = db.collection('users').doc(userId).collection('push_subscriptions').doc('current');
+    const saved = await ref.get();
+    if (saved.exists && saved.data().subscription?.endpoint === endpoint) {
+        await ref.delete();
+        await db.collection('users').doc(userId).collection('notification_health').doc('current')
+            .set({ web: { prunedAt: admin.firestore.FieldValue.serverTimestamp() } }, { merge: true });
+        console.log(`🧹 Removed expired push subscription for user ${userId}`);
+    }
+}
+
+/**
+ * Remove a dead FCM device token (same rules as pruneWebSubscription)
+ */
+async function pruneDeviceToken(userId, token) {
+    if (!userId || !token) return;
+
+    const ref = db.collection('users').doc(userId).collection('device_tokens').doc('current');
+    const saved = await ref.get();
+    if (saved.exists && saved.data().token === token) {
+        await ref.delete();
+        await db.collection('users').doc(userId).collection('notification_health').doc('current')
+            .set({ native: { prunedAt: admin.firestore.FieldValue.serverTimestamp() } }, { merge: true });
+        console.log(`🧹 Removed dead device token for user ${userId}`);
+    }
+}
+
 /**
  * Schedule a push notification for rest timer
  * Called when user starts a rest timer - schedules notification to be sent after delay
@@ -112,20 +199,24 @@ exports.sendDueNotifications = functions.pubsub
         console.log(`📬 Found ${dueNotifications.size} due notifications`);
 
         const sendPromises = [];
-        const updatePromises = [];
 
         dueNotifications.forEach((doc) => {
             const notification = doc.data();
 
-            // Prepare the push message payload
+            // Native notifications are sent by sendDueNativeNotifications
+            if (notification.type === 'native') {
+                return;
+            }
+
+            // Prepare the push message payload (reminders carry their own text)
             const payload = JSON.stringify({
-                title: 'Rest Complete!',
-                body: `Time for ${notification.exerciseName}`,
+                title: notification.title || 'Rest Complete!',
+                body: notification.body || `Time for ${notification.exerciseName}`,
                 icon: '/BigSurf.png',
                 badge: '/BigSurf.png',
-                tag: 'rest-timer',
+                tag: notification.tag || 'rest-timer',
                 data: {
-                    type: 'rest-timer',
+                    type: notification.category || 'rest-timer',
                     notificationId: doc.id
                 }
             });
@@ -133,35 +224,42 @@ exports.sendDueNotifications = functions.pubsub
             // Send the notification using web-push
             sendPromises.push(
                 webpush.sendNotification(notification.subscription, payload)
-                    .then(() => {
+                    .then(async () => {
                         console.log(`✅ Sent notification: ${doc.id}`);
+                        await doc.ref.update({ status: 'sent', sentAt: admin.firestore.FieldValue.serverTimestamp() });
+                        await recordDelivery(notification.userId, 'web', 'sent');
                     })
-                    .catch((error) => {
+                    .catch(async (error) => {
                         console.error(`❌ Failed to send notification ${doc.id}:`, error.message);
-                        // If subscription is invalid, mark for cleanup
-                        if (error.statusCode === 410 || error.statusCode === 404) {
-                            console.log(`   Subscription expired or invalid, will clean up`);
+                        const expired = isExpiredSubscriptionError(error);
+                        await doc.ref.update({
+                            status: expired ? 'expired' : 'failed',
+                            error: error.message || 'Unknown error',
+                            errorCode: error.statusCode || null,
+                            failedAt: admin.firestore.FieldValue.serverTimestamp()
+                        });
+                        await recordDelivery(notification.userId, 'web', expired ? 'expired' : 'failed', error);
+                        if (expired) {
+                            await pruneWebSubscription(notification.userId, notification.subscription?.endpoint);
                         }
                     })
             );
-
-            // Mark as sent
-            updatePromises.push(
-                doc.ref.update({ status: 'sent', sentAt: admin.firestore.FieldValue.serverTimestamp() })
-            );
         });
 
-        await Promise.all([...sendPromises, ...updatePromises]);
+        await Promise.all(sendPromises);
 
-        // Clean up old notifications (older than 1 hour)
-        const oneHourAgo = now - (60 * 60 * 1000);
+        // Clean up old notifications
         const oldNotifications = await db.collection('scheduled_notifications')
-            .where('sendAt', '<', oneHourAgo)
+            .where('sendAt', '<', now - SENT_RETENTION_MS)
             .get();
 
         const deletePromises = [];
         oldNotifications.forEach((doc) => {
-            deletePromises.push(doc.ref.delete());
+            const { status, sendAt } = doc.data();
+            const failed = status === 'failed' || status === 'expired';
+            if (!failed || sendAt < now - FAILED_RETENTION_MS) {
+                deletePromises.push(doc.ref.delete());
+            }
         });
         await Promise.all(deletePromises);
 
@@ -194,9 +292,15 @@ exports.sendImmediateNotification = functions.https.onCall(async (data, context)
     try {
         await webpush.sendNotification(subscription, payload);
         console.log('✅ Sent immediate notification');
+        await recordDelivery(context.auth.uid, 'web', 'sent');
         return { success: true };
     } catch (error) {
         console.error('❌ Failed to send immediate notification:', error.message);
+        const expired = isExpiredSubscriptionError(error);
+        await recordDelivery(context.auth.uid, 'web', expired ? 'expired' : 'failed', error);
+        if (expired) {
+            await pruneWebSubscription(context.auth.uid, subscription.endpoint);
+        }
         throw new functions.https.HttpsError('internal', 'Failed to send notification');
     }
 });
@@ -337,8 +441,8 @@ exports.sendDueNativeNotifications = functions.pubsub
             const message = {
                 token: notification.deviceToken,
                 notification: {
-                    title: 'Rest Complete! 💪',
-                    body: `Time for ${notification.exerciseName}`
+                    title: notification.title || 'Rest Complete! 💪',
+                    body: notification.body || `Time for ${notification.exerciseName}`
                 },
                 apns: {
                     payload: {
@@ -352,16 +456,27 @@ exports.sendDueNativeNotifications = functions.pubsub
 
             promises.push(
                 admin.messaging().send(message)
-                    .then(() => {
+                    .then(async () => {
                         console.log(`✅ Sent native notification: ${doc.id}`);
-                        return doc.ref.update({
+                        await doc.ref.update({
                             status: 'sent',
                             sentAt: admin.firestore.FieldValue.serverTimestamp()
                         });
+                        await recordDelivery(notification.userId, 'native', 'sent');
                     })
-                    .catch((error) => {
+                    .catch(async (error) => {
                         console.error(`❌ Failed native notification ${doc.id}:`, error.message);
-                        return doc.ref.update({ status: 'failed', error: error.message });
+                        const expired = isDeadTokenError(error);
+                        await doc.ref.update({
+                            status: expired ? 'expired' : 'failed',
+                            error: error.message || 'Unknown error',
+                            errorCode: error.code || error.errorInfo?.code || null,
+                            failedAt: admin.firestore.FieldValue.serverTimestamp()
+                        });
+                        await recordDelivery(notification.userId, 'native', expired ? 'expired' : 'failed', error);
+                        if (expired) {
+                            await pruneDeviceToken(notification.userId, notification.deviceToken);
+                        }
                     })
             );
         });
@@ -370,6 +485,372 @@ exports.sendDueNativeNotifications = functions.pubsub
         return null;
     });
 
+// ============================================================================
+// NOTIFICATION HEALTH
+// ============================================================================
+
+function toISO(value) {
+    return value && typeof value.toDate === 'function' ? value.toDate().toISOString() : (value || null);
+}
+
+function serializeHealth(channelHealth) {
+    const health = {};
+    for (const [key, value] of Object.entries(channelHealth || {})) {
+        health[key] = key.endsWith('At') ? toISO(value) : value;
+    }
+    return health;
+}
+
+/**
+ * Why pushes are (or aren't) arriving for the signed-in user: the saved web
+ * subscription and device token, the last delivery result on each channel,
+ * and the most recent scheduled notifications
+ */
+exports.getNotificationHealth = functions.https.onCall(async (data, context) => {
+    if (!context.auth) {
+        throw new functions.https.HttpsError('unauthenticated', 'User must be authenticated');
+    }
+
+    const userId = context.auth.uid;
+    const userRef = db.collection('users').doc(userId);
+
+    const [subscriptionDoc, tokenDoc, healthDoc, recentSnapshot] = await Promise.all([
+        userRef.collection('push_subscriptions').doc('current').get(),
+        userRef.collection('device_tokens').doc('current').get(),
+        userRef.collection('notification_health').doc('current').get(),
+        db.collection('scheduled_notifications').where('userId', '==', userId).get()
+    ]);
+
+    const health = healthDoc.exists ? healthDoc.data() : {};
+    const subscription = subscriptionDoc.exists ? subscriptionDoc.data() : null;
+    const token = tokenDoc.exists ? tokenDoc.data() : null;
+
+    const recent = recentSnapshot.docs
+        .map((doc) => {
+            const notification = doc.data();
+            return {
+                id: doc.id,
+                channel: notification.type === 'native' ? 'native' : 'web',
+                category: notification.category || 'rest-timer',
+                status: notification.status,
+                error: notification.error || null,
+                sendAt: notification.sendAt
+            };
+        })
+        .sort((a, b) => b.sendAt - a.sendAt)
+        .slice(0, 10);
+
+    return {
+        web: {
+            ...serializeHealth(health.web),
+            subscribed: !!subscription,
+            endpoint: subscription?.subscription?.endpoint || null,
+            updatedAt: toISO(subscription?.updatedAt)
+        },
+        native: {
+            ...serializeHealth(health.native),
+            registered: !!token,
+            platform: token?.platform || null,
+            updatedAt: toISO(token?.updatedAt)
+        },
+        recent
+    };
+});
+
+// ============================================================================
+// WORKOUT REMINDERS (training days, inactivity, streak at risk)
+// ============================================================================
+
+// How long after its time a reminder can still go out (covers missed runs)
+const REMINDER_WINDOW_MINUTES = 120;
+
+// Streaks shorter than this aren't worth a warning
+const MIN_STREAK_FOR_NUDGE = 2;
+
+// Most recent workouts read when a reminder may be due - covers the last
+// workout and the current streak (longer streaks are counted up to this)
+const REMINDER_HISTORY_LIMIT = 100;
+
+const DEFAULT_REMINDER_TYPES = { training: true, inactivity: true, streak: true };
+
+/**
+ * Date, weekday and minutes past midnight in the user's timezone
+ */
+function getLocalTime(timezone, now = new Date()) {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || 'UTC',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+        }).formatToParts(now);
+    } catch (error) {
+        // Unknown timezone name
+        return getLocalTime('UTC', now);
+    }
+
+    const part = (type) => parts.find(p => p.type === type).value;
+    return {
+        date: `${part('year')}-${part('month')}-${part('day')}`,
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(part('weekday')),
+        minutes: parseInt(part('hour')) * 60 + parseInt(part('minute'))
+    };
+}
+
+function timeToMinutes(time) {
+    const [hours, minutes] = String(time || '').split(':').map(Number);
+    return Number.isFinite(hours) && Number.isFinite(minutes) ? hours * 60 + minutes : null;
+}
+
+/**
+ * Whole days from one YYYY-MM-DD date to another
+ */
+function daysBetween(fromDate, toDate) {
+    const toUTC = (date) => {
+        const [year, month, day] = date.split('-').map(Number);
+        return Date.UTC(year, month - 1, day);
+    };
+    return Math.round((toUTC(toDate) - toUTC(fromDate)) / (1000 * 60 * 60 * 24));
+}
+
+function isInQuietHours(minutes, quietHours) {
+    const start = timeToMinutes(quietHours?.start);
+    const end = timeToMinutes(quietHours?.end);
+    if (start === null || end === null || start === end) return false;
+
+    // Quiet hours usually wrap past midnight (22:00 - 07:00)
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+function isReminderDue(minutes, time) {
+    const target = timeToMinutes(time);
+    return target !== null && minutes >= target && minutes < target + REMINDER_WINDOW_MINUTES;
+}
+
+/**
+ * Current streak from sorted, de-duplicated workout dates.
+ * Same rules as calculateStreaks in js/core/features/streak-tracker.js (keep
+ * them in sync): the streak stays alive until the end of the day after the
+ * last workout, and counts back over consecutive days.
+ */
+function calculateCurrentStreak(workoutDates, today) {
+    if (workoutDates.length === 0) return 0;
+
+    const sinceLast = daysBetween(workoutDates[workoutDates.length - 1], today);
+    if (sinceLast !== 0 && sinceLast !== 1) return 0;
+
+    let streak = 1;
+    for (let i = workoutDates.length - 2; i >= 0; i--) {
+        if (daysBetween(workoutDates[i], workoutDates[i + 1]) !== 1) break;
+        streak++;
+    }
+    return streak;
+}
+
+/**
+ * Recent completed workout dates (YYYY-MM-DD), sorted and de-duplicated
+ */
+async function getWorkoutDates(userId) {
+    const snapshot = await db.collection('users').doc(userId).collection('workouts')
+        .orderBy('date', 'desc')
+        .limit(REMINDER_HISTORY_LIMIT)
+        .select('date', 'completedAt')
+        .get();
+
+    const dates = new Set();
+    snapshot.forEach((doc) => {
+        const workout = doc.data();
+        if (workout.completedAt && workout.date) {
+            dates.add(workout.date);
+        }
+    });
+    return [...dates].sort();
+}
+
+/**
+ * Whether any reminder could be due now, from settings and reminder_state
+ * alone - most runs fall outside both reminder times and skip reading history.
+ * Inactivity is only known once sent for the last workout, so its window
+ * always counts.
+ */
+function isAnyReminderWindowOpen(settings, local, state = {}) {
+    const types = { ...DEFAULT_REMINDER_TYPES, ...(settings.types || {}) };
+
+    const streakOpen = types.streak && state.streak !== local.date &&
+        isReminderDue(local.minutes, settings.streakTime);
+
+    const trainingOpen = types.training && state.training !== local.date &&
+        (settings.trainingDays || []).includes(local.weekday);
+    const trainingTimeOpen = (trainingOpen || types.inactivity) &&
+        isReminderDue(local.minutes, settings.trainingTime);
+
+    return streakOpen || trainingTimeOpen;
+}
+
+/**
+ * Reminders due for one user right now
+ * @returns {Array} [{ type, key, title, body }] - key is what reminder_state records as sent
+ */
+function findDueReminders(settings, state, workoutDates, local) {
+    if (isInQuietHours(local.minutes, settings.quietHours)) return [];
+
+    const types = { ...DEFAULT_REMINDER_TYPES, ...(settings.types || {}) };
+    const lastWorkoutDate = workoutDates[workoutDates.length - 1] || null;
+    const trainedToday = lastWorkoutDate === local.date;
+    const due = [];
+
+    const streak = calculateCurrentStreak(workoutDates, local.date);
+    if (types.streak && !trainedToday && streak >= MIN_STREAK_FOR_NUDGE &&
+        isReminderDue(local.minutes, settings.streakTime) && state.streak !== local.date) {
+        due.push({
+            type: 'streak',
+            key: local.date,
+            title: `Your ${streak}-day streak ends tonight 🔥`,
+            body: 'Log a workout before midnight to keep it going.'
+        });
+    }
+
+    const inactiveDays = lastWorkoutDate ? daysBetween(lastWorkoutDate, local.date) : 0;
+    const inactivityDue = types.inactivity && lastWorkoutDate &&
+        inactiveDays >= (settings.inactiveDays || 3) &&
+        isReminderDue(local.minutes, settings.trainingTime) &&
+        state.inactivity !== lastWorkoutDate;
+    if (inactivityDue) {
+        // Once per break - the key is the last workout, so it resets after the next one
+        due.push({
+            type: 'inactivity',
+            key: lastWorkoutDate,
+            title: `It's been ${inactiveDays} days since your last workout`,
+            body: 'Even a short session keeps the habit going.'
+        });
+    }
+
+    const trainingDue = types.training && !trainedToday &&
+        (settings.trainingDays || []).includes(local.weekday) &&
+        isReminderDue(local.minutes, settings.trainingTime) &&
+        state.training !== local.date;
+    if (trainingDue) {
+        // Same time as the inactivity nudge - send one, mark both
+        due.push({
+            type: 'training',
+            key: local.date,
+            title: 'Training day 💪',
+            body: "Time to get today's workout in.",
+            silent: inactivityDue
+        });
+    }
+
+    return due;
+}
+
+/**
+ * Queue a reminder for the web push and native senders
+ */
+async function queueReminder(userId, reminder, webSubscription, deviceToken) {
+    const baseId = `reminder_${userId}_${reminder.type}_${reminder.key}`;
+    const notification = {
+        userId: userId,
+        sendAt: Date.now(),
+        title: reminder.title,
+        body: reminder.body,
+        tag: `reminder-${reminder.type}`,
+        category: 'reminder',
+        reminderType: reminder.type,
+        status: 'pending',
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    const writes = [];
+    if (webSubscription) {
+        writes.push(db.collection('scheduled_notifications').doc(baseId).set({
+            ...notification,
+            subscription: webSubscription
+        }));
+    }
+    if (deviceToken) {
+        writes.push(db.collection('scheduled_notifications').doc(`${baseId}_native`).set({
+            ...notification,
+            deviceToken: deviceToken,
+            platform: 'ios',
+            type: 'native'
+        }));
+    }
+    await Promise.all(writes);
+    return writes.length > 0;
+}
+
+/**
+ * Scheduled function that queues training-day, inactivity and streak
+ * reminders from users/{uid}/settings/reminders. Delivery goes through
+ * sendDueNotifications / sendDueNativeNotifications like rest timers.
+ *
+ * The collection group query relies on the settings.remindersEnabled
+ * collection group index in firestore.indexes.json.
+ */
+exports.scheduleReminders = functions.pubsub
+    .schedule('every 15 minutes')
+    .onRun(async (context) => {
+        const enabledSettings = await db.collectionGroup('settings')
+            .where('remindersEnabled', '==', true)
+            .get();
+
+        const userSettings = enabledSettings.docs.filter(doc => doc.id === 'reminders');
+        if (userSettings.length === 0) {
+            return null;
+        }
+
+        let queued = 0;
+        for (const settingsDoc of userSettings) {
+            const userId = settingsDoc.ref.parent.parent.id;
+            const settings = settingsDoc.data();
+
+            try {
+                const local = getLocalTime(settings.timezone);
+                if (isInQuietHours(local.minutes, settings.quietHours)) continue;
+
+                // Outside both reminder times nothing else is read
+                if (!isAnyReminderWindowOpen(settings, local)) continue;
+
+                const userRef = db.collection('users').doc(userId);
+                const stateRef = userRef.collection('reminder_state').doc('current');
+                const stateDoc = await stateRef.get();
+                const state = stateDoc.exists ? stateDoc.data() : {};
+                if (!isAnyReminderWindowOpen(settings, local, state)) continue;
+
+                const workoutDates = await getWorkoutDates(userId);
+                const due = findDueReminders(settings, state, workoutDates, local);
+                if (due.length === 0) continue;
+
+                const [subscriptionDoc, tokenDoc] = await Promise.all([
+                    userRef.collection('push_subscriptions').doc('current').get(),
+                    userRef.collection('device_tokens').doc('current').get()
+                ]);
+                const webSubscription = subscriptionDoc.exists ? subscriptionDoc.data().subscription : null;
+                const deviceToken = tokenDoc.exists ? tokenDoc.data().token : null;
+
+                const sent = {};
+                for (const reminder of due) {
+                    if (!reminder.silent && await queueReminder(userId, reminder, webSubscription, deviceToken)) {
+                        queued++;
+                    }
+                    sent[reminder.type] = reminder.key;
+                }
+
+                await stateRef.set({
+                    ...sent,
+                    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+                }, { merge: true });
+            } catch (error) {
+                console.error(`❌ Failed to check reminders for user ${userId}:`, error.message);
+            }
+        }
+
+        console.log(`⏰ Queued ${queued} reminders for ${userSettings.length} users`);
+        return null;
+    });
+
 // ============================================================================
 // REVERSE GEOCODING (Location City/State lookup)
 // ============================================================================
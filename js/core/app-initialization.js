@@ -249,6 +249,10 @@ export async function signOutUser() {
 
         showSignInPrompt();
 
+        // Stop gym geofencing before the user goes
+        const { stopGymGeofence } = await import('./ui/geofence-ui.js');
+        stopGymGeofence();
+
         // NOW sign out (auth listener will skip UI updates due to flag)
         await signOut(auth);
 
@@ -339,6 +343,11 @@ export function setupAuthenticationListener() {
                 console.error('Migration check failed:', migrationError);
             }
 
+            // Replay saves made offline (not awaited - a weak signal shouldn't hold up loading)
+            import('./data/offline-store.js')
+                .then(({ replayPendingWrites }) => replayPendingWrites())
+                .catch(error => console.error('Offline replay failed:', error));
+
             // Load ALL data FIRST (loadWorkoutPlans loads both plans AND exercises)
             await loadWorkoutPlans(AppState);
 
@@ -364,6 +373,11 @@ export function setupAuthenticationListener() {
             // THEN check for in-progress workouts (now plans will be loaded!)
             await checkForInProgressWorkoutEnhanced();
 
+            // Watch for arriving at / leaving a saved gym while the app is open
+            import('./ui/geofence-ui.js')
+                .then(({ startGymGeofence }) => startGymGeofence())
+                .catch(error => console.error('Gym geofence failed to start:', error));
+
             // Hide loading screen - data is ready!
             setTimeout(async () => {
                 console.log('✅ Auth complete, hiding loading screen...');
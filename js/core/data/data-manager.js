@@ -3,13 +3,20 @@
 // - Old schema: document ID = date (YYYY-MM-DD), one workout per day
 // - New schema: document ID = unique ID, date stored as field, multiple workouts per day
 import { db, doc, setDoc, getDoc, collection, query, orderBy, limit, getDocs, where, deleteDoc } from './firebase-config.js';
-import { showNotification, convertWeight } from '../ui/ui-helpers.js';
+import { showNotification, convertWeight, formatRPE } from '../ui/ui-helpers.js';
+import { SET_TYPES, getSetType } from '../workout/set-types.js';
+import { getMeasurementType, isSetLogged, hasSetData, formatSetSummary } from '../workout/measurement-types.js';
+import { getLoadType, isBodyweightLoad, formatLoad } from '../workout/load-types.js';
+import {
+    mergeWorkoutDocs, alignWorkoutExercises, ensureEntryIds, hasSetChanges, isConflict, setWorkoutConflict
+} from './workout-sync.js';
+import { queuedSetDoc, saveActiveWorkoutLocal, loadActiveWorkoutLocal, clearActiveWorkoutLocal, discardPendingWrite, getPendingWrites, isOnline } from './offline-store.js';
 
 /**
  * Generate a unique workout ID
  * Format: {date}_{timestamp}_{random}
  */
-function generateWorkoutId(date) {
+export function generateWorkoutId(date) {
     const timestamp = Date.now();
     const random = Math.random().toString(36).substring(2, 8);
     return `${date}_${timestamp}_${random}`;
@@ -22,6 +29,18 @@ function isOldSchemaDoc(docId) {
     return /^\d{4}-\d{2}-\d{2}$/.test(docId);
 }
 
+/**
+ * Tag sets with the unit they were entered in. `weight` is always stored in lbs;
+ * `originalUnit` records what the user was looking at when they logged it.
+ * @param {boolean} keepExisting - Leave sets that already carry an originalUnit alone
+ */
+export function normalizeSetUnits(sets, unit, keepExisting = false) {
+    return (sets || []).map(set => ({
+        ...set,
+        originalUnit: (keepExisting && set?.originalUnit) || unit || 'lbs'
+    }));
+}
+
 export async function saveWorkoutData(state) {
     if (!state.currentUser) return;
 
@@ -55,9 +74,11 @@ export async function saveWorkoutData(state) {
         state.savedData.exerciseNames = exerciseNames;
 
         // Store the complete workout structure for reconstruction
+        ensureEntryIds(state.currentWorkout.exercises);
         state.savedData.originalWorkout = {
             day: state.currentWorkout.day || state.currentWorkout.name,
             exercises: state.currentWorkout.exercises.map(ex => ({
+                entryId: ex.entryId,  // Stable ID the multi-device merge matches exercises by
                 machine: ex.machine || ex.name,
                 sets: ex.sets,
                 reps: ex.reps,
@@ -65,7 +86,12 @@ export async function saveWorkoutData(state) {
                 video: ex.video || '',
                 equipment: ex.equipment || null,
                 equipmentLocation: ex.equipmentLocation || null,
-                bodyPart: ex.bodyPart || null  // Include bodyPart for progress categorization
+                bodyPart: ex.bodyPart || null,  // Include bodyPart for progress categorization
+                group: ex.group || null,  // Superset/circuit group letter
+                measurementType: getMeasurementType(ex),  // weight, reps, time, distance or time_distance
+                loadType: getLoadType(ex),  // external, bodyweight or assisted
+                programTarget: ex.programTarget || null,  // This week's target in a program session
+                substitutedFor: ex.substitutedFor || null  // Planned exercise this one stood in for
             }))
         };
 
@@ -82,12 +108,7 @@ export async function saveWorkoutData(state) {
             const currentUnit = state.exerciseUnits[exerciseIndex] || state.globalUnit;
 
             if (exerciseData.sets) {
-                exerciseData.sets = exerciseData.sets.map(set => {
-                    return {
-                        ...set,
-                        originalUnit: currentUnit || 'lbs'
-                    };
-                });
+                exerciseData.sets = normalizeSetUnits(exerciseData.sets, currentUnit);
             }
         });
     }
@@ -103,20 +124,58 @@ export async function saveWorkoutData(state) {
             state.savedData.workoutId = workoutId;
         }
 
-        const docRef = doc(db, "users", state.currentUser.uid, "workouts", workoutId);
         const savedDoc = {
             ...normalizedData,
             workoutId: workoutId,  // Store ID in document for reference
             lastUpdated: new Date().toISOString(),
             version: '3.0'  // New schema version
         };
-        await setDoc(docRef, savedDoc);
+
+        // Keep a device copy first so nothing logged is lost without signal
+        const isActive = !savedDoc.completedAt && !savedDoc.cancelledAt;
+        if (isActive) {
+            await saveActiveWorkoutLocal(state.currentUser.uid, savedDoc);
+        }
+
+        // Revision-checked: merged set by set if another device saved in between.
+        // Queued in IndexedDB and replayed on reconnect when offline.
+        const result = await queuedSetDoc(["users", state.currentUser.uid, "workouts", workoutId], savedDoc, 'workout');
+
+        if (result.status === 'saved' && state.savedData.workoutId === workoutId) {
+            // Fold in sets from the other device without losing anything typed meanwhile
+            if (result.merged) {
+                const before = state.savedData;
+                state.savedData = { ...mergeWorkoutDocs(before, result.doc), revision: result.doc.revision };
+                // Exercises may have been added, removed or moved on the other device
+                if (state.currentWorkout) {
+                    state.currentWorkout.exercises = alignWorkoutExercises(state.currentWorkout.exercises, state.savedData);
+                    state.exerciseUnits = { ...(state.savedData.exerciseUnits || {}) };
+                }
+                if (hasSetChanges(before, state.savedData)) {
+                    window.dispatchEvent(new CustomEvent('workoutMerged', { detail: { workoutId } }));
+                }
+            } else {
+                state.savedData.revision = result.doc.revision;
+            }
+
+            if (isActive) {
+                await saveActiveWorkoutLocal(state.currentUser.uid, result.doc);
+            }
+        }
+
+        if (!isActive) {
+            const localCopy = await loadActiveWorkoutLocal(state.currentUser.uid);
+            if (localCopy?.workoutId === workoutId) {
+                await clearActiveWorkoutLocal(state.currentUser.uid);
+            }
+        }
 
         // CRITICAL: Update window.inProgressWorkout so exercise changes persist on resume
         // This ensures added/deleted exercises are retained when closing and reopening workout
         if (window.inProgressWorkout && !state.savedData.completedAt && !state.savedData.cancelledAt) {
             window.inProgressWorkout = {
                 ...savedDoc,
+                ...(state.savedData.workoutId === workoutId ? state.savedData : {}),
                 originalWorkout: state.savedData.originalWorkout
             };
         }
@@ -133,32 +192,69 @@ export async function loadTodaysWorkout(state) {
     if (!state.currentUser) return null;
 
     const today = state.getTodayDateString();
+    const localCopy = await loadActiveWorkoutLocal(state.currentUser.uid);
+    let incompleteWorkout = null;
+    let serverCopy = null;
+    let serverChecked = false;
+
     try {
         // Schema v3.0: Query by date field instead of document ID
         // This finds incomplete workouts for today
-        const workoutsRef = collection(db, "users", state.currentUser.uid, "workouts");
-        const q = query(workoutsRef, where("date", "==", today));
-        const snapshot = await getDocs(q);
+        if (isOnline()) {
+            const workoutsRef = collection(db, "users", state.currentUser.uid, "workouts");
+            const q = query(workoutsRef, where("date", "==", today));
+            const snapshot = await getDocs(q);
+            serverChecked = !snapshot.metadata.fromCache;
+
+            snapshot.forEach((docSnap) => {
+                const data = docSnap.data();
+                if (docSnap.id === localCopy?.workoutId) {
+                    serverCopy = data;
+                }
+                // Find an incomplete workout for today
+                if (data.workoutType &&
+                    data.workoutType !== 'none' &&
+                    !data.completedAt &&
+                    !data.cancelledAt) {
+                    // Add document ID for reference
+                    incompleteWorkout = { ...data, docId: docSnap.id };
+                }
+            });
+        }
+    } catch (error) {
+        console.error('Error loading today\'s workout:', error);
+    }
 
-        let incompleteWorkout = null;
+    if (!localCopy || localCopy.date !== today || !localCopy.workoutType || localCopy.workoutType === 'none') {
+        return incompleteWorkout;
+    }
 
-        snapshot.forEach((docSnap) => {
-            const data = docSnap.data();
-            // Find an incomplete workout for today
-            if (data.workoutType &&
-                data.workoutType !== 'none' &&
-                !data.completedAt &&
-                !data.cancelledAt) {
-                // Add document ID for reference
-                incompleteWorkout = { ...data, docId: docSnap.id };
-            }
-        });
+    // Edited here without signal AND on another device - let the user decide on resume
+    if (isConflict(localCopy, serverCopy)) {
+        setWorkoutConflict(localCopy.workoutId, localCopy, serverCopy);
+        return { ...localCopy, docId: localCopy.workoutId };
+    }
 
+    // Server has caught up (or the workout was finished elsewhere) - drop the device copy
+    if (serverCopy && (serverCopy.lastUpdated || '') >= (localCopy.lastUpdated || '')) {
+        if (serverCopy.completedAt || serverCopy.cancelledAt) {
+            await clearActiveWorkoutLocal(state.currentUser.uid);
+        }
         return incompleteWorkout;
-    } catch (error) {
-        console.error('Error loading today\'s workout:', error);
-        return null;
     }
+
+    // Deleted elsewhere and nothing of ours is waiting to sync
+    if (serverChecked && !serverCopy) {
+        const pending = await getPendingWrites();
+        const path = `users/${state.currentUser.uid}/workouts/${localCopy.workoutId}`;
+        if (!pending.some(write => write.path.join('/') === path)) {
+            await clearActiveWorkoutLocal(state.currentUser.uid);
+            return incompleteWorkout;
+        }
+    }
+
+    // The device copy is newer (sets logged without signal)
+    return { ...localCopy, docId: localCopy.workoutId };
 }
 
 /**
@@ -244,6 +340,13 @@ export async function deleteWorkoutById(state, workoutId) {
     try {
         const docRef = doc(db, "users", state.currentUser.uid, "workouts", workoutId);
         await deleteDoc(docRef);
+
+        // Don't let a queued save or the device copy bring it back
+        await discardPendingWrite(["users", state.currentUser.uid, "workouts", workoutId]);
+        const localCopy = await loadActiveWorkoutLocal(state.currentUser.uid);
+        if (localCopy?.workoutId === workoutId) {
+            await clearActiveWorkoutLocal(state.currentUser.uid);
+        }
         return true;
     } catch (error) {
         console.error('Error deleting workout:', error);
@@ -447,6 +550,9 @@ export async function loadExerciseHistory(exerciseName, exerciseIndex, state) {
             const exercise = state.currentWorkout?.exercises?.[exerciseIndex];
             const equipment = exercise?.equipment || 'Unknown Equipment';
             const prs = PRTracker.getExercisePRs(exerciseName, equipment);
+            const measurementType = getMeasurementType(
+                lastExerciseData.measurementType ? lastExerciseData : (exercise || { machine: exerciseName })
+            );
 
             // Show match info (equipment/location context)
             const histEquipment = lastExerciseData.equipment;
@@ -463,7 +569,7 @@ export async function loadExerciseHistory(exerciseName, exerciseIndex, state) {
                 <div class="exercise-history-content" style="background: var(--bg-tertiary); padding: 0.5rem 0.75rem; border-radius: 8px; margin-top: 0.5rem;">`;
 
             // Show PR if available (only max weight with 5+ reps counts as a real PR)
-            if (prs && prs.maxWeight && prs.maxWeight.reps >= 5) {
+            if (prs && prs.maxWeight && prs.maxWeight.reps >= 5 && measurementType === 'weight') {
                 historyHTML += `
                     <div style="margin-bottom: 0.4rem; padding: 0.3rem 0.5rem; background: rgba(64, 224, 208, 0.1); border-left: 3px solid var(--primary); border-radius: 4px; display: flex; align-items: center; gap: 0.5rem;">
                         <i class="fas fa-trophy" style="color: var(--primary); font-size: 0.9rem;"></i>
@@ -480,11 +586,21 @@ export async function loadExerciseHistory(exerciseName, exerciseIndex, state) {
             `;
             
             lastExerciseData.sets.forEach((set, index) => {
-                if (set.reps && set.weight) {
+                if (measurementType !== 'weight' && hasSetData(set)) {
+                    historyHTML += `
+                        <div style="background: var(--bg-secondary); padding: 0.25rem 0.5rem; border-radius: 4px; font-size: 0.85rem;">
+                            Set ${index + 1}${getSetType(set) !== 'working' ? ` (${SET_TYPES[getSetType(set)].label})` : ''}: ${formatSetSummary(set, measurementType)}${set.rpe ? ` <span style="color: var(--text-muted);">@ ${formatRPE(set.rpe)}</span>` : ''}
+                        </div>
+                    `;
+                } else if (isSetLogged(set, 'weight')) {
                     let displayWeight;
                     
-                    // Use originalWeights if available (most reliable)
-                    if (set.originalWeights && set.originalWeights[unit]) {
+                    if (isBodyweightLoad(set.loadType)) {
+                        // Signed adjustment - convertWeight only handles positive loads
+                        const adjustment = convertWeight(Math.abs(set.weight || 0), 'lbs', unit) || 0;
+                        displayWeight = set.weight < 0 ? -adjustment : adjustment;
+                    } else if (set.originalWeights && set.originalWeights[unit]) {
+                        // Use originalWeights if available (most reliable)
                         displayWeight = set.originalWeights[unit];
                     } else if (set.originalWeights) {
                         // Use whichever originalWeight exists and convert
@@ -504,7 +620,7 @@ export async function loadExerciseHistory(exerciseName, exerciseIndex, state) {
                     
                     historyHTML += `
                         <div style="background: var(--bg-secondary); padding: 0.25rem 0.5rem; border-radius: 4px; font-size: 0.85rem;">
-                            Set ${index + 1}: ${set.reps} × ${displayWeight} ${unit}
+                            Set ${index + 1}${getSetType(set) !== 'working' ? ` (${SET_TYPES[getSetType(set)].label})` : ''}: ${set.reps} × ${formatLoad(set, displayWeight)} ${unit}${set.rpe ? ` <span style="color: var(--text-muted);">@ ${formatRPE(set.rpe)}</span>` : ''}
                         </div>
                     `;
                 }
@@ -588,7 +704,8 @@ export async function loadWorkoutHistory(state, limitCount = 50) {
                     totalSets += exercise.sets;
                     const exerciseData = workout.exercises[`exercise_${index}`];
                     if (exerciseData && exerciseData.sets) {
-                        const completed = exerciseData.sets.filter(set => set && set.reps && set.weight).length;
+                        const measurementType = getMeasurementType({ ...exercise, measurementType: exercise.measurementType || exerciseData.measurementType });
+                        const completed = exerciseData.sets.filter(set => isSetLogged(set, measurementType)).length;
                         completedSets += completed;
                     }
                 });
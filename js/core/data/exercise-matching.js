@@ -0,0 +1,164 @@
+// Exercise Matching Module - core/data/exercise-matching.js
+// Collects exercises from every library source and matches names against them
+
+import { AppState } from '../utils/app-state.js';
+import { db, collection, getDocs } from './firebase-config.js';
+
+// Abbreviations/synonyms seen in other apps' exercise names
+const TOKEN_ALIASES = {
+    db: 'dumbbell', dumbbells: 'dumbbell',
+    bb: 'barbell',
+    kb: 'kettlebell',
+    ez: 'ezbar',
+    flat: '',
+    machine: '',
+    ohp: 'overhead press',
+    rdl: 'romanian deadlift',
+    'pull-down': 'pulldown',
+    'push-down': 'pushdown',
+    tricep: 'triceps', bicep: 'biceps'
+};
+
+// Minimum token overlap for a fuzzy match to be suggested
+const FUZZY_THRESHOLD = 0.6;
+
+// ===================================================================
+// SOURCES
+// ===================================================================
+
+/**
+ * Load exercises from custom exercises, overrides and the default library.
+ * @returns {Promise<Array>} [{ id, name, collection, data }]
+ */
+export async function collectExerciseSources() {
+    const uid = AppState.currentUser.uid;
+    const allExercises = [];
+
+    // 1. Custom exercises
+    const customSnapshot = await getDocs(collection(db, "users", uid, "customExercises"));
+    customSnapshot.forEach((docSnap) => {
+        const data = docSnap.data();
+        allExercises.push({
+            id: docSnap.id,
+            name: data.name || '',
+            collection: 'customExercises',
+            data: data
+        });
+    });
+
+    // 2. Exercise overrides
+    const overridesSnapshot = await getDocs(collection(db, "users", uid, "exerciseOverrides"));
+    overridesSnapshot.forEach((docSnap) => {
+        const data = docSnap.data();
+        allExercises.push({
+            id: docSnap.id,
+            name: data.name || data.originalName || '',
+            collection: 'exerciseOverrides',
+            data: data
+        });
+    });
+
+    // 3. Default exercises
+    const defaultSnapshot = await getDocs(collection(db, "exercises"));
+    defaultSnapshot.forEach((docSnap) => {
+        const data = docSnap.data();
+        if (data.name) {
+            allExercises.push({
+                id: docSnap.id,
+                name: data.name,
+                collection: 'exercises (default)',
+                data: data
+            });
+        }
+    });
+
+    return allExercises;
+}
+
+/**
+ * Key two exercises are considered the same exercise under (case-insensitive name)
+ */
+export function getExerciseNameKey(name) {
+    return (name || '').toLowerCase();
+}
+
+/**
+ * Group exercises by name key
+ * @returns {Object} { "bench press": [exercise, ...] }
+ */
+export function groupExercisesByName(exercises) {
+    const exercisesByName = {};
+    exercises.forEach(ex => {
+        const name = getExerciseNameKey(ex.name);
+        if (!name) return;
+        if (!exercisesByName[name]) {
+            exercisesByName[name] = [];
+        }
+        exercisesByName[name].push(ex);
+    });
+    return exercisesByName;
+}
+
+// ===================================================================
+// FUZZY MATCHING
+// ===================================================================
+
+/**
+ * Equipment noted in parentheses, e.g. "Bench Press (Barbell)" -> "Barbell"
+ */
+export function getEquipmentHint(name) {
+    const match = (name || '').match(/\(([^)]+)\)\s*$/);
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Name without the trailing equipment note
+ */
+export function stripEquipmentHint(name) {
+    return (name || '').replace(/\s*\([^)]*\)\s*$/, '').trim();
+}
+
+function getNameTokens(name) {
+    const tokens = getExerciseNameKey(name)
+        .replace(/[()]/g, ' ')
+        .split(/[^a-z0-9-]+/)
+        .flatMap(token => (TOKEN_ALIASES[token] ?? token).split(/[ -]/))
+        .map(token => token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token)
+        .filter(Boolean);
+    return new Set(tokens);
+}
+
+function tokenSimilarity(a, b) {
+    if (a.size === 0 || b.size === 0) return 0;
+    let shared = 0;
+    a.forEach(token => { if (b.has(token)) shared++; });
+    return shared / (a.size + b.size - shared);
+}
+
+/**
+ * Find the library exercise an outside name most likely refers to.
+ * Exact name-key matches win (the same rule duplicate scanning uses), then the
+ * name without its equipment note, then the best token overlap.
+ * @param {Array} exercises - [{ name, ... }] candidates
+ * @returns {Object|null} { exercise, score } where score 1 = exact
+ */
+export function findExerciseMatch(name, exercises) {
+    const byName = groupExercisesByName(exercises);
+
+    const exact = byName[getExerciseNameKey(name)];
+    if (exact) return { exercise: exact[0], score: 1 };
+
+    const stripped = byName[getExerciseNameKey(stripEquipmentHint(name))];
+    if (stripped) return { exercise: stripped[0], score: 0.95 };
+
+    const tokens = getNameTokens(name);
+    let best = null;
+    for (const [key, group] of Object.entries(byName)) {
+        const score = tokenSimilarity(tokens, getNameTokens(key));
+        if (score >= FUZZY_THRESHOLD && (!best || score > best.score)) {
+            best = { exercise: group[0], score: Math.round(score * 100) / 100 };
+        }
+    }
+
+    return best;
+}
@@ -7,6 +7,8 @@ import {
 } from './firebase-config.js';
 import { writeBatch } from "https://www.gstatic.com/firebasejs/10.7.1/firebase-firestore.js";
 import { showNotification } from '../ui/ui-helpers.js';
+import { normalizeExerciseGroups } from '../workout/exercise-groups.js';
+import { readThroughCache } from './offline-store.js';
 
 export class FirebaseWorkoutManager {
     constructor(appState) {
@@ -29,29 +31,30 @@ export class FirebaseWorkoutManager {
                 return await this.getDefaultExercisesOnly();
             }
 
-            // 1. Load base default exercises
-            const defaultExercises = await this.getDefaultExercises();
-            
-            // 2. Load user's custom exercises  
-            const customExercises = await this.getCustomExercises();
-            
-            // 3. Load user's exercise overrides
-            const userOverrides = await this.getUserExerciseOverrides();
-            
-            // 4. Load hidden exercises
-            const hiddenExercises = await this.getHiddenExercises();
-            
-            // 5. Apply overrides and filter hidden exercises
-            let finalExercises = this.mergeExercisesWithOverrides(
-                defaultExercises, 
-                customExercises, 
-                userOverrides
-            );
-            
-            // 6. Filter out hidden exercises
-            finalExercises = this.filterHiddenExercises(finalExercises, hiddenExercises);
-            
-            return finalExercises;
+            // Offline, the last library loaded on this device is used
+            return await readThroughCache(this.appState.currentUser.uid, 'exerciseLibrary', async () => {
+                // 1. Load base default exercises
+                const defaultExercises = await this.getDefaultExercises();
+
+                // 2. Load user's custom exercises
+                const customExercises = await this.getCustomExercises();
+
+                // 3. Load user's exercise overrides
+                const userOverrides = await this.getUserExerciseOverrides();
+
+                // 4. Load hidden exercises
+                const hiddenExercises = await this.getHiddenExercises();
+
+                // 5. Apply overrides and filter hidden exercises
+                let finalExercises = this.mergeExercisesWithOverrides(
+                    defaultExercises,
+                    customExercises,
+                    userOverrides
+                );
+
+                // 6. Filter out hidden exercises
+                return this.filterHiddenExercises(finalExercises, hiddenExercises);
+            });
             
         } catch (error) {
             console.error('❌ Error loading universal exercise library:', error);
@@ -111,6 +114,8 @@ export class FirebaseWorkoutManager {
                 name: exerciseData.name,
                 bodyPart: exerciseData.bodyPart,
                 equipmentType: exerciseData.equipmentType,
+                measurementType: exerciseData.measurementType || 'weight',
+                loadType: exerciseData.loadType || 'external',
                 equipment: exerciseData.equipment || null,
                 equipmentLocation: exerciseData.equipmentLocation || null,
                 sets: exerciseData.sets,
@@ -351,6 +356,8 @@ export class FirebaseWorkoutManager {
                             machine: data.machine || data.name,
                             bodyPart: data.bodyPart || 'General',
                             equipmentType: data.equipmentType || data.equipment || 'Machine',
+                            measurementType: data.measurementType || 'weight',
+                            loadType: data.loadType || 'external',
                             sets: data.sets || 3,
                             reps: data.reps || 10,
                             weight: data.weight || 50,
@@ -426,6 +433,8 @@ export class FirebaseWorkoutManager {
                 machine: exerciseData.machine || exerciseData.name,
                 bodyPart: exerciseData.bodyPart,
                 equipmentType: exerciseData.equipmentType,
+                measurementType: exerciseData.measurementType || 'weight',
+                loadType: exerciseData.loadType || 'external',
                 equipment: exerciseData.equipment || null,
                 equipmentLocation: exerciseData.equipmentLocation || null,
                 sets: exerciseData.sets,
@@ -613,54 +622,55 @@ async getGlobalDefaultTemplates() {
 
         async getUserWorkoutTemplates() {
         try {
+            // Offline, the last templates loaded on this device are used
+            return await readThroughCache(this.appState.currentUser?.uid, 'templates', async () => {
+                // Load global defaults
+                const defaultTemplates = await this.getGlobalDefaultTemplates();
+
+                // Load user customs and overrides (only if signed in)
+                let customTemplates = [];
+                const overriddenDefaultIds = new Set();
+
+                if (this.appState.currentUser) {
+                    const customTemplatesRef = collection(this.db, "users", this.appState.currentUser.uid, "workoutTemplates");
+                    const customSnapshot = await getDocs(customTemplatesRef);
+
+                    customSnapshot.forEach((doc) => {
+                        const data = doc.data();
+
+                        // Skip hidden templates (they're just markers, not actual templates)
+                        if (data.isHidden) {
+                            // Track which defaults are hidden
+                            if (data.overridesDefault) {
+                                overriddenDefaultIds.add(data.overridesDefault);
+                            }
+                            return;
+                        }
 
-            // Load global defaults
-            const defaultTemplates = await this.getGlobalDefaultTemplates();
-
-            // Load user customs and overrides (only if signed in)
-            let customTemplates = [];
-            const overriddenDefaultIds = new Set();
-
-            if (this.appState.currentUser) {
-                const customTemplatesRef = collection(this.db, "users", this.appState.currentUser.uid, "workoutTemplates");
-                const customSnapshot = await getDocs(customTemplatesRef);
-
-                customSnapshot.forEach((doc) => {
-                    const data = doc.data();
+                        customTemplates.push({
+                            id: doc.id,
+                            ...data,
+                            isCustom: true,
+                            isDefault: false,
+                            source: 'user-firebase'
+                        });
 
-                    // Skip hidden templates (they're just markers, not actual templates)
-                    if (data.isHidden) {
-                        // Track which defaults are hidden
+                        // Track which defaults are overridden
                         if (data.overridesDefault) {
                             overriddenDefaultIds.add(data.overridesDefault);
                         }
-                        return;
-                    }
-
-                    customTemplates.push({
-                        id: doc.id,
-                        ...data,
-                        isCustom: true,
-                        isDefault: false,
-                        source: 'user-firebase'
                     });
+                }
 
-                    // Track which defaults are overridden
-                    if (data.overridesDefault) {
-                        overriddenDefaultIds.add(data.overridesDefault);
-                    }
-                });
-            }
-
-            // Filter out defaults that have been overridden or hidden
-            const visibleDefaults = defaultTemplates.filter(template =>
-                !overriddenDefaultIds.has(template.id || template.day)
-            );
-
-            const allTemplates = [...visibleDefaults, ...customTemplates];
+                // Filter out defaults that have been overridden or hidden
+                const visibleDefaults = defaultTemplates.filter(template =>
+                    !overriddenDefaultIds.has(template.id || template.day)
+                );
 
-            return allTemplates;
+                const allTemplates = [...visibleDefaults, ...customTemplates];
 
+                return allTemplates;
+            });
         } catch (error) {
             console.error('❌ Error loading user workout templates:', error);
             return [];
@@ -683,6 +693,7 @@ async getGlobalDefaultTemplates() {
 
             const templateToSave = {
                 ...templateData,
+                exercises: normalizeExerciseGroups(templateData.exercises),
                 id: templateId,
                 lastUpdated: new Date().toISOString(),
                 createdBy: this.appState.currentUser.uid,
@@ -777,18 +788,21 @@ async getGlobalDefaultTemplates() {
             const workoutsRef = collection(this.db, "users", this.appState.currentUser.uid, "workouts");
             const q = query(workoutsRef, orderBy("date", "desc"));
             // Use getDocsFromServer to bypass Firestore cache (ensures deleted docs don't reappear)
-            const querySnapshot = await getDocsFromServer(q);
+            // Offline, the last history loaded on this device is used
+            return await readThroughCache(this.appState.currentUser.uid, 'history', async () => {
+                const querySnapshot = await getDocsFromServer(q);
+
+                const workouts = [];
+                querySnapshot.forEach((doc) => {
+                    const workoutData = { id: doc.id, ...doc.data() };
+                    // Filter out cancelled workouts - they shouldn't appear in history
+                    if (!workoutData.cancelledAt) {
+                        workouts.push(workoutData);
+                    }
+                });
 
-            const workouts = [];
-            querySnapshot.forEach((doc) => {
-                const workoutData = { id: doc.id, ...doc.data() };
-                // Filter out cancelled workouts - they shouldn't appear in history
-                if (!workoutData.cancelledAt) {
-                    workouts.push(workoutData);
-                }
+                return workouts;
             });
-
-            return workouts;
         } catch (error) {
             console.error('❌ Error loading user workouts:', error);
             return [];
@@ -857,6 +871,7 @@ async getGlobalDefaultTemplates() {
                 name: equipmentData.name,
                 location: equipmentData.location || null,
                 exerciseTypes: equipmentData.exerciseTypes || [],
+                settings: equipmentData.settings || {},
                 createdAt: equipmentData.createdAt || new Date().toISOString(),
                 lastUsed: new Date().toISOString()
             };
@@ -962,6 +977,12 @@ async getGlobalDefaultTemplates() {
         try {
             const docRef = doc(this.db, "users", this.appState.currentUser.uid, "equipment", equipmentId);
             await deleteDoc(docRef);
+
+            // Its setup photos mean nothing without it
+            const photos = await this.getEquipmentPhotos(equipmentId);
+            for (const photo of photos) {
+                await this.deleteEquipmentPhoto(photo.id);
+            }
             return true;
 
         } catch (error) {
@@ -1087,6 +1108,92 @@ async getGlobalDefaultTemplates() {
         }
     }
 
+    /**
+     * Get photos of an equipment's setup, oldest first
+     * Photos live in their own collection so equipment lists stay small
+     */
+    async getEquipmentPhotos(equipmentId) {
+        if (!this.appState.currentUser || !equipmentId) {
+            return [];
+        }
+
+        try {
+            const photosRef = collection(this.db, "users", this.appState.currentUser.uid, "equipment_photos");
+            const q = query(photosRef, where("equipmentId", "==", equipmentId));
+            const querySnapshot = await getDocs(q);
+
+            const photos = [];
+            querySnapshot.forEach((doc) => {
+                photos.push({ id: doc.id, ...doc.data() });
+            });
+
+            return photos.sort((a, b) => (a.addedAt || '').localeCompare(b.addedAt || ''));
+
+        } catch (error) {
+            console.error('❌ Error loading equipment photos:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Save a photo of an equipment's setup
+     * @param {string} equipmentId - Equipment document ID
+     * @param {string} image - JPEG data URL, already downsized
+     */
+    async addEquipmentPhoto(equipmentId, image) {
+        if (!this.appState.currentUser || !equipmentId) {
+            throw new Error('Must be signed in to add equipment photos');
+        }
+
+        try {
+            const photoId = `photo_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            const photo = { equipmentId, image, addedAt: new Date().toISOString() };
+
+            const docRef = doc(this.db, "users", this.appState.currentUser.uid, "equipment_photos", photoId);
+            await setDoc(docRef, photo);
+            return { id: photoId, ...photo };
+
+        } catch (error) {
+            console.error('❌ Error saving equipment photo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete an equipment photo
+     */
+    async deleteEquipmentPhoto(photoId) {
+        if (!this.appState.currentUser || !photoId) {
+            throw new Error('Must be signed in to delete equipment photos');
+        }
+
+        try {
+            const docRef = doc(this.db, "users", this.appState.currentUser.uid, "equipment_photos", photoId);
+            await deleteDoc(docRef);
+            return true;
+
+        } catch (error) {
+            console.error('❌ Error deleting equipment photo:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Move photos from one equipment to another (when merging duplicates)
+     */
+    async moveEquipmentPhotos(fromEquipmentId, toEquipmentId) {
+        const photos = await this.getEquipmentPhotos(fromEquipmentId);
+        if (photos.length === 0) return 0;
+
+        const batch = writeBatch(this.db);
+        photos.forEach(({ id, ...photo }) => {
+            const docRef = doc(this.db, "users", this.appState.currentUser.uid, "equipment_photos", id);
+            batch.set(docRef, { ...photo, equipmentId: toEquipmentId });
+        });
+        await batch.commit();
+        return photos.length;
+    }
+
     // ===== LOCATION MANAGEMENT =====
 
     /**
@@ -0,0 +1,310 @@
+// Offline Store Module - core/data/offline-store.js
+// IndexedDB copy of the active workout, a queue of pending Firestore writes
+// replayed on reconnect, and cached reads for templates, library and history
+
+import { db, auth, doc, setDoc } from './firebase-config.js';
+import { writeWorkoutMerged } from './workout-sync.js';
+
+const DB_NAME = 'bigsurf-offline';
+const DB_VERSION = 1;
+const STORES = {
+    activeWorkout: 'activeWorkout',   // keyed by uid
+    pendingWrites: 'pendingWrites',   // keyed by document path
+    readCache: 'readCache'            // keyed by `${uid}/${name}`
+};
+
+// A write that hasn't been acknowledged by then is queued instead of blocking the UI
+const WRITE_TIMEOUT_MS = 8000;
+
+// How a queued write is applied: a plain overwrite, or a revision-checked
+// workout save that merges with changes made on other devices
+const WRITERS = {
+    set: async (path, data) => {
+        await setDoc(doc(db, ...path), data);
+        return { doc: data, merged: false };
+    },
+    workout: writeWorkoutMerged
+};
+
+let dbPromise = null;
+let replaying = false;
+
+// ===================================================================
+// DATABASE
+// ===================================================================
+
+function openDatabase() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB not available'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+            const database = request.result;
+            Object.values(STORES).forEach(name => {
+                if (!database.objectStoreNames.contains(name)) {
+                    database.createObjectStore(name);
+                }
+            });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+
+    // Allow a retry if opening failed (private mode, storage pressure...)
+    dbPromise.catch(() => { dbPromise = null; });
+    return dbPromise;
+}
+
+/**
+ * Run one request against a store and resolve with its result
+ */
+async function runRequest(storeName, mode, operation) {
+    const database = await openDatabase();
+    return new Promise((resolve, reject) => {
+        const tx = database.transaction(storeName, mode);
+        const request = operation(tx.objectStore(storeName));
+        tx.oncomplete = () => resolve(request.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+const idbGet = (storeName, key) => runRequest(storeName, 'readonly', store => store.get(key));
+const idbPut = (storeName, key, value) => runRequest(storeName, 'readwrite', store => store.put(value, key));
+const idbDelete = (storeName, key) => runRequest(storeName, 'readwrite', store => store.delete(key));
+const idbGetAll = (storeName) => runRequest(storeName, 'readonly', store => store.getAll());
+
+export function isOnline() {
+    return navigator.onLine;
+}
+
+// ===================================================================
+// ACTIVE WORKOUT
+// ===================================================================
+
+/**
+ * Keep a device-local copy of the workout being logged so a reload
+ * without signal can still resume it
+ */
+export async function saveActiveWorkoutLocal(uid, workoutDoc) {
+    try {
+        await idbPut(STORES.activeWorkout, uid, workoutDoc);
+    } catch (error) {
+        console.error('❌ Error saving local workout copy:', error);
+    }
+}
+
+export async function loadActiveWorkoutLocal(uid) {
+    try {
+        return (await idbGet(STORES.activeWorkout, uid)) || null;
+    } catch (error) {
+        console.error('❌ Error reading local workout copy:', error);
+        return null;
+    }
+}
+
+export async function clearActiveWorkoutLocal(uid) {
+    try {
+        await idbDelete(STORES.activeWorkout, uid);
+    } catch (error) {
+        console.error('❌ Error clearing local workout copy:', error);
+    }
+}
+
+// ===================================================================
+// WRITE QUEUE
+// ===================================================================
+
+function notifyQueueChanged(pending) {
+    window.dispatchEvent(new CustomEvent('offlineQueueChanged', { detail: { pending } }));
+}
+
+export async function getPendingWrites() {
+    try {
+        const writes = await idbGetAll(STORES.pendingWrites);
+        return writes.sort((a, b) => a.queuedAt - b.queuedAt);
+    } catch (error) {
+        console.error('❌ Error reading pending writes:', error);
+        return [];
+    }
+}
+
+export async function getPendingWriteCount() {
+    return (await getPendingWrites()).length;
+}
+
+/**
+ * Queue a full-document write. Writes to the same path collapse into the
+ * latest one, which is safe because every queued write replaces the document.
+ */
+async function queueWrite(path, data, kind) {
+    await idbPut(STORES.pendingWrites, path.join('/'), { path, data, kind, queuedAt: Date.now() });
+    notifyQueueChanged(await getPendingWriteCount());
+}
+
+export async function discardPendingWrite(path) {
+    try {
+        await idbDelete(STORES.pendingWrites, path.join('/'));
+        notifyQueueChanged(await getPendingWriteCount());
+    } catch (error) {
+        console.error('❌ Error discarding pending write:', error);
+    }
+}
+
+function withTimeout(promise, ms) {
+    return Promise.race([
+        promise,
+        new Promise((_, reject) => setTimeout(() => reject(new Error('write timeout')), ms))
+    ]);
+}
+
+/**
+ * setDoc that survives having no signal. Offline (or when the server doesn't
+ * answer in time) the write is queued in IndexedDB and replayed later.
+ * @param {string[]} path - Document path segments, e.g. ['users', uid, 'workouts', id]
+ * @param {string} kind - Key of WRITERS ('set' or 'workout')
+ * @returns {Promise<{status: 'saved'|'queued', doc: Object, merged: boolean}>}
+ */
+export async function queuedSetDoc(path, data, kind = 'set') {
+    if (isOnline()) {
+        try {
+            const result = await withTimeout(WRITERS[kind](path, data), WRITE_TIMEOUT_MS);
+            // This write supersedes anything still queued for the same document
+            const pending = await getPendingWrites();
+            if (pending.some(write => write.path.join('/') === path.join('/'))) {
+                await discardPendingWrite(path);
+            }
+            return { status: 'saved', ...result };
+        } catch (error) {
+            // Rule and validation errors won't succeed on replay either
+            if (error.code === 'permission-denied' || error.code === 'invalid-argument') {
+                throw error;
+            }
+            console.warn('⚠️ Write not acknowledged, queueing for later:', error.message);
+        }
+    }
+
+    await queueWrite(path, data, kind);
+    return { status: 'queued', doc: data, merged: false };
+}
+
+/**
+ * Replay queued writes oldest first. Stops at the first network failure so
+ * order is preserved for the next attempt.
+ * @returns {Promise<{synced: number, remaining: number}>}
+ */
+export async function replayPendingWrites() {
+    // Queued writes belong to whoever was signed in - wait for that user
+    const uid = auth.currentUser?.uid;
+    if (replaying || !isOnline() || !uid) {
+        return { synced: 0, remaining: await getPendingWriteCount() };
+    }
+
+    replaying = true;
+    let synced = 0;
+
+    try {
+        for (const write of await getPendingWrites()) {
+            if (write.path[1] !== uid) continue;
+
+            try {
+                await withTimeout(WRITERS[write.kind || 'set'](write.path, write.data), WRITE_TIMEOUT_MS);
+                await idbDelete(STORES.pendingWrites, write.path.join('/'));
+                synced++;
+            } catch (error) {
+                if (error.code === 'invalid-argument') {
+                    console.error('❌ Dropping queued write that the server rejected:', write.path.join('/'), error);
+                    await idbDelete(STORES.pendingWrites, write.path.join('/'));
+                    continue;
+                }
+                if (error.code === 'permission-denied') {
+                    // Kept for a later attempt rather than lost
+                    console.error('❌ Queued write refused, keeping it:', write.path.join('/'), error);
+                    continue;
+                }
+                console.warn('⚠️ Replay interrupted, will retry:', error.message);
+                break;
+            }
+        }
+    } finally {
+        replaying = false;
+    }
+
+    const remaining = await getPendingWriteCount();
+    notifyQueueChanged(remaining);
+    return { synced, remaining };
+}
+
+// ===================================================================
+// READ CACHE
+// ===================================================================
+
+async function getCachedRead(key) {
+    try {
+        const entry = await idbGet(STORES.readCache, key);
+        return entry ? entry.value : null;
+    } catch (error) {
+        console.error('❌ Error reading offline cache:', error);
+        return null;
+    }
+}
+
+async function putCachedRead(key, value) {
+    try {
+        await idbPut(STORES.readCache, key, { value, cachedAt: Date.now() });
+    } catch (error) {
+        console.error('❌ Error writing offline cache:', error);
+    }
+}
+
+/**
+ * Load through the offline cache: offline, return the last good result;
+ * online, load and remember it. A failed load also falls back to the cache.
+ * @param {string|null} uid - Signed-in user (no caching without one)
+ * @param {string} name - Cache slot, e.g. 'templates'
+ * @param {Function} loader - Async loader that throws on failure
+ */
+export async function readThroughCache(uid, name, loader) {
+    if (!uid) return loader();
+
+    const key = `${uid}/${name}`;
+    if (!isOnline()) {
+        const cached = await getCachedRead(key);
+        if (cached) return cached;
+    }
+
+    try {
+        const value = await loader();
+        await putCachedRead(key, value);
+        return value;
+    } catch (error) {
+        const cached = await getCachedRead(key);
+        if (cached) {
+            console.warn(`⚠️ Using offline copy of ${name}:`, error.message);
+            return cached;
+        }
+        throw error;
+    }
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const OfflineStore = {
+    isOnline,
+    saveActiveWorkoutLocal,
+    loadActiveWorkoutLocal,
+    clearActiveWorkoutLocal,
+    getPendingWrites,
+    getPendingWriteCount,
+    discardPendingWrite,
+    queuedSetDoc,
+    replayPendingWrites,
+    readThroughCache
+};
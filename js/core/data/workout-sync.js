@@ -0,0 +1,412 @@
+// Workout Sync Module - core/data/workout-sync.js
+// Multi-device editing: per-set merge, revision-checked saves and live updates
+//
+// Every save carries the `revision` it was based on. If the stored doc has moved
+// past it (another device saved in between), the two are merged set by set -
+// each set keeps whichever side edited it last (`updatedAt`). Sets are matched
+// by a stable `id` and exercises by their plan entry's `entryId`, and deletions
+// leave tombstones (`deletedSetIds`, `deletedExerciseIds`), so inserting or
+// removing rows on one device never shifts edits from the other.
+
+import { db, doc, runTransaction, onSnapshot } from './firebase-config.js';
+
+// Identifies this page load, not the browser - two tabs share localStorage,
+// and each must still see the other's saves as remote
+const sessionId = `session_${Date.now()}_${Math.random().toString(36).substring(2, 8)}`;
+
+// Conflicts found while loading, waiting for the user to pick a side
+const pendingConflicts = new Map();
+
+// ===================================================================
+// SESSION / SET STAMPS
+// ===================================================================
+
+/**
+ * ID of this open copy of the app, so it can recognise its own saves
+ */
+export function getSessionId() {
+    return sessionId;
+}
+
+function createId(prefix) {
+    return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).substring(2, 8)}`;
+}
+
+/**
+ * Mark a set as just edited in this session. New sets get their stable ID
+ * here, on first edit.
+ */
+export function touchSet(set) {
+    if (!set) return set;
+    if (!set.id) set.id = createId('set');
+    set.updatedAt = new Date().toISOString();
+    set.updatedBy = getSessionId();
+    return set;
+}
+
+/**
+ * Stable ID for an exercise added to a workout (a new plan entry)
+ */
+export function createEntryId() {
+    return createId('entry');
+}
+
+// A set with nothing in it - a placeholder row, not a set to merge
+function isEmptySet(set) {
+    return !set || (!set.id && Object.values(set).every(value => value === '' || value == null));
+}
+
+// Sets and plan entries saved before they had IDs are known by position.
+// Every copy of the doc agrees on that position until one of them moves
+// things, and anything that moves things gives them IDs first.
+function setKey(set, index) {
+    return set?.id || (isEmptySet(set) ? null : `legacy_${index}`);
+}
+
+function entryKey(entry, index) {
+    return entry?.entryId || `legacy_${index}`;
+}
+
+/**
+ * Give the sets saved before set IDs their positional ID, before sets are
+ * inserted or removed
+ */
+export function ensureSetIds(sets) {
+    (sets || []).forEach((set, index) => {
+        const key = setKey(set, index);
+        if (key && !set.id) set.id = key;
+    });
+    return sets;
+}
+
+/**
+ * Same for plan entries, before exercises are removed or replaced
+ */
+export function ensureEntryIds(exercises) {
+    (exercises || []).forEach((exercise, index) => {
+        if (exercise && !exercise.entryId) exercise.entryId = entryKey(exercise, index);
+    });
+    return exercises;
+}
+
+/**
+ * Remove a set, leaving a tombstone so a copy of the workout from another
+ * device doesn't bring it back when merged
+ */
+export function removeSet(exerciseData, setIndex) {
+    if (!exerciseData?.sets || setIndex >= exerciseData.sets.length) return;
+
+    ensureSetIds(exerciseData.sets);
+    const [removed] = exerciseData.sets.splice(setIndex, 1);
+    if (removed?.id) {
+        exerciseData.deletedSetIds = [...new Set([...(exerciseData.deletedSetIds || []), removed.id])];
+    }
+}
+
+/**
+ * Tombstone a plan entry that was removed or replaced
+ * @param {Object} savedData - The workout doc
+ * @param {Object} entry - Plan entry (from currentWorkout.exercises), given an ID already
+ */
+export function markEntryDeleted(savedData, entry) {
+    if (!entry?.entryId) return;
+    savedData.deletedExerciseIds = [...new Set([...(savedData.deletedExerciseIds || []), entry.entryId])];
+}
+
+// ===================================================================
+// MERGE
+// ===================================================================
+
+function pickSet(localSet, remoteSet) {
+    if (!localSet) return remoteSet || {};
+    if (!remoteSet) return localSet;
+    return (remoteSet.updatedAt || '') > (localSet.updatedAt || '') ? remoteSet : localSet;
+}
+
+/**
+ * Line up two ordered lists by key. Items on one side only are kept unless
+ * tombstoned: the other side's go into an empty slot at their position, else
+ * right after the item they followed there.
+ * @returns {Array} [{ key, local, remote, localIndex, remoteIndex }]
+ */
+function alignByKey(localItems, remoteItems, keyOf, deleted) {
+    const remoteKeys = remoteItems.map(keyOf);
+    const remoteIndexByKey = new Map();
+    remoteKeys.forEach((key, index) => {
+        if (key) remoteIndexByKey.set(key, index);
+    });
+
+    const aligned = [];
+    localItems.forEach((item, localIndex) => {
+        const key = keyOf(item, localIndex);
+        if (key && deleted.has(key)) return;
+        const remoteIndex = key ? remoteIndexByKey.get(key) : undefined;
+        aligned.push({ key, local: item, remote: remoteItems[remoteIndex], localIndex, remoteIndex });
+    });
+
+    remoteItems.forEach((item, remoteIndex) => {
+        const key = remoteKeys[remoteIndex];
+        if (!key || deleted.has(key) || aligned.some(entry => entry.key === key)) return;
+
+        const slot = aligned[remoteIndex];
+        if (slot && !slot.key) {
+            aligned[remoteIndex] = { key, local: undefined, remote: item, localIndex: undefined, remoteIndex };
+            return;
+        }
+
+        let position = 0;
+        for (let previous = remoteIndex - 1; previous >= 0; previous--) {
+            const at = remoteKeys[previous] ? aligned.findIndex(entry => entry.key === remoteKeys[previous]) : -1;
+            if (at !== -1) {
+                position = at + 1;
+                break;
+            }
+        }
+        aligned.splice(position, 0, { key, local: undefined, remote: item, localIndex: undefined, remoteIndex });
+    });
+
+    return aligned;
+}
+
+function mergeExercise(localExercise, remoteExercise) {
+    if (!localExercise) return remoteExercise;
+    if (!remoteExercise) return localExercise;
+
+    const deleted = new Set([...(localExercise.deletedSetIds || []), ...(remoteExercise.deletedSetIds || [])]);
+    const sets = alignByKey(localExercise.sets || [], remoteExercise.sets || [], setKey, deleted)
+        .map(({ key, local, remote }) => {
+            if (!key) return local || {};
+            const picked = pickSet(local, remote);
+            return picked.id === key ? picked : { ...picked, id: key };
+        });
+
+    return {
+        ...remoteExercise,
+        ...localExercise,
+        sets,
+        deletedSetIds: [...deleted],
+        notes: localExercise.notes || remoteExercise.notes || '',
+        completed: !!(localExercise.completed || remoteExercise.completed)
+    };
+}
+
+/**
+ * Merge two versions of the same workout doc. Top-level fields come from
+ * `local`; exercises are matched by plan entry ID and sets by set ID, each
+ * set keeping its latest edit; exercises and sets deleted on either side
+ * stay deleted.
+ */
+export function mergeWorkoutDocs(local, remote) {
+    if (!remote) return local;
+    if (!local) return remote;
+
+    const merged = {
+        ...remote,
+        ...local,
+        completedAt: local.completedAt || remote.completedAt || null,
+        cancelledAt: local.cancelledAt || remote.cancelledAt || null
+    };
+
+    const localPlan = local.originalWorkout?.exercises || [];
+    const remotePlan = remote.originalWorkout?.exercises || [];
+
+    // Docs from before the workout structure was stored - exercise keys are all there is
+    if (localPlan.length === 0 && remotePlan.length === 0) {
+        const exercises = {};
+        const keys = new Set([...Object.keys(remote.exercises || {}), ...Object.keys(local.exercises || {})]);
+        keys.forEach(key => {
+            exercises[key] = mergeExercise(local.exercises?.[key], remote.exercises?.[key]);
+        });
+        return {
+            ...merged,
+            exercises,
+            exerciseNames: { ...(remote.exerciseNames || {}), ...(local.exerciseNames || {}) },
+            exerciseUnits: { ...(remote.exerciseUnits || {}), ...(local.exerciseUnits || {}) }
+        };
+    }
+
+    const deleted = new Set([...(local.deletedExerciseIds || []), ...(remote.deletedExerciseIds || [])]);
+    const aligned = alignByKey(localPlan, remotePlan, entryKey, deleted);
+
+    // exercise_N keys follow plan positions, which the merge may have moved
+    const exercises = {};
+    const exerciseNames = {};
+    const exerciseUnits = {};
+    aligned.forEach(({ key, local: localEntry, remote: remoteEntry, localIndex, remoteIndex }, index) => {
+        const exercise = mergeExercise(
+            localIndex !== undefined ? local.exercises?.[`exercise_${localIndex}`] : undefined,
+            remoteIndex !== undefined ? remote.exercises?.[`exercise_${remoteIndex}`] : undefined
+        );
+        if (exercise) exercises[`exercise_${index}`] = exercise;
+
+        const entry = localEntry || remoteEntry;
+        exerciseNames[`exercise_${index}`] = entry.machine || entry.name;
+
+        const unit = (localIndex !== undefined ? local.exerciseUnits?.[localIndex] : undefined)
+            || (remoteIndex !== undefined ? remote.exerciseUnits?.[remoteIndex] : undefined);
+        if (unit) exerciseUnits[index] = unit;
+    });
+
+    return {
+        ...merged,
+        exercises,
+        exerciseNames,
+        exerciseUnits,
+        deletedExerciseIds: [...deleted],
+        originalWorkout: {
+            ...(local.originalWorkout || remote.originalWorkout),
+            exercises: aligned.map(({ key, local: localEntry, remote: remoteEntry }) => ({
+                ...(localEntry || remoteEntry),
+                entryId: key
+            }))
+        },
+        totalExercises: aligned.length
+    };
+}
+
+/**
+ * The open workout's exercise list after a merge changed its plan. Entries
+ * still here keep their in-session fields (e.g. set counts not yet saved);
+ * ones added here since the merged save are kept at the end.
+ * @param {Array} currentExercises - AppState.currentWorkout.exercises
+ * @param {Object} mergedDoc - Result of mergeWorkoutDocs
+ */
+export function alignWorkoutExercises(currentExercises, mergedDoc) {
+    const plan = mergedDoc?.originalWorkout?.exercises || [];
+    const planIds = new Set(plan.map(entry => entry.entryId));
+    const deleted = new Set(mergedDoc?.deletedExerciseIds || []);
+
+    return [
+        ...plan.map(entry =>
+            currentExercises.find(exercise => exercise.entryId && exercise.entryId === entry.entryId) || { ...entry }
+        ),
+        ...currentExercises.filter(exercise =>
+            exercise.entryId && !planIds.has(exercise.entryId) && !deleted.has(exercise.entryId)
+        )
+    ];
+}
+
+/**
+ * True when merging changed any set, or the exercise list, compared to `before`
+ */
+export function hasSetChanges(before, after) {
+    const entryIds = doc => (doc?.originalWorkout?.exercises || []).map(entryKey).join(',');
+    if (entryIds(before) !== entryIds(after)) return true;
+
+    const keys = new Set([...Object.keys(before?.exercises || {}), ...Object.keys(after?.exercises || {})]);
+    for (const key of keys) {
+        const a = before?.exercises?.[key]?.sets || [];
+        const b = after?.exercises?.[key]?.sets || [];
+        if (a.length !== b.length) return true;
+        if (a.some((set, i) =>
+            (set?.updatedAt || '') !== (b[i]?.updatedAt || '') || setKey(set, i) !== setKey(b[i], i)
+        )) return true;
+    }
+    return false;
+}
+
+// ===================================================================
+// SAVE
+// ===================================================================
+
+/**
+ * Revision-checked workout write. Merges with the stored doc when it has
+ * been saved elsewhere since `data.revision`.
+ * @param {string[]} path - ['users', uid, 'workouts', workoutId]
+ * @returns {Promise<{doc: Object, merged: boolean}>} What was written
+ */
+export async function writeWorkoutMerged(path, data) {
+    const ref = doc(db, ...path);
+
+    return runTransaction(db, async (transaction) => {
+        const snapshot = await transaction.get(ref);
+        const remote = snapshot.exists() ? snapshot.data() : null;
+        const baseRevision = data.revision || 0;
+        const remoteRevision = remote?.revision || 0;
+
+        const merged = !!remote && remoteRevision > baseRevision;
+        const written = {
+            ...(merged ? mergeWorkoutDocs(data, remote) : data),
+            revision: Math.max(baseRevision, remoteRevision) + 1,
+            updatedBy: getSessionId()
+        };
+
+        transaction.set(ref, written);
+        return { doc: written, merged };
+    });
+}
+
+// ===================================================================
+// LIVE UPDATES
+// ===================================================================
+
+/**
+ * Listen for saves of one workout made on other devices or in other tabs
+ * @param {Function} onRemoteChange - Called with the stored doc
+ * @returns {Function} Unsubscribe
+ */
+export function watchWorkout(uid, workoutId, onRemoteChange) {
+    const ref = doc(db, 'users', uid, 'workouts', workoutId);
+
+    return onSnapshot(ref, (snapshot) => {
+        // Our own unacknowledged writes and our own saves echo back - ignore them
+        if (!snapshot.exists() || snapshot.metadata.hasPendingWrites) return;
+        const data = snapshot.data();
+        if (data.updatedBy === getSessionId()) return;
+
+        onRemoteChange(data);
+    }, (error) => {
+        console.error('❌ Workout sync listener error:', error);
+    });
+}
+
+// ===================================================================
+// CONFLICTS
+// ===================================================================
+
+/**
+ * Both this device (unsynced) and another device changed the workout
+ * since they last agreed
+ */
+export function isConflict(localCopy, remoteCopy) {
+    if (!localCopy || !remoteCopy) return false;
+    if ((remoteCopy.revision || 0) <= (localCopy.revision || 0)) return false;
+
+    const merged = mergeWorkoutDocs(localCopy, remoteCopy);
+    return hasSetChanges(remoteCopy, merged) && hasSetChanges(localCopy, merged);
+}
+
+export function setWorkoutConflict(workoutId, local, remote) {
+    pendingConflicts.set(workoutId, { local, remote });
+}
+
+export function getWorkoutConflict(workoutId) {
+    return pendingConflicts.get(workoutId) || null;
+}
+
+export function clearWorkoutConflict(workoutId) {
+    pendingConflicts.delete(workoutId);
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const WorkoutSync = {
+    getSessionId,
+    touchSet,
+    createEntryId,
+    ensureSetIds,
+    ensureEntryIds,
+    removeSet,
+    markEntryDeleted,
+    mergeWorkoutDocs,
+    alignWorkoutExercises,
+    hasSetChanges,
+    writeWorkoutMerged,
+    watchWorkout,
+    isConflict,
+    setWorkoutConflict,
+    getWorkoutConflict,
+    clearWorkoutConflict
+};
@@ -0,0 +1,412 @@
+// Body Measurements Module - core/features/body-measurements.js
+// Body composition log (body fat, lean mass, circumferences, DEXA regional lean mass)
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, deleteDoc, collection, query, orderBy, getDocs } from '../data/firebase-config.js';
+import { getDateCutoff, getBodyPartVolumeBetween } from './exercise-progress.js';
+import { loadBodyWeightLog, logBodyWeight } from './body-weight.js';
+import { parseCsvRows, detectDelimiter } from '../utils/csv.js';
+
+// ===================================================================
+// FIELDS
+// ===================================================================
+
+export const CIRCUMFERENCES = {
+    neck: 'Neck',
+    chest: 'Chest',
+    waist: 'Waist',
+    hips: 'Hips',
+    arm: 'Arm',
+    thigh: 'Thigh',
+    calf: 'Calf'
+};
+
+/**
+ * DEXA regions and the workout body parts whose volume they reflect
+ */
+export const DEXA_REGIONS = {
+    arms: { label: 'Arms', bodyParts: ['Arms', 'Shoulders'] },
+    legs: { label: 'Legs', bodyParts: ['Legs', 'Glutes'] },
+    trunk: { label: 'Trunk', bodyParts: ['Chest', 'Back', 'Core', 'Lower Back'] }
+};
+
+/**
+ * Chartable series. kind: total (top-level field), circumference, regional (DEXA lean mass)
+ */
+export const BODY_METRICS = {
+    weight: { label: 'Weight', unit: 'lbs', kind: 'total' },
+    bodyFat: { label: 'Body Fat', unit: '%', kind: 'total' },
+    leanMass: { label: 'Lean Mass', unit: 'lbs', kind: 'total' },
+    fatMass: { label: 'Fat Mass', unit: 'lbs', kind: 'total' },
+    ...Object.fromEntries(Object.entries(CIRCUMFERENCES).map(([key, label]) =>
+        [key, { label, unit: 'in', kind: 'circumference' }]
+    )),
+    ...Object.fromEntries(Object.entries(DEXA_REGIONS).map(([key, region]) =>
+        [`${key}Lean`, { label: `${region.label} Lean`, unit: 'lbs', kind: 'regional', region: key }]
+    ))
+};
+
+// ===================================================================
+// LOG STATE
+// ===================================================================
+
+/**
+ * Entry structure (users/{uid}/bodyMeasurements/{YYYY-MM-DD}_{source}):
+ * {
+ *   date: "2025-01-20", source: "manual" | "dexa",
+ *   bodyFat: 18.2, leanMass: 148.5, fatMass: 33.1, weight: 186.4,
+ *   circumferences: { waist: 33.5, arm: 15.25 },
+ *   regionalLean: { arms: 19.8, legs: 52.3, trunk: 66.0 },
+ *   loggedAt: "2025-01-20T07:02:11.000Z"
+ * }
+ * Masses are stored in lbs and circumferences in inches. Day-to-day body weight
+ * lives in the body-weight log; DEXA entries keep the scan's total mass as `weight`.
+ */
+let measurementLog = [];
+let logLoaded = false;
+
+/**
+ * Load all measurement entries, oldest first
+ */
+export async function loadMeasurements(forceRefresh = false) {
+    if (!AppState.currentUser) return [];
+    if (logLoaded && !forceRefresh) return measurementLog;
+
+    try {
+        const logRef = collection(db, 'users', AppState.currentUser.uid, 'bodyMeasurements');
+        const snapshot = await getDocs(query(logRef, orderBy('date', 'asc')));
+        measurementLog = snapshot.docs.map(entry => ({ id: entry.id, ...entry.data() }));
+        logLoaded = true;
+    } catch (error) {
+        console.error('❌ Error loading body measurements:', error);
+    }
+
+    return measurementLog;
+}
+
+async function saveEntry(entry) {
+    const id = `${entry.date}_${entry.source}`;
+    const entryRef = doc(db, 'users', AppState.currentUser.uid, 'bodyMeasurements', id);
+    await setDoc(entryRef, entry);
+
+    measurementLog = [...measurementLog.filter(e => e.id !== id), { id, ...entry }]
+        .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+function parseMeasurement(value) {
+    const number = parseFloat(String(value ?? '').replace(/,/g, ''));
+    return isNaN(number) || number <= 0 ? null : number;
+}
+
+function round(value, places = 1) {
+    const factor = Math.pow(10, places);
+    return Math.round(value * factor) / factor;
+}
+
+/**
+ * Record a manual measurement entry for a day (logging again overwrites it).
+ * Weight goes to the body-weight log so bodyweight exercise loads pick it up.
+ * @param {Object} values - { weight, bodyFat, leanMass, waist, arm, ... } as entered
+ * @param {string} unit - 'lbs' (masses in lbs, circumferences in inches) or 'kg' (kg / cm)
+ * @returns {Promise<Object|null>} Saved entry, or null if nothing valid was entered
+ */
+export async function logMeasurements(values, unit = 'lbs', date = null) {
+    if (!AppState.currentUser) return null;
+
+    const mass = (value) => {
+        const number = parseMeasurement(value);
+        if (number === null) return null;
+        return round(unit === 'kg' ? number * 2.20462 : number);
+    };
+    const length = (value) => {
+        const number = parseMeasurement(value);
+        if (number === null) return null;
+        return round(unit === 'kg' ? number / 2.54 : number, 2);
+    };
+
+    const entry = {
+        date: date || AppState.getTodayDateString(),
+        source: 'manual',
+        bodyFat: parseMeasurement(values.bodyFat),
+        leanMass: mass(values.leanMass),
+        fatMass: mass(values.fatMass),
+        circumferences: {},
+        loggedAt: new Date().toISOString()
+    };
+    for (const key of Object.keys(CIRCUMFERENCES)) {
+        const value = length(values[key]);
+        if (value !== null) entry.circumferences[key] = value;
+    }
+
+    if (entry.bodyFat !== null && entry.bodyFat >= 100) {
+        entry.bodyFat = null;
+    }
+
+    const weight = parseMeasurement(values.weight);
+    const hasMeasurements = entry.bodyFat !== null || entry.leanMass !== null ||
+        entry.fatMass !== null || Object.keys(entry.circumferences).length > 0;
+    if (!hasMeasurements && weight === null) return null;
+
+    try {
+        await loadMeasurements();
+        if (weight !== null) {
+            await logBodyWeight(weight, unit, entry.date);
+        }
+        if (hasMeasurements) {
+            await saveEntry(entry);
+        }
+        return entry;
+    } catch (error) {
+        console.error('❌ Error saving body measurements:', error);
+        return null;
+    }
+}
+
+export async function deleteMeasurement(id) {
+    if (!AppState.currentUser || !id) return false;
+
+    try {
+        await deleteDoc(doc(db, 'users', AppState.currentUser.uid, 'bodyMeasurements', id));
+        measurementLog = measurementLog.filter(e => e.id !== id);
+        return true;
+    } catch (error) {
+        console.error('❌ Error deleting body measurement:', error);
+        return false;
+    }
+}
+
+// ===================================================================
+// DEXA CSV IMPORT
+// ===================================================================
+
+/**
+ * Normalize a scan date (YYYY-MM-DD, M/D/YYYY or anything Date can parse)
+ */
+function parseScanDate(value) {
+    if (!value) return null;
+    const str = value.trim();
+
+    if (/^\d{4}-\d{2}-\d{2}/.test(str)) return str.slice(0, 10);
+
+    const us = str.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2,4})/);
+    if (us) {
+        const year = us[3].length === 2 ? `20${us[3]}` : us[3];
+        return `${year}-${us[1].padStart(2, '0')}-${us[2].padStart(2, '0')}`;
+    }
+
+    const date = new Date(str);
+    return isNaN(date) ? null : date.toISOString().split('T')[0];
+}
+
+/**
+ * Map a DEXA region name ("L Arm", "Right Leg", "Trunk") to a DEXA_REGIONS key
+ */
+function matchRegion(text) {
+    if (/\barms?\b/.test(text)) return 'arms';
+    if (/\blegs?\b/.test(text)) return 'legs';
+    if (/\btrunk\b/.test(text)) return 'trunk';
+    if (/\btotal\b|\bwhole\b/.test(text)) return 'total';
+    return null;
+}
+
+/**
+ * Work out what a header column holds and the unit it's in.
+ * @returns {Object} { field, region, toLbs } - field is null for unrecognised columns
+ */
+function classifyColumn(header) {
+    const text = header.toLowerCase();
+    const toLbs = /\bkg\b/.test(text) ? 2.20462 : /\(g\)|\bgrams?\b/.test(text) ? 1 / 453.592 : 1;
+    const region = matchRegion(text);
+    const percent = text.includes('%') || text.includes('percent');
+
+    let field = null;
+    if (/\bdate\b/.test(text)) field = 'date';
+    else if (/\blean\b|fat[- ]free/.test(text)) field = 'leanMass';
+    else if (/\bfat\b/.test(text)) field = percent ? 'bodyFat' : 'fatMass';
+    else if (/\b(total mass|weight|mass)\b/.test(text)) field = 'weight';
+    else if (/\bregion\b/.test(text)) field = 'region';
+
+    return { field, region: region === 'total' ? null : region, toLbs };
+}
+
+function addScanValue(scan, field, region, value, toLbs) {
+    if (value === null) return;
+    if (field === 'bodyFat') {
+        if (!region && value < 100) scan.bodyFat = round(value);
+        return;
+    }
+
+    const lbs = round(value * toLbs);
+    if (region) {
+        // Left/right limbs are summed into one region
+        if (field === 'leanMass') {
+            scan.regionalLean[region] = round((scan.regionalLean[region] || 0) + lbs);
+        }
+    } else {
+        scan[field] = lbs;
+    }
+}
+
+/**
+ * Parse a DEXA export. Two layouts are understood:
+ * - one row per scan: Date, Total Mass, Body Fat %, Lean Mass, Arms Lean, Legs Lean, ...
+ * - one row per region: Date, Region, Lean Mass, Fat Mass, Fat % (Region "Total" for whole body)
+ * Units come from the header ("Lean (kg)", "Lean Mass (g)"), defaulting to lbs.
+ * @returns {Array} Scan entries ready to save
+ */
+export function parseDexaCsv(text) {
+    const rows = parseCsvRows(text, detectDelimiter(text));
+    if (rows.length < 2) return [];
+
+    const columns = rows[0].map(classifyColumn);
+    const dateIndex = columns.findIndex(c => c.field === 'date');
+    const regionIndex = columns.findIndex(c => c.field === 'region');
+    if (dateIndex === -1) return [];
+
+    const scans = {};
+    for (const row of rows.slice(1)) {
+        const date = parseScanDate(row[dateIndex]);
+        if (!date) continue;
+
+        if (!scans[date]) {
+            scans[date] = { date, source: 'dexa', regionalLean: {} };
+        }
+
+        const rowRegion = regionIndex === -1 ? null : matchRegion((row[regionIndex] || '').toLowerCase());
+        if (regionIndex !== -1 && !rowRegion) continue;
+
+        columns.forEach((column, i) => {
+            if (!column.field || ['date', 'region'].includes(column.field)) return;
+            const region = rowRegion ? (rowRegion === 'total' ? null : rowRegion) : column.region;
+            addScanValue(scans[date], column.field, region, parseMeasurement(row[i]), column.toLbs);
+        });
+    }
+
+    return Object.values(scans).filter(scan =>
+        scan.leanMass || scan.bodyFat || Object.keys(scan.regionalLean).length > 0
+    );
+}
+
+/**
+ * Import DEXA scans from CSV text. Re-importing a scan date overwrites it.
+ * @returns {Promise<Object>} { imported, scans }
+ */
+export async function importDexaCsv(text) {
+    if (!AppState.currentUser) return { imported: 0, scans: [] };
+
+    const scans = parseDexaCsv(text);
+    await loadMeasurements();
+
+    let imported = 0;
+    for (const scan of scans) {
+        try {
+            await saveEntry({ ...scan, loggedAt: new Date().toISOString() });
+            imported++;
+        } catch (error) {
+            console.error(`❌ Error importing DEXA scan ${scan.date}:`, error);
+        }
+    }
+
+    return { imported, scans };
+}
+
+// ===================================================================
+// TRENDS
+// ===================================================================
+
+function getMetricValue(entry, metricKey) {
+    const metric = BODY_METRICS[metricKey];
+    if (!metric) return null;
+    if (metric.kind === 'circumference') return entry.circumferences?.[metricKey] ?? null;
+    if (metric.kind === 'regional') return entry.regionalLean?.[metric.region] ?? null;
+    return entry[metricKey] ?? null;
+}
+
+/**
+ * Trend series for one metric over a time range ('1M', '3M', '6M', '1Y', 'ALL').
+ * Weight comes from the body-weight log, with DEXA total mass filling days
+ * that have no logged weight.
+ * @returns {Promise<Object>} { labels: [], data: [], points: [{ date, value, source }] }
+ */
+export async function getMeasurementSeries(metricKey, timeRange = '3M') {
+    const cutoffDate = getDateCutoff(timeRange);
+    const entries = await loadMeasurements();
+
+    let points = entries
+        .map(entry => ({ date: entry.date, value: getMetricValue(entry, metricKey), source: entry.source }))
+        .filter(point => point.value !== null);
+
+    if (metricKey === 'weight') {
+        const weightLog = await loadBodyWeightLog();
+        const loggedDates = new Set(weightLog.map(entry => entry.date));
+        points = [
+            ...weightLog.map(entry => ({ date: entry.date, value: entry.weight, source: 'log' })),
+            ...points.filter(point => !loggedDates.has(point.date))
+        ].sort((a, b) => a.date.localeCompare(b.date));
+    }
+
+    if (cutoffDate) {
+        points = points.filter(point => point.date >= cutoffDate);
+    }
+
+    return {
+        labels: points.map(point => point.date),
+        data: points.map(point => point.value),
+        points
+    };
+}
+
+/**
+ * Compare regional lean mass change against training volume for the body parts
+ * each region covers, between the first and last scan in the time range.
+ * @returns {Promise<Object|null>} { from, to, leanChange, regions: [{ key, label, start, end, change, volume }] }
+ */
+export async function getLeanMassCorrelation(timeRange = '3M') {
+    const cutoffDate = getDateCutoff(timeRange);
+    const scans = (await loadMeasurements()).filter(entry =>
+        entry.regionalLean && Object.keys(entry.regionalLean).length > 0 &&
+        (!cutoffDate || entry.date >= cutoffDate)
+    );
+    if (scans.length < 2) return null;
+
+    const first = scans[0];
+    const last = scans[scans.length - 1];
+    const volumeByBodyPart = await getBodyPartVolumeBetween(first.date, last.date);
+
+    const regions = Object.entries(DEXA_REGIONS).map(([key, region]) => {
+        const start = first.regionalLean[key] ?? null;
+        const end = last.regionalLean[key] ?? null;
+        return {
+            key,
+            label: region.label,
+            start,
+            end,
+            change: start !== null && end !== null ? round(end - start) : null,
+            volume: region.bodyParts.reduce((sum, part) => sum + (volumeByBodyPart[part] || 0), 0)
+        };
+    });
+
+    return {
+        from: first.date,
+        to: last.date,
+        leanChange: first.leanMass && last.leanMass ? round(last.leanMass - first.leanMass) : null,
+        regions
+    };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const BodyMeasurements = {
+    CIRCUMFERENCES,
+    DEXA_REGIONS,
+    BODY_METRICS,
+    loadMeasurements,
+    logMeasurements,
+    deleteMeasurement,
+    parseDexaCsv,
+    importDexaCsv,
+    getMeasurementSeries,
+    getLeanMassCorrelation
+};
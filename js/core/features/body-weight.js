@@ -0,0 +1,125 @@
+// Body Weight Module - core/features/body-weight.js
+// Dated body-weight log used for bodyweight/assisted exercise loads
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, collection, query, orderBy, getDocs } from '../data/firebase-config.js';
+
+// ===================================================================
+// LOG STATE
+// ===================================================================
+
+/**
+ * Log structure (users/{uid}/bodyWeight/{YYYY-MM-DD}):
+ * { date: "2025-01-20", weight: 182.5, unit: "lbs", loggedAt: "2025-01-20T07:02:11.000Z" }
+ * One entry per day - logging again on the same day overwrites it.
+ * weight is always stored in lbs; unit records what the user entered.
+ */
+let bodyWeightLog = [];
+let logLoaded = false;
+
+/**
+ * Load the body-weight log, oldest first
+ */
+export async function loadBodyWeightLog(forceRefresh = false) {
+    if (!AppState.currentUser) return [];
+    if (logLoaded && !forceRefresh) return bodyWeightLog;
+
+    try {
+        const logRef = collection(db, 'users', AppState.currentUser.uid, 'bodyWeight');
+        const snapshot = await getDocs(query(logRef, orderBy('date', 'asc')));
+        bodyWeightLog = snapshot.docs.map(entry => entry.data());
+        logLoaded = true;
+    } catch (error) {
+        console.error('❌ Error loading body weight log:', error);
+    }
+
+    return bodyWeightLog;
+}
+
+/**
+ * Record body weight for a day
+ * @param {number} weight - Body weight in `unit`
+ * @returns {Promise<Object|null>} Saved entry, or null on failure
+ */
+export async function logBodyWeight(weight, unit = 'lbs', date = null) {
+    if (!AppState.currentUser) return null;
+
+    const value = parseFloat(weight);
+    if (isNaN(value) || value <= 0) return null;
+
+    const entry = {
+        date: date || AppState.getTodayDateString(),
+        weight: unit === 'kg' ? Math.round(value * 2.20462 * 10) / 10 : value,
+        unit,
+        loggedAt: new Date().toISOString()
+    };
+
+    try {
+        await loadBodyWeightLog();
+        const entryRef = doc(db, 'users', AppState.currentUser.uid, 'bodyWeight', entry.date);
+        await setDoc(entryRef, entry);
+
+        bodyWeightLog = [...bodyWeightLog.filter(e => e.date !== entry.date), entry]
+            .sort((a, b) => a.date.localeCompare(b.date));
+        return entry;
+    } catch (error) {
+        console.error('❌ Error saving body weight:', error);
+        return null;
+    }
+}
+
+// ===================================================================
+// LOOKUPS
+// ===================================================================
+
+/**
+ * Body weight (lbs) in effect on a date - the latest entry on or before it.
+ * Dates before the first entry use the first entry so older workouts still
+ * get a sensible load.
+ * @returns {Promise<number|null>}
+ */
+export async function getBodyWeightOn(date = null) {
+    const log = await loadBodyWeightLog();
+    if (log.length === 0) return null;
+
+    const target = date || AppState.getTodayDateString();
+    let match = log[0];
+    for (const entry of log) {
+        if (entry.date > target) break;
+        match = entry;
+    }
+
+    return match.weight;
+}
+
+/**
+ * Most recent entry plus the change over the last ~30 days
+ * @returns {Promise<Object|null>} { weight, date, change }
+ */
+export async function getBodyWeightSummary() {
+    const log = await loadBodyWeightLog();
+    if (log.length === 0) return null;
+
+    const latest = log[log.length - 1];
+    const cutoff = new Date(latest.date + 'T12:00:00');
+    cutoff.setDate(cutoff.getDate() - 30);
+    const cutoffStr = cutoff.toISOString().split('T')[0];
+    const baseline = log.find(entry => entry.date >= cutoffStr) || log[0];
+
+    return {
+        weight: latest.weight,
+        date: latest.date,
+        change: baseline === latest ? null : Math.round((latest.weight - baseline.weight) * 10) / 10
+    };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const BodyWeight = {
+    loadBodyWeightLog,
+    logBodyWeight,
+    getBodyWeightOn,
+    getBodyWeightSummary
+};
@@ -0,0 +1,275 @@
+// Data Export Module - core/features/data-export.js
+// Full account export: lossless JSON backup and one-row-per-set CSV
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, getDoc, collection, getDocs } from '../data/firebase-config.js';
+import { showNotification } from '../ui/ui-helpers.js';
+import { normalizeSetUnits } from '../data/data-manager.js';
+import { getSetType } from '../workout/set-types.js';
+import { getMeasurementType, hasSetData } from '../workout/measurement-types.js';
+import { getEffectiveLoad } from '../workout/load-types.js';
+import { toCsvCell } from '../utils/csv.js';
+
+export const EXPORT_VERSION = 1;
+
+// users/{uid}/... collections included in a backup
+const EXPORT_COLLECTIONS = [
+    'workouts',
+    'customExercises',
+    'exerciseOverrides',
+    'hiddenExercises',
+    'workoutTemplates',
+    'equipment',
+    'equipment_photos',
+    'locations',
+    'bodyWeight',
+    'bodyMeasurements'
+];
+
+// users/{uid}/{collection}/{doc} single documents included in a backup
+const EXPORT_DOCUMENTS = [
+    ['stats', 'personalRecords'],
+    ['settings', 'progression'],
+    ['settings', 'goals'],
+    ['settings', 'programs'],
+    ['settings', 'fatigue'],
+    ['settings', 'warmups'],
+    ['settings', 'rest'],
+    ['settings', 'reminders']
+];
+
+const CSV_COLUMNS = [
+    'date', 'workout_id', 'workout_type', 'location', 'status',
+    'exercise_index', 'exercise', 'substituted_for', 'equipment', 'group', 'measurement_type', 'load_type',
+    'set_number', 'set_type', 'reps', 'weight_lbs', 'weight_kg', 'entered_unit', 'entered_weight',
+    'body_weight_lbs', 'effective_load_lbs', 'duration_seconds', 'distance_miles', 'heart_rate', 'rpe',
+    'rest_target_seconds', 'rest_taken_seconds', 'completed_at', 'exercise_notes'
+];
+
+// ===================================================================
+// COLLECT
+// ===================================================================
+
+async function readCollection(uid, name) {
+    const snapshot = await getDocs(collection(db, 'users', uid, name));
+    return snapshot.docs.map(entry => ({ id: entry.id, ...entry.data() }));
+}
+
+/**
+ * Workout date - v3 docs carry it as a field, older docs use the date as the ID
+ */
+function getWorkoutDate(workout) {
+    return workout.date || (/^\d{4}-\d{2}-\d{2}$/.test(workout.id) ? workout.id : null);
+}
+
+/**
+ * Apply export filters to raw workout documents
+ * @param {Object} filters - { startDate, endDate, location } (all optional)
+ */
+function filterWorkouts(workouts, filters = {}) {
+    return workouts.filter(workout => {
+        const date = getWorkoutDate(workout);
+        if (filters.startDate && (!date || date < filters.startDate)) return false;
+        if (filters.endDate && (!date || date > filters.endDate)) return false;
+        if (filters.location && workout.location !== filters.location) return false;
+        return true;
+    });
+}
+
+/**
+ * Gather everything stored for the signed-in user.
+ * Workouts are filtered; libraries, equipment and records are always exported whole.
+ * @returns {Promise<Object>} Backup object (documents exactly as stored, plus IDs)
+ */
+export async function collectExportData(filters = {}) {
+    const uid = AppState.currentUser.uid;
+
+    const collections = {};
+    for (const name of EXPORT_COLLECTIONS) {
+        try {
+            collections[name] = await readCollection(uid, name);
+        } catch (error) {
+            console.error(`❌ Error exporting ${name}:`, error);
+            collections[name] = [];
+        }
+    }
+
+    const documents = {};
+    for (const [collectionName, docId] of EXPORT_DOCUMENTS) {
+        try {
+            const snapshot = await getDoc(doc(db, 'users', uid, collectionName, docId));
+            documents[`${collectionName}/${docId}`] = snapshot.exists() ? snapshot.data() : null;
+        } catch (error) {
+            console.error(`❌ Error exporting ${collectionName}/${docId}:`, error);
+            documents[`${collectionName}/${docId}`] = null;
+        }
+    }
+
+    collections.workouts = filterWorkouts(collections.workouts, filters)
+        .sort((a, b) => (getWorkoutDate(a) || '').localeCompare(getWorkoutDate(b) || ''));
+
+    return {
+        exportVersion: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        units: { weight: 'lbs', distance: 'miles', duration: 'seconds' },
+        filters: {
+            startDate: filters.startDate || null,
+            endDate: filters.endDate || null,
+            location: filters.location || null
+        },
+        collections,
+        documents
+    };
+}
+
+// ===================================================================
+// CSV
+// ===================================================================
+
+/**
+ * Exercise keys in index order (exercise_0, exercise_1, ... exercise_10)
+ */
+function getExerciseKeys(workout) {
+    return Object.keys(workout.exercises || {})
+        .filter(key => key.startsWith('exercise_'))
+        .sort((a, b) => parseInt(a.split('_')[1]) - parseInt(b.split('_')[1]));
+}
+
+/**
+ * Flatten workouts into one row per logged set.
+ * Handles every workout schema the history view reads: names come from
+ * exerciseNames (v2+), then originalWorkout, then the exercise key.
+ */
+export function workoutsToCsvRows(workouts) {
+    const rows = [];
+
+    for (const workout of workouts) {
+        const status = workout.completedAt ? 'completed' : workout.cancelledAt ? 'cancelled' : 'incomplete';
+
+        for (const exerciseKey of getExerciseKeys(workout)) {
+            const index = parseInt(exerciseKey.split('_')[1]);
+            const exerciseData = workout.exercises[exerciseKey] || {};
+            const template = workout.originalWorkout?.exercises?.[index] || {};
+            const name = workout.exerciseNames?.[exerciseKey] || template.machine || template.name || exerciseKey;
+            const measurementType = getMeasurementType({
+                name,
+                measurementType: exerciseData.measurementType || template.measurementType
+            });
+
+            // Older sets may predate originalUnit - fall back to the exercise's unit
+            const unit = workout.exerciseUnits?.[index] || 'lbs';
+            const sets = normalizeSetUnits(exerciseData.sets, unit, true);
+
+            sets.forEach((set, setIndex) => {
+                if (!hasSetData(set)) return;
+
+                const weight = set.weight ?? null;
+                rows.push({
+                    date: getWorkoutDate(workout),
+                    workout_id: workout.id,
+                    workout_type: workout.workoutType || workout.originalWorkout?.day || '',
+                    location: workout.location || '',
+                    status,
+                    exercise_index: index,
+                    exercise: name,
+                    substituted_for: template.substitutedFor || exerciseData.substitutedFor || '',
+                    equipment: exerciseData.equipment || template.equipment || '',
+                    group: template.group || '',
+                    measurement_type: measurementType,
+                    load_type: set.loadType || template.loadType || 'external',
+                    set_number: setIndex + 1,
+                    set_type: getSetType(set),
+                    reps: set.reps ?? '',
+                    weight_lbs: weight ?? '',
+                    weight_kg: weight !== null ? Math.round(weight * 0.453592 * 10) / 10 : '',
+                    entered_unit: set.originalUnit,
+                    entered_weight: set.originalWeights?.[set.originalUnit] ?? '',
+                    body_weight_lbs: set.bodyWeight ?? '',
+                    effective_load_lbs: measurementType === 'weight' ? getEffectiveLoad(set) : '',
+                    duration_seconds: set.duration ?? '',
+                    distance_miles: set.distance ?? '',
+                    heart_rate: set.heartRate ?? '',
+                    rpe: set.rpe ?? '',
+                    rest_target_seconds: set.restTarget ?? '',
+                    rest_taken_seconds: set.restTaken ?? '',
+                    completed_at: workout.completedAt || '',
+                    exercise_notes: exerciseData.notes || ''
+                });
+            });
+        }
+    }
+
+    return rows;
+}
+
+export function toCsv(rows, columns = CSV_COLUMNS) {
+    const lines = [columns.join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => toCsvCell(row[column])).join(','));
+    }
+    return lines.join('\n');
+}
+
+// ===================================================================
+// DOWNLOAD
+// ===================================================================
+
+function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Export and download
+ * @param {string} format - 'json' (lossless backup) or 'csv' (one row per set)
+ * @param {Object} filters - { startDate, endDate, location }
+ * @returns {Promise<boolean>}
+ */
+export async function exportUserData(format = 'json', filters = {}) {
+    if (!AppState.currentUser) {
+        showNotification('Sign in to export your data', 'warning');
+        return false;
+    }
+
+    try {
+        const data = await collectExportData(filters);
+        const stamp = AppState.getTodayDateString();
+
+        if (format === 'csv') {
+            const rows = workoutsToCsvRows(data.collections.workouts);
+            if (rows.length === 0) {
+                showNotification('No sets match those filters', 'warning');
+                return false;
+            }
+            downloadFile(toCsv(rows), `bigsurf-sets-${stamp}.csv`, 'text/csv');
+            showNotification(`Exported ${rows.length} sets`, 'success');
+        } else {
+            downloadFile(JSON.stringify(data, null, 2), `bigsurf-backup-${stamp}.json`, 'application/json');
+            showNotification(`Exported ${data.collections.workouts.length} workouts`, 'success');
+        }
+
+        return true;
+    } catch (error) {
+        console.error('❌ Error exporting data:', error);
+        showNotification('Export failed', 'error');
+        return false;
+    }
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const DataExport = {
+    collectExportData,
+    workoutsToCsvRows,
+    toCsv,
+    exportUserData
+};
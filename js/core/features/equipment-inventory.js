@@ -0,0 +1,286 @@
+// Equipment Inventory Module - core/features/equipment-inventory.js
+// All saved equipment across gyms with usage from workout history, duplicate
+// detection and merging, and setup photo resizing
+
+import { AppState } from '../utils/app-state.js';
+import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
+import { loadExerciseProgress, clearProgressCache } from './exercise-progress.js';
+import { normalizeSettings, hasSettings } from './equipment-settings.js';
+
+// Longest side of a stored setup photo - keeps each under Firestore's doc limit
+const PHOTO_MAX_SIZE = 1024;
+const PHOTO_QUALITY = 0.7;
+
+// Firestore's limit on writes in one batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Equipment doc structure (users/{uid}/equipment/{id}):
+ * {
+ *   name: "Leg Press",
+ *   brand: "Hammer Strength", model: "Plate-Loaded Leg Press", notes: "...",
+ *   locations: ["Downtown Gym"],            // older docs have a single `location`
+ *   exerciseTypes: ["Leg Press", "Calf Press on Leg Press"],
+ *   settings: { seat: "4", pin: "7", ... },   // see equipment-settings.js
+ *   loading: { type: "plates", unit: "lbs", barWeight: 0, plates: {...} },
+ *   lastUsed: "2025-01-18T17:00:00.000Z"    // bumped by updateEquipmentUsage
+ * }
+ * Setup photos are in users/{uid}/equipment_photos, keyed by equipmentId.
+ */
+
+// ===================================================================
+// INVENTORY
+// ===================================================================
+
+export function getEquipmentLocations(equipment) {
+    if (Array.isArray(equipment?.locations) && equipment.locations.length > 0) {
+        return equipment.locations;
+    }
+    return equipment?.location ? [equipment.location] : [];
+}
+
+/**
+ * Equipment type (Machine, Cable, Barbell...) from the exercises done on it
+ */
+export function getEquipmentType(equipment) {
+    const counts = {};
+    for (const exerciseName of equipment?.exerciseTypes || []) {
+        const lower = exerciseName.toLowerCase();
+        const type = AppState.exerciseDatabase?.find(ex => ex.name?.toLowerCase() === lower)?.equipmentType;
+        if (type) counts[type] = (counts[type] || 0) + 1;
+    }
+
+    const [top] = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+    return top ? top[0] : null;
+}
+
+/**
+ * Workouts per equipment name, from the same history the progress charts use
+ * @returns {Promise<Object>} { "leg press": { workouts, lastWorkout } }
+ */
+async function getEquipmentUsage() {
+    const progress = await loadExerciseProgress();
+    const dates = {};
+
+    for (const data of Object.values(progress)) {
+        const key = normalizeEquipmentName(data.equipment);
+        if (!key) continue;
+        if (!dates[key]) dates[key] = new Set();
+        data.sessions.forEach(session => dates[key].add(session.date));
+    }
+
+    const usage = {};
+    for (const [key, workoutDates] of Object.entries(dates)) {
+        const sorted = [...workoutDates].sort();
+        usage[key] = { workouts: sorted.length, lastWorkout: sorted[sorted.length - 1] || null };
+    }
+    return usage;
+}
+
+/**
+ * All equipment with locations, type and usage filled in
+ * @returns {Promise<Array>} [{ ...equipment, locations, type, usage: { workouts, lastWorkout } }]
+ */
+export async function getEquipmentInventory() {
+    if (!AppState.currentUser) return [];
+
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const [equipment, usage] = await Promise.all([
+        workoutManager.getUserEquipment(),
+        getEquipmentUsage().catch(error => {
+            console.error('❌ Error loading equipment usage:', error);
+            return {};
+        })
+    ]);
+
+    return equipment
+        .map(eq => ({
+            ...eq,
+            locations: getEquipmentLocations(eq),
+            type: getEquipmentType(eq),
+            usage: usage[normalizeEquipmentName(eq.name)] || { workouts: 0, lastWorkout: null }
+        }))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+}
+
+// ===================================================================
+// DUPLICATES
+// ===================================================================
+
+/**
+ * "Leg  Press", "leg press" and "Leg Press." are the same equipment
+ */
+export function normalizeEquipmentName(name) {
+    if (!name || name === 'Unknown') return '';
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+/**
+ * Equipment saved more than once under the same name (often once per gym,
+ * from before equipment could belong to several)
+ * @returns {Array} [{ name, items }] with the item to keep first
+ */
+export function findDuplicateEquipment(inventory) {
+    const groups = {};
+    for (const eq of inventory) {
+        const key = normalizeEquipmentName(eq.name);
+        if (!key) continue;
+        if (!groups[key]) groups[key] = [];
+        groups[key].push(eq);
+    }
+
+    return Object.values(groups)
+        .filter(items => items.length > 1)
+        .map(items => {
+            // Keep the most filled-in record, then the most recently used
+            const detail = eq => ['brand', 'model', 'notes', 'video', 'loading'].filter(key => eq[key]).length
+                + (hasSettings(eq.settings) ? 1 : 0);
+            const sorted = [...items].sort((a, b) =>
+                detail(b) - detail(a) || (b.lastUsed || '').localeCompare(a.lastUsed || '')
+            );
+            return { name: sorted[0].name, items: sorted };
+        });
+}
+
+/**
+ * Merge duplicates into the first item: locations, exercises and photos are
+ * combined, empty details are filled from the others, and workout history
+ * recorded under a differently-spelled name is renamed to match. The
+ * duplicates are only deleted once history and PRs are updated, so a merge
+ * that fails partway can simply be run again.
+ * @returns {Promise<Object>} { merged, workoutsUpdated }
+ */
+export async function mergeEquipment(items) {
+    const [keep, ...duplicates] = items;
+    if (!AppState.currentUser || !keep || duplicates.length === 0) {
+        return { merged: 0, workoutsUpdated: 0 };
+    }
+
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const all = [keep, ...duplicates];
+    const firstSet = key => all.map(eq => eq[key]).find(value => value) || null;
+
+    // Each field from the first record that has it; histories interleaved by time
+    const settings = normalizeSettings({});
+    for (const key of Object.keys(settings)) {
+        settings[key] = all.map(eq => normalizeSettings(eq.settings)[key]).find(Boolean) || '';
+    }
+    const settingsHistory = all
+        .flatMap(eq => eq.settingsHistory || [])
+        .sort((a, b) => (b.changedAt || '').localeCompare(a.changedAt || ''));
+
+    await workoutManager.updateEquipment(keep.id, {
+        locations: [...new Set(all.flatMap(getEquipmentLocations))],
+        location: null,
+        exerciseTypes: [...new Set(all.flatMap(eq => eq.exerciseTypes || []))],
+        brand: firstSet('brand'),
+        model: firstSet('model'),
+        notes: [...new Set(all.map(eq => eq.notes).filter(Boolean))].join('\n') || null,
+        video: firstSet('video'),
+        loading: firstSet('loading'),
+        settings,
+        settingsHistory
+    });
+
+    const renamed = duplicates.map(eq => eq.name).filter(name => name && name !== keep.name);
+    const workoutsUpdated = renamed.length > 0 ? await renameEquipmentInHistory(renamed, keep.name) : 0;
+
+    if (workoutsUpdated > 0) {
+        // PRs and progress are keyed by equipment name
+        clearProgressCache();
+        const { rebuildPRsFromHistory } = await import('./pr-tracker.js');
+        await rebuildPRsFromHistory();
+    }
+
+    for (const duplicate of duplicates) {
+        await workoutManager.moveEquipmentPhotos(duplicate.id, keep.id);
+        await workoutManager.deleteEquipment(duplicate.id);
+    }
+
+    return { merged: duplicates.length, workoutsUpdated };
+}
+
+/**
+ * Rename equipment in every workout that used it, in batched writes. Already
+ * renamed workouts don't match again, so a retry picks up where it failed.
+ * @returns {Promise<number>} Workouts updated
+ */
+async function renameEquipmentInHistory(oldNames, newName) {
+    const { db, collection, getDocs, doc, writeBatch } = await import('../data/firebase-config.js');
+    const uid = AppState.currentUser.uid;
+    const snapshot = await getDocs(collection(db, 'users', uid, 'workouts'));
+
+    const changes = [];
+    for (const workoutDoc of snapshot.docs) {
+        const workout = workoutDoc.data();
+        const updates = {};
+
+        const original = workout.originalWorkout?.exercises;
+        if (Array.isArray(original) && original.some(ex => oldNames.includes(ex?.equipment))) {
+            updates['originalWorkout.exercises'] = original.map(ex =>
+                oldNames.includes(ex?.equipment) ? { ...ex, equipment: newName } : ex
+            );
+        }
+        for (const [key, exercise] of Object.entries(workout.exercises || {})) {
+            if (oldNames.includes(exercise?.equipment)) {
+                updates[`exercises.${key}.equipment`] = newName;
+            }
+        }
+
+        if (Object.keys(updates).length > 0) {
+            changes.push({ ref: doc(db, 'users', uid, 'workouts', workoutDoc.id), updates });
+        }
+    }
+
+    for (let start = 0; start < changes.length; start += MAX_BATCH_WRITES) {
+        const batch = writeBatch(db);
+        changes.slice(start, start + MAX_BATCH_WRITES).forEach(({ ref, updates }) => batch.update(ref, updates));
+        await batch.commit();
+    }
+    return changes.length;
+}
+
+// ===================================================================
+// PHOTOS
+// ===================================================================
+
+/**
+ * Downsize a photo of a machine's setup to a JPEG data URL
+ * @param {File} file - Image from a file input or the camera
+ * @returns {Promise<string>}
+ */
+export function resizePhoto(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+
+        image.onload = () => {
+            const scale = Math.min(1, PHOTO_MAX_SIZE / Math.max(image.width, image.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(image.width * scale);
+            canvas.height = Math.round(image.height * scale);
+            canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+            URL.revokeObjectURL(url);
+            resolve(canvas.toDataURL('image/jpeg', PHOTO_QUALITY));
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error('Not an image'));
+        };
+        image.src = url;
+    });
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const EquipmentInventory = {
+    getEquipmentLocations,
+    getEquipmentType,
+    getEquipmentInventory,
+    normalizeEquipmentName,
+    findDuplicateEquipment,
+    mergeEquipment,
+    resizePhoto
+};
@@ -0,0 +1,180 @@
+// Equipment Settings Module - core/features/equipment-settings.js
+// Machine setup remembered per equipment (seat, back pad, pin, attachment,
+// grip), with a dated history of every change
+
+import { AppState } from '../utils/app-state.js';
+import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
+
+export const EQUIPMENT_SETTING_FIELDS = [
+    { key: 'seat', label: 'Seat', placeholder: 'e.g., 4' },
+    { key: 'backPad', label: 'Back pad', placeholder: 'e.g., 2nd notch' },
+    { key: 'pin', label: 'Pin', placeholder: 'e.g., hole 7' },
+    { key: 'attachment', label: 'Attachment', placeholder: 'e.g., rope' },
+    { key: 'grip', label: 'Grip', placeholder: 'e.g., shoulder width' }
+];
+
+// Oldest changes are dropped past this
+const MAX_SETTINGS_HISTORY = 20;
+
+/**
+ * Stored on the equipment doc (users/{uid}/equipment/{id}):
+ * {
+ *   settings: { seat: "4", backPad: "", pin: "7", attachment: "", grip: "" },
+ *   settingsHistory: [
+ *     { changedAt: "2025-01-18T17:05:00.000Z", date: "2025-01-18",   // workout date, if mid-workout
+ *       changes: { seat: { from: "3", to: "4" } } }
+ *   ]                                                                  // newest first
+ * }
+ */
+
+// ===================================================================
+// SCHEMA
+// ===================================================================
+
+/**
+ * Settings with every schema field as a trimmed string; unknown keys dropped
+ */
+export function normalizeSettings(settings) {
+    const normalized = {};
+    for (const { key } of EQUIPMENT_SETTING_FIELDS) {
+        normalized[key] = String(settings?.[key] ?? '').trim();
+    }
+    return normalized;
+}
+
+export function hasSettings(settings) {
+    return Object.values(normalizeSettings(settings)).some(Boolean);
+}
+
+export function getSettingLabel(key) {
+    return EQUIPMENT_SETTING_FIELDS.find(field => field.key === key)?.label || key;
+}
+
+/**
+ * "Seat 4 · Pin 7" - only the fields that are set
+ */
+export function formatSettings(settings) {
+    const normalized = normalizeSettings(settings);
+    return EQUIPMENT_SETTING_FIELDS
+        .filter(({ key }) => normalized[key])
+        .map(({ key, label }) => `${label} ${normalized[key]}`)
+        .join(' · ');
+}
+
+/**
+ * "Seat 3 → 4, Grip set to wide"
+ */
+export function formatSettingsChange(entry) {
+    return Object.entries(entry?.changes || {})
+        .map(([key, { from, to }]) => {
+            const label = getSettingLabel(key);
+            if (!from) return `${label} set to ${to}`;
+            if (!to) return `${label} cleared`;
+            return `${label} ${from} → ${to}`;
+        })
+        .join(', ');
+}
+
+/**
+ * The fields to write when settings change, with the change added to the
+ * history, or null when nothing changed
+ * @param {Object} equipment - Equipment doc as saved
+ * @param {Object} settings - New settings
+ * @param {string} date - Workout date when changed mid-workout
+ */
+export function buildSettingsUpdate(equipment, settings, date = null) {
+    const before = normalizeSettings(equipment?.settings);
+    const after = normalizeSettings(settings);
+
+    const changes = {};
+    for (const { key } of EQUIPMENT_SETTING_FIELDS) {
+        if (before[key] !== after[key]) {
+            changes[key] = { from: before[key], to: after[key] };
+        }
+    }
+    if (Object.keys(changes).length === 0) return null;
+
+    const entry = { changedAt: new Date().toISOString(), date, changes };
+    return {
+        settings: after,
+        settingsHistory: [entry, ...(equipment?.settingsHistory || [])].slice(0, MAX_SETTINGS_HISTORY)
+    };
+}
+
+// ===================================================================
+// LOOKUP
+// ===================================================================
+
+/**
+ * The saved equipment an exercise is logged on: same name, preferring the
+ * one at this location
+ */
+export function findEquipment(allEquipment, name, location = null) {
+    const lower = name?.toLowerCase();
+    if (!lower) return null;
+
+    const named = allEquipment.filter(eq => eq.name?.toLowerCase() === lower);
+    return named.find(eq => location && (eq.location === location || eq.locations?.includes(location)))
+        || named[0]
+        || null;
+}
+
+/**
+ * Last-used settings for a workout exercise's equipment
+ * @returns {Promise<Object|null>} { equipment, settings, history } or null without equipment
+ */
+export async function getEquipmentSettings(equipmentName, location = null) {
+    if (!AppState.currentUser || !equipmentName) return null;
+
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const equipment = findEquipment(await workoutManager.getUserEquipment(), equipmentName, location);
+    if (!equipment) return null;
+
+    return {
+        equipment,
+        settings: normalizeSettings(equipment.settings),
+        history: equipment.settingsHistory || []
+    };
+}
+
+/**
+ * Save settings for the equipment an exercise is logged on, creating the
+ * equipment if it isn't saved yet
+ * @returns {Promise<boolean>}
+ */
+export async function saveEquipmentSettings({ equipmentName, location = null, exerciseName = null, settings, date = null }) {
+    if (!AppState.currentUser || !equipmentName) return false;
+
+    try {
+        const workoutManager = new FirebaseWorkoutManager(AppState);
+        const equipment = findEquipment(await workoutManager.getUserEquipment(), equipmentName, location)
+            || await workoutManager.getOrCreateEquipment(equipmentName, location, exerciseName);
+        if (!equipment) return false;
+
+        const update = buildSettingsUpdate(equipment, settings, date);
+        if (update) {
+            await workoutManager.updateEquipment(equipment.id, update);
+        }
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving equipment settings:', error);
+        return false;
+    }
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const EquipmentSettings = {
+    EQUIPMENT_SETTING_FIELDS,
+    normalizeSettings,
+    hasSettings,
+    getSettingLabel,
+    formatSettings,
+    formatSettingsChange,
+    buildSettingsUpdate,
+    findEquipment,
+    getEquipmentSettings,
+    saveEquipmentSettings
+};
@@ -3,6 +3,10 @@
 
 import { AppState } from '../utils/app-state.js';
 import { db, collection, query, where, getDocs, orderBy } from '../data/firebase-config.js';
+import { calculateE1RM } from './pr-tracker.js';
+import { countsForVolume, countsForPRs } from '../workout/set-types.js';
+import { getMeasurementType, calculatePace, hasSetData } from '../workout/measurement-types.js';
+import { getEffectiveLoad } from '../workout/load-types.js';
 
 // ===================================================================
 // DATA STRUCTURES
@@ -15,12 +19,16 @@ import { db, collection, query, where, getDocs, orderBy } from '../data/firebase
  *     exercise: "Bench Press",
  *     equipment: "Hammer Strength Flat",
  *     bodyPart: "Chest",
+ *     measurementType: "weight",
  *     sessions: [
- *       { date: "2025-01-15", maxWeight: 185, maxReps: 8, totalVolume: 5400, location: "Gym A" },
- *       { date: "2025-01-18", maxWeight: 190, maxReps: 6, totalVolume: 4800, location: "Gym A" }
+ *       { date: "2025-01-15", maxWeight: 185, maxReps: 8, totalVolume: 5400, bestE1RM: 234.3, topSetRPE: 8, location: "Gym A",
+ *         sets: [{ reps: 8, weight: 185 }, { reps: 8, weight: 185 }] },
+ *       { date: "2025-01-18", maxWeight: 190, maxReps: 6, totalVolume: 4800, bestE1RM: 228, location: "Gym A" }
  *     ]
  *   }
  * }
+ * Timed/distance/reps-only exercises also fill totalReps, totalDuration (s),
+ * maxDuration (s), totalDistance (mi) and bestPace (s/mi) per session.
  */
 
 let progressCache = null;
@@ -94,6 +102,9 @@ export async function loadExerciseProgress(forceRefresh = false) {
                 }
                 if (!bodyPart) bodyPart = 'Other';
 
+                const measurementType = exerciseData.measurementType ||
+                    getMeasurementType(originalExercise || { name: exerciseName });
+
                 // Create unique key for exercise + equipment
                 const key = `${exerciseName}|${equipment}`;
 
@@ -103,6 +114,7 @@ export async function loadExerciseProgress(forceRefresh = false) {
                         exercise: exerciseName,
                         equipment: equipment,
                         bodyPart: bodyPart,
+                        measurementType,
                         sessions: []
                     };
                 }
@@ -112,30 +124,79 @@ export async function loadExerciseProgress(forceRefresh = false) {
                 let maxReps = 0;
                 let totalVolume = 0;
                 let bestSet = null;
+                let bestE1RM = 0;
+                let bestE1RMSet = null;
+                const workingSets = [];
+                let totalReps = 0;
+                let totalDuration = 0;
+                let maxDuration = 0;
+                let totalDistance = 0;
+                let bestPace = null;
 
                 for (const set of exerciseData.sets) {
-                    if (!set.reps || !set.weight) continue;
+                    // Reps/time/distance totals (used by non-weighted exercises)
+                    if (hasSetData(set) && countsForVolume(set)) {
+                        totalReps += set.reps || 0;
+                        totalDuration += set.duration || 0;
+                        totalDistance += set.distance || 0;
+                        maxDuration = Math.max(maxDuration, set.duration || 0);
+                        if (measurementType !== 'weight' && (set.reps || 0) > maxReps) {
+                            maxReps = set.reps;
+                        }
+
+                        const pace = calculatePace(set.duration, set.distance);
+                        if (pace && (!bestPace || pace < bestPace)) {
+                            bestPace = pace;
+                        }
+                    }
+
+                    // Bodyweight/assisted sets use the load actually moved
+                    const load = getEffectiveLoad(set);
+                    if (!set.reps || !load) continue;
+
+                    if (countsForVolume(set)) {
+                        totalVolume += set.reps * load;
+                    }
+
+                    // Warm-ups don't represent working strength
+                    if (!countsForPRs(set)) continue;
 
-                    const volume = set.reps * set.weight;
-                    totalVolume += volume;
+                    workingSets.push({ reps: set.reps, weight: load });
+
+                    // Track best estimated 1RM (compares strength across rep ranges)
+                    const e1rm = calculateE1RM(load, set.reps);
+                    if (e1rm > bestE1RM) {
+                        bestE1RM = e1rm;
+                        bestE1RMSet = { weight: load, reps: set.reps, rpe: set.rpe ?? null };
+                    }
 
                     // Track max weight (primary metric for strength)
-                    if (set.weight > maxWeight) {
-                        maxWeight = set.weight;
+                    if (load > maxWeight) {
+                        maxWeight = load;
                         maxReps = set.reps;
-                        bestSet = { weight: set.weight, reps: set.reps };
+                        bestSet = { weight: load, reps: set.reps, rpe: set.rpe ?? null };
                     }
                 }
 
                 // Only add session if we have valid data
-                if (maxWeight > 0) {
+                if (maxWeight > 0 || totalReps > 0 || totalDuration > 0 || totalDistance > 0) {
                     progressData[key].sessions.push({
                         date: workoutDate,
                         maxWeight,
                         maxReps,
                         totalVolume,
+                        bestE1RM,
+                        topSetRPE: bestSet?.rpe ?? null,
                         location,
-                        bestSet
+                        bestSet,
+                        bestE1RMSet,
+                        sets: workingSets,
+                        totalReps,
+                        totalDuration,
+                        maxDuration,
+                        totalDistance: Math.round(totalDistance * 100) / 100,
+                        bestPace,
+                        substitutedFor: originalExercise?.substitutedFor || exerciseData.substitutedFor || null
                     });
                 }
             }
@@ -201,6 +262,7 @@ export async function getExerciseList() {
         exercise: data.exercise,
         equipment: data.equipment,
         bodyPart: data.bodyPart,
+        measurementType: data.measurementType || 'weight',
         category: getTrainingCategory(data.bodyPart),
         sessionCount: data.sessions.length,
         latestDate: data.sessions[data.sessions.length - 1]?.date || null
@@ -303,6 +365,16 @@ export async function getExerciseProgressData(key, timeRange = 'ALL') {
     // Find PR session
     const prSession = filteredSessions.find(s => s.maxWeight === maxWeight);
 
+    // Estimated 1RM stats
+    const allE1RMs = filteredSessions.map(s => s.bestE1RM || 0);
+    const maxE1RM = Math.max(...allE1RMs);
+    const startE1RM = firstSession.bestE1RM || 0;
+    const currentE1RM = lastSession.bestE1RM || 0;
+    const e1rmImprovement = Math.round((currentE1RM - startE1RM) * 10) / 10;
+    const e1rmImprovementPercent = startE1RM > 0
+        ? ((e1rmImprovement / startE1RM) * 100).toFixed(1)
+        : 0;
+
     // Calculate improvement
     const startWeight = firstSession.maxWeight;
     const currentWeight = lastSession.maxWeight;
@@ -311,10 +383,15 @@ export async function getExerciseProgressData(key, timeRange = 'ALL') {
         ? ((improvement / startWeight) * 100).toFixed(1)
         : 0;
 
+    // Reps/time/distance stats for non-weighted exercises
+    const paces = filteredSessions.map(s => s.bestPace).filter(Boolean);
+    const sum = field => filteredSessions.reduce((total, s) => total + (s[field] || 0), 0);
+
     return {
         exercise: data.exercise,
         equipment: data.equipment,
         bodyPart: data.bodyPart,
+        measurementType: data.measurementType || 'weight',
         sessions: filteredSessions,
         stats: {
             sessionCount: filteredSessions.length,
@@ -326,35 +403,73 @@ export async function getExerciseProgressData(key, timeRange = 'ALL') {
             improvementPercent,
             prDate: prSession?.date,
             prReps: prSession?.maxReps,
+            startE1RM,
+            currentE1RM,
+            maxE1RM,
+            e1rmImprovement,
+            e1rmImprovementPercent,
+            bestReps: Math.max(...filteredSessions.map(s => s.maxReps || 0)),
+            totalReps: sum('totalReps'),
+            totalDuration: sum('totalDuration'),
+            maxDuration: Math.max(...filteredSessions.map(s => s.maxDuration || 0)),
+            totalDistance: Math.round(sum('totalDistance') * 100) / 100,
+            bestPace: paces.length > 0 ? Math.min(...paces) : null,
             firstDate: firstSession.date,
             lastDate: lastSession.date
         }
     };
 }
 
+/**
+ * Chart series available for an exercise
+ * weight = top set weight, volume = total session volume, e1rm = best estimated 1RM,
+ * reps = best set reps, duration = total minutes, distance = total miles,
+ * pace = best pace in minutes per mile
+ */
+const CHART_METRICS = {
+    weight: session => session.maxWeight,
+    volume: session => session.totalVolume,
+    e1rm: session => session.bestE1RM || 0,
+    reps: session => session.maxReps || 0,
+    duration: session => Math.round((session.totalDuration || 0) / 60 * 10) / 10,
+    distance: session => session.totalDistance || 0,
+    pace: session => session.bestPace ? Math.round(session.bestPace / 60 * 100) / 100 : null
+};
+
 /**
  * Get chart-ready data for an exercise
  * @param {string} key - The exercise|equipment key
  * @param {string} timeRange - Time range filter
- * @returns {Promise<Object>} { labels: [], data: [], tooltips: [] }
+ * @param {string} metric - Key of CHART_METRICS
+ * @returns {Promise<Object>} { labels: [], data: [], tooltips: [], metric }
  */
-export async function getChartData(key, timeRange = 'ALL') {
+export async function getChartData(key, timeRange = 'ALL', metric = 'weight') {
     const progressData = await getExerciseProgressData(key, timeRange);
+    const getValue = CHART_METRICS[metric] || CHART_METRICS.weight;
 
     if (!progressData || progressData.sessions.length === 0) {
-        return { labels: [], data: [], tooltips: [] };
+        return { labels: [], data: [], tooltips: [], metric };
     }
 
     const labels = progressData.sessions.map(s => formatDateShort(s.date));
-    const data = progressData.sessions.map(s => s.maxWeight);
+    const data = progressData.sessions.map(getValue);
     const tooltips = progressData.sessions.map(s => ({
         date: s.date,
         weight: s.maxWeight,
         reps: s.maxReps,
-        location: s.location
+        volume: s.totalVolume,
+        e1rm: s.bestE1RM || 0,
+        e1rmSet: s.bestE1RMSet || null,
+        rpe: s.topSetRPE ?? null,
+        totalReps: s.totalReps || 0,
+        duration: s.totalDuration || 0,
+        distance: s.totalDistance || 0,
+        pace: s.bestPace || null,
+        location: s.location,
+        substitutedFor: s.substitutedFor || null
     }));
 
-    return { labels, data, tooltips, stats: progressData.stats };
+    return { labels, data, tooltips, metric, stats: progressData.stats };
 }
 
 /**
@@ -383,7 +498,7 @@ export async function getExercisesByBodyPart() {
 /**
  * Get date cutoff based on time range
  */
-function getDateCutoff(timeRange) {
+export function getDateCutoff(timeRange) {
     const now = new Date();
     let cutoff = null;
 
@@ -431,14 +546,17 @@ export function clearProgressCache() {
 
 /**
  * Get volume distribution by body part for donut chart
- * @param {string} timeRange - Time range filter
- * @returns {Promise<Object>} { labels: [], data: [], colors: [], total: number }
+ * @param {string} timeRange - Time range filter, or a YYYY-MM-DD start date
+ * @param {string|null} endDate - Exclusive YYYY-MM-DD end date (optional)
+ * @returns {Promise<Object>} { labels: [], data: [], sessions: [], colors: [], total: number }
+ *   sessions counts the distinct days each body part was trained
  */
-export async function getBodyPartDistribution(timeRange = '3M') {
+export async function getBodyPartDistribution(timeRange = '3M', endDate = null) {
     const progress = await loadExerciseProgress();
-    const cutoffDate = getDateCutoff(timeRange);
+    const cutoffDate = /^\d{4}-\d{2}-\d{2}$/.test(timeRange) ? timeRange : getDateCutoff(timeRange);
 
     const bodyPartVolume = {};
+    const bodyPartDays = {};
 
     for (const key in progress) {
         const data = progress[key];
@@ -447,11 +565,14 @@ export async function getBodyPartDistribution(timeRange = '3M') {
         for (const session of data.sessions) {
             // Filter by time range
             if (cutoffDate && session.date < cutoffDate) continue;
+            if (endDate && session.date >= endDate) continue;
 
             if (!bodyPartVolume[bodyPart]) {
                 bodyPartVolume[bodyPart] = 0;
+                bodyPartDays[bodyPart] = new Set();
             }
             bodyPartVolume[bodyPart] += session.totalVolume || 0;
+            bodyPartDays[bodyPart].add(session.date);
         }
     }
 
@@ -476,12 +597,36 @@ export async function getBodyPartDistribution(timeRange = '3M') {
     return {
         labels: sorted.map(([bp]) => bp),
         data: sorted.map(([_, vol]) => vol),
+        sessions: sorted.map(([bp]) => bodyPartDays[bp].size),
         percentages: sorted.map(([_, vol]) => total > 0 ? Math.round((vol / total) * 100) : 0),
         colors: sorted.map((_, i) => colors[i % colors.length]),
         total
     };
 }
 
+/**
+ * Total volume per body part for sessions after startDate up to and including endDate
+ * (either bound may be null). Used to line training up against body composition scans.
+ * @returns {Promise<Object>} { "Legs": 125000, "Back": 98000, ... }
+ */
+export async function getBodyPartVolumeBetween(startDate = null, endDate = null) {
+    const progress = await loadExerciseProgress();
+    const bodyPartVolume = {};
+
+    for (const key in progress) {
+        const bodyPart = progress[key].bodyPart || 'Other';
+
+        for (const session of progress[key].sessions) {
+            if (startDate && session.date <= startDate) continue;
+            if (endDate && session.date > endDate) continue;
+
+            bodyPartVolume[bodyPart] = (bodyPartVolume[bodyPart] || 0) + (session.totalVolume || 0);
+        }
+    }
+
+    return bodyPartVolume;
+}
+
 // ===================================================================
 // CONSISTENCY HEAT MAP CALENDAR
 // ===================================================================
@@ -525,7 +670,7 @@ export async function getHeatMapData() {
             if (workout.exercises) {
                 for (const ex of Object.values(workout.exercises)) {
                     if (ex.sets) {
-                        dateData[date].sets += ex.sets.filter(s => s.reps && s.weight).length;
+                        dateData[date].sets += ex.sets.filter(s => hasSetData(s) && countsForVolume(s)).length;
                     }
                 }
             }
@@ -638,6 +783,8 @@ export const ExerciseProgress = {
     getExercisesByBodyPart,
     clearProgressCache,
     getBodyPartDistribution,
+    getBodyPartVolumeBetween,
+    getDateCutoff,
     getHeatMapData,
     getPRTimeline
 };
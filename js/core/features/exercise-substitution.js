@@ -0,0 +1,170 @@
+// Exercise Substitution Module - core/features/exercise-substitution.js
+// Ranks library alternatives for an exercise ("machine is taken") and builds
+// the replacement that takes over its slot, targets and group
+
+import { AppState } from '../utils/app-state.js';
+import { getMeasurementType } from '../workout/measurement-types.js';
+import { getLoadType } from '../workout/load-types.js';
+
+const MAX_SUGGESTIONS = 8;
+
+// Score weights - shared movement tags matter most, then what's at this gym
+const SCORE_BODY_PART = 3;
+const SCORE_PER_TAG = 2;
+const SCORE_USED_HERE = 4;
+const SCORE_EQUIPMENT_TYPE_HERE = 1;
+
+// ===================================================================
+// NAMES
+// ===================================================================
+
+/**
+ * "Leg Press (sub for Hack Squat)" for a substituted slot, else just the name
+ */
+export function formatSubstitutionName(name, substitutedFor) {
+    return substitutedFor && substitutedFor !== name ? `${name} (sub for ${substitutedFor})` : name;
+}
+
+// ===================================================================
+// RANKING
+// ===================================================================
+
+function findLibraryExercise(name) {
+    const lower = name?.toLowerCase();
+    return AppState.exerciseDatabase?.find(ex => (ex.name || ex.machine)?.toLowerCase() === lower) || null;
+}
+
+function getTags(exercise) {
+    return (exercise?.tags || []).map(tag => String(tag).toLowerCase());
+}
+
+/**
+ * What a location has: exercises done on its equipment, and the equipment
+ * types those exercises use
+ */
+async function getLocationInventory(location) {
+    if (!location || !AppState.currentUser) return null;
+
+    try {
+        const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+        const workoutManager = new FirebaseWorkoutManager(AppState);
+        const allEquipment = await workoutManager.getUserEquipment();
+
+        const here = allEquipment.filter(eq => eq.location === location || eq.locations?.includes(location));
+        if (here.length === 0) return null;
+
+        const exercises = new Map();
+        for (const equipment of here) {
+            for (const exerciseName of equipment.exerciseTypes || []) {
+                if (!exercises.has(exerciseName)) exercises.set(exerciseName, equipment.name);
+            }
+        }
+
+        const equipmentTypes = new Set(
+            [...exercises.keys()].map(name => findLibraryExercise(name)?.equipmentType).filter(Boolean)
+        );
+        return { exercises, equipmentTypes };
+    } catch (error) {
+        console.error('❌ Error loading location equipment:', error);
+        return null;
+    }
+}
+
+/**
+ * Library exercises that can stand in for one, best first
+ * @param {Object} exercise - Workout exercise being replaced
+ * @param {Object} options - { location, exclude: [names already in the workout] }
+ * @returns {Promise<Array>} [{ exercise, score, reasons, equipment }]
+ */
+export async function findSubstitutes(exercise, { location = null, exclude = [] } = {}) {
+    const name = exercise?.machine || exercise?.name;
+    if (!name || !AppState.exerciseDatabase?.length) return [];
+
+    const original = findLibraryExercise(name) || exercise;
+    const bodyPart = exercise.bodyPart || original.bodyPart;
+    // A tag repeating the body part says nothing the body part doesn't
+    const tags = getTags(original).filter(tag => tag !== bodyPart?.toLowerCase());
+    const measurementType = getMeasurementType(exercise);
+    const inventory = await getLocationInventory(location);
+    const excluded = new Set([name, ...exclude].map(n => n?.toLowerCase()));
+
+    const ranked = [];
+    for (const candidate of AppState.exerciseDatabase) {
+        const candidateName = candidate.name || candidate.machine;
+        if (!candidateName || excluded.has(candidateName.toLowerCase())) continue;
+        if (getMeasurementType(candidate) !== measurementType) continue;
+
+        const sameBodyPart = !!bodyPart && candidate.bodyPart === bodyPart;
+        const sharedTags = getTags(candidate).filter(tag => tags.includes(tag));
+        // Needs the same body part or a clearly similar movement
+        if (!sameBodyPart && sharedTags.length < 2) continue;
+
+        let score = sharedTags.length * SCORE_PER_TAG;
+        const reasons = [];
+        if (sameBodyPart) {
+            score += SCORE_BODY_PART;
+            reasons.push(bodyPart);
+        }
+        if (sharedTags.length > 0) {
+            reasons.push(sharedTags.join(', '));
+        }
+
+        const equipment = inventory?.exercises.get(candidateName) || null;
+        if (equipment) {
+            score += SCORE_USED_HERE;
+            reasons.push(`${equipment} here`);
+        } else if (inventory && (candidate.equipmentType === 'Bodyweight' || inventory.equipmentTypes.has(candidate.equipmentType))) {
+            score += SCORE_EQUIPMENT_TYPE_HERE;
+        }
+
+        ranked.push({ exercise: candidate, score, reasons, equipment });
+    }
+
+    return ranked
+        .sort((a, b) => b.score - a.score || (a.exercise.name || '').localeCompare(b.exercise.name || ''))
+        .slice(0, MAX_SUGGESTIONS);
+}
+
+// ===================================================================
+// REPLACEMENT
+// ===================================================================
+
+/**
+ * Workout exercise for a substitute, keeping the slot's set/rep targets,
+ * group and program target. Swapping back to the template's exercise
+ * clears the substitution.
+ * @param {Object} exercise - Exercise being replaced
+ * @param {Object} substitute - Library exercise
+ * @param {Object} options - { sets: working sets to keep, equipment, location }
+ */
+export function buildSubstitute(exercise, substitute, { sets, equipment = null, location = null } = {}) {
+    const name = substitute.name || substitute.machine;
+    const templateName = exercise.substitutedFor || exercise.machine;
+
+    return {
+        machine: name,
+        sets: sets || exercise.sets || substitute.sets || 3,
+        reps: exercise.reps || substitute.reps || 10,
+        weight: substitute.weight || 0,
+        video: substitute.video || '',
+        equipment,
+        equipmentLocation: equipment ? location : null,
+        bodyPart: substitute.bodyPart || exercise.bodyPart || null,
+        measurementType: getMeasurementType(substitute),
+        loadType: getLoadType(substitute),
+        group: exercise.group || null,
+        // The template's load was for another lift - keep the rep/intensity target only
+        programTarget: exercise.programTarget ? { ...exercise.programTarget, weight: null } : null,
+        substitutedFor: templateName === name ? null : templateName
+    };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const ExerciseSubstitution = {
+    formatSubstitutionName,
+    findSubstitutes,
+    buildSubstitute
+};
@@ -0,0 +1,351 @@
+// Fatigue Monitor Module - core/features/fatigue-monitor.js
+// Spots signs of accumulated fatigue in recent history and runs a deload week
+// that scales template weights down
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+import { loadWorkoutHistory } from '../data/data-manager.js';
+import { calculateE1RM } from './pr-tracker.js';
+import { countsForPRs, countsForVolume } from '../workout/set-types.js';
+import { getEffectiveLoad } from '../workout/load-types.js';
+
+// Sessions on the same exercise + equipment needed to call a lift stalled
+const STALL_SESSIONS = 3;
+
+// Only lifts trained this recently are worth flagging
+const RECENT_DAYS = 21;
+
+// This week's volume against the average of the weeks before it
+const VOLUME_SPIKE_RATIO = 1.3;
+const BASELINE_WEEKS = 4;
+
+// A body part trained more days in a row than this is flagged
+const MAX_CONSECUTIVE_DAYS = 2;
+
+const HISTORY_LIMIT = 100;
+
+// Deload week: templates start at this share of their usual weights
+export const DELOAD_WEIGHT_FACTOR = 0.7;
+const DELOAD_DAYS = 7;
+
+// ===================================================================
+// SETTINGS STATE
+// ===================================================================
+
+/**
+ * Settings structure (users/{uid}/settings/fatigue):
+ * {
+ *   deload: { startedAt: "2026-10-18T...", endsOn: "2026-10-25", factor: 0.7, reasons: [...] } | null
+ * }
+ */
+let fatigueSettings = { deload: null };
+let loadedForUid = null;
+
+async function loadFatigueSettings() {
+    if (!AppState.currentUser) return fatigueSettings;
+    if (loadedForUid === AppState.currentUser.uid) return fatigueSettings;
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'fatigue');
+        const settingsDoc = await getDoc(settingsRef);
+        fatigueSettings = settingsDoc.exists()
+            ? { deload: null, ...settingsDoc.data() }
+            : { deload: null };
+        loadedForUid = AppState.currentUser.uid;
+    } catch (error) {
+        console.error('❌ Error loading fatigue settings:', error);
+    }
+
+    return fatigueSettings;
+}
+
+async function saveFatigueSettings() {
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'fatigue');
+        await setDoc(settingsRef, {
+            ...fatigueSettings,
+            lastUpdated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving fatigue settings:', error);
+        return false;
+    }
+}
+
+// ===================================================================
+// DATES
+// ===================================================================
+
+function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+}
+
+// ===================================================================
+// HISTORY
+// ===================================================================
+
+/**
+ * Flatten completed workouts into per-lift sessions and per-day totals
+ * @returns {Object} { lifts: { "name|equipment": [{ date, e1rm }] }, days: { date: { volume, bodyParts: Set } } }
+ */
+function collectTrainingData(workouts) {
+    const lifts = {};
+    const days = {};
+
+    const completed = workouts
+        .filter(w => w.completedAt && !w.cancelledAt && w.date)
+        .sort((a, b) => a.date.localeCompare(b.date));
+
+    for (const workout of completed) {
+        const day = days[workout.date] || (days[workout.date] = { volume: 0, bodyParts: new Set() });
+
+        for (const [key, exerciseData] of Object.entries(workout.exercises || {})) {
+            if (!exerciseData?.sets?.length) continue;
+
+            const index = parseInt(key.replace('exercise_', ''));
+            const original = workout.originalWorkout?.exercises?.[index];
+            const name = workout.exerciseNames?.[key] || original?.machine;
+            if (!name) continue;
+
+            let bestE1RM = 0;
+            let hasWork = false;
+            for (const set of exerciseData.sets) {
+                const load = getEffectiveLoad(set);
+                if (!load || !set.reps) continue;
+
+                if (countsForVolume(set)) {
+                    day.volume += load * set.reps;
+                    hasWork = true;
+                }
+                if (countsForPRs(set)) {
+                    bestE1RM = Math.max(bestE1RM, calculateE1RM(load, set.reps));
+                }
+            }
+
+            const bodyPart = original?.bodyPart ||
+                AppState.exerciseDatabase?.find(ex => ex.name === name)?.bodyPart;
+            if (hasWork && bodyPart && bodyPart !== 'Other') {
+                day.bodyParts.add(bodyPart);
+            }
+
+            if (bestE1RM > 0) {
+                const liftKey = `${name}|${original?.equipment || 'Unknown'}`;
+                (lifts[liftKey] = lifts[liftKey] || []).push({ date: workout.date, e1rm: bestE1RM });
+            }
+        }
+    }
+
+    return { lifts, days };
+}
+
+// ===================================================================
+// SIGNALS
+// ===================================================================
+
+/**
+ * Lifts whose last sessions went down every time (regressing) or never
+ * beat the first of them (stalled)
+ */
+function findStalledLifts(lifts, today) {
+    const flags = [];
+    const recentCutoff = addDays(today, -RECENT_DAYS);
+
+    for (const [key, sessions] of Object.entries(lifts)) {
+        if (sessions.length < STALL_SESSIONS) continue;
+
+        const recent = sessions.slice(-STALL_SESSIONS);
+        if (recent[recent.length - 1].date < recentCutoff) continue;
+
+        const [exercise, equipment] = key.split('|');
+        const label = equipment && equipment !== 'Unknown' ? `${exercise} (${equipment})` : exercise;
+        const values = recent.map(s => s.e1rm);
+
+        if (values.every((value, i) => i === 0 || value < values[i - 1])) {
+            flags.push({
+                type: 'regressing',
+                exercise,
+                equipment,
+                message: `${label}: e1RM down ${STALL_SESSIONS} sessions in a row (${values[0]} → ${values[values.length - 1]} lbs)`
+            });
+        } else if (values.slice(1).every(value => value <= values[0])) {
+            flags.push({
+                type: 'stalled',
+                exercise,
+                equipment,
+                message: `${label}: no e1RM progress in ${STALL_SESSIONS} sessions`
+            });
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * The last 7 days' volume against the average of the 4 weeks before
+ */
+function findVolumeSpike(days, today) {
+    const sumVolume = (from, to) => Object.entries(days)
+        .filter(([date]) => date > from && date <= to)
+        .reduce((sum, [, day]) => sum + day.volume, 0);
+
+    const thisWeek = sumVolume(addDays(today, -7), today);
+    const baseline = [];
+    for (let week = 1; week <= BASELINE_WEEKS; week++) {
+        const end = addDays(today, -7 * week);
+        baseline.push(sumVolume(addDays(end, -7), end));
+    }
+
+    // Need some history to compare against, and skip empty weeks (time off)
+    const trainedWeeks = baseline.filter(volume => volume > 0);
+    if (trainedWeeks.length < 2) return null;
+
+    const average = trainedWeeks.reduce((sum, volume) => sum + volume, 0) / trainedWeeks.length;
+    if (thisWeek <= average * VOLUME_SPIKE_RATIO) return null;
+
+    return {
+        type: 'volume-spike',
+        volume: Math.round(thisWeek),
+        average: Math.round(average),
+        message: `Volume this week is ${Math.round((thisWeek / average - 1) * 100)}% above your ${BASELINE_WEEKS}-week average`
+    };
+}
+
+/**
+ * Body parts trained on more consecutive days than recovery allows,
+ * counting back from the most recent day they were trained
+ */
+function findConsecutiveDays(days, today) {
+    const flags = [];
+    const recentCutoff = addDays(today, -2);
+    const bodyParts = new Set(Object.values(days).flatMap(day => [...day.bodyParts]));
+
+    for (const bodyPart of bodyParts) {
+        const trainedDates = Object.keys(days)
+            .filter(date => days[date].bodyParts.has(bodyPart))
+            .sort();
+        const last = trainedDates[trainedDates.length - 1];
+        if (!last || last < recentCutoff) continue;
+
+        let streak = 1;
+        while (days[addDays(last, -streak)]?.bodyParts.has(bodyPart)) {
+            streak++;
+        }
+
+        if (streak > MAX_CONSECUTIVE_DAYS) {
+            flags.push({
+                type: 'consecutive-days',
+                bodyPart,
+                days: streak,
+                message: `${bodyPart} trained ${streak} days in a row`
+            });
+        }
+    }
+
+    return flags;
+}
+
+/**
+ * Fatigue report for the dashboard
+ * @returns {Promise<Object>} { flags: [{ type, message, ... }], recommendDeload, deload }
+ */
+export async function analyzeFatigue() {
+    if (!AppState.currentUser) return { flags: [], recommendDeload: false, deload: null };
+
+    const [workouts, deload] = await Promise.all([
+        loadWorkoutHistory(AppState, HISTORY_LIMIT),
+        getActiveDeload()
+    ]);
+
+    const today = AppState.getTodayDateString();
+    const { lifts, days } = collectTrainingData(workouts);
+
+    const liftFlags = findStalledLifts(lifts, today);
+    const volumeFlag = findVolumeSpike(days, today);
+    const flags = [
+        ...liftFlags.filter(f => f.type === 'regressing'),
+        ...(volumeFlag ? [volumeFlag] : []),
+        ...findConsecutiveDays(days, today),
+        ...liftFlags.filter(f => f.type === 'stalled')
+    ];
+
+    // One signal on its own is normal training noise; several together point to fatigue
+    const regressing = flags.filter(f => f.type === 'regressing').length;
+    const recommendDeload = !deload && (regressing >= 2 || flags.length >= 3);
+
+    return { flags, recommendDeload, deload };
+}
+
+// ===================================================================
+// DELOAD WEEK
+// ===================================================================
+
+/**
+ * The running deload week, or null (expired deloads are ignored)
+ */
+export async function getActiveDeload() {
+    if (!AppState.currentUser) return null;
+
+    const { deload } = await loadFatigueSettings();
+    if (!deload || deload.endsOn <= AppState.getTodayDateString()) return null;
+    return deload;
+}
+
+export async function startDeloadWeek(reasons = []) {
+    if (!AppState.currentUser) return false;
+
+    await loadFatigueSettings();
+    const today = AppState.getTodayDateString();
+    fatigueSettings.deload = {
+        startedAt: new Date().toISOString(),
+        endsOn: addDays(today, DELOAD_DAYS),
+        factor: DELOAD_WEIGHT_FACTOR,
+        reasons
+    };
+    return saveFatigueSettings();
+}
+
+export async function endDeloadWeek() {
+    if (!AppState.currentUser) return false;
+
+    await loadFatigueSettings();
+    fatigueSettings.deload = null;
+    return saveFatigueSettings();
+}
+
+/**
+ * Scale a freshly cloned workout plan for the deload week (no-op otherwise)
+ * @returns {Promise<boolean>} Whether the plan was scaled
+ */
+export async function applyDeloadToWorkout(workout) {
+    const deload = await getActiveDeload();
+    if (!deload || !workout?.exercises) return false;
+
+    const scale = weight => Math.round(weight * deload.factor / 5) * 5;
+    workout.exercises.forEach(exercise => {
+        if (exercise.weight > 0) exercise.weight = scale(exercise.weight);
+        if (exercise.programTarget?.weight > 0) {
+            exercise.programTarget = { ...exercise.programTarget, weight: scale(exercise.programTarget.weight) };
+        }
+    });
+    return true;
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const FatigueMonitor = {
+    DELOAD_WEIGHT_FACTOR,
+    analyzeFatigue,
+    getActiveDeload,
+    startDeloadWeek,
+    endDeloadWeek,
+    applyDeloadToWorkout
+};
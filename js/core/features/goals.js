@@ -0,0 +1,424 @@
+// Goals Module - core/features/goals.js
+// User-defined training goals with progress tracking and a weekly hit/miss history
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+import { getWeeklyStats } from './stats-tracker.js';
+import { getBodyPartDistribution } from './exercise-progress.js';
+import { PRTracker } from './pr-tracker.js';
+
+// ===================================================================
+// GOAL TYPES
+// ===================================================================
+
+/**
+ * Goal types:
+ * - weeklyWorkouts: workout days per week (drives the dashboard ring,
+ *   DEFAULT_WEEKLY_WORKOUTS when unset)
+ * - bodyPartSessions: days a body part is trained per week
+ * - monthlyVolume: lbs moved by working sets in a calendar month
+ * - liftTarget: top weight for an exercise by a target date
+ */
+export const GOAL_TYPES = {
+    weeklyWorkouts: { label: 'Workouts per week', period: 'week' },
+    bodyPartSessions: { label: 'Body part sessions per week', period: 'week' },
+    monthlyVolume: { label: 'Monthly volume', period: 'month' },
+    liftTarget: { label: 'Lift target', period: 'date' }
+};
+
+export const DEFAULT_WEEKLY_WORKOUTS = 5;
+
+// Finished weeks evaluated in one go when the app hasn't been opened for a while
+const MAX_WEEKS_BACKFILL = 8;
+
+// ===================================================================
+// SETTINGS STATE
+// ===================================================================
+
+/**
+ * Settings structure (users/{uid}/settings/goals):
+ * {
+ *   goals: [
+ *     { id, type: "weeklyWorkouts", target: 4, createdAt },
+ *     { id, type: "bodyPartSessions", bodyPart: "Legs", target: 2, createdAt },
+ *     { id, type: "monthlyVolume", target: 250000, createdAt },
+ *     { id, type: "liftTarget", exercise: "Bench Press", target: 225, targetDate: "2026-06-01",
+ *       startWeight: 205, createdAt }
+ *   ],
+ *   weeks: {
+ *     "2026-10-04": { hit: true, results: { <goalId>: { value: 4, target: 4, hit: true } } }
+ *   }
+ * }
+ * Weeks start on Sunday, matching getWeeklyStats.
+ */
+let goalSettings = { goals: [], weeks: {} };
+let loadedForUid = null;
+let weeksRecordedPromise = null;
+
+async function loadGoalSettings() {
+    if (!AppState.currentUser) return goalSettings;
+    if (loadedForUid === AppState.currentUser.uid) return goalSettings;
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'goals');
+        const settingsDoc = await getDoc(settingsRef);
+        goalSettings = settingsDoc.exists()
+            ? { goals: [], weeks: {}, ...settingsDoc.data() }
+            : { goals: [], weeks: {} };
+        loadedForUid = AppState.currentUser.uid;
+        weeksRecordedPromise = null;
+    } catch (error) {
+        console.error('❌ Error loading goals:', error);
+    }
+
+    return goalSettings;
+}
+
+async function saveGoalSettings() {
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'goals');
+        await setDoc(settingsRef, {
+            ...goalSettings,
+            lastUpdated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving goals:', error);
+        return false;
+    }
+}
+
+export async function getGoals() {
+    return (await loadGoalSettings()).goals;
+}
+
+/**
+ * Add a goal, or update it when `goal.id` matches an existing one.
+ * Only one weekly-workouts goal exists; setting it again replaces it.
+ */
+export async function saveGoal(goal) {
+    if (!AppState.currentUser || !GOAL_TYPES[goal.type]) return false;
+
+    await loadGoalSettings();
+
+    const target = parseFloat(goal.target);
+    if (!target || target <= 0) return false;
+    if (goal.type === 'bodyPartSessions' && !goal.bodyPart) return false;
+    if (goal.type === 'liftTarget' && (!goal.exercise || !goal.targetDate)) return false;
+
+    const existing = goalSettings.goals.find(g =>
+        g.id === goal.id || (goal.type === 'weeklyWorkouts' && g.type === 'weeklyWorkouts')
+    );
+
+    const saved = {
+        ...(existing || {}),
+        ...goal,
+        target,
+        id: existing?.id || goal.id || `goal_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`,
+        createdAt: existing?.createdAt || new Date().toISOString()
+    };
+
+    // Lift goals are paced from where the lift stood when the goal was set
+    if (saved.type === 'liftTarget' && saved.startWeight === undefined) {
+        await PRTracker.loadPRData();
+        saved.startWeight = getBestLift(saved.exercise, saved.equipment)?.weight || 0;
+    }
+
+    goalSettings.goals = existing
+        ? goalSettings.goals.map(g => (g.id === existing.id ? saved : g))
+        : [...goalSettings.goals, saved];
+
+    return saveGoalSettings();
+}
+
+export async function removeGoal(goalId) {
+    if (!AppState.currentUser) return false;
+
+    await loadGoalSettings();
+    goalSettings.goals = goalSettings.goals.filter(g => g.id !== goalId);
+    return saveGoalSettings();
+}
+
+// ===================================================================
+// DATES
+// ===================================================================
+
+function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+function addDays(dateStr, days) {
+    const date = new Date(`${dateStr}T00:00:00`);
+    date.setDate(date.getDate() + days);
+    return toDateString(date);
+}
+
+/**
+ * Sunday (YYYY-MM-DD) of the week containing `date`
+ */
+export function getWeekStart(date = new Date()) {
+    const start = new Date(date);
+    start.setDate(start.getDate() - start.getDay());
+    return toDateString(start);
+}
+
+// ===================================================================
+// PROGRESS
+// ===================================================================
+
+/**
+ * Heaviest recorded set for an exercise (any equipment unless given)
+ */
+function getBestLift(exercise, equipment = null) {
+    let best = null;
+
+    for (const { exercise: name, equipment: eq, prs } of PRTracker.getAllPRs()) {
+        if (name !== exercise || (equipment && eq !== equipment)) continue;
+        if (prs.maxWeight && (!best || prs.maxWeight.weight > best.weight)) {
+            best = prs.maxWeight;
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Value of each week-based goal for one week
+ * @returns {Promise<Object>} { <goalId>: { value, target, hit } }
+ */
+async function evaluateWeek(weekStart, goals, isCurrentWeek = false) {
+    const weekGoals = goals.filter(g => GOAL_TYPES[g.type]?.period === 'week');
+    if (weekGoals.length === 0) return {};
+
+    const [weeklyStats, distribution] = await Promise.all([
+        getWeeklyStats(isCurrentWeek ? null : weekStart),
+        getBodyPartDistribution(weekStart, addDays(weekStart, 7))
+    ]);
+
+    const results = {};
+    for (const goal of weekGoals) {
+        let value = 0;
+        if (goal.type === 'weeklyWorkouts') {
+            value = weeklyStats.uniqueDays || weeklyStats.workouts.length;
+        } else {
+            const index = distribution.labels.indexOf(goal.bodyPart);
+            value = index >= 0 ? distribution.sessions[index] : 0;
+        }
+        results[goal.id] = { value, target: goal.target, hit: value >= goal.target };
+    }
+
+    return results;
+}
+
+/**
+ * Score finished weeks that haven't been recorded yet. Goals only count for
+ * weeks after they were created.
+ */
+async function recordFinishedWeeks() {
+    await loadGoalSettings();
+
+    const weekGoals = goalSettings.goals.filter(g => GOAL_TYPES[g.type]?.period === 'week');
+    if (weekGoals.length === 0) return;
+
+    const currentWeek = getWeekStart();
+    const recorded = Object.keys(goalSettings.weeks).sort();
+    const earliestGoal = weekGoals.map(g => getWeekStart(new Date(g.createdAt))).sort()[0];
+
+    let weekStart = recorded.length > 0 ? addDays(recorded[recorded.length - 1], 7) : earliestGoal;
+    const oldestAllowed = addDays(currentWeek, -7 * MAX_WEEKS_BACKFILL);
+    if (weekStart < oldestAllowed) weekStart = oldestAllowed;
+
+    let changed = false;
+    while (weekStart < currentWeek) {
+        const weekEnd = addDays(weekStart, 7);
+        const activeGoals = weekGoals.filter(g => g.createdAt.split('T')[0] < weekEnd);
+
+        if (activeGoals.length > 0) {
+            const results = await evaluateWeek(weekStart, activeGoals);
+            goalSettings.weeks[weekStart] = {
+                hit: Object.values(results).every(r => r.hit),
+                results
+            };
+            changed = true;
+        }
+
+        weekStart = weekEnd;
+    }
+
+    if (changed) {
+        await saveGoalSettings();
+    }
+}
+
+function ensureWeeksRecorded() {
+    if (!weeksRecordedPromise) {
+        weeksRecordedPromise = recordFinishedWeeks().catch(error => {
+            console.error('❌ Error recording goal weeks:', error);
+            weeksRecordedPromise = null;
+        });
+    }
+    return weeksRecordedPromise;
+}
+
+export function describeGoal(goal) {
+    switch (goal.type) {
+        case 'weeklyWorkouts':
+            return `${goal.target} workouts per week`;
+        case 'bodyPartSessions':
+            return `${goal.bodyPart} ${goal.target}× per week`;
+        case 'monthlyVolume':
+            return `${Math.round(goal.target).toLocaleString()} lbs this month`;
+        case 'liftTarget':
+            return `${goal.exercise} ${goal.target} lbs by ${new Date(`${goal.targetDate}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        default:
+            return goal.type;
+    }
+}
+
+/**
+ * Expected share of a period done by now, for on-track/behind status
+ */
+function getElapsedFraction(start, end) {
+    const now = Date.now();
+    const startMs = new Date(`${start}T00:00:00`).getTime();
+    const endMs = new Date(`${end}T00:00:00`).getTime();
+    if (endMs <= startMs) return 1;
+    return Math.min(Math.max((now - startMs) / (endMs - startMs), 0), 1);
+}
+
+/**
+ * Current progress for every goal
+ * @returns {Promise<Array>} [{ goal, label, value, target, percentage, status, detail }]
+ *   status: 'hit' | 'on-track' | 'behind' | 'achieved' | 'overdue'
+ */
+export async function getGoalProgress() {
+    if (!AppState.currentUser) return [];
+
+    const goals = await getGoals();
+    if (goals.length === 0) return [];
+
+    await ensureWeeksRecorded();
+
+    const weekStart = getWeekStart();
+    const weekResults = await evaluateWeek(weekStart, goals, true);
+    const weekFraction = getElapsedFraction(weekStart, addDays(weekStart, 7));
+
+    const today = new Date();
+    const monthStart = toDateString(new Date(today.getFullYear(), today.getMonth(), 1));
+    const nextMonth = toDateString(new Date(today.getFullYear(), today.getMonth() + 1, 1));
+    const needsMonth = goals.some(g => g.type === 'monthlyVolume');
+    const monthVolume = needsMonth ? (await getBodyPartDistribution(monthStart, nextMonth)).total : 0;
+
+    if (goals.some(g => g.type === 'liftTarget')) {
+        await PRTracker.loadPRData();
+    }
+
+    return goals.filter(goal => GOAL_TYPES[goal.type]).map(goal => {
+        let value = 0;
+        let status = 'behind';
+        let detail = '';
+
+        if (goal.type === 'weeklyWorkouts' || goal.type === 'bodyPartSessions') {
+            value = weekResults[goal.id]?.value || 0;
+            status = value >= goal.target ? 'hit'
+                : value >= Math.floor(goal.target * weekFraction) ? 'on-track' : 'behind';
+            detail = `${value}/${goal.target} this week`;
+        } else if (goal.type === 'monthlyVolume') {
+            value = Math.round(monthVolume);
+            status = value >= goal.target ? 'hit'
+                : value >= goal.target * getElapsedFraction(monthStart, nextMonth) ? 'on-track' : 'behind';
+            detail = `${value.toLocaleString()} / ${Math.round(goal.target).toLocaleString()} lbs`;
+        } else if (goal.type === 'liftTarget') {
+            const best = getBestLift(goal.exercise, goal.equipment);
+            value = best?.weight || 0;
+
+            if (value >= goal.target) {
+                status = 'achieved';
+                detail = `Hit ${value} lbs on ${best.date}`;
+            } else if (toDateString(today) > goal.targetDate) {
+                status = 'overdue';
+                detail = `Best ${value} lbs - target date passed`;
+            } else {
+                // Straight-line pace from the starting weight to the target
+                const start = goal.startWeight || 0;
+                const expected = start + (goal.target - start) *
+                    getElapsedFraction(goal.createdAt.split('T')[0], goal.targetDate);
+                status = value >= expected ? 'on-track' : 'behind';
+                detail = `Best ${value} lbs · ${goal.target - value} to go`;
+            }
+        }
+
+        return {
+            goal,
+            label: describeGoal(goal),
+            value,
+            target: goal.target,
+            percentage: Math.min(Math.round((value / goal.target) * 100), 100),
+            status,
+            detail
+        };
+    });
+}
+
+// ===================================================================
+// HISTORY
+// ===================================================================
+
+/**
+ * Hit/missed weeks and streaks, for badges
+ * @returns {Promise<Object>} { weeks, weeksHit, weeksMissed, currentStreak, longestStreak, liftGoalsAchieved }
+ */
+export async function getGoalHistory() {
+    const empty = { weeks: [], weeksHit: 0, weeksMissed: 0, currentStreak: 0, longestStreak: 0, liftGoalsAchieved: 0 };
+    if (!AppState.currentUser) return empty;
+
+    await loadGoalSettings();
+    await ensureWeeksRecorded();
+
+    const weeks = Object.entries(goalSettings.weeks)
+        .map(([weekStart, week]) => ({ weekStart, ...week }))
+        .sort((a, b) => a.weekStart.localeCompare(b.weekStart));
+
+    let currentStreak = 0;
+    let longestStreak = 0;
+    let previousWeek = null;
+    for (const week of weeks) {
+        const consecutive = previousWeek && addDays(previousWeek, 7) === week.weekStart;
+        currentStreak = week.hit ? (consecutive ? currentStreak + 1 : 1) : 0;
+        longestStreak = Math.max(longestStreak, currentStreak);
+        previousWeek = week.weekStart;
+    }
+
+    // A streak ends if last week wasn't recorded as hit
+    if (previousWeek !== addDays(getWeekStart(), -7)) {
+        currentStreak = 0;
+    }
+
+    const liftGoals = goalSettings.goals.filter(g => g.type === 'liftTarget');
+    if (liftGoals.length > 0) {
+        await PRTracker.loadPRData();
+    }
+
+    return {
+        weeks,
+        weeksHit: weeks.filter(w => w.hit).length,
+        weeksMissed: weeks.filter(w => !w.hit).length,
+        currentStreak,
+        longestStreak,
+        liftGoalsAchieved: liftGoals.filter(g => (getBestLift(g.exercise, g.equipment)?.weight || 0) >= g.target).length
+    };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const Goals = {
+    getGoals,
+    saveGoal,
+    removeGoal,
+    getWeekStart,
+    describeGoal,
+    getGoalProgress,
+    getGoalHistory
+};
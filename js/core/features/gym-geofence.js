@@ -0,0 +1,312 @@
+// Gym Geofence Module - core/features/gym-geofence.js
+// Watches position while the app is open and reports arriving at or leaving
+// a saved gym. The prompts that follow are in ui/geofence-ui.js.
+
+import { AppState } from '../utils/app-state.js';
+import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
+import { db, collection, query, orderBy, limit, getDocs } from '../data/firebase-config.js';
+import { findNearbyLocation, calculateDistance, getLocationRadius } from './location-service.js';
+
+// Per device - it's this phone's GPS being watched
+const GEOFENCE_ENABLED_KEY = 'gymGeofenceEnabled';
+const ARRIVAL_PROMPTED_KEY = 'gymGeofenceArrivalPrompted';
+
+// Poor indoor fixes widen the match, but only up to this
+const MAX_ACCURACY_RADIUS = 500;
+// Fixes less accurate than this are ignored
+const MAX_FIX_ACCURACY = 1000;
+// Extra distance past the radius before we count it as leaving
+const EXIT_MARGIN = 100;
+// Fixes in a row outside the gym before leaving counts - one bad fix isn't leaving
+const EXIT_READINGS = 2;
+// Saved locations are re-read after this, so new or edited gyms are picked up
+const LOCATIONS_MAX_AGE = 5 * 60 * 1000;
+// Recent workouts searched for the usual workout at a gym
+const USUAL_WORKOUT_LOOKBACK = 60;
+
+const isCapacitor = typeof window !== 'undefined' &&
+    window.Capacitor &&
+    window.Capacitor.isNativePlatform();
+
+let watchId = null;
+let handlers = { onArrive: null, onLeave: null };
+let savedLocations = [];
+let locationsLoadedAt = 0;
+let currentGym = null;
+let outsideReadings = 0;
+let visibilityListener = null;
+let handlingPosition = false;
+
+// ===================================================================
+// PREFERENCE
+// ===================================================================
+
+export function isGeofenceEnabled() {
+    try {
+        return localStorage.getItem(GEOFENCE_ENABLED_KEY) !== 'false';
+    } catch (error) {
+        return true;
+    }
+}
+
+export function setGeofenceEnabled(enabled) {
+    try {
+        localStorage.setItem(GEOFENCE_ENABLED_KEY, enabled ? 'true' : 'false');
+    } catch (error) {
+        // Storage blocked - applies to this session only
+    }
+}
+
+/**
+ * Whether location access is already allowed, so monitoring can start
+ * without a permission prompt at launch
+ */
+async function hasLocationPermission() {
+    try {
+        const Geolocation = window.Capacitor?.Plugins?.Geolocation;
+        if (isCapacitor && Geolocation) {
+            const status = await Geolocation.checkPermissions();
+            return status.location === 'granted';
+        }
+        if (navigator.permissions) {
+            const status = await navigator.permissions.query({ name: 'geolocation' });
+            return status.state === 'granted';
+        }
+    } catch (error) {
+        console.error('❌ Error checking location permission:', error);
+    }
+    return false;
+}
+
+// ===================================================================
+// MONITORING
+// ===================================================================
+
+/**
+ * Start watching for gym arrivals and departures while the app is visible
+ * @param {Object} callbacks - { onArrive(location), onLeave(location) }
+ * @param {boolean} requestPermission - Ask for location access if not yet given
+ * @returns {Promise<boolean>} Whether monitoring started
+ */
+export async function startGeofenceMonitoring(callbacks, requestPermission = false) {
+    if (!AppState.currentUser || !isGeofenceEnabled()) return false;
+    if (!navigator.geolocation && !isCapacitor) return false;
+    if (!requestPermission && !(await hasLocationPermission())) return false;
+
+    handlers = { ...handlers, ...callbacks };
+
+    if (!visibilityListener) {
+        // Only while the app is open - backgrounded, the watch is dropped
+        visibilityListener = () => {
+            if (document.hidden) {
+                clearWatch();
+            } else {
+                startWatch();
+            }
+        };
+        document.addEventListener('visibilitychange', visibilityListener);
+    }
+
+    if (!document.hidden) {
+        await startWatch();
+    }
+    return true;
+}
+
+export function stopGeofenceMonitoring() {
+    clearWatch();
+    if (visibilityListener) {
+        document.removeEventListener('visibilitychange', visibilityListener);
+        visibilityListener = null;
+    }
+    savedLocations = [];
+    locationsLoadedAt = 0;
+    currentGym = null;
+    outsideReadings = 0;
+}
+
+export function isGeofenceMonitoring() {
+    return watchId !== null;
+}
+
+/**
+ * The saved gym we're at right now, if any
+ */
+export function getCurrentGym() {
+    return currentGym;
+}
+
+async function startWatch() {
+    if (watchId !== null) return;
+
+    const options = { enableHighAccuracy: true, maximumAge: 30000 };
+    const Geolocation = window.Capacitor?.Plugins?.Geolocation;
+
+    try {
+        if (isCapacitor && Geolocation) {
+            watchId = await Geolocation.watchPosition(options, (position, error) => {
+                if (error) {
+                    console.error('❌ Geofence position error:', error.message || error);
+                    return;
+                }
+                if (position) handlePosition(position.coords);
+            });
+        } else {
+            watchId = navigator.geolocation.watchPosition(
+                position => handlePosition(position.coords),
+                error => console.error('❌ Geofence position error:', error.message),
+                options
+            );
+        }
+    } catch (error) {
+        console.error('❌ Error starting geofence:', error);
+        watchId = null;
+    }
+}
+
+function clearWatch() {
+    if (watchId === null) return;
+
+    const Geolocation = window.Capacitor?.Plugins?.Geolocation;
+    if (isCapacitor && Geolocation) {
+        Geolocation.clearWatch({ id: watchId });
+    } else {
+        navigator.geolocation.clearWatch(watchId);
+    }
+    watchId = null;
+}
+
+async function getSavedLocations() {
+    if (Date.now() - locationsLoadedAt > LOCATIONS_MAX_AGE) {
+        try {
+            const workoutManager = new FirebaseWorkoutManager(AppState);
+            savedLocations = await workoutManager.getUserLocations();
+            locationsLoadedAt = Date.now();
+        } catch (error) {
+            console.error('❌ Error loading locations for geofence:', error);
+        }
+    }
+    return savedLocations;
+}
+
+async function handlePosition(coords) {
+    if (!AppState.currentUser || !coords || handlingPosition) return;
+    if (coords.accuracy && coords.accuracy > MAX_FIX_ACCURACY) return;
+
+    // Fixes arriving while locations load are dropped, not queued
+    handlingPosition = true;
+    let locations;
+    try {
+        locations = await getSavedLocations();
+    } finally {
+        handlingPosition = false;
+    }
+    // Monitoring stopped (signed out) while loading
+    if (watchId === null) return;
+
+    const minRadius = Math.min(coords.accuracy || 0, MAX_ACCURACY_RADIUS);
+
+    if (currentGym) {
+        const distance = calculateDistance(
+            coords.latitude, coords.longitude, currentGym.latitude, currentGym.longitude
+        );
+        if (distance <= getLocationRadius(currentGym, minRadius) + EXIT_MARGIN) {
+            outsideReadings = 0;
+            return;
+        }
+
+        outsideReadings++;
+        if (outsideReadings < EXIT_READINGS) return;
+
+        const left = currentGym;
+        currentGym = null;
+        outsideReadings = 0;
+        if (handlers.onLeave) handlers.onLeave(left);
+    }
+
+    // Checked after leaving too - walking from one gym straight into another
+    const arrived = findNearbyLocation(locations, coords, minRadius);
+    if (arrived) {
+        currentGym = arrived;
+        outsideReadings = 0;
+        if (handlers.onArrive) handlers.onArrive(arrived);
+    }
+}
+
+// ===================================================================
+// ARRIVAL PROMPTS
+// ===================================================================
+
+/**
+ * One arrival prompt per gym per day, even across app restarts
+ */
+export function wasArrivalPrompted(location, date) {
+    try {
+        const prompted = JSON.parse(localStorage.getItem(ARRIVAL_PROMPTED_KEY) || '{}');
+        return prompted.locationId === location.id && prompted.date === date;
+    } catch (error) {
+        return false;
+    }
+}
+
+export function markArrivalPrompted(location, date) {
+    try {
+        localStorage.setItem(ARRIVAL_PROMPTED_KEY, JSON.stringify({ locationId: location.id, date }));
+    } catch (error) {
+        // Storage blocked - may prompt again after a restart
+    }
+}
+
+/**
+ * The workout done most often at a gym in recent history, ties going to the
+ * most recent
+ * @param {string} locationName
+ * @returns {Promise<Object|null>} { workoutType, plan, count } or null
+ */
+export async function getUsualWorkout(locationName) {
+    if (!AppState.currentUser || !locationName) return null;
+
+    try {
+        const workoutsRef = collection(db, 'users', AppState.currentUser.uid, 'workouts');
+        const snapshot = await getDocs(query(workoutsRef, orderBy('date', 'desc'), limit(USUAL_WORKOUT_LOOKBACK)));
+
+        const counts = new Map();
+        snapshot.forEach(workoutDoc => {
+            const data = workoutDoc.data();
+            if (!data.completedAt || data.cancelledAt) return;
+            if (data.location !== locationName || !data.workoutType) return;
+            // Map keeps first-seen order, and history is newest first
+            counts.set(data.workoutType, (counts.get(data.workoutType) || 0) + 1);
+        });
+
+        let usual = null;
+        for (const [workoutType, count] of counts) {
+            const plan = AppState.workoutPlans.find(p =>
+                p.day === workoutType || p.name === workoutType || p.id === workoutType
+            );
+            if (plan && (!usual || count > usual.count)) {
+                usual = { workoutType, plan, count };
+            }
+        }
+        return usual;
+    } catch (error) {
+        console.error('❌ Error finding usual workout:', error);
+        return null;
+    }
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const GymGeofence = {
+    isGeofenceEnabled,
+    setGeofenceEnabled,
+    startGeofenceMonitoring,
+    stopGeofenceMonitoring,
+    isGeofenceMonitoring,
+    getCurrentGym,
+    wasArrivalPrompted,
+    markArrivalPrompted,
+    getUsualWorkout
+};
@@ -73,16 +73,33 @@ function toRadians(degrees) {
 }
 
 /**
- * Find a saved location that matches current GPS coordinates
+ * Matching radius for a saved location
+ * @param {Object} location - Saved location (radius in meters, optional)
+ * @param {number} minRadius - Floor for the radius, e.g. from poor GPS accuracy
+ * @returns {number} Radius in meters
+ */
+export function getLocationRadius(location, minRadius = null) {
+    // Use the larger of: location's saved radius (or the default), or provided minimum radius
+    const locationRadius = location.radius || DEFAULT_LOCATION_RADIUS;
+    return minRadius ? Math.max(locationRadius, minRadius) : locationRadius;
+}
+
+/**
+ * Find the saved location that matches current GPS coordinates
+ * When several match (gyms close together), the nearest one wins
  * @param {Array} savedLocations - Array of saved location objects
  * @param {{latitude: number, longitude: number}} coords - Current coordinates
+ * @param {number} minRadius - Floor for every location's radius
  * @returns {Object | null} Matching location or null
  */
 export function findNearbyLocation(savedLocations, coords, minRadius = null) {
     if (!savedLocations || !coords) return null;
 
+    let nearest = null;
+    let nearestDistance = Infinity;
+
     for (const location of savedLocations) {
-        if (!location.latitude || !location.longitude) continue;
+        if (location.latitude == null || location.longitude == null) continue;
 
         const distance = calculateDistance(
             coords.latitude,
@@ -91,19 +108,13 @@ export function findNearbyLocation(savedLocations, coords, minRadius = null) {
             location.longitude
         );
 
-        // Use the larger of: location's saved radius, default radius, or provided minimum radius
-        const locationRadius = location.radius || DEFAULT_LOCATION_RADIUS;
-        const radius = minRadius ? Math.max(locationRadius, minRadius) : locationRadius;
-        const isMatch = distance <= radius;
-
-        console.log(`📍 ${location.name}: ${Math.round(distance)}m away (radius: ${radius}m) - ${isMatch ? 'MATCH' : 'too far'}`);
-
-        if (isMatch) {
-            return location;
+        if (distance <= getLocationRadius(location, minRadius) && distance < nearestDistance) {
+            nearest = location;
+            nearestDistance = distance;
         }
     }
 
-    return null;
+    return nearest;
 }
 
 /**
@@ -289,6 +300,7 @@ export function updateLocationIndicator(locationName, locked = false) {
 export default {
     getCurrentPosition,
     calculateDistance,
+    getLocationRadius,
     findNearbyLocation,
     detectLocation,
     setSessionLocation,
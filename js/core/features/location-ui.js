@@ -6,6 +6,7 @@ import { AppState } from '../utils/app-state.js';
 import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
 import { getSessionLocation, setSessionLocation, getCurrentPosition, findNearbyLocation } from './location-service.js';
 import { functions, httpsCallable } from '../data/firebase-config.js';
+import { renderGeofenceToggle } from '../ui/geofence-ui.js';
 
 let workoutManager = null;
 let cachedLocations = [];
@@ -67,6 +68,7 @@ export async function showLocationManagement() {
     // Render the UI
     renderLocationManagementList();
     updateCurrentLocationDisplay();
+    renderGeofenceToggle();
     updateLocationMap(); // Shows placeholder initially
 
     // Auto-detect current GPS location and match to saved locations
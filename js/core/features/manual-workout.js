@@ -2,7 +2,11 @@
 // Simplified flow: Select date → Pick workout from library OR create custom → Enter sets → Save
 
 import { AppState } from '../utils/app-state.js';
-import { showNotification } from '../ui/ui-helpers.js';
+import { showNotification, normalizeRPE, getEffortMode, parseEffort, getEffortInputValue, EFFORT_MODES } from '../ui/ui-helpers.js';
+import { SET_TYPES, DEFAULT_SET_TYPE, renderSetTypeOptions } from '../workout/set-types.js';
+import { getMeasurementType, isWeightedType, isSetLogged, parseDuration, formatDuration } from '../workout/measurement-types.js';
+import { LOAD_TYPES, getLoadType, isBodyweightLoad, normalizeLoadWeight } from '../workout/load-types.js';
+import { getBodyWeightOn } from './body-weight.js';
 
 // ===================================================================
 // STATE
@@ -237,20 +241,21 @@ export function selectWorkoutForManual(templateIndex) {
     manualWorkoutState.sourceTemplateId = template.id;
 
     // Copy exercises from template with empty sets for user to fill in
-    manualWorkoutState.exercises = (template.exercises || []).map(ex => ({
-        name: ex.name || ex.machine,
-        bodyPart: ex.bodyPart || '',
-        equipmentType: ex.equipmentType || '',
-        defaultSets: ex.sets || 3,
-        defaultReps: ex.reps || 10,
-        defaultWeight: ex.weight || 0,
-        sets: Array(ex.sets || 3).fill(null).map(() => ({
-            reps: ex.reps || 10,
-            weight: ex.weight || 0,
-            completed: false
-        })),
-        notes: ''
-    }));
+    manualWorkoutState.exercises = (template.exercises || []).map(ex => {
+        const measurementType = getMeasurementType(ex);
+        return {
+            name: ex.name || ex.machine,
+            bodyPart: ex.bodyPart || '',
+            equipmentType: ex.equipmentType || '',
+            measurementType,
+            loadType: getLoadType(ex),
+            defaultSets: ex.sets || 3,
+            defaultReps: ex.reps || 10,
+            defaultWeight: ex.weight || 0,
+            sets: Array(ex.sets || 3).fill(null).map(() => createManualSet(measurementType, ex.reps, ex.weight)),
+            notes: ''
+        };
+    });
 
 
     showManualStep(2);
@@ -288,6 +293,50 @@ export function startCustomManualWorkout() {
 // EXERCISE MANAGEMENT
 // ===================================================================
 
+/**
+ * New set pre-filled with the exercise defaults. Timed/distance sets start
+ * empty since there's no sensible default to pre-fill.
+ */
+function createManualSet(measurementType, reps, weight) {
+    switch (measurementType) {
+        case 'weight':
+            return { reps: reps || 10, weight: weight || 0, completed: false };
+        case 'reps':
+            return { reps: reps || 10, weight: 0, completed: false };
+        default:
+            return { reps: 0, weight: 0, completed: false };
+    }
+}
+
+/**
+ * Inputs between the set type select and the RPE input for one set row
+ */
+function renderManualSetInputs(exercise, set, exIndex, setIndex) {
+    const input = (field, value, placeholder, attrs = 'type="number"') => `
+                        <input ${attrs} class="mini-input" placeholder="${placeholder}"
+                               value="${value || ''}"
+                               onchange="updateManualSet(${exIndex}, ${setIndex}, '${field}', this.value)">`;
+
+    const duration = input('duration', formatDuration(set.duration), 'mm:ss', 'type="text" inputmode="numeric"');
+    const distance = input('distance', set.distance, 'Miles', 'type="number" step="0.01" min="0"');
+    const heartRate = input('heartRate', set.heartRate, 'HR');
+
+    switch (getMeasurementType(exercise)) {
+        case 'reps':
+            return `${input('reps', set.reps, 'Reps')}<span class="unit">reps</span><span></span><span></span>`;
+        case 'time':
+            return `${duration}<span class="separator">·</span>${heartRate}<span class="unit">bpm</span>`;
+        case 'distance':
+            return `${distance}<span class="unit">mi</span>${heartRate}<span class="unit">bpm</span>`;
+        case 'time_distance':
+            return `${duration}${distance}<span class="unit">mi</span>${heartRate}<span class="unit">bpm</span>`;
+        default:
+            return `${input('reps', set.reps, 'Reps')}
+                        <span class="separator">×</span>${input('weight', set.loadType === 'assisted' ? Math.abs(set.weight) : set.weight, LOAD_TYPES[getLoadType(exercise)].weightLabel)}
+                        <span class="unit">lbs</span>`;
+    }
+}
+
 function renderManualExercises() {
     const container = document.getElementById('manual-exercises-container');
     if (!container) return;
@@ -303,6 +352,7 @@ function renderManualExercises() {
         return;
     }
 
+    const effortMode = EFFORT_MODES[getEffortMode()];
     container.innerHTML = manualWorkoutState.exercises.map((exercise, exIndex) => {
         const equipmentDisplay = exercise.equipment
             ? `${exercise.equipment}${exercise.equipmentLocation ? ' @ ' + exercise.equipmentLocation : ''}`
@@ -325,16 +375,18 @@ function renderManualExercises() {
             </div>
             <div class="manual-sets-grid">
                 ${exercise.sets.map((set, setIndex) => `
-                    <div class="manual-set-row">
+                    <div class="manual-set-row ${getMeasurementType(exercise) === 'time_distance' ? 'manual-set-row-wide' : ''}">
                         <span class="set-label">Set ${setIndex + 1}</span>
-                        <input type="number" class="mini-input" placeholder="Reps"
-                               value="${set.reps || ''}"
-                               onchange="updateManualSet(${exIndex}, ${setIndex}, 'reps', this.value)">
-                        <span class="separator">×</span>
-                        <input type="number" class="mini-input" placeholder="Weight"
-                               value="${set.weight || ''}"
-                               onchange="updateManualSet(${exIndex}, ${setIndex}, 'weight', this.value)">
-                        <span class="unit">lbs</span>
+                        <select class="set-type-select" title="Set type"
+                                onchange="updateManualSet(${exIndex}, ${setIndex}, 'setType', this.value)">
+                            ${renderSetTypeOptions(set.setType)}
+                        </select>
+                        ${renderManualSetInputs(exercise, set, exIndex, setIndex)}
+                        <input type="number" class="mini-input rpe-input" placeholder="${effortMode.label}"
+                               title="${effortMode.title}"
+                               min="${effortMode.min}" max="${effortMode.max}" step="0.5"
+                               value="${getEffortInputValue(set.rpe)}"
+                               onchange="updateManualSet(${exIndex}, ${setIndex}, 'rpe', this.value)">
                         <button class="btn btn-danger btn-tiny" onclick="removeManualSet(${exIndex}, ${setIndex})" title="Remove set">
                             <i class="fas fa-times"></i>
                         </button>
@@ -352,20 +404,37 @@ export function updateManualSet(exIndex, setIndex, field, value) {
     const exercise = manualWorkoutState.exercises[exIndex];
     if (!exercise || !exercise.sets[setIndex]) return;
 
-    const numValue = parseFloat(value);
-    exercise.sets[setIndex][field] = isNaN(numValue) ? null : numValue;
-    exercise.sets[setIndex].completed = exercise.sets[setIndex].reps && exercise.sets[setIndex].weight;
+    if (field === 'rpe') {
+        exercise.sets[setIndex].rpe = parseEffort(value);
+        return;
+    }
+
+    if (field === 'setType') {
+        exercise.sets[setIndex].setType = SET_TYPES[value] ? value : DEFAULT_SET_TYPE;
+        return;
+    }
+
+    const loadType = getLoadType(exercise);
+    if (field === 'duration') {
+        exercise.sets[setIndex].duration = parseDuration(value);
+    } else if (field === 'weight' && isBodyweightLoad(loadType)) {
+        // Bodyweight/assisted adjustments may be zero or negative
+        exercise.sets[setIndex].weight = normalizeLoadWeight(value, loadType);
+    } else {
+        const numValue = parseFloat(value);
+        exercise.sets[setIndex][field] = isNaN(numValue) ? null : numValue;
+    }
+    if (isBodyweightLoad(loadType)) {
+        exercise.sets[setIndex].loadType = loadType;
+    }
+    exercise.sets[setIndex].completed = isSetLogged(exercise.sets[setIndex], getMeasurementType(exercise));
 }
 
 export function addManualSet(exIndex) {
     const exercise = manualWorkoutState.exercises[exIndex];
     if (!exercise) return;
 
-    exercise.sets.push({
-        reps: exercise.defaultReps || 10,
-        weight: exercise.defaultWeight || 0,
-        completed: false
-    });
+    exercise.sets.push(createManualSet(getMeasurementType(exercise), exercise.defaultReps, exercise.defaultWeight));
 
     renderManualExercises();
 }
@@ -410,21 +479,20 @@ export function openExercisePickerForManual() {
 // Called by exercise library when exercise is selected
 export function addExerciseToManualWorkout(exerciseData) {
     const exercise = typeof exerciseData === 'string' ? JSON.parse(exerciseData) : exerciseData;
+    const measurementType = getMeasurementType(exercise);
 
     manualWorkoutState.exercises.push({
         name: exercise.name || exercise.machine,
         bodyPart: exercise.bodyPart || '',
         equipmentType: exercise.equipmentType || '',
+        measurementType,
+        loadType: getLoadType(exercise),
         equipment: exercise.equipment || null,
         equipmentLocation: exercise.equipmentLocation || null,
         defaultSets: exercise.sets || 3,
         defaultReps: exercise.reps || 10,
         defaultWeight: exercise.weight || 0,
-        sets: Array(exercise.sets || 3).fill(null).map(() => ({
-            reps: exercise.reps || 10,
-            weight: exercise.weight || 0,
-            completed: false
-        })),
+        sets: Array(exercise.sets || 3).fill(null).map(() => createManualSet(measurementType, exercise.reps, exercise.weight)),
         notes: ''
     });
 
@@ -496,26 +564,45 @@ export async function saveManualWorkout() {
                     reps: ex.defaultReps,
                     weight: ex.defaultWeight,
                     equipment: ex.equipment,
-                    equipmentLocation: ex.equipmentLocation
+                    equipmentLocation: ex.equipmentLocation,
+                    measurementType: getMeasurementType(ex),
+                    loadType: getLoadType(ex)
                 }))
             },
             version: '2.0'
         };
 
+        // Body weight on the workout date, for bodyweight/assisted loads
+        const bodyWeight = manualWorkoutState.exercises.some(ex => isBodyweightLoad(getLoadType(ex)))
+            ? await getBodyWeightOn(manualWorkoutState.date)
+            : null;
+
         // Process exercises
         manualWorkoutState.exercises.forEach((exercise, index) => {
             const key = `exercise_${index}`;
+            const measurementType = getMeasurementType(exercise);
+            const loadType = getLoadType(exercise);
             workoutData.exerciseNames[key] = exercise.name;
             workoutData.exercises[key] = {
                 sets: exercise.sets.map(s => ({
                     reps: s.reps || 0,
                     weight: s.weight || 0,
+                    ...(isWeightedType(measurementType) ? {} : {
+                        duration: s.duration || null,
+                        distance: s.distance || null,
+                        heartRate: s.heartRate || null
+                    }),
+                    ...(isBodyweightLoad(loadType) ? { loadType, bodyWeight } : {}),
+                    rpe: normalizeRPE(s.rpe),
+                    setType: SET_TYPES[s.setType] ? s.setType : DEFAULT_SET_TYPE,
                     originalUnit: 'lbs'
                 })),
                 notes: exercise.notes || '',
                 completed: true,
                 equipment: exercise.equipment || null,
-                equipmentLocation: exercise.equipmentLocation || null
+                equipmentLocation: exercise.equipmentLocation || null,
+                measurementType,
+                loadType
             };
         });
 
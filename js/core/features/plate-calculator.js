@@ -0,0 +1,196 @@
+// Plate Calculator Module - core/features/plate-calculator.js
+// Per-side plate breakdowns for barbells and plate-loaded machines, using the
+// bar and plate inventory saved on each piece of equipment
+
+import { AppState } from '../utils/app-state.js';
+
+const KG_PER_LB = 0.453592;
+
+export const STANDARD_PLATES = {
+    lbs: [45, 35, 25, 10, 5, 2.5],
+    kg: [25, 20, 15, 10, 5, 2.5, 1.25]
+};
+
+export const STANDARD_BAR = { lbs: 45, kg: 20 };
+
+/**
+ * Loading setup saved on an equipment doc (users/{uid}/equipment/{id}):
+ * loading: {
+ *   type: "plates" | "none",       // "none" = selectorized/pin-loaded, no breakdown
+ *   unit: "kg",                    // unit the plates are marked in
+ *   barWeight: 20,                 // bar, or sled/carriage for machines
+ *   plates: { "25": 4, "20": 2 }   // pairs available per plate; omitted = standard set, unlimited
+ * }
+ * Barbell exercises without a saved setup get a standard bar and plates in
+ * the user's unit.
+ */
+
+// ===================================================================
+// SETUP
+// ===================================================================
+
+function getEquipmentType(exercise) {
+    return exercise?.equipmentType ||
+        AppState.exerciseDatabase?.find(ex => ex.name === (exercise?.machine || exercise?.name))?.equipmentType ||
+        null;
+}
+
+/**
+ * Normalise a saved loading config into { unit, barWeight, plates: [{ weight, pairs }] }
+ */
+export function normalizeLoading(loading, fallbackUnit = 'lbs') {
+    const unit = loading?.unit === 'kg' ? 'kg' : loading?.unit === 'lbs' ? 'lbs' : fallbackUnit;
+    const barWeight = loading?.barWeight ?? STANDARD_BAR[unit];
+
+    const plates = loading?.plates && Object.keys(loading.plates).length > 0
+        ? Object.entries(loading.plates)
+            .map(([weight, pairs]) => ({ weight: parseFloat(weight), pairs: parseInt(pairs) || 0 }))
+            .filter(plate => plate.weight > 0 && plate.pairs > 0)
+        : STANDARD_PLATES[unit].map(weight => ({ weight, pairs: Infinity }));
+
+    return {
+        unit,
+        barWeight: parseFloat(barWeight) || 0,
+        plates: plates.sort((a, b) => b.weight - a.weight)
+    };
+}
+
+/**
+ * Find the equipment doc for an exercise at a location
+ */
+async function findEquipment(equipmentName, location) {
+    const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const allEquipment = await workoutManager.getUserEquipment();
+
+    const named = allEquipment.filter(eq => eq.name === equipmentName);
+    const atLocation = named.find(eq =>
+        location && (eq.location === location || eq.locations?.includes(location))
+    );
+    return atLocation || named[0] || null;
+}
+
+/**
+ * How an exercise is loaded, or null when plates don't apply
+ * (dumbbells, cables, pin-loaded machines...)
+ */
+export async function getLoadingSetup(exercise, location = null) {
+    if (!exercise) return null;
+
+    if (exercise.equipment && AppState.currentUser) {
+        try {
+            const equipment = await findEquipment(exercise.equipment, location);
+            if (equipment?.loading?.type === 'plates') {
+                return normalizeLoading(equipment.loading, AppState.globalUnit);
+            }
+            if (equipment?.loading?.type === 'none') {
+                return null;
+            }
+        } catch (error) {
+            console.error('❌ Error loading equipment setup:', error);
+        }
+    }
+
+    return getEquipmentType(exercise) === 'Barbell'
+        ? normalizeLoading(null, AppState.globalUnit)
+        : null;
+}
+
+// ===================================================================
+// PLATE MATH
+// ===================================================================
+
+function convert(weight, fromUnit, toUnit) {
+    if (fromUnit === toUnit) return weight;
+    return fromUnit === 'kg' ? weight / KG_PER_LB : weight * KG_PER_LB;
+}
+
+const roundTo = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Plates per side for a target, largest first, never going over it
+ * @param {number} target - Total weight in the setup's unit
+ * @returns {Object} { perSide: [45, 25], total, exact }
+ */
+export function calculatePlates(target, setup) {
+    const perSide = [];
+    let remaining = (target - setup.barWeight) / 2;
+
+    for (const plate of setup.plates) {
+        let used = 0;
+        while (remaining >= plate.weight - 0.001 && used < plate.pairs) {
+            perSide.push(plate.weight);
+            remaining -= plate.weight;
+            used++;
+        }
+    }
+
+    const total = roundTo(setup.barWeight + 2 * perSide.reduce((sum, weight) => sum + weight, 0), 2);
+    return { perSide, total, exact: Math.abs(total - target) < 0.01 };
+}
+
+/**
+ * Closest load that can actually be put on the bar
+ * @param {number} target - Total weight in the setup's unit
+ */
+export function roundToLoadable(target, setup) {
+    if (target <= setup.barWeight) return setup.barWeight;
+
+    const below = calculatePlates(target, setup);
+    if (below.exact || setup.plates.length === 0) return below.total;
+
+    // Next achievable load up: one more pair of the smallest plate
+    const smallest = setup.plates[setup.plates.length - 1].weight;
+    const above = calculatePlates(below.total + 2 * smallest, setup);
+
+    if (above.total <= below.total) return below.total;
+    return (above.total - target) < (target - below.total) ? above.total : below.total;
+}
+
+/**
+ * Round a weight shown in `unit` to a loadable one, returned in the same unit
+ */
+export function roundWeightToLoadable(weight, unit, setup) {
+    if (!setup || !weight || weight <= 0) return weight;
+
+    const loadable = roundToLoadable(convert(weight, unit, setup.unit), setup);
+    return roundTo(convert(loadable, setup.unit, unit), unit === setup.unit ? 2 : 1);
+}
+
+/**
+ * Breakdown of a weight entered in `unit`, for display under a set
+ * @returns {Object|null} { perSide, total, unit, exact, text }
+ */
+export function describePlates(weight, unit, setup) {
+    if (!setup || !weight || weight <= 0) return null;
+
+    const target = convert(weight, unit, setup.unit);
+    const { perSide, total, exact } = calculatePlates(target, setup);
+    const sameUnit = unit === setup.unit;
+
+    const plates = perSide.length > 0 ? `${perSide.join(' + ')} / side` : 'empty bar';
+    const loaded = !exact || !sameUnit ? `${exact ? '' : '≈ '}${total} ${setup.unit}: ` : '';
+
+    return {
+        perSide,
+        total,
+        unit: setup.unit,
+        exact,
+        text: `${loaded}${plates}`
+    };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const PlateCalculator = {
+    STANDARD_PLATES,
+    STANDARD_BAR,
+    normalizeLoading,
+    getLoadingSetup,
+    calculatePlates,
+    roundToLoadable,
+    roundWeightToLoadable,
+    describePlates
+};
@@ -4,6 +4,8 @@
 import { AppState } from '../utils/app-state.js';
 import { db, collection, getDocs } from '../data/firebase-config.js';
 import { PRTracker } from './pr-tracker.js';
+import { countsForPRs } from '../workout/set-types.js';
+import { getEffectiveLoad } from '../workout/load-types.js';
 
 /**
  * Migrate old completed workouts to PR system
@@ -45,12 +47,13 @@ export async function migrateOldWorkoutsToPRs() {
 
                 // Process each set
                 for (const set of exerciseData.sets) {
-                    if (!set.reps || !set.weight) continue;
+                    const load = getEffectiveLoad(set);
+                    if (!set.reps || !load || !countsForPRs(set)) continue;
 
                     const prCheck = PRTracker.checkForNewPR(
                         exerciseName,
                         set.reps,
-                        set.weight,
+                        load,
                         equipment
                     );
 
@@ -59,7 +62,7 @@ export async function migrateOldWorkoutsToPRs() {
                         await PRTracker.recordPR(
                             exerciseName,
                             set.reps,
-                            set.weight,
+                            load,
                             equipment,
                             workout.location || 'Unknown Location',
                             doc.id // Pass the workout date
@@ -3,6 +3,8 @@
 
 import { AppState } from '../utils/app-state.js';
 import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+import { countsForPRs } from '../workout/set-types.js';
+import { getEffectiveLoad } from '../workout/load-types.js';
 
 // ===================================================================
 // PR CUTOFF DATE - Only count PRs from this date onwards
@@ -21,7 +23,8 @@ const PR_CUTOFF_DATE = '2025-07-01';
  *       "Barbell": {
  *         maxWeight: { weight: 225, reps: 5, date: "2025-01-20", location: "Gym A" },
  *         maxReps: { weight: 185, reps: 15, date: "2025-01-18", location: "Gym A" },
- *         maxVolume: { weight: 205, reps: 10, volume: 2050, date: "2025-01-19", location: "Gym A" }
+ *         maxVolume: { weight: 205, reps: 10, volume: 2050, date: "2025-01-19", location: "Gym A" },
+ *         maxE1RM: { weight: 225, reps: 5, e1rm: 262.5, formula: "epley", date: "2025-01-20", location: "Gym A" }
  *       },
  *       "Hammer Strength": {
  *         maxWeight: { weight: 200, reps: 8, date: "2025-01-15", location: "Gym B" }
@@ -32,16 +35,21 @@ const PR_CUTOFF_DATE = '2025-07-01';
  *     "Gym A": { name: "Gym A", lastVisit: "2025-01-20", visitCount: 45 },
  *     "Gym B": { name: "Gym B", lastVisit: "2025-01-15", visitCount: 12 }
  *   },
- *   currentLocation: "Gym A"
+ *   currentLocation: "Gym A",
+ *   e1rmFormula: "epley"
  * }
  */
 
 let prData = {
     exercisePRs: {},
     locations: {},
-    currentLocation: null
+    currentLocation: null,
+    e1rmFormula: 'epley'
 };
 
+// Supported estimated one-rep-max formulas
+const E1RM_FORMULAS = ['epley', 'brzycki'];
+
 // ===================================================================
 // FIREBASE OPERATIONS
 // ===================================================================
@@ -65,7 +73,8 @@ export async function loadPRData() {
             prData = {
                 exercisePRs: {},
                 locations: {},
-                currentLocation: null
+                currentLocation: null,
+                e1rmFormula: 'epley'
             };
             return prData;
         }
@@ -159,6 +168,82 @@ function calculateVolume(reps, weight) {
     return reps * weight;
 }
 
+/**
+ * Calculate estimated one-rep max for a set
+ * Epley: weight × (1 + reps / 30)
+ * Brzycki: weight × 36 / (37 - reps) - only valid below 37 reps, so reps are capped at 36
+ * @param {number} weight - Weight lifted (lbs)
+ * @param {number} reps - Reps completed
+ * @param {string} formula - 'epley' or 'brzycki' (defaults to the user's selected formula)
+ * @returns {number} Estimated 1RM rounded to 1 decimal, or 0 for invalid sets
+ */
+export function calculateE1RM(weight, reps, formula = null) {
+    if (!weight || !reps || weight <= 0 || reps <= 0) return 0;
+
+    // A single is already a true 1RM
+    if (reps === 1) return weight;
+
+    const selectedFormula = formula || getE1RMFormula();
+    let e1rm;
+
+    if (selectedFormula === 'brzycki') {
+        const cappedReps = Math.min(reps, 36);
+        e1rm = weight * 36 / (37 - cappedReps);
+    } else {
+        e1rm = weight * (1 + reps / 30);
+    }
+
+    return Math.round(e1rm * 10) / 10;
+}
+
+/**
+ * Get the selected e1RM formula
+ */
+export function getE1RMFormula() {
+    return E1RM_FORMULAS.includes(prData.e1rmFormula) ? prData.e1rmFormula : 'epley';
+}
+
+/**
+ * Set the e1RM formula used for PRs and progress charts
+ * Stored e1RM PRs are re-evaluated with the new formula on the next comparison
+ */
+export async function setE1RMFormula(formula) {
+    if (!E1RM_FORMULAS.includes(formula)) return false;
+
+    prData.e1rmFormula = formula;
+    return await savePRData();
+}
+
+/**
+ * Get the best e1RM for an exercise/equipment PR record
+ * Falls back to the other PR categories for records saved before e1RM tracking
+ */
+function getBestE1RM(equipmentPRs) {
+    if (!equipmentPRs) return 0;
+
+    const candidates = [equipmentPRs.maxE1RM, equipmentPRs.maxWeight, equipmentPRs.maxReps, equipmentPRs.maxVolume];
+    return candidates.reduce((best, pr) => {
+        if (!pr) return best;
+        return Math.max(best, calculateE1RM(pr.weight, pr.reps));
+    }, 0);
+}
+
+/**
+ * Best e1RM for an exercise on one piece of equipment, or across all of it
+ * when no equipment is given (used to set program loads)
+ */
+export function getExerciseE1RM(exerciseName, equipment = null) {
+    const exerciseData = prData.exercisePRs[exerciseName];
+    if (!exerciseData) return 0;
+
+    if (equipment) {
+        return getBestE1RM(exerciseData[equipment]);
+    }
+
+    return Object.entries(exerciseData).reduce((best, [key, equipmentPRs]) =>
+        key === 'bodyPart' ? best : Math.max(best, getBestE1RM(equipmentPRs)), 0);
+}
+
 /**
  * Get exercise equipment from exercise library
  */
@@ -195,7 +280,7 @@ export function getExercisePRs(exerciseName, equipment = null) {
 
 /**
  * Check if a set is a new PR
- * Returns: { isNewPR: boolean, prType: 'maxWeight'|'maxReps'|'maxVolume'|null, previousPR: object|null }
+ * Returns: { isNewPR: boolean, prType: 'maxWeight'|'maxE1RM'|'maxReps'|'maxVolume'|null, previousPR: object|null }
  */
 export function checkForNewPR(exerciseName, reps, weight, equipment = null) {
     if (!reps || !weight) return { isNewPR: false, prType: null, previousPR: null };
@@ -206,6 +291,7 @@ export function checkForNewPR(exerciseName, reps, weight, equipment = null) {
 
     const currentPRs = getExercisePRs(exerciseName, equipment);
     const volume = calculateVolume(reps, weight);
+    const e1rm = calculateE1RM(weight, reps);
 
     let isNewPR = false;
     let prType = null;
@@ -222,6 +308,12 @@ export function checkForNewPR(exerciseName, reps, weight, equipment = null) {
         prType = 'maxWeight';
         previousPR = currentPRs.maxWeight;
     }
+    // Check estimated 1RM PR (compares strength across rep ranges)
+    else if (e1rm > getBestE1RM(currentPRs)) {
+        isNewPR = true;
+        prType = 'maxE1RM';
+        previousPR = currentPRs.maxE1RM || null;
+    }
     // Check max reps PR (at same or higher weight)
     else if (currentPRs.maxReps && weight >= currentPRs.maxReps.weight && reps > currentPRs.maxReps.reps) {
         isNewPR = true;
@@ -256,6 +348,8 @@ export async function recordPR(exerciseName, reps, weight, equipment = null, loc
     }
 
     const volume = calculateVolume(reps, weight);
+    const formula = getE1RMFormula();
+    const e1rm = calculateE1RM(weight, reps, formula);
 
     // Use provided date or default to today
     if (!date) {
@@ -298,6 +392,14 @@ export async function recordPR(exerciseName, reps, weight, equipment = null, loc
         equipmentPRs.maxVolume = { weight, reps, volume, date, location };
     }
 
+    // Update estimated 1RM PR (recalculated from weight/reps so formula changes stay consistent)
+    const currentE1RM = equipmentPRs.maxE1RM
+        ? calculateE1RM(equipmentPRs.maxE1RM.weight, equipmentPRs.maxE1RM.reps, formula)
+        : 0;
+    if (e1rm > currentE1RM) {
+        equipmentPRs.maxE1RM = { weight, reps, e1rm, formula, date, location };
+    }
+
     await savePRData();
 }
 
@@ -335,15 +437,17 @@ export async function processWorkoutForPRs(workoutData) {
         const equipment = originalExercise?.equipment || 'Unknown Equipment';
         const bodyPart = originalExercise?.bodyPart || getExerciseBodyPart(exerciseName);
 
-        // Check each set for PRs
+        // Check each set for PRs (warm-ups never count)
+        // Bodyweight/assisted sets are compared on their effective load
         for (const set of exerciseData.sets) {
-            if (!set.reps || !set.weight) continue;
+            const load = getEffectiveLoad(set);
+            if (!set.reps || !load || !countsForPRs(set)) continue;
 
-            const prCheck = checkForNewPR(exerciseName, set.reps, set.weight, equipment);
+            const prCheck = checkForNewPR(exerciseName, set.reps, load, equipment);
 
             if (prCheck.isNewPR) {
                 // Use the workout's location, not the current location
-                await recordPR(exerciseName, set.reps, set.weight, equipment, workoutLocation, workoutDate, bodyPart);
+                await recordPR(exerciseName, set.reps, load, equipment, workoutLocation, workoutDate, bodyPart);
                 newPRCount++;
             }
         }
@@ -379,6 +483,11 @@ export function getPRDisplayText(exerciseName, equipment = null) {
         displays.push(`Max Volume: ${prs.maxVolume.volume} lbs (${prs.maxVolume.reps} × ${prs.maxVolume.weight})`);
     }
 
+    if (prs.maxE1RM) {
+        const e1rm = calculateE1RM(prs.maxE1RM.weight, prs.maxE1RM.reps);
+        displays.push(`Est. 1RM: ${e1rm} lbs (${prs.maxE1RM.weight} × ${prs.maxE1RM.reps})`);
+    }
+
     return displays.join(' | ');
 }
 
@@ -533,9 +642,9 @@ export async function rebuildPRsFromHistory() {
             // Skip cancelled or incomplete workouts
             if (!workoutData.completedAt || workoutData.cancelledAt) continue;
 
-            // Skip workouts before cutoff date
+            // Skip workouts before cutoff date (imported history is always included)
             const workoutDate = workoutData.date;
-            if (!workoutDate || workoutDate < PR_CUTOFF_DATE) continue;
+            if (!workoutDate || (workoutDate < PR_CUTOFF_DATE && !workoutData.importedFrom)) continue;
 
             // Get the workout's location
             const workoutLocation = workoutData.location || 'Unknown Location';
@@ -556,10 +665,11 @@ export async function rebuildPRsFromHistory() {
 
                     // Process each set
                     for (const set of exerciseData.sets) {
-                        if (!set.reps || !set.weight) continue;
+                        const load = getEffectiveLoad(set);
+                        if (!set.reps || !load || !countsForPRs(set)) continue;
 
                         // Record PR with correct date and location
-                        await recordPR(exerciseName, set.reps, set.weight, equipment, workoutLocation, workoutDate, bodyPart);
+                        await recordPR(exerciseName, set.reps, load, equipment, workoutLocation, workoutDate, bodyPart);
                         prCount++;
                     }
                 }
@@ -594,6 +704,7 @@ export const PRTracker = {
     getLocations,
     suggestLocation,
     getExercisePRs,
+    getExerciseE1RM,
     checkForNewPR,
     recordPR,
     processWorkoutForPRs,
@@ -604,5 +715,8 @@ export const PRTracker = {
     getTotalPRCount,
     clearAllPRs,
     rebuildPRsFromHistory,
-    getPRCutoffDate
+    getPRCutoffDate,
+    calculateE1RM,
+    getE1RMFormula,
+    setE1RMFormula
 };
@@ -0,0 +1,396 @@
+// Programs Module - core/features/programs.js
+// Multi-week training programs: an ordered set of day templates run through a
+// schedule of weeks with %1RM or RPE targets, deloads and a current week/day pointer
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+import { PRTracker } from './pr-tracker.js';
+
+// Loads are rounded to what can be put on a bar or pinned on a stack
+const LOAD_INCREMENT = 5;
+
+// RPE used for the deload week of programs built from templates
+const DELOAD_RPE = 6;
+
+// ===================================================================
+// BUILT-IN PROGRAMS
+// ===================================================================
+
+/**
+ * Program structure (data/programs.json and custom programs):
+ * {
+ *   id, name, description,
+ *   days: [
+ *     { name: "Upper A", exercises: [{ name, machine, sets, reps, weight, accessory? }] },
+ *     { name: "Push", template: "<template id, name or day>" }
+ *   ],
+ *   weeks: [
+ *     { percent: 75, sets: 5, reps: 5 },     // %1RM target
+ *     { rpe: 8, reps: 8 },                  // RPE target (sets/reps fall back to the day)
+ *     { percent: 60, deload: true }
+ *   ]
+ * }
+ * Week targets apply to every exercise except accessories, which keep their
+ * own sets and reps and only lose half their sets on deload weeks.
+ */
+let builtInPrograms = null;
+
+async function loadBuiltInPrograms() {
+    if (builtInPrograms) return builtInPrograms;
+
+    try {
+        const response = await fetch('./data/programs.json');
+        builtInPrograms = response.ok
+            ? (await response.json()).map(program => ({ ...program, isBuiltIn: true }))
+            : [];
+    } catch (error) {
+        console.error('❌ Error loading built-in programs:', error);
+        return [];
+    }
+
+    return builtInPrograms;
+}
+
+// ===================================================================
+// SETTINGS STATE
+// ===================================================================
+
+/**
+ * Settings structure (users/{uid}/settings/programs):
+ * {
+ *   active: { programId, week: 0, day: 0, startedAt },   // next session to run
+ *   custom: [ <program> ],
+ *   history: [ { programId, name, startedAt, completedAt } ]
+ * }
+ */
+let programSettings = { active: null, custom: [], history: [] };
+let loadedForUid = null;
+
+async function loadProgramSettings() {
+    if (!AppState.currentUser) return programSettings;
+    if (loadedForUid === AppState.currentUser.uid) return programSettings;
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'programs');
+        const settingsDoc = await getDoc(settingsRef);
+        programSettings = settingsDoc.exists()
+            ? { active: null, custom: [], history: [], ...settingsDoc.data() }
+            : { active: null, custom: [], history: [] };
+        loadedForUid = AppState.currentUser.uid;
+    } catch (error) {
+        console.error('❌ Error loading programs:', error);
+    }
+
+    return programSettings;
+}
+
+async function saveProgramSettings() {
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'programs');
+        await setDoc(settingsRef, {
+            ...programSettings,
+            lastUpdated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving programs:', error);
+        return false;
+    }
+}
+
+// ===================================================================
+// PROGRAMS
+// ===================================================================
+
+export async function getPrograms() {
+    const [builtIn, settings] = await Promise.all([loadBuiltInPrograms(), loadProgramSettings()]);
+    return [...builtIn, ...settings.custom];
+}
+
+export async function getProgram(programId) {
+    return (await getPrograms()).find(program => program.id === programId) || null;
+}
+
+/**
+ * Build a program from the user's own templates. Weeks ramp linearly from
+ * startRPE to endRPE, optionally followed by a deload week.
+ * @param {Object} options - { name, templates: [{ id, name }], weeks, startRPE, endRPE, deload }
+ */
+export async function createProgramFromTemplates({ name, templates, weeks, startRPE = 7, endRPE = 9, deload = true }) {
+    if (!AppState.currentUser || !name || !templates?.length || !(weeks > 0)) return null;
+
+    await loadProgramSettings();
+
+    const weekList = Array.from({ length: weeks }, (_, i) => {
+        const rpe = weeks === 1 ? startRPE : startRPE + (endRPE - startRPE) * i / (weeks - 1);
+        return { rpe: Math.round(rpe * 2) / 2 };
+    });
+    if (deload) {
+        weekList.push({ rpe: DELOAD_RPE, deload: true });
+    }
+
+    const program = {
+        id: `program_${Date.now()}_${Math.random().toString(36).substring(2, 6)}`,
+        name,
+        description: `${templates.length} days · RPE ${startRPE} → ${endRPE}${deload ? ' · deload' : ''}`,
+        days: templates.map(template => ({ name: template.name, template: template.id })),
+        weeks: weekList,
+        createdAt: new Date().toISOString()
+    };
+
+    programSettings.custom = [...programSettings.custom, program];
+    return (await saveProgramSettings()) ? program : null;
+}
+
+export async function deleteCustomProgram(programId) {
+    if (!AppState.currentUser) return false;
+
+    await loadProgramSettings();
+    programSettings.custom = programSettings.custom.filter(program => program.id !== programId);
+    if (programSettings.active?.programId === programId) {
+        programSettings.active = null;
+    }
+    return saveProgramSettings();
+}
+
+// ===================================================================
+// POINTER
+// ===================================================================
+
+/**
+ * The running program and where the lifter is in it
+ * @returns {Promise<Object|null>} { program, week, day, totalWeeks, totalDays, deload, startedAt }
+ */
+export async function getActiveProgram() {
+    if (!AppState.currentUser) return null;
+
+    const settings = await loadProgramSettings();
+    if (!settings.active) return null;
+
+    const program = await getProgram(settings.active.programId);
+    if (!program) return null;
+
+    const { week, day, startedAt } = settings.active;
+    return {
+        program,
+        week,
+        day,
+        totalWeeks: program.weeks.length,
+        totalDays: program.days.length,
+        deload: !!program.weeks[week]?.deload,
+        startedAt
+    };
+}
+
+export async function startProgram(programId) {
+    if (!AppState.currentUser) return false;
+
+    const program = await getProgram(programId);
+    if (!program) return false;
+
+    programSettings.active = { programId, week: 0, day: 0, startedAt: new Date().toISOString() };
+    return saveProgramSettings();
+}
+
+export async function stopProgram() {
+    if (!AppState.currentUser) return false;
+
+    await loadProgramSettings();
+    programSettings.active = null;
+    return saveProgramSettings();
+}
+
+/**
+ * Move the pointer past the current session
+ * @returns {Promise<Object>} { finished } - true when that was the last session
+ */
+async function movePointer() {
+    const active = programSettings.active;
+    const program = await getProgram(active.programId);
+    if (!program) return { finished: false };
+
+    let { week, day } = active;
+    day++;
+    if (day >= program.days.length) {
+        day = 0;
+        week++;
+    }
+
+    if (week >= program.weeks.length) {
+        programSettings.history = [...programSettings.history, {
+            programId: program.id,
+            name: program.name,
+            startedAt: active.startedAt,
+            completedAt: new Date().toISOString()
+        }];
+        programSettings.active = null;
+        await saveProgramSettings();
+        return { finished: true };
+    }
+
+    programSettings.active = { ...active, week, day };
+    await saveProgramSettings();
+    return { finished: false };
+}
+
+export async function skipProgramDay() {
+    if (!AppState.currentUser) return { finished: false };
+
+    await loadProgramSettings();
+    if (!programSettings.active) return { finished: false };
+    return movePointer();
+}
+
+/**
+ * Advance after a completed program workout. Ignored unless the workout is
+ * the session the pointer is on (e.g. re-saving an old program workout).
+ * @param {Object} session - savedData.program: { programId, week, day }
+ */
+export async function advanceProgram(session) {
+    if (!AppState.currentUser || !session) return { advanced: false, finished: false };
+
+    await loadProgramSettings();
+    const active = programSettings.active;
+    if (!active || active.programId !== session.programId ||
+        active.week !== session.week || active.day !== session.day) {
+        return { advanced: false, finished: false };
+    }
+
+    const { finished } = await movePointer();
+    return { advanced: true, finished };
+}
+
+// ===================================================================
+// SESSION TARGETS
+// ===================================================================
+
+function roundLoad(weight) {
+    return Math.round(weight / LOAD_INCREMENT) * LOAD_INCREMENT;
+}
+
+/**
+ * Share of e1RM that can be lifted for `reps` at `rpe` (RPE 8 = 2 in reserve),
+ * using the same e1RM formula as PRs
+ */
+function getRPEFraction(reps, rpe) {
+    const repsToFailure = reps + Math.max(10 - rpe, 0);
+    return 100 / PRTracker.calculateE1RM(100, repsToFailure);
+}
+
+/**
+ * Apply one week's targets to a day exercise
+ */
+function applyWeekTargets(exercise, week) {
+    const planned = { ...exercise };
+    const baseSets = parseInt(exercise.sets) || 3;
+
+    if (exercise.accessory) {
+        if (week.deload) planned.sets = Math.ceil(baseSets / 2);
+        return planned;
+    }
+
+    planned.sets = week.sets || (week.deload ? Math.ceil(baseSets / 2) : baseSets);
+    planned.reps = week.reps || parseInt(exercise.reps) || 10;
+
+    const e1rm = PRTracker.getExerciseE1RM(exercise.machine || exercise.name, exercise.equipment || null);
+    if (e1rm > 0) {
+        if (week.percent) {
+            planned.weight = roundLoad(e1rm * week.percent / 100);
+        } else if (week.rpe) {
+            planned.weight = roundLoad(e1rm * getRPEFraction(planned.reps, week.rpe));
+        }
+    }
+
+    planned.programTarget = {
+        sets: planned.sets,
+        reps: planned.reps,
+        percent: week.percent || null,
+        rpe: week.rpe || null,
+        weight: e1rm > 0 ? planned.weight : null
+    };
+
+    return planned;
+}
+
+async function resolveDayExercises(day) {
+    if (day.exercises) return day.exercises;
+
+    const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const templates = await workoutManager.getUserWorkoutTemplates();
+    const template = templates.find(t =>
+        t.id === day.template || t.name === day.template || t.day === day.template
+    );
+
+    return template?.exercises || null;
+}
+
+/**
+ * Workout plan for one program session, with loads from the lifter's e1RM
+ * @returns {Promise<Object|null>} Plan usable by startWorkout, or null if a template is missing
+ */
+export async function buildProgramWorkout(program, weekIndex, dayIndex) {
+    const week = program.weeks[weekIndex];
+    const day = program.days[dayIndex];
+    if (!week || !day) return null;
+
+    const exercises = await resolveDayExercises(day);
+    if (!exercises) {
+        console.warn(`⚠️ Program template not found: ${day.template}`);
+        return null;
+    }
+
+    await PRTracker.loadPRData();
+
+    const name = `${day.name} (W${weekIndex + 1}${week.deload ? ' Deload' : ''})`;
+    return {
+        name,
+        day: name,
+        exercises: exercises.map(exercise => applyWeekTargets(JSON.parse(JSON.stringify(exercise)), week)),
+        program: {
+            programId: program.id,
+            programName: program.name,
+            week: weekIndex,
+            day: dayIndex,
+            deload: !!week.deload
+        }
+    };
+}
+
+/**
+ * The session the active program's pointer is on
+ */
+export async function getNextProgramWorkout() {
+    const active = await getActiveProgram();
+    if (!active) return null;
+    return buildProgramWorkout(active.program, active.week, active.day);
+}
+
+/**
+ * Short summary of a week's targets, e.g. "5×5 @ 75%" or "RPE 8"
+ */
+export function describeWeek(week) {
+    const volume = week.sets && week.reps ? `${week.sets}×${week.reps}` : '';
+    const intensity = week.percent ? `${week.percent}%` : week.rpe ? `RPE ${week.rpe}` : '';
+    const summary = volume && intensity ? `${volume} @ ${intensity}` : volume || intensity;
+    return week.deload ? `${summary} · deload` : summary;
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const Programs = {
+    getPrograms,
+    getProgram,
+    createProgramFromTemplates,
+    deleteCustomProgram,
+    getActiveProgram,
+    startProgram,
+    stopProgram,
+    skipProgramDay,
+    advanceProgram,
+    buildProgramWorkout,
+    getNextProgramWorkout,
+    describeWeek
+};
@@ -0,0 +1,238 @@
+// Progression Engine Module - core/features/progression-engine.js
+// Suggests next-session weight/reps per exercise + equipment from recent history
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+import { loadExerciseProgress } from './exercise-progress.js';
+
+// ===================================================================
+// RULES
+// ===================================================================
+
+/**
+ * Progression rule types:
+ * - double: work up through a rep range at the same weight, then add weight
+ *   and drop back to the bottom of the range
+ * - linear: add a fixed increment whenever every working set hits target reps;
+ *   after `lookback` missed sessions at the same weight, reset by 10%
+ * - none: no suggestion
+ */
+export const PROGRESSION_RULES = {
+    double: { label: 'Double progression' },
+    linear: { label: 'Linear' },
+    none: { label: 'Off' }
+};
+
+const DEFAULT_RULE = { type: 'double', increment: 5 };
+
+// How many recent sessions the engine looks at
+const LOOKBACK_SESSIONS = 3;
+
+// ===================================================================
+// SETTINGS STATE
+// ===================================================================
+
+/**
+ * Settings structure (users/{uid}/settings/progression):
+ * {
+ *   exercises: {
+ *     "Bench Press": { type: "linear", increment: 5 },
+ *     "Lat Pulldown": { type: "double", increment: 10, repMin: 8, repMax: 12 }
+ *   }
+ * }
+ * Rules are keyed by exercise name; history is still matched per equipment.
+ */
+let progressionSettings = { exercises: {} };
+let settingsLoaded = false;
+
+async function loadProgressionSettings() {
+    if (settingsLoaded || !AppState.currentUser) return progressionSettings;
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'progression');
+        const settingsDoc = await getDoc(settingsRef);
+        progressionSettings = settingsDoc.exists()
+            ? { exercises: {}, ...settingsDoc.data() }
+            : { exercises: {} };
+        settingsLoaded = true;
+    } catch (error) {
+        console.error('❌ Error loading progression settings:', error);
+    }
+
+    return progressionSettings;
+}
+
+/**
+ * Get the effective rule for an exercise, filling in defaults.
+ * When no rep range is configured, double progression works from the
+ * template target reps up to target + 2.
+ */
+export async function getProgressionRule(exerciseName, targetReps = 10) {
+    await loadProgressionSettings();
+
+    const rule = { ...DEFAULT_RULE, ...(progressionSettings.exercises?.[exerciseName] || {}) };
+    const reps = parseInt(targetReps) || 10;
+
+    rule.repMin = rule.repMin || reps;
+    rule.repMax = Math.max(rule.repMax || reps + 2, rule.repMin);
+    rule.reps = rule.reps || reps;
+    rule.lookback = rule.lookback || LOOKBACK_SESSIONS;
+
+    return rule;
+}
+
+/**
+ * Save a rule for an exercise (partial updates are merged)
+ */
+export async function setProgressionRule(exerciseName, rule) {
+    if (!AppState.currentUser || !exerciseName) return false;
+
+    await loadProgressionSettings();
+
+    if (rule.type && !PROGRESSION_RULES[rule.type]) {
+        console.warn(`⚠️ Unknown progression rule: ${rule.type}`);
+        return false;
+    }
+
+    progressionSettings.exercises = {
+        ...progressionSettings.exercises,
+        [exerciseName]: { ...(progressionSettings.exercises?.[exerciseName] || {}), ...rule }
+    };
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'progression');
+        await setDoc(settingsRef, {
+            ...progressionSettings,
+            lastUpdated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving progression settings:', error);
+        return false;
+    }
+}
+
+// ===================================================================
+// SUGGESTIONS
+// ===================================================================
+
+function roundToIncrement(weight, increment) {
+    const step = increment > 0 ? Math.min(increment, 5) : 5;
+    return Math.round(weight / step) * step;
+}
+
+/**
+ * Working sets performed at the session's top weight
+ */
+function getTopSets(session) {
+    const sets = session.sets?.length
+        ? session.sets
+        : [{ reps: session.maxReps, weight: session.maxWeight }];
+    return sets.filter(s => s.weight === session.maxWeight);
+}
+
+function suggestDouble(rule, lastSession) {
+    const topSets = getTopSets(lastSession);
+    const weight = lastSession.maxWeight;
+    const lowestReps = Math.min(...topSets.map(s => s.reps));
+
+    if (lowestReps >= rule.repMax) {
+        return {
+            weight: weight + rule.increment,
+            reps: rule.repMin,
+            reason: `All sets hit ${rule.repMax} reps - add ${rule.increment} lbs`
+        };
+    }
+
+    const reps = Math.min(rule.repMax, Math.max(rule.repMin, lowestReps + 1));
+    return {
+        weight,
+        reps,
+        reason: `Build reps toward ${rule.repMax} before adding weight`
+    };
+}
+
+function suggestLinear(rule, sessions) {
+    const lastSession = sessions[sessions.length - 1];
+    const topSets = getTopSets(lastSession);
+    const weight = lastSession.maxWeight;
+
+    if (topSets.every(s => s.reps >= rule.reps)) {
+        return {
+            weight: weight + rule.increment,
+            reps: rule.reps,
+            reason: `Hit ${rule.reps} reps on every set - add ${rule.increment} lbs`
+        };
+    }
+
+    // Count consecutive misses at this weight (most recent first)
+    let misses = 0;
+    for (let i = sessions.length - 1; i >= 0; i--) {
+        const session = sessions[i];
+        if (session.maxWeight !== weight) break;
+        if (getTopSets(session).every(s => s.reps >= rule.reps)) break;
+        misses++;
+    }
+
+    if (misses >= rule.lookback) {
+        return {
+            weight: roundToIncrement(weight * 0.9, rule.increment),
+            reps: rule.reps,
+            reason: `Missed ${rule.reps} reps ${misses} sessions in a row - reset 10%`
+        };
+    }
+
+    return {
+        weight,
+        reps: rule.reps,
+        reason: `Repeat ${weight} lbs and complete all ${rule.reps} reps`
+    };
+}
+
+/**
+ * Suggest weight/reps for the next session of an exercise.
+ * History is matched on exercise + equipment, the same key PRs use, so a
+ * different machine never inherits another machine's numbers.
+ * @param {Object} exercise - Workout exercise ({ machine, equipment, sets, reps })
+ * @returns {Promise<Object|null>} { type, weight, reps, sets, reason, lastDate } in lbs
+ */
+export async function getProgressionSuggestion(exercise) {
+    const exerciseName = exercise?.machine || exercise?.name;
+    if (!exerciseName || !AppState.currentUser) return null;
+
+    const rule = await getProgressionRule(exerciseName, exercise.reps);
+    if (rule.type === 'none') return null;
+
+    const progress = await loadExerciseProgress();
+    const key = `${exerciseName}|${exercise.equipment || 'Unknown'}`;
+    const today = AppState.getTodayDateString();
+    const sessions = (progress[key]?.sessions || [])
+        .filter(s => s.date < today && s.maxWeight > 0)
+        .slice(-rule.lookback);
+
+    if (sessions.length === 0) return null;
+
+    const lastSession = sessions[sessions.length - 1];
+    const suggestion = rule.type === 'linear'
+        ? suggestLinear(rule, sessions)
+        : suggestDouble(rule, lastSession);
+
+    return {
+        type: rule.type,
+        rule,
+        sets: exercise.sets || 3,
+        lastDate: lastSession.date,
+        ...suggestion
+    };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const ProgressionEngine = {
+    PROGRESSION_RULES,
+    getProgressionRule,
+    setProgressionRule,
+    getProgressionSuggestion
+};
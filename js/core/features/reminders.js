@@ -0,0 +1,135 @@
+// Reminders Module - core/features/reminders.js
+// Training-day, inactivity and streak-at-risk reminder settings. The reminders
+// themselves are sent server-side by scheduleReminders in functions/index.js.
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+
+export const DEFAULT_REMINDERS = {
+    remindersEnabled: false,
+    trainingDays: [1, 3, 5],
+    trainingTime: '18:00',
+    inactiveDays: 3,
+    streakTime: '20:00',
+    quietHours: { start: '22:00', end: '07:00' },
+    types: { training: true, inactivity: true, streak: true }
+};
+
+export const REMINDER_TYPES = {
+    training: 'Training days',
+    inactivity: "Haven't trained in a while",
+    streak: 'Streak ends tonight'
+};
+
+// ===================================================================
+// SETTINGS STATE
+// ===================================================================
+
+/**
+ * Settings structure (users/{uid}/settings/reminders):
+ * {
+ *   remindersEnabled: true,
+ *   timezone: "America/Los_Angeles",        // device zone, refreshed on every save
+ *   trainingDays: [1, 3, 5],                // 0 = Sunday
+ *   trainingTime: "18:00",
+ *   inactiveDays: 3,
+ *   streakTime: "20:00",
+ *   quietHours: { start: "22:00", end: "07:00" } | null,
+ *   types: { training: true, inactivity: true, streak: false }
+ * }
+ * The server keeps what it has already sent in users/{uid}/reminder_state/current.
+ */
+let reminderSettings = { ...DEFAULT_REMINDERS };
+let loadedForUid = null;
+
+async function loadReminderSettings() {
+    if (!AppState.currentUser) return reminderSettings;
+    if (loadedForUid === AppState.currentUser.uid) return reminderSettings;
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'reminders');
+        const settingsDoc = await getDoc(settingsRef);
+        const saved = settingsDoc.exists() ? settingsDoc.data() : {};
+        reminderSettings = {
+            ...DEFAULT_REMINDERS,
+            ...saved,
+            types: { ...DEFAULT_REMINDERS.types, ...(saved.types || {}) }
+        };
+        loadedForUid = AppState.currentUser.uid;
+    } catch (error) {
+        console.error('❌ Error loading reminder settings:', error);
+    }
+
+    return reminderSettings;
+}
+
+async function saveReminderSettings() {
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'reminders');
+        await setDoc(settingsRef, {
+            ...reminderSettings,
+            timezone: getDeviceTimezone(),
+            lastUpdated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving reminder settings:', error);
+        return false;
+    }
+}
+
+function getDeviceTimezone() {
+    try {
+        return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+    } catch (error) {
+        return 'UTC';
+    }
+}
+
+export async function getReminderSettings() {
+    return { ...(await loadReminderSettings()) };
+}
+
+/**
+ * Save reminder settings (partial updates are merged)
+ */
+export async function setReminderSettings(settings) {
+    if (!AppState.currentUser) return false;
+
+    await loadReminderSettings();
+    reminderSettings = {
+        ...reminderSettings,
+        ...settings,
+        types: { ...reminderSettings.types, ...(settings.types || {}) }
+    };
+    return saveReminderSettings();
+}
+
+// ===================================================================
+// VALIDATION
+// ===================================================================
+
+/**
+ * "HH:MM" in 24-hour time, or null
+ */
+export function normalizeTime(value) {
+    const match = String(value || '').trim().match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) return null;
+
+    const hours = parseInt(match[1]);
+    const minutes = parseInt(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const Reminders = {
+    DEFAULT_REMINDERS,
+    REMINDER_TYPES,
+    getReminderSettings,
+    setReminderSettings,
+    normalizeTime
+};
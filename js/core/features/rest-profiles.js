@@ -0,0 +1,210 @@
+// Rest Profiles Module - core/features/rest-profiles.js
+// Rest timer lengths per exercise and set type, optionally stretched by RPE,
+// and compliance summaries for the rest actually taken
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+import { isWarmupSet } from '../workout/set-types.js';
+
+export const DEFAULT_REST_PROFILE = { working: 90, warmup: 60, adaptToRPE: false };
+
+// Rests longer than this are a break (phone call, left the gym), not rest
+const MAX_RECORDED_REST = 30 * 60;
+
+// ===================================================================
+// SETTINGS STATE
+// ===================================================================
+
+/**
+ * Settings structure (users/{uid}/settings/rest):
+ * {
+ *   default: { working: 90, warmup: 60, adaptToRPE: false },
+ *   exercises: {
+ *     "Barbell Back Squat": { working: 180, adaptToRPE: true },
+ *     "Cable Bicep Curl": { working: 60 }
+ *   }
+ * }
+ * Times are in seconds. Exercise profiles only hold what differs from the default.
+ */
+let restSettings = { default: DEFAULT_REST_PROFILE, exercises: {} };
+let loadedForUid = null;
+
+async function loadRestSettings() {
+    if (!AppState.currentUser) return restSettings;
+    if (loadedForUid === AppState.currentUser.uid) return restSettings;
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'rest');
+        const settingsDoc = await getDoc(settingsRef);
+        restSettings = settingsDoc.exists()
+            ? { default: DEFAULT_REST_PROFILE, exercises: {}, ...settingsDoc.data() }
+            : { default: DEFAULT_REST_PROFILE, exercises: {} };
+        loadedForUid = AppState.currentUser.uid;
+    } catch (error) {
+        console.error('❌ Error loading rest settings:', error);
+    }
+
+    return restSettings;
+}
+
+async function saveRestSettings() {
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'rest');
+        await setDoc(settingsRef, {
+            ...restSettings,
+            lastUpdated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving rest settings:', error);
+        return false;
+    }
+}
+
+/**
+ * Effective rest profile for an exercise
+ * @returns {Promise<Object>} { working, warmup, adaptToRPE, custom }
+ */
+export async function getRestProfile(exerciseName) {
+    await loadRestSettings();
+
+    const override = restSettings.exercises?.[exerciseName];
+    return {
+        ...DEFAULT_REST_PROFILE,
+        ...restSettings.default,
+        ...(override || {}),
+        custom: !!override && Object.keys(override).length > 0
+    };
+}
+
+/**
+ * Save rest settings for one exercise, or the user default when exerciseName
+ * is null (partial updates are merged)
+ */
+export async function setRestProfile(exerciseName, profile) {
+    if (!AppState.currentUser) return false;
+
+    await loadRestSettings();
+
+    if (exerciseName) {
+        restSettings.exercises = {
+            ...restSettings.exercises,
+            [exerciseName]: { ...(restSettings.exercises?.[exerciseName] || {}), ...profile }
+        };
+    } else {
+        restSettings.default = { ...DEFAULT_REST_PROFILE, ...restSettings.default, ...profile };
+    }
+
+    return saveRestSettings();
+}
+
+/**
+ * Drop an exercise's profile so it follows the user default again
+ */
+export async function clearRestProfile(exerciseName) {
+    if (!AppState.currentUser || !exerciseName) return false;
+
+    await loadRestSettings();
+
+    const { [exerciseName]: removed, ...rest } = restSettings.exercises || {};
+    restSettings.exercises = rest;
+    return saveRestSettings();
+}
+
+// ===================================================================
+// DURATIONS
+// ===================================================================
+
+/**
+ * Scale working rest by how hard the set was: near-failure sets get more,
+ * easy sets less. Warm-ups and sets without RPE are left alone.
+ */
+function getRPEMultiplier(rpe) {
+    if (rpe === null || rpe === undefined || rpe === '') return 1;
+    if (rpe >= 9.5) return 1.5;
+    if (rpe >= 9) return 1.25;
+    if (rpe <= 7) return 0.75;
+    return 1;
+}
+
+/**
+ * Rest (seconds) after a set
+ * @param {Object} profile - From getRestProfile
+ * @param {Object} set - The set just finished
+ */
+export function getRestDuration(profile, set) {
+    if (isWarmupSet(set)) return profile.warmup;
+
+    const seconds = profile.adaptToRPE
+        ? profile.working * getRPEMultiplier(set?.rpe)
+        : profile.working;
+
+    // Whole 15s steps read better on the timer
+    return Math.max(Math.round(seconds / 15) * 15, 15);
+}
+
+// ===================================================================
+// COMPLIANCE
+// ===================================================================
+
+/**
+ * Rest actually taken (seconds) between a rest starting and the next set,
+ * or null when the gap was too long to be rest
+ */
+export function measureRest(startedAt, endedAt = Date.now()) {
+    const seconds = Math.round((endedAt - startedAt) / 1000);
+    return seconds > 0 && seconds <= MAX_RECORDED_REST ? seconds : null;
+}
+
+/**
+ * Within 15s or 20% of the target, whichever is looser
+ */
+export function isRestOnTarget(taken, target) {
+    return Math.abs(taken - target) <= Math.max(15, target * 0.2);
+}
+
+/**
+ * Compliance over sets that recorded restTaken / restTarget
+ * @returns {Object} { sets, onTarget, short, long, avgTaken, avgTarget, percent }
+ */
+export function summarizeRest(sets) {
+    const rested = (sets || []).filter(set => set?.restTaken > 0 && set?.restTarget > 0);
+    if (rested.length === 0) {
+        return { sets: 0, onTarget: 0, short: 0, long: 0, avgTaken: 0, avgTarget: 0, percent: null };
+    }
+
+    let onTarget = 0;
+    let short = 0;
+    let long = 0;
+    for (const set of rested) {
+        if (isRestOnTarget(set.restTaken, set.restTarget)) onTarget++;
+        else if (set.restTaken < set.restTarget) short++;
+        else long++;
+    }
+
+    const average = key => Math.round(rested.reduce((sum, set) => sum + set[key], 0) / rested.length);
+    return {
+        sets: rested.length,
+        onTarget,
+        short,
+        long,
+        avgTaken: average('restTaken'),
+        avgTarget: average('restTarget'),
+        percent: Math.round(onTarget / rested.length * 100)
+    };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const RestProfiles = {
+    DEFAULT_REST_PROFILE,
+    getRestProfile,
+    setRestProfile,
+    clearRestProfile,
+    getRestDuration,
+    measureRest,
+    isRestOnTarget,
+    summarizeRest
+};
@@ -3,6 +3,10 @@
 
 import { AppState } from '../utils/app-state.js';
 import { db, collection, query, where, getDocs, orderBy, limit } from '../data/firebase-config.js';
+import { countsForVolume } from '../workout/set-types.js';
+import { getMeasurementType, isSetLogged } from '../workout/measurement-types.js';
+import { getEffectiveLoad } from '../workout/load-types.js';
+import { summarizeRest } from './rest-profiles.js';
 
 // ===================================================================
 // WORKOUT STREAK CALCULATION
@@ -188,10 +192,12 @@ export async function getLastWorkout() {
 
 /**
  * Get detailed stats for this week
- * @returns {Promise<{sets: number, exercises: number, minutes: number, workouts: Array}>}
+ * volume is total lbs moved by working sets, using effective load for bodyweight/assisted sets
+ * @param {string|null} weekStart - Sunday (YYYY-MM-DD) of a past week; defaults to this week
+ * @returns {Promise<{sets: number, exercises: number, minutes: number, volume: number, workouts: Array}>}
  */
-export async function getWeeklyStats() {
-    if (!AppState.currentUser) return { sets: 0, exercises: 0, minutes: 0, workouts: [], uniqueDays: 0 };
+export async function getWeeklyStats(weekStart = null) {
+    if (!AppState.currentUser) return { sets: 0, exercises: 0, minutes: 0, volume: 0, workouts: [], uniqueDays: 0, rest: summarizeRest([]) };
 
     try {
         const today = new Date();
@@ -200,14 +206,24 @@ export async function getWeeklyStats() {
         startOfWeek.setDate(today.getDate() - dayOfWeek);
         startOfWeek.setHours(0, 0, 0, 0);
 
-        const startOfWeekStr = startOfWeek.toISOString().split('T')[0]; // YYYY-MM-DD
+        const startOfWeekStr = weekStart || startOfWeek.toISOString().split('T')[0]; // YYYY-MM-DD
 
         const workoutsRef = collection(db, 'users', AppState.currentUser.uid, 'workouts');
         // Query by date field (when workout occurred), not completedAt (when it was saved)
         // This ensures edited historical workouts count on their actual date
+        const constraints = [where('date', '>=', startOfWeekStr)];
+
+        // A past week is bounded; the current week runs to today
+        if (weekStart) {
+            const endOfWeek = new Date(`${weekStart}T00:00:00`);
+            endOfWeek.setDate(endOfWeek.getDate() + 7);
+            const endStr = `${endOfWeek.getFullYear()}-${String(endOfWeek.getMonth() + 1).padStart(2, '0')}-${String(endOfWeek.getDate()).padStart(2, '0')}`;
+            constraints.push(where('date', '<', endStr));
+        }
+
         const q = query(
             workoutsRef,
-            where('date', '>=', startOfWeekStr),
+            ...constraints,
             orderBy('date', 'desc')
         );
 
@@ -217,6 +233,8 @@ export async function getWeeklyStats() {
         let totalSets = 0;
         let totalExercises = 0;
         let totalMinutes = 0;
+        let totalVolume = 0;
+        const allSets = [];
 
         snapshot.forEach(doc => {
             const data = doc.data();
@@ -230,13 +248,22 @@ export async function getWeeklyStats() {
             // Count completed sets for this workout (for stats, not for counting days)
             let workoutSets = 0;
             let workoutExercises = 0;
+            let workoutVolume = 0;
 
             if (data.exercises) {
                 workoutExercises = Object.keys(data.exercises).length;
 
                 Object.values(data.exercises).forEach(exercise => {
                     if (exercise.sets && Array.isArray(exercise.sets)) {
-                        workoutSets += exercise.sets.filter(s => s.reps && s.weight).length;
+                        allSets.push(...exercise.sets);
+
+                        // Warm-ups don't count toward weekly set totals
+                        const measurementType = getMeasurementType(exercise);
+                        const countedSets = exercise.sets.filter(s => isSetLogged(s, measurementType) && countsForVolume(s));
+                        workoutSets += countedSets.length;
+
+                        // Volume uses the load actually moved (body weight ± adjustment for bodyweight/assisted sets)
+                        workoutVolume += countedSets.reduce((sum, s) => sum + (s.reps || 0) * getEffectiveLoad(s), 0);
                     }
                 });
             }
@@ -254,6 +281,7 @@ export async function getWeeklyStats() {
 
             totalSets += workoutSets;
             totalExercises += workoutExercises;
+            totalVolume += workoutVolume;
 
             // Calculate duration
             if (data.totalDuration) {
@@ -265,12 +293,14 @@ export async function getWeeklyStats() {
             sets: totalSets,
             exercises: totalExercises,
             minutes: totalMinutes,
+            volume: Math.round(totalVolume),
             workouts,
-            uniqueDays: workoutDays.size // Count of unique days with workouts
+            uniqueDays: workoutDays.size, // Count of unique days with workouts
+            rest: summarizeRest(allSets) // Rest compliance across every set with recorded rest
         };
     } catch (error) {
         console.error('❌ Error getting weekly stats:', error);
-        return { sets: 0, exercises: 0, minutes: 0, workouts: [], uniqueDays: 0 };
+        return { sets: 0, exercises: 0, minutes: 0, volume: 0, workouts: [], uniqueDays: 0, rest: summarizeRest([]) };
     }
 }
 
@@ -0,0 +1,231 @@
+// Warm-up Generator Module - core/features/warmup-generator.js
+// Builds warm-up ramps (bar×10, 40%×5, 60%×3, 80%×1...) up to the working
+// weight of barbell and heavy machine exercises
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, getDoc } from '../data/firebase-config.js';
+import { roundWeightToLoadable } from './plate-calculator.js';
+
+/**
+ * Ramp steps, lightest first:
+ * - { bar: true, reps: 10 }     the empty bar (skipped without a bar)
+ * - { percent: 40, reps: 5 }    share of the working weight
+ */
+export const DEFAULT_RAMP = [
+    { bar: true, reps: 10 },
+    { percent: 40, reps: 5 },
+    { percent: 60, reps: 3 },
+    { percent: 80, reps: 1 }
+];
+
+// Machines this heavy (lbs) get a ramp even without plates
+const HEAVY_MACHINE_LBS = 135;
+
+const KG_PER_LB = 0.453592;
+
+// ===================================================================
+// SETTINGS STATE
+// ===================================================================
+
+/**
+ * Settings structure (users/{uid}/settings/warmups):
+ * {
+ *   enabled: true,
+ *   ramp: [ <step> ],                       // user default
+ *   exercises: {
+ *     "Barbell Deadlift": { ramp: [ <step> ] },
+ *     "Leg Press": { enabled: false }
+ *   }
+ * }
+ */
+let warmupSettings = { enabled: true, ramp: DEFAULT_RAMP, exercises: {} };
+let loadedForUid = null;
+
+async function loadWarmupSettings() {
+    if (!AppState.currentUser) return warmupSettings;
+    if (loadedForUid === AppState.currentUser.uid) return warmupSettings;
+
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'warmups');
+        const settingsDoc = await getDoc(settingsRef);
+        warmupSettings = settingsDoc.exists()
+            ? { enabled: true, ramp: DEFAULT_RAMP, exercises: {}, ...settingsDoc.data() }
+            : { enabled: true, ramp: DEFAULT_RAMP, exercises: {} };
+        loadedForUid = AppState.currentUser.uid;
+    } catch (error) {
+        console.error('❌ Error loading warm-up settings:', error);
+    }
+
+    return warmupSettings;
+}
+
+async function saveWarmupSettings() {
+    try {
+        const settingsRef = doc(db, 'users', AppState.currentUser.uid, 'settings', 'warmups');
+        await setDoc(settingsRef, {
+            ...warmupSettings,
+            lastUpdated: new Date().toISOString()
+        });
+        return true;
+    } catch (error) {
+        console.error('❌ Error saving warm-up settings:', error);
+        return false;
+    }
+}
+
+/**
+ * Effective warm-up settings for an exercise
+ * @returns {Promise<Object>} { enabled, ramp, customRamp }
+ */
+export async function getWarmupConfig(exerciseName) {
+    await loadWarmupSettings();
+
+    const override = warmupSettings.exercises?.[exerciseName] || {};
+    return {
+        enabled: override.enabled ?? warmupSettings.enabled,
+        ramp: override.ramp || warmupSettings.ramp || DEFAULT_RAMP,
+        customRamp: !!override.ramp
+    };
+}
+
+/**
+ * Save warm-up settings for one exercise, or the user default when
+ * exerciseName is null (partial updates are merged)
+ */
+export async function setWarmupConfig(exerciseName, config) {
+    if (!AppState.currentUser) return false;
+
+    await loadWarmupSettings();
+
+    if (exerciseName) {
+        warmupSettings.exercises = {
+            ...warmupSettings.exercises,
+            [exerciseName]: { ...(warmupSettings.exercises?.[exerciseName] || {}), ...config }
+        };
+    } else {
+        warmupSettings = { ...warmupSettings, ...config };
+    }
+
+    return saveWarmupSettings();
+}
+
+/**
+ * Drop an exercise's custom ramp so it follows the user default again
+ */
+export async function clearWarmupRamp(exerciseName) {
+    if (!AppState.currentUser || !exerciseName) return false;
+
+    await loadWarmupSettings();
+
+    const { ramp, ...rest } = warmupSettings.exercises?.[exerciseName] || {};
+    warmupSettings.exercises = { ...warmupSettings.exercises, [exerciseName]: rest };
+    return saveWarmupSettings();
+}
+
+// ===================================================================
+// RAMP TEXT
+// ===================================================================
+
+/**
+ * "bar×10 · 40%×5 · 60%×3"
+ */
+export function formatRamp(ramp) {
+    return ramp.map(step => `${step.bar ? 'bar' : `${step.percent}%`}×${step.reps}`).join(' · ');
+}
+
+/**
+ * Parse a typed ramp such as "bar x10, 40% x5, 60x3"
+ * @returns {Array|null} Steps, or null if any part can't be read
+ */
+export function parseRamp(text) {
+    const parts = String(text || '').split(/[,·;]/).map(part => part.trim()).filter(Boolean);
+    if (parts.length === 0) return null;
+
+    const steps = [];
+    for (const part of parts) {
+        const match = part.match(/^(bar|\d+(?:\.\d+)?)\s*%?\s*[x×*]\s*(\d+)$/i);
+        if (!match) return null;
+
+        const reps = parseInt(match[2]);
+        if (match[1].toLowerCase() === 'bar') {
+            steps.push({ bar: true, reps });
+        } else {
+            const percent = parseFloat(match[1]);
+            if (percent <= 0 || percent >= 100) return null;
+            steps.push({ percent, reps });
+        }
+    }
+
+    return steps;
+}
+
+// ===================================================================
+// GENERATION
+// ===================================================================
+
+/**
+ * Should this exercise get warm-ups? Barbells and plate-loaded equipment
+ * always do; other machines only once the working weight is heavy.
+ * @param {Object|null} setup - Loading setup from the plate calculator
+ */
+export function needsWarmup(exercise, workingWeight, setup) {
+    if (!exercise || !(workingWeight > 0)) return false;
+    if (setup) return true;
+
+    const equipmentType = exercise.equipmentType ||
+        AppState.exerciseDatabase?.find(ex => ex.name === (exercise.machine || exercise.name))?.equipmentType;
+    return equipmentType === 'Machine' && workingWeight >= HEAVY_MACHINE_LBS;
+}
+
+/**
+ * Warm-up sets for a working weight, lightest first
+ * @param {number} workingWeight - In lbs
+ * @param {Array} ramp - Ramp steps
+ * @param {Object|null} setup - Loading setup; loads are rounded to what it can make
+ * @returns {Array} [{ reps, weight }] with weights in lbs
+ */
+export function buildWarmupSets(workingWeight, ramp, setup = null) {
+    if (!(workingWeight > 0)) return [];
+
+    // Kept to a decimal so kg loads still read back exactly (27.5 kg, not 27.7)
+    const barWeight = setup
+        ? (setup.unit === 'kg' ? Math.round(setup.barWeight / KG_PER_LB * 10) / 10 : setup.barWeight)
+        : 0;
+    const roundLoad = weight => setup
+        ? roundWeightToLoadable(weight, 'lbs', setup)
+        : Math.round(weight / 5) * 5;
+
+    const sets = [];
+    for (const step of ramp) {
+        let weight;
+        if (step.bar) {
+            if (!barWeight) continue;
+            weight = barWeight;
+        } else {
+            weight = Math.max(Math.round(roundLoad(workingWeight * step.percent / 100) * 10) / 10, barWeight);
+        }
+
+        // Never warm up at or above the working weight, or repeat a load
+        if (weight <= 0 || weight >= workingWeight) continue;
+        if (sets.some(set => set.weight === weight)) continue;
+
+        sets.push({ reps: step.reps, weight });
+    }
+
+    return sets;
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const WarmupGenerator = {
+    DEFAULT_RAMP,
+    getWarmupConfig,
+    setWarmupConfig,
+    clearWarmupRamp,
+    formatRamp,
+    parseRamp,
+    needsWarmup,
+    buildWarmupSets
+};
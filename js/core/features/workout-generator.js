@@ -0,0 +1,263 @@
+// Workout Generator Module - core/features/workout-generator.js
+// "What can I do here?" - builds a session from the equipment saved at a gym,
+// fitted to a time budget and balanced against the last 7 days of training
+
+import { AppState } from '../utils/app-state.js';
+import { getBodyPartDistribution } from './exercise-progress.js';
+import { getMeasurementType } from '../workout/measurement-types.js';
+import { getLoadType } from '../workout/load-types.js';
+
+// Same pace the template preview estimates with (work + rest per set)
+const MINUTES_PER_SET = 2.5;
+
+const DEFAULT_SETS = 3;
+const RECENT_DAYS = 7;
+
+// Body parts picked when none are chosen
+const AUTO_BODY_PARTS = 3;
+const SKIP_AUTO = ['Cardio', 'Other'];
+
+// How strongly last week's volume pushes a body part down the queue:
+// at 1, the most-trained part gets one exercise fewer than an untrained one
+const BALANCE_WEIGHT = 1;
+
+const CATEGORY_BY_BODY_PART = {
+    Chest: 'Push', Shoulders: 'Push', Arms: 'Push',
+    Back: 'Pull', 'Lower Back': 'Pull',
+    Legs: 'Legs', Glutes: 'Legs',
+    Core: 'Cardio', Cardio: 'Cardio'
+};
+
+// ===================================================================
+// WHAT'S HERE
+// ===================================================================
+
+function findLibraryExercise(name) {
+    const lower = name?.toLowerCase();
+    return AppState.exerciseDatabase?.find(ex => (ex.name || ex.machine)?.toLowerCase() === lower) || null;
+}
+
+/**
+ * Exercises that can be done at a location: everything done on its saved
+ * equipment, plus bodyweight exercises
+ * @returns {Promise<Array>} [{ exercise, equipment }] - equipment is null for bodyweight
+ */
+export async function getLocationExercises(location) {
+    if (!location || !AppState.currentUser) return [];
+
+    const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const allEquipment = await workoutManager.getUserEquipment();
+
+    const available = new Map();
+    for (const equipment of allEquipment) {
+        if (equipment.location !== location && !equipment.locations?.includes(location)) continue;
+
+        for (const exerciseName of equipment.exerciseTypes || []) {
+            const exercise = findLibraryExercise(exerciseName);
+            if (exercise?.bodyPart && !available.has(exercise.name)) {
+                available.set(exercise.name, { exercise, equipment: equipment.name });
+            }
+        }
+    }
+
+    // Nothing saved here yet means we know nothing about the gym - don't guess
+    if (available.size === 0) return [];
+
+    for (const exercise of AppState.exerciseDatabase || []) {
+        if (exercise.equipmentType === 'Bodyweight' && exercise.bodyPart && !available.has(exercise.name)) {
+            available.set(exercise.name, { exercise, equipment: null });
+        }
+    }
+
+    return [...available.values()];
+}
+
+/**
+ * Body parts with at least one exercise available
+ */
+export function getAvailableBodyParts(locationExercises) {
+    return [...new Set(locationExercises.map(item => item.exercise.bodyPart))].sort();
+}
+
+// ===================================================================
+// BALANCE
+// ===================================================================
+
+function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+/**
+ * Share of last week's volume per body part, scaled so the most-trained is 1
+ * @returns {Promise<Object>} { "Legs": 1, "Back": 0.4 }
+ */
+async function getRecentLoad() {
+    const start = new Date();
+    start.setDate(start.getDate() - (RECENT_DAYS - 1));
+
+    try {
+        const distribution = await getBodyPartDistribution(toDateString(start));
+        const max = Math.max(...distribution.data, 0);
+        const load = {};
+        distribution.labels.forEach((bodyPart, i) => {
+            load[bodyPart] = max > 0 ? distribution.data[i] / max : 0;
+        });
+        return load;
+    } catch (error) {
+        console.error('❌ Error loading recent body part volume:', error);
+        return {};
+    }
+}
+
+// ===================================================================
+// GENERATION
+// ===================================================================
+
+function shuffled(items) {
+    const copy = [...items];
+    for (let i = copy.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [copy[i], copy[j]] = [copy[j], copy[i]];
+    }
+    return copy;
+}
+
+/**
+ * Compounds before isolation; within each, exercises on saved equipment first
+ */
+function orderCandidates(items, shuffle) {
+    const rank = item => (item.exercise.tags?.includes('compound') ? 0 : 2) + (item.equipment ? 0 : 1);
+    return (shuffle ? shuffled(items) : items).sort((a, b) => rank(a) - rank(b));
+}
+
+function toPlanExercise({ exercise, equipment }, location) {
+    return {
+        name: exercise.name,
+        machine: exercise.name,
+        bodyPart: exercise.bodyPart,
+        equipmentType: exercise.equipmentType || null,
+        tags: exercise.tags || [],
+        sets: exercise.sets || DEFAULT_SETS,
+        reps: exercise.reps || 10,
+        weight: exercise.weight || 0,
+        video: exercise.video || '',
+        equipment,
+        equipmentLocation: equipment ? location : null,
+        measurementType: getMeasurementType(exercise),
+        loadType: getLoadType(exercise)
+    };
+}
+
+/**
+ * Build a session for a location
+ * @param {Object} options
+ * @param {string} options.location - Saved location name
+ * @param {number} options.minutes - Time budget
+ * @param {Array} options.bodyParts - Body parts to train; empty = least trained this week
+ * @param {boolean} options.shuffle - Vary the picks (for "try another")
+ * @returns {Promise<Object>} { workout, bodyParts, recentLoad, reason } - workout is null with a reason when nothing fits
+ */
+export async function generateWorkout({ location, minutes = 45, bodyParts = [], shuffle = false } = {}) {
+    const locationExercises = await getLocationExercises(location);
+    if (locationExercises.length === 0) {
+        return { workout: null, reason: `No equipment saved at ${location || 'this location'} yet` };
+    }
+
+    const recentLoad = await getRecentLoad();
+    const available = getAvailableBodyParts(locationExercises);
+
+    let targets = bodyParts.filter(bodyPart => available.includes(bodyPart));
+    if (bodyParts.length === 0) {
+        targets = available
+            .filter(bodyPart => !SKIP_AUTO.includes(bodyPart))
+            .sort((a, b) => (recentLoad[a] || 0) - (recentLoad[b] || 0))
+            .slice(0, AUTO_BODY_PARTS);
+    }
+    if (targets.length === 0) {
+        return { workout: null, reason: 'None of those body parts can be trained with the equipment here' };
+    }
+
+    const candidates = {};
+    for (const bodyPart of targets) {
+        candidates[bodyPart] = orderCandidates(
+            locationExercises.filter(item => item.exercise.bodyPart === bodyPart),
+            shuffle
+        );
+    }
+
+    // Hand out exercises one at a time to whichever target is furthest behind,
+    // counting last week's volume against it
+    const assigned = Object.fromEntries(targets.map(bodyPart => [bodyPart, 0]));
+    const picked = [];
+    let setsLeft = Math.floor(minutes / MINUTES_PER_SET);
+
+    while (setsLeft > 0) {
+        const open = targets.filter(bodyPart => candidates[bodyPart].length > 0);
+        if (open.length === 0) break;
+
+        const need = bodyPart => assigned[bodyPart] + (recentLoad[bodyPart] || 0) * BALANCE_WEIGHT;
+        const bodyPart = open.sort((a, b) => need(a) - need(b))[0];
+        const next = candidates[bodyPart].shift();
+        const sets = Math.min(next.exercise.sets || DEFAULT_SETS, setsLeft);
+        if (sets < 2) break;
+
+        picked.push({ ...toPlanExercise(next, location), sets });
+        assigned[bodyPart]++;
+        setsLeft -= sets;
+    }
+
+    if (picked.length === 0) {
+        return { workout: null, reason: 'Not enough time for a full exercise' };
+    }
+
+    // Big lifts first while fresh
+    picked.sort((a, b) => (b.tags.includes('compound') ? 1 : 0) - (a.tags.includes('compound') ? 1 : 0));
+
+    const categories = [...new Set(targets.map(bodyPart => CATEGORY_BY_BODY_PART[bodyPart] || 'Other'))];
+    const name = `${location} · ${targets.join(' + ')}`;
+    return {
+        workout: {
+            name,
+            day: name,
+            category: categories.length === 1 ? categories[0] : 'Other',
+            exercises: picked,
+            estimatedMinutes: Math.round(picked.reduce((sum, ex) => sum + ex.sets, 0) * MINUTES_PER_SET),
+            generated: { location, minutes, bodyParts: targets, createdAt: new Date().toISOString() }
+        },
+        bodyParts: targets,
+        recentLoad,
+        reason: null
+    };
+}
+
+/**
+ * Save a generated session as a custom template
+ * @returns {Promise<string|null>} Template id
+ */
+export async function saveGeneratedTemplate(workout, name = workout?.name) {
+    if (!AppState.currentUser || !workout || !name) return null;
+
+    try {
+        const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+        const workoutManager = new FirebaseWorkoutManager(AppState);
+        const { estimatedMinutes, ...template } = workout;
+        const templateId = await workoutManager.saveWorkoutTemplate({ ...template, name, day: name });
+        AppState.workoutPlans = await workoutManager.getUserWorkoutTemplates();
+        return templateId;
+    } catch (error) {
+        console.error('❌ Error saving generated template:', error);
+        return null;
+    }
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const WorkoutGenerator = {
+    getLocationExercises,
+    getAvailableBodyParts,
+    generateWorkout,
+    saveGeneratedTemplate
+};
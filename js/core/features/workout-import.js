@@ -0,0 +1,614 @@
+// Workout Import Module - core/features/workout-import.js
+// Parses Strong, Hevy and FitNotes CSV exports into v3.0 workout documents
+
+import { AppState } from '../utils/app-state.js';
+import { db, doc, setDoc, collection, getDocs } from '../data/firebase-config.js';
+import { generateWorkoutId, normalizeSetUnits } from '../data/data-manager.js';
+import { collectExerciseSources, findExerciseMatch, getEquipmentHint, stripEquipmentHint } from '../data/exercise-matching.js';
+import { parseCsvRecords } from '../utils/csv.js';
+import { SET_TYPES, DEFAULT_SET_TYPE } from '../workout/set-types.js';
+import { GROUP_LABELS } from '../workout/exercise-groups.js';
+import { getMeasurementType } from '../workout/measurement-types.js';
+import { getLoadType, isBodyweightLoad, normalizeLoadWeight } from '../workout/load-types.js';
+import { getBodyWeightOn } from './body-weight.js';
+
+export const IMPORT_SOURCES = {
+    strong: { label: 'Strong' },
+    hevy: { label: 'Hevy' },
+    fitnotes: { label: 'FitNotes' }
+};
+
+// Equipment notes that describe the load rather than a piece of equipment
+const LOAD_HINTS = {
+    assisted: 'assisted',
+    bodyweight: 'bodyweight',
+    weighted: 'bodyweight'
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// ===================================================================
+// FIELD PARSING
+// ===================================================================
+
+function parseNumber(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(String(value).replace(/,/g, ''));
+    return isNaN(number) ? null : number;
+}
+
+/**
+ * Parse the date/time formats these apps write:
+ * "2024-01-15 07:30:00", "2024-01-15", "15 Jan 2024, 07:30"
+ * @returns {Object|null} { date: "YYYY-MM-DD", time: Date } in local time
+ */
+function parseDateTime(value) {
+    const str = (value || '').trim();
+    if (!str) return null;
+
+    let parts = str.match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+    if (parts) {
+        const [, y, m, d, h = 0, min = 0, s = 0] = parts;
+        return toDateTime(+y, +m - 1, +d, +h, +min, +s);
+    }
+
+    parts = str.match(/^(\d{1,2}) ([A-Za-z]{3})[a-z]* (\d{4}),? ?(\d{1,2})?:?(\d{2})?/);
+    if (parts) {
+        const month = MONTHS.indexOf(parts[2].toLowerCase());
+        if (month !== -1) {
+            return toDateTime(+parts[3], month, +parts[1], +(parts[4] || 0), +(parts[5] || 0), 0);
+        }
+    }
+
+    const date = new Date(str);
+    return isNaN(date) ? null : toDateTime(date.getFullYear(), date.getMonth(), date.getDate(), date.getHours(), date.getMinutes(), 0);
+}
+
+function toDateTime(year, month, day, hours, minutes, seconds) {
+    const time = new Date(year, month, day, hours, minutes, seconds);
+    const date = `${year}-${String(month + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+    return { date, time };
+}
+
+/**
+ * Durations: "1h 5m", "45m", "30s", "1:05:00", or plain seconds
+ */
+function parseDurationText(value) {
+    const str = (value || '').trim();
+    if (!str) return null;
+
+    if (str.includes(':')) {
+        const seconds = str.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+        return isNaN(seconds) ? null : seconds;
+    }
+
+    const units = { h: 3600, m: 60, s: 1 };
+    let total = 0;
+    let matched = false;
+    for (const [, amount, unit] of str.matchAll(/(\d+(?:\.\d+)?)\s*([hms])/gi)) {
+        total += parseFloat(amount) * units[unit.toLowerCase()];
+        matched = true;
+    }
+    if (matched) return Math.round(total);
+
+    return parseNumber(str);
+}
+
+function toMiles(distance, unit) {
+    if (distance === null || distance <= 0) return null;
+    switch ((unit || '').toLowerCase()) {
+        case 'km': return distance / 1.60934;
+        case 'm': return distance / 1609.34;
+        case 'ft': return distance / 5280;
+        case 'yd': return distance / 1760;
+        default: return distance;
+    }
+}
+
+function findHeader(headers, pattern) {
+    return headers.find(header => pattern.test(header.toLowerCase())) || null;
+}
+
+// ===================================================================
+// SOURCE PARSERS
+// ===================================================================
+
+/**
+ * Work out which app produced the file from its header row
+ */
+export function detectImportSource(headers) {
+    const lower = headers.map(h => h.toLowerCase());
+    if (lower.includes('exercise_title') && lower.includes('start_time')) return 'hevy';
+    if (lower.includes('exercise name') && lower.includes('set order')) return 'strong';
+    if (lower.includes('exercise') && lower.includes('category')) return 'fitnotes';
+    return null;
+}
+
+/**
+ * Group parsed rows into workouts/exercises in file order
+ */
+function groupRows(rows) {
+    const workouts = new Map();
+
+    for (const row of rows) {
+        if (!workouts.has(row.workoutKey)) {
+            workouts.set(row.workoutKey, { ...row.workout, exercises: new Map() });
+        }
+        const workout = workouts.get(row.workoutKey);
+
+        const exerciseKey = `${row.exercise.sourceName}|${row.exercise.group || ''}`;
+        if (!workout.exercises.has(exerciseKey)) {
+            workout.exercises.set(exerciseKey, { ...row.exercise, sets: [] });
+        }
+        workout.exercises.get(exerciseKey).sets.push(row.set);
+    }
+
+    return [...workouts.values()].map(workout => ({
+        ...workout,
+        exercises: [...workout.exercises.values()]
+    }));
+}
+
+/**
+ * Strong: one row per set.
+ * Date, Workout Name, Duration, Exercise Name, Set Order, Weight, Reps, Distance, Seconds, Notes, Workout Notes, RPE
+ * Older exports add Weight Unit / Distance Unit; newer ones use the app's unit setting.
+ */
+function parseStrong(headers, records, defaultUnit) {
+    const setTypes = { w: 'warmup', d: 'drop', f: 'failure' };
+    const rows = [];
+
+    for (const record of records) {
+        const when = parseDateTime(record['Date']);
+        const setOrder = (record['Set Order'] || '').trim().toLowerCase();
+        if (!when || !record['Exercise Name']) continue;
+        if (!/^\d+$/.test(setOrder) && !setTypes[setOrder]) continue;  // Rest timer rows
+
+        const name = record['Workout Name'] || 'Imported Workout';
+        const duration = parseDurationText(record['Duration']);
+        rows.push({
+            workoutKey: `${record['Date']}|${name}`,
+            workout: {
+                name,
+                date: when.date,
+                startedAt: when.time,
+                duration,
+                notes: record['Workout Notes'] || '',
+                sourceKey: `strong|${record['Date']}|${name}`
+            },
+            exercise: { sourceName: record['Exercise Name'], notes: record['Notes'] || '' },
+            set: {
+                reps: parseNumber(record['Reps']),
+                weight: parseNumber(record['Weight']),
+                unit: (record['Weight Unit'] || defaultUnit).toLowerCase().startsWith('kg') ? 'kg' : 'lbs',
+                duration: parseNumber(record['Seconds']),
+                distance: toMiles(parseNumber(record['Distance']), record['Distance Unit'] || (defaultUnit === 'kg' ? 'km' : 'mi')),
+                rpe: parseNumber(record['RPE']),
+                setType: setTypes[setOrder] || DEFAULT_SET_TYPE
+            }
+        });
+    }
+
+    return groupRows(rows);
+}
+
+/**
+ * Hevy: one row per set.
+ * title, start_time, end_time, description, exercise_title, superset_id, exercise_notes,
+ * set_index, set_type, weight_lbs|weight_kg, reps, distance_miles|distance_km, duration_seconds, rpe
+ */
+function parseHevy(headers, records) {
+    const setTypes = { warmup: 'warmup', dropset: 'drop', failure: 'failure', normal: 'working' };
+    const weightHeader = findHeader(headers, /^weight_(lbs|kg)$/);
+    const weightUnit = weightHeader?.endsWith('kg') ? 'kg' : 'lbs';
+    const distanceHeader = findHeader(headers, /^distance_(miles|km)$/);
+    const distanceUnit = distanceHeader?.endsWith('km') ? 'km' : 'mi';
+    const rows = [];
+
+    for (const record of records) {
+        const when = parseDateTime(record['start_time']);
+        if (!when || !record['exercise_title']) continue;
+
+        const end = parseDateTime(record['end_time']);
+        const name = record['title'] || 'Imported Workout';
+        rows.push({
+            workoutKey: `${record['start_time']}|${name}`,
+            workout: {
+                name,
+                date: when.date,
+                startedAt: when.time,
+                duration: end ? Math.max(0, Math.round((end.time - when.time) / 1000)) : null,
+                notes: record['description'] || '',
+                sourceKey: `hevy|${record['start_time']}|${name}`
+            },
+            exercise: {
+                sourceName: record['exercise_title'],
+                notes: record['exercise_notes'] || '',
+                supersetId: record['superset_id'] || null
+            },
+            set: {
+                reps: parseNumber(record['reps']),
+                weight: weightHeader ? parseNumber(record[weightHeader]) : null,
+                unit: weightUnit,
+                duration: parseNumber(record['duration_seconds']),
+                distance: distanceHeader ? toMiles(parseNumber(record[distanceHeader]), distanceUnit) : null,
+                rpe: parseNumber(record['rpe']),
+                setType: setTypes[record['set_type']] || DEFAULT_SET_TYPE
+            }
+        });
+    }
+
+    const workouts = groupRows(rows);
+
+    // Hevy superset ids become group letters per workout
+    for (const workout of workouts) {
+        const ids = [...new Set(workout.exercises.map(ex => ex.supersetId).filter(Boolean))];
+        workout.exercises.forEach(ex => {
+            const index = ids.indexOf(ex.supersetId);
+            ex.group = index !== -1 && index < GROUP_LABELS.length ? GROUP_LABELS[index] : null;
+            delete ex.supersetId;
+        });
+    }
+
+    return workouts;
+}
+
+/**
+ * FitNotes: one row per set, one workout per day.
+ * Date, Exercise, Category, Weight (kgs)|Weight (lbs), Reps, Distance, Distance Unit, Time, Comment
+ */
+function parseFitNotes(headers, records) {
+    const weightHeader = findHeader(headers, /^weight/);
+    const weightUnit = weightHeader && /kg/.test(weightHeader.toLowerCase()) ? 'kg' : 'lbs';
+    const rows = [];
+
+    for (const record of records) {
+        const when = parseDateTime(record['Date']);
+        if (!when || !record['Exercise']) continue;
+
+        rows.push({
+            workoutKey: when.date,
+            workout: {
+                name: 'FitNotes Workout',
+                date: when.date,
+                startedAt: when.time,
+                duration: null,
+                notes: '',
+                sourceKey: `fitnotes|${when.date}`
+            },
+            exercise: {
+                sourceName: record['Exercise'],
+                notes: record['Comment'] || '',
+                category: record['Category'] || null
+            },
+            set: {
+                reps: parseNumber(record['Reps']),
+                weight: weightHeader ? parseNumber(record[weightHeader]) : null,
+                unit: weightUnit,
+                duration: parseDurationText(record['Time']),
+                distance: toMiles(parseNumber(record['Distance']), record['Distance Unit']),
+                rpe: null,
+                setType: DEFAULT_SET_TYPE
+            }
+        });
+    }
+
+    // Name each day after its categories, e.g. "Chest / Triceps"
+    return groupRows(rows).map(workout => {
+        const categories = [...new Set(workout.exercises.map(ex => ex.category).filter(Boolean))];
+        return categories.length > 0 ? { ...workout, name: categories.join(' / ') } : workout;
+    });
+}
+
+/**
+ * Parse an export file
+ * @param {string} source - 'strong' | 'hevy' | 'fitnotes', or null to detect
+ * @param {string} defaultUnit - Weight unit for Strong files that don't record one
+ * @returns {Object} { source, workouts }
+ */
+export function parseImportFile(text, source = null, defaultUnit = 'lbs') {
+    const { headers, records } = parseCsvRecords(text);
+    const detected = source || detectImportSource(headers);
+
+    switch (detected) {
+        case 'strong':
+            return { source: detected, workouts: parseStrong(headers, records, defaultUnit) };
+        case 'hevy':
+            return { source: detected, workouts: parseHevy(headers, records) };
+        case 'fitnotes':
+            return { source: detected, workouts: parseFitNotes(headers, records) };
+        default:
+            return { source: null, workouts: [] };
+    }
+}
+
+// ===================================================================
+// PREVIEW (exercise mapping + conflicts)
+// ===================================================================
+
+/**
+ * Guess how an unmatched exercise was measured from its sets
+ */
+function inferMeasurementType(sets) {
+    const has = (field) => sets.some(set => set[field] > 0);
+    if (has('weight')) return 'weight';
+    if (has('duration') && has('distance')) return 'time_distance';
+    if (has('distance')) return 'distance';
+    if (has('duration')) return 'time';
+    return 'reps';
+}
+
+/**
+ * Suggest a library exercise for every distinct imported name
+ * @returns {Object} { [sourceName]: { name, matched, score, equipment, bodyPart, measurementType, inferredType, loadType, setCount } }
+ */
+function buildExerciseMap(workouts, library) {
+    const exerciseMap = {};
+
+    for (const workout of workouts) {
+        for (const exercise of workout.exercises) {
+            const sourceName = exercise.sourceName;
+            if (!exerciseMap[sourceName]) {
+                const hint = getEquipmentHint(sourceName);
+                const loadHint = LOAD_HINTS[(hint || '').toLowerCase()];
+                const match = findExerciseMatch(sourceName, library);
+
+                exerciseMap[sourceName] = {
+                    name: match ? match.exercise.name : stripEquipmentHint(sourceName),
+                    matched: !!match,
+                    score: match?.score || 0,
+                    equipment: loadHint ? null : hint,
+                    bodyPart: match?.exercise.data.bodyPart || exercise.category || null,
+                    measurementType: match ? getMeasurementType(match.exercise.data) : null,
+                    loadType: loadHint || (match ? getLoadType(match.exercise.data) : 'external'),
+                    sets: []
+                };
+            }
+            exerciseMap[sourceName].sets.push(...exercise.sets);
+        }
+    }
+
+    for (const mapping of Object.values(exerciseMap)) {
+        mapping.inferredType = inferMeasurementType(mapping.sets);
+        mapping.measurementType = mapping.measurementType || mapping.inferredType;
+        mapping.setCount = mapping.sets.length;
+        delete mapping.sets;
+    }
+
+    return exerciseMap;
+}
+
+/**
+ * Parse a file and work out what importing it would do, without writing anything.
+ * Conflicts: `duplicate` (this exact workout was imported before - skipped by default)
+ * and `sameDay` (another workout already exists that day - imported by default).
+ * @returns {Promise<Object>} { source, workouts, exerciseMap, library, conflicts, summary }
+ *   library is the collectExerciseSources() list, used to remap exercises
+ */
+export async function previewImport(text, options = {}) {
+    const { source, workouts } = parseImportFile(text, options.source, options.unit);
+    if (!source || workouts.length === 0) {
+        return { source, workouts: [], exerciseMap: {}, library: [], conflicts: {}, summary: null };
+    }
+
+    const library = await collectExerciseSources();
+    const exerciseMap = buildExerciseMap(workouts, library);
+
+    const snapshot = await getDocs(collection(db, 'users', AppState.currentUser.uid, 'workouts'));
+    const existing = snapshot.docs.map(entry => ({ id: entry.id, ...entry.data() }));
+    const importedKeys = new Set(existing.map(w => w.importSourceKey).filter(Boolean));
+
+    const conflicts = {};
+    for (const workout of workouts) {
+        if (importedKeys.has(workout.sourceKey)) {
+            conflicts[workout.sourceKey] = { type: 'duplicate', skip: true };
+            continue;
+        }
+        const sameDay = existing.filter(w => (w.date || w.id) === workout.date && !w.cancelledAt);
+        if (sameDay.length > 0) {
+            conflicts[workout.sourceKey] = {
+                type: 'sameDay',
+                skip: false,
+                existing: sameDay.map(w => w.workoutType || 'Workout')
+            };
+        }
+    }
+
+    const dates = workouts.map(w => w.date).sort();
+    return {
+        source,
+        workouts,
+        exerciseMap,
+        library,
+        conflicts,
+        summary: {
+            workouts: workouts.length,
+            sets: workouts.reduce((sum, w) => sum + w.exercises.reduce((s, ex) => s + ex.sets.length, 0), 0),
+            exercises: Object.keys(exerciseMap).length,
+            from: dates[0],
+            to: dates[dates.length - 1]
+        }
+    };
+}
+
+/**
+ * Point an imported exercise name at a different library exercise, or keep it
+ * as its own exercise when libraryName is empty
+ */
+export function remapImportExercise(preview, sourceName, libraryName) {
+    const mapping = preview.exerciseMap[sourceName];
+    if (!mapping) return;
+
+    const match = libraryName
+        ? preview.library.find(ex => ex.name === libraryName)
+        : null;
+
+    if (match) {
+        mapping.name = match.name;
+        mapping.matched = true;
+        mapping.score = 1;
+        mapping.bodyPart = match.data.bodyPart || mapping.bodyPart;
+        mapping.measurementType = getMeasurementType(match.data);
+        if (!LOAD_HINTS[(getEquipmentHint(sourceName) || '').toLowerCase()]) {
+            mapping.loadType = getLoadType(match.data);
+        }
+    } else {
+        mapping.name = stripEquipmentHint(sourceName);
+        mapping.matched = false;
+        mapping.score = 0;
+        mapping.measurementType = mapping.inferredType;
+    }
+}
+
+// ===================================================================
+// WRITE
+// ===================================================================
+
+async function toStoredSet(set, mapping, date) {
+    const stored = { setType: SET_TYPES[set.setType] ? set.setType : DEFAULT_SET_TYPE };
+    if (set.reps > 0) stored.reps = set.reps;
+    if (set.rpe) stored.rpe = set.rpe;
+
+    if (mapping.measurementType === 'weight' || mapping.measurementType === 'reps') {
+        const weight = isBodyweightLoad(mapping.loadType)
+            ? normalizeLoadWeight(set.weight ?? 0, mapping.loadType)
+            : normalizeLoadWeight(set.weight, 'external');
+        if (weight !== null) {
+            stored.weight = set.unit === 'kg' ? Math.round(weight * 2.20462) : weight;
+            stored.originalWeights = {
+                lbs: stored.weight,
+                kg: set.unit === 'kg' ? weight : Math.round(weight * 0.453592)
+            };
+        }
+        if (isBodyweightLoad(mapping.loadType)) {
+            stored.loadType = mapping.loadType;
+            stored.bodyWeight = await getBodyWeightOn(date);
+        }
+    } else {
+        if (set.duration > 0) stored.duration = Math.round(set.duration);
+        if (set.distance > 0) stored.distance = Math.round(set.distance * 100) / 100;
+    }
+
+    return stored;
+}
+
+/**
+ * Build the v3.0 workout document for one parsed workout
+ */
+async function buildWorkoutDoc(workout, exerciseMap, source) {
+    const workoutId = generateWorkoutId(workout.date);
+    const startedAt = workout.startedAt.toISOString();
+    const completedAt = new Date(workout.startedAt.getTime() + (workout.duration || 3600) * 1000).toISOString();
+
+    const workoutDoc = {
+        workoutId,
+        date: workout.date,
+        workoutType: workout.name,
+        startedAt,
+        completedAt,
+        totalDuration: workout.duration || null,
+        exercises: {},
+        exerciseNames: {},
+        exerciseUnits: {},
+        originalWorkout: { day: workout.name, exercises: [] },
+        totalExercises: workout.exercises.length,
+        location: null,
+        notes: workout.notes || '',
+        importedFrom: source,
+        importSourceKey: workout.sourceKey,
+        lastUpdated: new Date().toISOString(),
+        version: '3.0'
+    };
+
+    for (const [index, exercise] of workout.exercises.entries()) {
+        const key = `exercise_${index}`;
+        const mapping = exerciseMap[exercise.sourceName];
+        const unit = exercise.sets.find(set => set.weight)?.unit || 'lbs';
+        const sets = [];
+        for (const set of exercise.sets) {
+            sets.push(await toStoredSet(set, mapping, workout.date));
+        }
+
+        workoutDoc.exerciseNames[key] = mapping.name;
+        workoutDoc.exerciseUnits[index] = unit;
+        workoutDoc.exercises[key] = {
+            sets: normalizeSetUnits(sets, unit),
+            notes: exercise.notes || '',
+            completed: true,
+            equipment: mapping.equipment || null,
+            measurementType: mapping.measurementType,
+            loadType: mapping.loadType
+        };
+        workoutDoc.originalWorkout.exercises.push({
+            machine: mapping.name,
+            sets: sets.length,
+            reps: Math.max(0, ...sets.map(s => s.reps || 0)) || 10,
+            weight: Math.max(0, ...sets.map(s => s.weight || 0)),
+            video: '',
+            equipment: mapping.equipment || null,
+            equipmentLocation: null,
+            bodyPart: mapping.bodyPart || null,
+            group: exercise.group || null,
+            measurementType: mapping.measurementType,
+            loadType: mapping.loadType
+        });
+    }
+
+    return workoutDoc;
+}
+
+/**
+ * Write a previewed import, then rebuild PRs and streaks from the full history.
+ * @param {Object} preview - Result of previewImport (exerciseMap/conflicts may be edited)
+ * @returns {Promise<Object>} { imported, skipped, failed }
+ */
+export async function commitImport(preview) {
+    if (!AppState.currentUser) return { imported: 0, skipped: 0, failed: 0 };
+
+    let imported = 0;
+    let skipped = 0;
+    let failed = 0;
+
+    for (const workout of preview.workouts) {
+        if (preview.conflicts[workout.sourceKey]?.skip) {
+            skipped++;
+            continue;
+        }
+
+        try {
+            const workoutDoc = await buildWorkoutDoc(workout, preview.exerciseMap, preview.source);
+            const docRef = doc(db, 'users', AppState.currentUser.uid, 'workouts', workoutDoc.workoutId);
+            await setDoc(docRef, workoutDoc);
+            imported++;
+        } catch (error) {
+            console.error(`❌ Error importing workout ${workout.date}:`, error);
+            failed++;
+        }
+    }
+
+    if (imported > 0) {
+        const { PRTracker } = await import('./pr-tracker.js');
+        const { recalculateStreaks } = await import('../utils/debug-utilities.js');
+        const { clearProgressCache } = await import('./exercise-progress.js');
+
+        await PRTracker.loadPRData();
+        await PRTracker.rebuildPRsFromHistory();
+        await recalculateStreaks();
+        clearProgressCache();
+    }
+
+    return { imported, skipped, failed };
+}
+
+// ===================================================================
+// EXPORTS
+// ===================================================================
+
+export const WorkoutImport = {
+    IMPORT_SOURCES,
+    detectImportSource,
+    parseImportFile,
+    previewImport,
+    remapImportExercise,
+    commitImport
+};
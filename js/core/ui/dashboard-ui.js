@@ -9,6 +9,13 @@ import { StreakTracker } from '../features/streak-tracker.js';
 import { AppState } from '../utils/app-state.js';
 import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
 import { db, collection, query, where, getDocs, orderBy } from '../data/firebase-config.js';
+import { countsForVolume } from '../workout/set-types.js';
+import { getMeasurementType, isSetLogged } from '../workout/measurement-types.js';
+import { getEffectiveLoad } from '../workout/load-types.js';
+import { BodyWeight } from '../features/body-weight.js';
+import { Goals, DEFAULT_WEEKLY_WORKOUTS } from '../features/goals.js';
+import { Programs } from '../features/programs.js';
+import { FatigueMonitor } from '../features/fatigue-monitor.js';
 
 // Timer interval for live rest countdown on dashboard
 let dashboardRestTimerInterval = null;
@@ -163,7 +170,8 @@ async function checkForInProgressWorkout() {
                 if (workoutData.exercises) {
                     Object.values(workoutData.exercises).forEach(exercise => {
                         if (exercise.sets && exercise.sets.length > 0) {
-                            const exerciseSets = exercise.sets.filter(set => set.reps && set.weight);
+                            const measurementType = getMeasurementType(exercise);
+                            const exerciseSets = exercise.sets.filter(set => isSetLogged(set, measurementType));
                             completedSets += exerciseSets.length;
                             if (exercise.completed || exerciseSets.length > 0) {
                                 completedExercises++;
@@ -214,6 +222,12 @@ async function checkForInProgressWorkout() {
                     } else {
                         timeElement.textContent = `${hoursSinceStart.toFixed(1)}h ago`;
                     }
+
+                    // Resuming will ask which device's sets to keep
+                    const { getWorkoutConflict } = await import('../data/workout-sync.js');
+                    if (getWorkoutConflict(workoutData.workoutId)) {
+                        timeElement.textContent += ' · edited on 2 devices';
+                    }
                 }
 
                 card.classList.remove('hidden');
@@ -236,10 +250,14 @@ async function checkForInProgressWorkout() {
 // Dashboard state for expanded sections
 let dashboardExpandedSections = {
     insights: false,
+    fatigue: false,
     badges: false,
     prs: false
 };
 
+// Flags behind the last fatigue card, recorded as the reason for a deload
+let lastFatigueFlags = [];
+
 /**
  * Start live rest timer updates on dashboard
  */
@@ -314,7 +332,10 @@ async function renderDashboard() {
             badges,
             suggestedWorkouts,
             todaysWorkout,
-            inProgressWorkout
+            inProgressWorkout,
+            bodyWeight,
+            goalProgress,
+            fatigue
         ] = await Promise.all([
             StreakTracker.calculateStreaks(),
             StatsTracker.getWeeklyStats(),
@@ -322,7 +343,10 @@ async function renderDashboard() {
             calculateDashboardBadges(),
             getSuggestedWorkoutsForToday(),
             getTodaysCompletedWorkout(),
-            getInProgressWorkoutData()
+            getInProgressWorkoutData(),
+            BodyWeight.getBodyWeightSummary(),
+            Goals.getGoalProgress(),
+            FatigueMonitor.analyzeFatigue()
         ]);
 
         await PRTracker.loadPRData();
@@ -330,7 +354,7 @@ async function renderDashboard() {
 
         // Use uniqueDays to count workout days (not total workouts)
         const weekCount = weeklyStats.uniqueDays || weeklyStats.workouts.length;
-        const weeklyGoal = 5;
+        const weeklyGoal = goalProgress.find(p => p.goal.type === 'weeklyWorkouts')?.target || DEFAULT_WEEKLY_WORKOUTS;
         const completedWorkoutTypes = todaysWorkout ? [todaysWorkout.workoutType] : [];
         const inProgressWorkoutType = inProgressWorkout?.workoutType || null;
 
@@ -338,8 +362,11 @@ async function renderDashboard() {
         // Note: In-progress workout is shown via resume-workout-banner in HTML, not here
         container.innerHTML = `
             ${renderWeeklyGoalSection(weekCount, weeklyGoal, weeklyStats)}
+            ${renderDashboardGoalsSection(goalProgress)}
             ${renderSuggestedWorkoutsNew(suggestedWorkouts, completedWorkoutTypes, inProgressWorkoutType)}
             ${renderDashboardStreakBoxes(streaks)}
+            ${renderDashboardBodyWeightSection(bodyWeight)}
+            ${renderDashboardFatigueSection(fatigue)}
             ${renderDashboardInsightsSection(insights)}
             ${renderDashboardBadgesSection(badges)}
             ${renderDashboardPRsSection(recentPRs)}
@@ -439,12 +466,61 @@ function renderWeeklyGoalSection(weekCount, weeklyGoal, weeklyStats) {
                         <span class="weekly-stat-value">${weeklyStats.minutes}</span>
                         <span class="weekly-stat-label">Minutes</span>
                     </div>
+                    ${weeklyStats.rest?.sets > 0 ? `
+                    <div class="weekly-stat-box" title="Rests within 15s or 20% of the timer">
+                        <span class="weekly-stat-value">${weeklyStats.rest.percent}%</span>
+                        <span class="weekly-stat-label">Rest on target</span>
+                    </div>
+                    ` : ''}
                 </div>
             </div>
         </div>
     `;
 }
 
+// ===================================================================
+// GOALS SECTION
+// ===================================================================
+
+const GOAL_STATUS_LABELS = {
+    hit: 'Hit',
+    achieved: 'Achieved',
+    'on-track': 'On track',
+    behind: 'Behind',
+    overdue: 'Overdue'
+};
+
+/**
+ * Render progress bars for every goal except the weekly workout count (shown in the ring)
+ */
+function renderDashboardGoalsSection(goalProgress) {
+    const goals = (goalProgress || []).filter(p => p.goal.type !== 'weeklyWorkouts');
+
+    return `
+        <div class="stats-section-header">
+            <span class="stats-section-title">Goals</span>
+            <span class="view-more-link" onclick="showGoalsModal()">${goals.length > 0 ? 'Edit' : 'Set Goals'}</span>
+        </div>
+
+        ${goals.length > 0 ? `
+            <div class="goal-progress-list">
+                ${goals.map(p => `
+                    <div class="goal-progress-item">
+                        <div class="goal-progress-header">
+                            <span class="goal-progress-label">${p.label}</span>
+                            <span class="goal-status ${p.status}">${GOAL_STATUS_LABELS[p.status]}</span>
+                        </div>
+                        <div class="goal-progress-bar">
+                            <div class="goal-progress-fill ${p.status}" style="width: ${p.percentage}%"></div>
+                        </div>
+                        <div class="goal-progress-detail">${p.detail}</div>
+                    </div>
+                `).join('')}
+            </div>
+        ` : ''}
+    `;
+}
+
 // ===================================================================
 // IN-PROGRESS WORKOUT CARD
 // ===================================================================
@@ -498,7 +574,8 @@ async function getInProgressWorkoutData() {
             if (workoutData.exercises) {
                 Object.values(workoutData.exercises).forEach(exercise => {
                     if (exercise.sets) {
-                        completedSets += exercise.sets.filter(set => set.reps && set.weight).length;
+                        const measurementType = getMeasurementType(exercise);
+                        completedSets += exercise.sets.filter(set => isSetLogged(set, measurementType)).length;
                     }
                 });
             }
@@ -605,6 +682,143 @@ function renderDashboardStreakBoxes(stats) {
     `;
 }
 
+// ===================================================================
+// DASHBOARD BODY WEIGHT SECTION
+// ===================================================================
+
+function renderDashboardBodyWeightSection(summary) {
+    const unit = AppState.globalUnit || 'lbs';
+    const toUnit = (lbs) => unit === 'kg' ? Math.round(lbs * 0.453592 * 10) / 10 : lbs;
+    const change = summary?.change != null ? toUnit(summary.change) : null;
+
+    return `
+        <div class="stats-section-header">
+            <span class="stats-section-title">Body Weight</span>
+        </div>
+
+        <div class="insights-grid">
+            <div class="insight-box">
+                <div class="insight-label">Latest${summary ? ` (${summary.date})` : ''}</div>
+                <div class="insight-value">${summary ? `${toUnit(summary.weight)} ${unit}` : 'N/A'}</div>
+            </div>
+            <div class="insight-box">
+                <div class="insight-label">30-Day Change</div>
+                <div class="insight-value">${change != null ? `${change > 0 ? '+' : ''}${change} ${unit}` : 'N/A'}</div>
+            </div>
+        </div>
+
+        <div class="body-weight-log-row">
+            <input type="number" id="dashboard-body-weight" class="form-input" step="0.1" min="0"
+                   placeholder="Today's weight (${unit})">
+            <button class="btn btn-primary btn-small" onclick="logBodyWeightFromDashboard()">
+                <i class="fas fa-weight"></i> Log
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Log today's body weight from the dashboard input
+ */
+export async function logBodyWeightFromDashboard() {
+    const input = document.getElementById('dashboard-body-weight');
+    const unit = AppState.globalUnit || 'lbs';
+
+    const entry = await BodyWeight.logBodyWeight(input?.value, unit);
+    if (!entry) {
+        showNotification('Enter a valid body weight', 'warning');
+        return;
+    }
+
+    showNotification('Body weight logged', 'success');
+    renderDashboard();
+}
+
+// ===================================================================
+// FATIGUE / DELOAD SECTION
+// ===================================================================
+
+const FATIGUE_ICONS = {
+    regressing: 'fas fa-arrow-down',
+    stalled: 'fas fa-pause',
+    'volume-spike': 'fas fa-chart-line',
+    'consecutive-days': 'fas fa-calendar-day'
+};
+
+/**
+ * Render fatigue warnings with a one-tap deload, or the running deload week
+ */
+function renderDashboardFatigueSection(fatigue) {
+    const { flags = [], recommendDeload = false, deload = null } = fatigue || {};
+    lastFatigueFlags = flags;
+
+    if (deload) {
+        const endsOn = new Date(`${deload.endsOn}T00:00:00`).toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+        return `
+            <div class="fatigue-card deload-active">
+                <div class="fatigue-card-header">
+                    <span><i class="fas fa-battery-half"></i> Deload week · weights at ${Math.round(deload.factor * 100)}%</span>
+                    <span class="view-more-link" onclick="endDeloadFromDashboard()">End now</span>
+                </div>
+                <div class="fatigue-card-detail">Runs until ${endsOn}</div>
+            </div>
+        `;
+    }
+
+    if (flags.length === 0) return '';
+
+    const isExpanded = dashboardExpandedSections.fatigue;
+    const shown = isExpanded ? flags : flags.slice(0, 3);
+
+    return `
+        <div class="fatigue-card ${recommendDeload ? 'recommend' : ''}">
+            <div class="fatigue-card-header">
+                <span><i class="fas fa-heartbeat"></i> ${recommendDeload ? 'Time for a deload?' : 'Recovery check'}</span>
+                ${flags.length > 3 ? `
+                    <span class="view-more-link" onclick="toggleDashboardSection('fatigue')">${isExpanded ? 'Less' : `All ${flags.length}`}</span>
+                ` : ''}
+            </div>
+            <ul class="fatigue-flag-list">
+                ${shown.map(flag => `
+                    <li class="fatigue-flag ${flag.type}">
+                        <i class="${FATIGUE_ICONS[flag.type] || 'fas fa-info-circle'}"></i>
+                        <span>${flag.message}</span>
+                    </li>
+                `).join('')}
+            </ul>
+            <button class="btn ${recommendDeload ? 'btn-primary' : 'btn-secondary'} btn-small" onclick="startDeloadFromDashboard()">
+                <i class="fas fa-battery-half"></i> Start deload week
+            </button>
+        </div>
+    `;
+}
+
+export async function startDeloadFromDashboard() {
+    const percent = Math.round(FatigueMonitor.DELOAD_WEIGHT_FACTOR * 100);
+    if (!confirm(`Start a 7-day deload? Workouts you start this week will begin at ${percent}% of their usual weights.`)) return;
+
+    const started = await FatigueMonitor.startDeloadWeek(lastFatigueFlags.map(flag => flag.message));
+    if (!started) {
+        showNotification('Could not start deload week', 'error');
+        return;
+    }
+
+    showNotification('Deload week started', 'success');
+    renderDashboard();
+}
+
+export async function endDeloadFromDashboard() {
+    if (!confirm('End the deload week early?')) return;
+
+    const ended = await FatigueMonitor.endDeloadWeek();
+    if (!ended) {
+        showNotification('Could not end deload week', 'error');
+        return;
+    }
+
+    renderDashboard();
+}
+
 // ===================================================================
 // DASHBOARD INSIGHTS SECTION (Same as stats page)
 // ===================================================================
@@ -945,8 +1159,9 @@ async function calculateDashboardInsights() {
                         Object.values(workout.exercises).forEach(exercise => {
                             if (exercise.sets) {
                                 exercise.sets.forEach(set => {
-                                    if (set.weight && set.reps) {
-                                        monthlyVolume += set.weight * set.reps;
+                                    const load = getEffectiveLoad(set);
+                                    if (load && set.reps && countsForVolume(set)) {
+                                        monthlyVolume += load * set.reps;
                                     }
                                 });
                             }
@@ -1013,6 +1228,7 @@ async function calculateDashboardBadges() {
         const workoutManager = new FirebaseWorkoutManager(AppState);
         const locations = await workoutManager.getUserLocations();
         const locationCount = locations.length;
+        const goalHistory = await Goals.getGoalHistory();
 
         const allBadges = [
             {
@@ -1092,6 +1308,34 @@ async function calculateDashboardBadges() {
                 colorClass: 'badge-gold',
                 check: () => prCount >= 10,
                 progress: `${Math.min(prCount, 10)}/10 PRs`
+            },
+            {
+                id: 'goal-week',
+                name: 'Goal Getter',
+                shortName: 'Goal Week',
+                description: 'Hit every weekly goal in a week',
+                icon: 'fas fa-bullseye',
+                colorClass: 'badge-turquoise',
+                check: () => goalHistory.weeksHit >= 1
+            },
+            {
+                id: 'goal-streak',
+                name: 'On Target',
+                shortName: 'On Target',
+                description: 'Hit your weekly goals 4 weeks in a row',
+                icon: 'fas fa-crosshairs',
+                colorClass: 'badge-purple',
+                check: () => goalHistory.longestStreak >= 4,
+                progress: `${Math.min(goalHistory.currentStreak, 4)}/4 weeks`
+            },
+            {
+                id: 'lift-goal',
+                name: 'Target Lift',
+                shortName: 'Target Lift',
+                description: 'Reached a lift target',
+                icon: 'fas fa-flag-checkered',
+                colorClass: 'badge-gold',
+                check: () => goalHistory.liftGoalsAchieved >= 1
             }
         ];
 
@@ -1185,13 +1429,19 @@ export async function repeatLastWorkout(workoutId) {
 // ===================================================================
 
 /**
- * Get workouts suggested for today's day of the week
+ * Get workouts suggested for today: the next session of the running program,
+ * otherwise templates scheduled for today's day of the week
  */
 async function getSuggestedWorkoutsForToday() {
     const today = new Date();
     const dayOfWeek = today.toLocaleDateString('en-US', { weekday: 'long' }).toLowerCase();
 
     try {
+        const programWorkout = await Programs.getNextProgramWorkout();
+        if (programWorkout) {
+            return [programWorkout];
+        }
+
         // Load all user templates (this already filters out hidden templates)
         const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
         const workoutManager = new FirebaseWorkoutManager(AppState);
@@ -1241,6 +1491,7 @@ function renderSuggestedWorkoutsNew(suggestedWorkouts, completedWorkoutTypes = [
 
     const today = new Date();
     const dayName = today.toLocaleDateString('en-US', { weekday: 'long' });
+    const programSession = filteredWorkouts[0].program;
 
     // Check if all remaining suggested workouts are completed
     const allCompleted = filteredWorkouts.every(workout => {
@@ -1290,14 +1541,18 @@ function renderSuggestedWorkoutsNew(suggestedWorkouts, completedWorkoutTypes = [
             `;
         }
 
+        const onclick = workout.program
+            ? 'startProgramWorkout()'
+            : `startSuggestedWorkout('${templateId}', ${isDefault})`;
+
         return `
-            <div class="suggested-card" onclick="startSuggestedWorkout('${templateId}', ${isDefault})">
+            <div class="suggested-card" onclick="${onclick}">
                 <div class="suggested-icon">
                     <i class="fas fa-dumbbell"></i>
                 </div>
                 <div class="suggested-info">
                     <div class="suggested-name">${workoutName}</div>
-                    <div class="suggested-meta">${exerciseCount} exercises</div>
+                    <div class="suggested-meta">${exerciseCount} exercises${workout.program ? ' · up next in your program' : ''}</div>
                 </div>
                 <div class="suggested-arrow">
                     <i class="fas fa-chevron-right"></i>
@@ -1308,7 +1563,10 @@ function renderSuggestedWorkoutsNew(suggestedWorkouts, completedWorkoutTypes = [
 
     return `
         <div class="stats-section-header">
-            <span class="stats-section-title">${dayName} Workouts</span>
+            <span class="stats-section-title">${programSession
+                ? `${programSession.programName} · Week ${programSession.week + 1}${programSession.deload ? ' (Deload)' : ''}`
+                : `${dayName} Workouts`}</span>
+            ${programSession ? '<span class="view-more-link" onclick="showProgramsModal()">Program</span>' : ''}
         </div>
 
         <div class="suggested-list">
@@ -0,0 +1,58 @@
+// Data Export UI Module - core/ui/data-export-ui.js
+// Export modal: date range + location filters, JSON backup or CSV download
+
+import { AppState } from '../utils/app-state.js';
+import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
+import { exportUserData } from '../features/data-export.js';
+import { closeSidebar } from './navigation.js';
+import { escapeHtml } from './ui-helpers.js';
+
+/**
+ * Open the export modal and fill the location filter
+ */
+export async function showDataExportModal() {
+    closeSidebar();
+
+    const modal = document.getElementById('data-export-modal');
+    if (!modal) return;
+    modal.classList.remove('hidden');
+
+    const select = document.getElementById('export-location');
+    if (!select) return;
+
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const locations = await workoutManager.getUserLocations();
+    select.innerHTML = `
+        <option value="">All locations</option>
+        ${locations.map(loc => `<option value="${escapeHtml(loc.name)}">${escapeHtml(loc.name)}</option>`).join('')}
+    `;
+}
+
+export function closeDataExportModal() {
+    const modal = document.getElementById('data-export-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * Run the export with the modal's filters
+ * @param {string} format - 'json' or 'csv'
+ */
+export async function runDataExport(format) {
+    const filters = {
+        startDate: document.getElementById('export-start-date')?.value || null,
+        endDate: document.getElementById('export-end-date')?.value || null,
+        location: document.getElementById('export-location')?.value || null
+    };
+
+    const buttons = document.querySelectorAll('#data-export-modal .modal-actions button');
+    buttons.forEach(btn => btn.disabled = true);
+
+    const exported = await exportUserData(format, filters);
+
+    buttons.forEach(btn => btn.disabled = false);
+    if (exported) {
+        closeDataExportModal();
+    }
+}
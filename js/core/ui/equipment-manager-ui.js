@@ -0,0 +1,210 @@
+// Equipment Manager UI Module - core/ui/equipment-manager-ui.js
+// Equipment page: every saved machine across gyms, filtered by location and
+// type, with usage, duplicate merging, and the full equipment editor
+
+import { AppState } from '../utils/app-state.js';
+import { showNotification, escapeHtml } from './ui-helpers.js';
+import {
+    getEquipmentInventory, findDuplicateEquipment, mergeEquipment
+} from '../features/equipment-inventory.js';
+import { formatSettings } from '../features/equipment-settings.js';
+
+let inventory = [];
+let duplicates = [];
+
+function formatDate(dateStr) {
+    if (!dateStr) return 'never';
+    return new Date(dateStr + 'T12:00:00').toLocaleDateString([], { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// ===================================================================
+// PAGE
+// ===================================================================
+
+export async function showEquipmentManager() {
+    document.querySelectorAll('.content-section').forEach(section => section.classList.add('hidden'));
+
+    const section = document.getElementById('equipment-manager-section');
+    if (section) {
+        section.classList.remove('hidden');
+    }
+
+    if (!AppState.currentUser) {
+        const list = document.getElementById('equipment-inventory-list');
+        if (list) list.innerHTML = '<p class="empty-state">Sign in to manage your equipment</p>';
+        return;
+    }
+
+    await loadEquipmentInventory();
+}
+
+async function loadEquipmentInventory() {
+    const list = document.getElementById('equipment-inventory-list');
+    if (list) {
+        list.innerHTML = '<div class="loading"><div class="spinner"></div></div>';
+    }
+
+    inventory = await getEquipmentInventory();
+    duplicates = findDuplicateEquipment(inventory);
+
+    renderFilterOptions();
+    renderDuplicates();
+    filterEquipmentInventory();
+}
+
+function renderFilterOptions() {
+    const fill = (id, allLabel, values) => {
+        const select = document.getElementById(id);
+        if (!select) return;
+        const current = select.value;
+        select.innerHTML = `<option value="">${allLabel}</option>` + values
+            .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`)
+            .join('');
+        // Keep the filter if the option still exists
+        select.value = values.includes(current) ? current : '';
+    };
+
+    fill('equipment-inventory-location', 'All locations',
+        [...new Set(inventory.flatMap(eq => eq.locations))].sort());
+    fill('equipment-inventory-type', 'All types',
+        [...new Set(inventory.map(eq => eq.type).filter(Boolean))].sort());
+}
+
+/**
+ * Re-render the list for the current search and filters
+ */
+export function filterEquipmentInventory() {
+    const container = document.getElementById('equipment-inventory-list');
+    if (!container) return;
+
+    const search = document.getElementById('equipment-inventory-search')?.value.trim().toLowerCase() || '';
+    const location = document.getElementById('equipment-inventory-location')?.value || '';
+    const type = document.getElementById('equipment-inventory-type')?.value || '';
+
+    const shown = inventory.filter(eq =>
+        (!location || eq.locations.includes(location)) &&
+        (!type || eq.type === type) &&
+        (!search || [eq.name, eq.brand, eq.model, ...(eq.exerciseTypes || [])]
+            .some(value => value?.toLowerCase().includes(search)))
+    );
+
+    if (inventory.length === 0) {
+        container.innerHTML = `
+            <div class="location-empty-state">
+                <i class="fas fa-cogs"></i>
+                <p>No saved equipment yet</p>
+                <p style="font-size: 0.8rem; margin-top: 0.5rem;">Equipment is saved when you pick it for an exercise</p>
+            </div>
+        `;
+        return;
+    }
+    if (shown.length === 0) {
+        container.innerHTML = '<p class="empty-state">No equipment matches these filters</p>';
+        return;
+    }
+
+    container.innerHTML = shown.map(eq => {
+        const details = [eq.brand, eq.model].filter(Boolean).join(' ');
+        const settings = formatSettings(eq.settings);
+
+        return `
+            <div class="location-management-item" onclick="editEquipmentFromInventory('${escapeHtml(eq.id)}')">
+                <div class="location-item-info">
+                    <div class="location-item-icon">
+                        <i class="fas fa-cogs"></i>
+                    </div>
+                    <div class="location-item-details">
+                        <div class="location-item-name">
+                            ${escapeHtml(eq.name)}
+                            ${eq.type ? `<span class="equipment-type-badge">${escapeHtml(eq.type)}</span>` : ''}
+                        </div>
+                        ${details ? `<div class="location-item-address">${escapeHtml(details)}</div>` : ''}
+                        <div class="location-item-address">
+                            <i class="fas fa-map-marker-alt"></i>
+                            ${eq.locations.length > 0 ? escapeHtml(eq.locations.join(', ')) : 'No location'}
+                        </div>
+                        ${settings ? `<div class="location-item-address">${escapeHtml(settings)}</div>` : ''}
+                        <div class="location-item-meta">
+                            ${eq.usage.workouts} workout${eq.usage.workouts !== 1 ? 's' : ''} • Last: ${formatDate(eq.usage.lastWorkout)}
+                            ${eq.exerciseTypes?.length ? ` • ${escapeHtml(eq.exerciseTypes.join(', '))}` : ''}
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+export async function editEquipmentFromInventory(equipmentId) {
+    const equipment = inventory.find(eq => eq.id === equipmentId);
+    if (!equipment) return;
+
+    // Strip the computed fields so the editor sees the saved document
+    const { type, usage, ...saved } = equipment;
+    const { openEquipmentEditor } = await import('./exercise-manager-ui.js');
+    await openEquipmentEditor(saved, () => loadEquipmentInventory());
+}
+
+// ===================================================================
+// DUPLICATES
+// ===================================================================
+
+function renderDuplicates() {
+    const container = document.getElementById('equipment-inventory-duplicates');
+    if (!container) return;
+
+    if (duplicates.length === 0) {
+        container.innerHTML = '';
+        return;
+    }
+
+    container.innerHTML = `
+        <details class="equipment-duplicates">
+            <summary>
+                <i class="fas fa-clone"></i>
+                ${duplicates.length} piece${duplicates.length !== 1 ? 's' : ''} of equipment saved more than once
+            </summary>
+            ${duplicates.map((group, index) => `
+                <div class="program-card">
+                    <div>
+                        <div class="program-name">${escapeHtml(group.name)}</div>
+                        <small>
+                            ${group.items.map(eq =>
+                                `${escapeHtml(eq.name)} @ ${escapeHtml(eq.locations.join(', ') || 'no location')}`
+                            ).join('<br>')}
+                        </small>
+                    </div>
+                    <button class="btn btn-secondary btn-small" onclick="mergeEquipmentDuplicates(${index})">
+                        <i class="fas fa-compress-alt"></i> Merge
+                    </button>
+                </div>
+            `).join('')}
+        </details>
+    `;
+}
+
+export async function mergeEquipmentDuplicates(index) {
+    const group = duplicates[index];
+    if (!group) return;
+
+    const confirmed = confirm(
+        `Merge ${group.items.length} entries into "${group.name}"? ` +
+        'Locations, exercises, settings and photos are combined.'
+    );
+    if (!confirmed) return;
+
+    try {
+        const { workoutsUpdated } = await mergeEquipment(group.items);
+        showNotification(
+            workoutsUpdated > 0
+                ? `Merged "${group.name}" and updated ${workoutsUpdated} workout${workoutsUpdated !== 1 ? 's' : ''}`
+                : `Merged "${group.name}"`,
+            'success'
+        );
+    } catch (error) {
+        console.error('❌ Error merging equipment:', error);
+        showNotification('Error merging equipment', 'error');
+    }
+
+    await loadEquipmentInventory();
+}
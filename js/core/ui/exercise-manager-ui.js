@@ -2,9 +2,16 @@
 // Handles the integrated exercise manager modal
 
 import { AppState } from '../utils/app-state.js';
-import { showNotification, setHeaderMode } from './ui-helpers.js';
+import { showNotification, setHeaderMode, escapeHtml } from './ui-helpers.js';
 import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
 import { setBottomNavVisible } from './navigation.js';
+import { getMeasurementType } from '../workout/measurement-types.js';
+import { getLoadType } from '../workout/load-types.js';
+import { STANDARD_PLATES, STANDARD_BAR } from '../features/plate-calculator.js';
+import { resizePhoto } from '../features/equipment-inventory.js';
+import {
+    EQUIPMENT_SETTING_FIELDS, normalizeSettings, buildSettingsUpdate, formatSettingsChange
+} from '../features/equipment-settings.js';
 
 let allExercises = [];
 let filteredExercises = [];
@@ -14,6 +21,7 @@ let selectedEquipmentId = null;
 let selectedEquipmentData = null;
 let editingEquipmentData = null;  // For equipment editor modal
 let editingEquipmentLocations = [];  // Locations being edited
+let equipmentEditorOnClose = null;  // Set when the editor was opened from outside the exercise editor
 let currentBodyPartFilter = '';  // Current body part category selected
 let currentEquipmentFilter = '';  // Current equipment filter
 
@@ -44,7 +52,7 @@ export function openExerciseManager() {
     const section = document.getElementById('exercise-manager-section');
     if (section) {
         // Hide all other sections
-        const sections = ['dashboard', 'workout-selector', 'active-workout', 'workout-history-section', 'stats-section', 'workout-management-section', 'location-management-section'];
+        const sections = ['dashboard', 'workout-selector', 'active-workout', 'workout-history-section', 'stats-section', 'workout-management-section', 'location-management-section', 'equipment-manager-section'];
         sections.forEach(id => {
             const el = document.getElementById(id);
             if (el) el.classList.add('hidden');
@@ -256,6 +264,8 @@ async function loadExercises() {
         machine: exercise.machine || exercise.name,
         bodyPart: exercise.bodyPart || 'General',
         equipmentType: exercise.equipmentType || exercise.equipment || 'Machine',
+        measurementType: exercise.measurementType || 'weight',
+        loadType: exercise.loadType || 'external',
         sets: exercise.sets || 3,
         reps: exercise.reps || 10,
         weight: exercise.weight || 50,
@@ -515,6 +525,8 @@ function populateEditForm(exercise) {
     document.getElementById('edit-exercise-name').value = exercise.name || '';
     document.getElementById('edit-exercise-body-part').value = exercise.bodyPart || 'Chest';
     document.getElementById('edit-exercise-equipment-type').value = exercise.equipmentType || 'Machine';
+    document.getElementById('edit-exercise-measurement').value = getMeasurementType(exercise);
+    document.getElementById('edit-exercise-load').value = getLoadType(exercise);
     document.getElementById('edit-exercise-sets').value = exercise.sets || 3;
     document.getElementById('edit-exercise-reps').value = exercise.reps || 10;
     document.getElementById('edit-exercise-weight').value = exercise.weight || 50;
@@ -527,6 +539,8 @@ function clearEditForm() {
     document.getElementById('edit-exercise-name').value = '';
     document.getElementById('edit-exercise-body-part').value = 'Chest';
     document.getElementById('edit-exercise-equipment-type').value = 'Machine';
+    document.getElementById('edit-exercise-measurement').value = 'weight';
+    document.getElementById('edit-exercise-load').value = 'external';
     document.getElementById('edit-exercise-sets').value = 3;
     document.getElementById('edit-exercise-reps').value = 10;
     document.getElementById('edit-exercise-weight').value = 50;
@@ -864,6 +878,8 @@ export async function saveExercise(event) {
         name: document.getElementById('new-exercise-name')?.value.trim() || '',
         bodyPart: document.getElementById('new-exercise-body-part')?.value || 'Chest',
         equipmentType: document.getElementById('new-exercise-equipment')?.value || 'Machine',
+        measurementType: document.getElementById('new-exercise-measurement')?.value || 'weight',
+        loadType: document.getElementById('new-exercise-load')?.value || 'external',
         sets: parseInt(document.getElementById('new-exercise-sets')?.value) || 3,
         reps: parseInt(document.getElementById('new-exercise-reps')?.value) || 10,
         weight: parseInt(document.getElementById('new-exercise-weight')?.value) || 50,
@@ -1044,6 +1060,8 @@ export async function saveExerciseFromSection() {
         name: document.getElementById('edit-exercise-name')?.value.trim() || '',
         bodyPart: document.getElementById('edit-exercise-body-part')?.value || 'Chest',
         equipmentType: document.getElementById('edit-exercise-equipment-type')?.value || 'Machine',
+        measurementType: document.getElementById('edit-exercise-measurement')?.value || 'weight',
+        loadType: document.getElementById('edit-exercise-load')?.value || 'external',
         sets: parseInt(document.getElementById('edit-exercise-sets')?.value) || 3,
         reps: parseInt(document.getElementById('edit-exercise-reps')?.value) || 10,
         weight: parseInt(document.getElementById('edit-exercise-weight')?.value) || 50,
@@ -1149,11 +1167,17 @@ export async function saveExerciseFromSection() {
 /**
  * Open equipment editor section (full page)
  * @param {Object} equipment - Equipment data with id, name, location(s), video
+ * @param {Function} onClose - Called instead of returning to the exercise editor
  */
-export async function openEquipmentEditor(equipment) {
+export async function openEquipmentEditor(equipment, onClose = null) {
     if (!equipment || !equipment.id) return;
 
     editingEquipmentData = equipment;
+    equipmentEditorOnClose = onClose;
+
+    if (!workoutManager) {
+        workoutManager = new FirebaseWorkoutManager(AppState);
+    }
 
     // Build locations array from either locations array or single location field
     editingEquipmentLocations = [];
@@ -1170,6 +1194,26 @@ export async function openEquipmentEditor(equipment) {
     if (nameInput) nameInput.value = equipment.name || '';
     if (videoInput) videoInput.value = equipment.video || '';
 
+    // Details and machine setup
+    const setValue = (id, value) => {
+        const input = document.getElementById(id);
+        if (input) input.value = value || '';
+    };
+    setValue('equipment-editor-brand', equipment.brand);
+    setValue('equipment-editor-model', equipment.model);
+    setValue('equipment-editor-notes', equipment.notes);
+    renderEquipmentEditorSettings();
+
+    // Plate loading setup
+    const loadingType = document.getElementById('equipment-editor-loading-type');
+    const plateUnit = document.getElementById('equipment-editor-plate-unit');
+    const barWeight = document.getElementById('equipment-editor-bar-weight');
+
+    if (loadingType) loadingType.value = equipment.loading?.type || '';
+    if (plateUnit) plateUnit.value = equipment.loading?.unit || AppState.globalUnit || 'lbs';
+    if (barWeight) barWeight.value = equipment.loading?.barWeight ?? '';
+    updateEquipmentLoadingForm();
+
     // Render locations list
     renderEquipmentEditorLocations();
 
@@ -1182,6 +1226,104 @@ export async function openEquipmentEditor(equipment) {
 
     if (editExerciseSection) editExerciseSection.classList.add('hidden');
     if (equipmentSection) equipmentSection.classList.remove('hidden');
+
+    await renderEquipmentEditorPhotos();
+}
+
+/**
+ * Render the machine setup fields (seat, pin...) and their change history
+ * in equipment editor
+ */
+function renderEquipmentEditorSettings() {
+    const container = document.getElementById('equipment-editor-settings');
+    if (!container) return;
+
+    const settings = normalizeSettings(editingEquipmentData?.settings);
+    container.innerHTML = EQUIPMENT_SETTING_FIELDS.map(field => `
+        <div class="edit-field">
+            <label>${field.label}</label>
+            <input type="text" class="edit-input-full" data-setting="${field.key}"
+                   placeholder="${field.placeholder}" value="${escapeHtml(settings[field.key])}">
+        </div>
+    `).join('');
+
+    const historyEl = document.getElementById('equipment-editor-settings-history');
+    if (!historyEl) return;
+
+    const history = editingEquipmentData?.settingsHistory || [];
+    historyEl.innerHTML = history.length === 0 ? '' : `
+        <details class="equipment-settings-history">
+            <summary>Setup changes (${history.length})</summary>
+            ${history.map(entry => `
+                <div class="equipment-settings-change">
+                    <span>${new Date(entry.changedAt).toLocaleDateString()}</span>
+                    ${escapeHtml(formatSettingsChange(entry))}
+                </div>
+            `).join('')}
+        </details>
+    `;
+}
+
+function readEquipmentSettingsForm() {
+    const settings = {};
+    document.querySelectorAll('#equipment-editor-settings input[data-setting]').forEach(input => {
+        settings[input.dataset.setting] = input.value.trim();
+    });
+    return settings;
+}
+
+/**
+ * Render setup photos in equipment editor
+ */
+async function renderEquipmentEditorPhotos() {
+    const container = document.getElementById('equipment-editor-photos');
+    if (!container || !editingEquipmentData) return;
+
+    if (!workoutManager) {
+        workoutManager = new FirebaseWorkoutManager(AppState);
+    }
+
+    const photos = await workoutManager.getEquipmentPhotos(editingEquipmentData.id);
+    container.innerHTML = photos.length === 0
+        ? '<div class="equipment-locations-empty">No photos yet</div>'
+        : photos.map(photo => `
+            <div class="equipment-photo">
+                <img src="${photo.image}" alt="Setup photo" onclick="window.open(this.src)">
+                <button type="button" class="remove-location-btn" onclick="deleteEquipmentPhotoFromEditor('${photo.id}')" title="Remove photo">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+        `).join('');
+}
+
+/**
+ * Add a setup photo from the editor's file input (saved right away)
+ */
+export async function addEquipmentPhotoFromInput(input) {
+    const file = input?.files?.[0];
+    if (!file || !editingEquipmentData) return;
+
+    try {
+        const image = await resizePhoto(file);
+        await workoutManager.addEquipmentPhoto(editingEquipmentData.id, image);
+        await renderEquipmentEditorPhotos();
+    } catch (error) {
+        console.error('❌ Error adding equipment photo:', error);
+        showNotification('Could not add photo', 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
+export async function deleteEquipmentPhotoFromEditor(photoId) {
+    if (!confirm('Remove this photo?')) return;
+
+    try {
+        await workoutManager.deleteEquipmentPhoto(photoId);
+        await renderEquipmentEditorPhotos();
+    } catch (error) {
+        showNotification('Could not remove photo', 'error');
+    }
 }
 
 /**
@@ -1283,6 +1425,58 @@ export function removeLocationFromEquipmentEditor(index) {
     }
 }
 
+/**
+ * Show the plate fields for the chosen loading type and plate unit
+ */
+export function updateEquipmentLoadingForm() {
+    const type = document.getElementById('equipment-editor-loading-type')?.value;
+    const unit = document.getElementById('equipment-editor-plate-unit')?.value || 'lbs';
+    const fields = document.getElementById('equipment-editor-loading-fields');
+    const barWeight = document.getElementById('equipment-editor-bar-weight');
+    const platesContainer = document.getElementById('equipment-editor-plates');
+    if (!fields || !platesContainer) return;
+
+    fields.classList.toggle('hidden', type !== 'plates');
+    if (barWeight) barWeight.placeholder = STANDARD_BAR[unit];
+
+    // Saved counts only apply to the unit they were entered in
+    const loading = editingEquipmentData?.loading;
+    const savedPlates = loading?.unit === unit ? loading.plates || {} : {};
+
+    platesContainer.innerHTML = STANDARD_PLATES[unit].map(weight => `
+        <div class="edit-field">
+            <label>${weight} ${unit}</label>
+            <input type="number" class="edit-input-number" data-plate="${weight}" min="0" max="20"
+                   value="${savedPlates[weight] ?? ''}">
+        </div>
+    `).join('');
+}
+
+/**
+ * Loading setup from the editor form, or null when not set
+ */
+function readEquipmentLoadingForm() {
+    const type = document.getElementById('equipment-editor-loading-type')?.value;
+    if (!type) return null;
+    if (type === 'none') return { type: 'none' };
+
+    const unit = document.getElementById('equipment-editor-plate-unit')?.value || 'lbs';
+    const barWeight = parseFloat(document.getElementById('equipment-editor-bar-weight')?.value);
+
+    const plates = {};
+    document.querySelectorAll('#equipment-editor-plates input[data-plate]').forEach(input => {
+        const pairs = parseInt(input.value);
+        if (pairs >= 0) plates[input.dataset.plate] = pairs;
+    });
+
+    return {
+        type,
+        unit,
+        barWeight: barWeight >= 0 ? barWeight : STANDARD_BAR[unit],
+        plates
+    };
+}
+
 /**
  * Save equipment from editor
  */
@@ -1307,11 +1501,18 @@ export async function saveEquipmentFromEditor() {
         }
 
         // Update the equipment
+        const optional = id => document.getElementById(id)?.value.trim() || null;
+
         await workoutManager.updateEquipment(editingEquipmentData.id, {
             name: name,
             video: video || null,
+            brand: optional('equipment-editor-brand'),
+            model: optional('equipment-editor-model'),
+            notes: optional('equipment-editor-notes'),
+            ...(buildSettingsUpdate(editingEquipmentData, readEquipmentSettingsForm()) || {}),
             locations: editingEquipmentLocations,
-            location: null  // Clear old single location field
+            location: null,  // Clear old single location field
+            loading: readEquipmentLoadingForm()
         });
 
         // Removed notification - action is self-evident
@@ -1343,13 +1544,14 @@ export async function deleteEquipmentFromEditor() {
             workoutManager = new FirebaseWorkoutManager(AppState);
         }
 
-        await workoutManager.deleteEquipment(editingEquipmentData.id);
+        const equipmentId = editingEquipmentData.id;
+        await workoutManager.deleteEquipment(equipmentId);
 
         // Removed notification - action is self-evident
         closeEquipmentEditor();
 
         // Clear selection if this was the selected equipment
-        if (selectedEquipmentId === editingEquipmentData.id) {
+        if (selectedEquipmentId === equipmentId) {
             selectedEquipmentId = null;
             selectedEquipmentData = null;
         }
@@ -1374,8 +1576,15 @@ export function closeEquipmentEditor() {
     const editExerciseSection = document.getElementById('edit-exercise-section');
 
     if (equipmentSection) equipmentSection.classList.add('hidden');
-    if (editExerciseSection) editExerciseSection.classList.remove('hidden');
 
+    const onClose = equipmentEditorOnClose;
+    equipmentEditorOnClose = null;
     editingEquipmentData = null;
     editingEquipmentLocations = [];
+
+    if (onClose) {
+        onClose();
+    } else if (editExerciseSection) {
+        editExerciseSection.classList.remove('hidden');
+    }
 }
@@ -0,0 +1,186 @@
+// Geofence UI Module - core/ui/geofence-ui.js
+// Prompts from gym geofencing: start the usual workout on arriving at a gym,
+// finish the one in progress on leaving it
+
+import { AppState } from '../utils/app-state.js';
+import { showNotification, escapeHtml } from './ui-helpers.js';
+import { setSessionLocation, getSessionLocation } from '../features/location-service.js';
+import {
+    isGeofenceEnabled, setGeofenceEnabled, startGeofenceMonitoring, stopGeofenceMonitoring,
+    wasArrivalPrompted, markArrivalPrompted, getUsualWorkout
+} from '../features/gym-geofence.js';
+
+// What the open prompt does when accepted
+let pendingPrompt = null;
+
+// ===================================================================
+// MONITORING
+// ===================================================================
+
+/**
+ * Start gym geofencing after sign-in. Without location access already
+ * granted this does nothing - turning it on from Locations asks for it.
+ */
+export async function startGymGeofence(requestPermission = false) {
+    return startGeofenceMonitoring({
+        onArrive: handleGymArrival,
+        onLeave: handleGymDeparture
+    }, requestPermission);
+}
+
+export function stopGymGeofence() {
+    stopGeofenceMonitoring();
+    hideGeofencePrompt();
+}
+
+/**
+ * Setting on the Locations page
+ */
+export async function toggleGeofencePrompts(enabled) {
+    setGeofenceEnabled(enabled);
+
+    if (!enabled) {
+        stopGeofenceMonitoring();
+        return;
+    }
+
+    const started = await startGymGeofence(true);
+    if (!started) {
+        showNotification('Location access is needed for gym prompts', 'warning');
+    }
+}
+
+export function renderGeofenceToggle() {
+    const toggle = document.getElementById('geofence-prompts-toggle');
+    if (toggle) {
+        toggle.checked = isGeofenceEnabled();
+    }
+}
+
+// ===================================================================
+// ARRIVE / LEAVE
+// ===================================================================
+
+async function handleGymArrival(location) {
+    // Already training - the resume card covers an unfinished one
+    if (AppState.currentWorkout || window.inProgressWorkout) return;
+
+    const today = AppState.getTodayDateString();
+    if (wasArrivalPrompted(location, today)) return;
+
+    // Done for today - starting again would replace it
+    const { loadWorkoutsByDate } = await import('../data/data-manager.js');
+    const todaysWorkouts = await loadWorkoutsByDate(AppState, today);
+    if (todaysWorkouts.some(workout => workout.completedAt && !workout.cancelledAt)) return;
+
+    const usual = await getUsualWorkout(location.name);
+    if (AppState.currentWorkout) return;
+
+    pendingPrompt = { type: 'arrive', location, usual };
+    showGeofencePrompt({
+        title: `At ${location.name}`,
+        message: usual
+            ? `Start your usual workout here, <strong>${escapeHtml(usual.workoutType)}</strong>?`
+            : 'Start a workout here?',
+        acceptLabel: usual ? 'Start' : 'Choose Workout',
+        acceptIcon: 'fa-play',
+        dismissLabel: 'Not Now',
+        extraAction: usual
+            ? '<button class="btn btn-secondary" onclick="chooseGeofenceWorkout()">Something Else</button>'
+            : ''
+    });
+}
+
+function handleGymDeparture(location) {
+    if (!AppState.currentWorkout || window.editingHistoricalWorkout) return;
+
+    // Only the gym this workout is being done at
+    const workoutLocation = AppState.savedData?.location || getSessionLocation();
+    if (workoutLocation && workoutLocation !== location.name) return;
+
+    pendingPrompt = { type: 'leave', location };
+    showGeofencePrompt({
+        title: `Left ${location.name}`,
+        message: `Looks like you've left the gym. Finish <strong>${escapeHtml(AppState.savedData?.workoutType || 'your workout')}</strong>?`,
+        acceptLabel: 'Finish Workout',
+        acceptIcon: 'fa-check',
+        dismissLabel: 'Keep Going',
+        extraAction: ''
+    });
+}
+
+// ===================================================================
+// PROMPT
+// ===================================================================
+
+function showGeofencePrompt({ title, message, acceptLabel, acceptIcon, dismissLabel, extraAction }) {
+    const modal = document.getElementById('geofence-prompt-modal');
+    const titleEl = document.getElementById('geofence-prompt-title');
+    const content = document.getElementById('geofence-prompt-content');
+    if (!modal || !content) return;
+
+    if (titleEl) titleEl.textContent = title;
+    content.innerHTML = `
+        <p>${message}</p>
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="closeGeofencePrompt()">${dismissLabel}</button>
+            ${extraAction}
+            <button class="btn btn-primary" onclick="acceptGeofencePrompt()">
+                <i class="fas ${acceptIcon}"></i> ${acceptLabel}
+            </button>
+        </div>
+    `;
+    modal.classList.remove('hidden');
+}
+
+function hideGeofencePrompt() {
+    const modal = document.getElementById('geofence-prompt-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    pendingPrompt = null;
+}
+
+/**
+ * Close the prompt as answered. An arrival prompt that was answered isn't
+ * shown again at that gym today; one that was never seen is.
+ */
+export function closeGeofencePrompt() {
+    if (pendingPrompt?.type === 'arrive') {
+        markArrivalPrompted(pendingPrompt.location, AppState.getTodayDateString());
+    }
+    hideGeofencePrompt();
+}
+
+export async function acceptGeofencePrompt() {
+    const prompt = pendingPrompt;
+    closeGeofencePrompt();
+    if (!prompt) return;
+
+    if (prompt.type === 'leave') {
+        // Finished elsewhere or already saved while the prompt was open
+        if (!AppState.currentWorkout) return;
+        const { completeWorkout } = await import('../workout/workout-core.js');
+        await completeWorkout();
+        showNotification('Workout saved', 'success');
+        return;
+    }
+
+    if (!prompt.usual) {
+        await chooseGeofenceWorkout();
+        return;
+    }
+
+    setSessionLocation(prompt.location.name);
+    const { startWorkout } = await import('../workout/workout-core.js');
+    await startWorkout(prompt.usual.workoutType);
+}
+
+/**
+ * Arrival prompt's "something else" - pick from the templates at this gym
+ */
+export async function chooseGeofenceWorkout() {
+    closeGeofencePrompt();
+    const { navigateTo } = await import('./navigation.js');
+    navigateTo('start-workout');
+}
@@ -0,0 +1,225 @@
+// Goals UI Module - core/ui/goals-ui.js
+// Goals modal: list current goals, add new ones of each type
+
+import { AppState } from '../utils/app-state.js';
+import { showNotification, escapeHtml } from './ui-helpers.js';
+import { GOAL_TYPES, getGoals, saveGoal, removeGoal, describeGoal } from '../features/goals.js';
+
+const DEFAULT_BODY_PARTS = ['Chest', 'Back', 'Legs', 'Shoulders', 'Arms', 'Core'];
+const KG_TO_LBS = 2.20462;
+
+let formType = 'weeklyWorkouts';
+
+// Goals changed while the modal was open - refresh the dashboard on close
+let goalsChanged = false;
+
+function getUnit() {
+    return AppState.globalUnit === 'kg' ? 'kg' : 'lbs';
+}
+
+function toLbs(value) {
+    return getUnit() === 'kg' ? value * KG_TO_LBS : value;
+}
+
+function getBodyPartOptions() {
+    const fromLibrary = (AppState.exerciseDatabase || []).map(ex => ex.bodyPart).filter(Boolean);
+    return [...new Set([...DEFAULT_BODY_PARTS, ...fromLibrary])].sort();
+}
+
+// ===================================================================
+// MODAL
+// ===================================================================
+
+export async function showGoalsModal() {
+    if (!AppState.currentUser) {
+        showNotification('Sign in to set goals', 'warning');
+        return;
+    }
+
+    const modal = document.getElementById('goals-modal');
+    if (!modal) return;
+
+    goalsChanged = false;
+    formType = 'weeklyWorkouts';
+    modal.classList.remove('hidden');
+    await renderGoalsModal();
+}
+
+export async function closeGoalsModal() {
+    const modal = document.getElementById('goals-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+
+    if (goalsChanged) {
+        goalsChanged = false;
+        const { showDashboard } = await import('./dashboard-ui.js');
+        showDashboard();
+    }
+}
+
+async function renderGoalsModal() {
+    const content = document.getElementById('goals-content');
+    if (!content) return;
+
+    const goals = await getGoals();
+
+    content.innerHTML = `
+        ${goals.length > 0 ? `
+            <div class="goal-list">
+                ${goals.map(goal => `
+                    <div class="goal-list-item">
+                        <div>
+                            <div class="goal-list-label">${escapeHtml(describeGoal(goal))}</div>
+                            <small>${GOAL_TYPES[goal.type]?.label || goal.type}</small>
+                        </div>
+                        <button class="btn-icon" onclick="removeGoalFromModal('${goal.id}')" title="Remove goal">
+                            <i class="fas fa-trash"></i>
+                        </button>
+                    </div>
+                `).join('')}
+            </div>
+        ` : `
+            <p class="method-description">No goals yet. Without one, the dashboard ring counts toward 5 workouts a week.</p>
+        `}
+
+        <h4 class="goal-form-title">Add a goal</h4>
+        <div class="form-group">
+            <label for="goal-type">Type</label>
+            <select id="goal-type" class="form-input" onchange="setGoalFormType(this.value)">
+                ${Object.entries(GOAL_TYPES).map(([key, type]) =>
+                    `<option value="${key}" ${key === formType ? 'selected' : ''}>${type.label}</option>`
+                ).join('')}
+            </select>
+        </div>
+        <div id="goal-form-fields">${renderGoalFields(formType)}</div>
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="closeGoalsModal()">Done</button>
+            <button class="btn btn-primary" onclick="addGoalFromForm()">
+                <i class="fas fa-plus"></i> Add Goal
+            </button>
+        </div>
+    `;
+}
+
+function renderGoalFields(type) {
+    const unit = getUnit();
+
+    switch (type) {
+        case 'weeklyWorkouts':
+            return `
+                <div class="form-group">
+                    <label for="goal-target">Workout days per week</label>
+                    <input type="number" id="goal-target" class="form-input" min="1" max="7" value="4">
+                </div>
+            `;
+        case 'bodyPartSessions':
+            return `
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="goal-body-part">Body part</label>
+                        <select id="goal-body-part" class="form-input">
+                            ${getBodyPartOptions().map(bp => `<option value="${escapeHtml(bp)}">${escapeHtml(bp)}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="goal-target">Sessions per week</label>
+                        <input type="number" id="goal-target" class="form-input" min="1" max="7" value="2">
+                    </div>
+                </div>
+            `;
+        case 'monthlyVolume':
+            return `
+                <div class="form-group">
+                    <label for="goal-target">Volume this month (${unit})</label>
+                    <input type="number" id="goal-target" class="form-input" min="1" step="1000" placeholder="e.g. 250000">
+                </div>
+            `;
+        case 'liftTarget': {
+            const names = [...new Set((AppState.exerciseDatabase || []).map(ex => ex.name).filter(Boolean))].sort();
+            return `
+                <div class="form-group">
+                    <label for="goal-exercise">Exercise</label>
+                    <input type="text" id="goal-exercise" class="form-input" list="goal-exercise-options" placeholder="e.g. Bench Press">
+                    <datalist id="goal-exercise-options">
+                        ${names.map(name => `<option value="${escapeHtml(name)}">`).join('')}
+                    </datalist>
+                </div>
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="goal-target">Target weight (${unit})</label>
+                        <input type="number" id="goal-target" class="form-input" min="1" step="0.5">
+                    </div>
+                    <div class="form-group">
+                        <label for="goal-date">By</label>
+                        <input type="date" id="goal-date" class="form-input">
+                    </div>
+                </div>
+            `;
+        }
+        default:
+            return '';
+    }
+}
+
+export function setGoalFormType(type) {
+    if (!GOAL_TYPES[type]) return;
+    formType = type;
+
+    const fields = document.getElementById('goal-form-fields');
+    if (fields) {
+        fields.innerHTML = renderGoalFields(type);
+    }
+}
+
+// ===================================================================
+// ACTIONS
+// ===================================================================
+
+export async function addGoalFromForm() {
+    const target = parseFloat(document.getElementById('goal-target')?.value);
+    if (!target || target <= 0) {
+        showNotification('Enter a target', 'warning');
+        return;
+    }
+
+    const goal = { type: formType, target };
+
+    if (formType === 'bodyPartSessions') {
+        goal.bodyPart = document.getElementById('goal-body-part')?.value;
+    } else if (formType === 'monthlyVolume') {
+        goal.target = Math.round(toLbs(target));
+    } else if (formType === 'liftTarget') {
+        goal.exercise = document.getElementById('goal-exercise')?.value.trim();
+        goal.targetDate = document.getElementById('goal-date')?.value;
+        goal.target = Math.round(toLbs(target) * 10) / 10;
+
+        if (!goal.exercise || !goal.targetDate) {
+            showNotification('Choose an exercise and a target date', 'warning');
+            return;
+        }
+    }
+
+    const saved = await saveGoal(goal);
+    if (!saved) {
+        showNotification('Could not save goal', 'error');
+        return;
+    }
+
+    goalsChanged = true;
+    showNotification('Goal saved', 'success');
+    await renderGoalsModal();
+}
+
+export async function removeGoalFromModal(goalId) {
+    if (!confirm('Remove this goal?')) return;
+
+    const removed = await removeGoal(goalId);
+    if (!removed) {
+        showNotification('Could not remove goal', 'error');
+        return;
+    }
+
+    goalsChanged = true;
+    await renderGoalsModal();
+}
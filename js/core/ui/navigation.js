@@ -39,7 +39,8 @@ export function navigateTo(view) {
         'dashboard',
         'stats-section',
         'exercise-manager-section',
-        'location-management-section'
+        'location-management-section',
+        'equipment-manager-section'
     ];
 
     sections.forEach(sectionId => {
@@ -73,6 +74,10 @@ export function navigateTo(view) {
             showLocationManagement();
             break;
 
+        case 'equipment':
+            showEquipmentManager();
+            break;
+
         case 'exercises':
             openExerciseManager();
             break;
@@ -140,6 +145,11 @@ function showLocationManagement() {
     }
 }
 
+async function showEquipmentManager() {
+    const { showEquipmentManager: showManager } = await import('./equipment-manager-ui.js');
+    showManager();
+}
+
 function openExerciseManager() {
     const { openExerciseManager: openManager } = window;
     if (openManager) {
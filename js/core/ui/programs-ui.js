@@ -0,0 +1,285 @@
+// Programs UI Module - core/ui/programs-ui.js
+// Programs modal: choose or build a program, follow its week/day pointer
+
+import { AppState } from '../utils/app-state.js';
+import { showNotification, escapeHtml } from './ui-helpers.js';
+import { closeSidebar } from './navigation.js';
+import {
+    getPrograms, getActiveProgram, startProgram, stopProgram, skipProgramDay,
+    createProgramFromTemplates, deleteCustomProgram, getNextProgramWorkout, describeWeek
+} from '../features/programs.js';
+
+// Program changes made while the modal was open - refresh the dashboard on close
+let programsChanged = false;
+
+// ===================================================================
+// MODAL
+// ===================================================================
+
+export async function showProgramsModal() {
+    closeSidebar();
+
+    if (!AppState.currentUser) {
+        showNotification('Sign in to follow a program', 'warning');
+        return;
+    }
+
+    const modal = document.getElementById('programs-modal');
+    if (!modal) return;
+
+    // Also used as "Back" from the builder, which keeps pending changes
+    if (modal.classList.contains('hidden')) {
+        programsChanged = false;
+        modal.classList.remove('hidden');
+    }
+    await renderProgramList();
+}
+
+export async function closeProgramsModal() {
+    const modal = document.getElementById('programs-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+
+    if (programsChanged) {
+        programsChanged = false;
+        const { showDashboard } = await import('./dashboard-ui.js');
+        showDashboard();
+    }
+}
+
+function renderActiveProgram(active) {
+    const { program, week, day, totalWeeks, totalDays } = active;
+
+    return `
+        <div class="program-active">
+            <div class="program-active-header">
+                <div>
+                    <div class="program-name">${escapeHtml(program.name)}</div>
+                    <small>Week ${week + 1} of ${totalWeeks} · Day ${day + 1} of ${totalDays}</small>
+                </div>
+                <span class="program-badge">Running</span>
+            </div>
+            <div class="program-weeks">
+                ${program.weeks.map((w, i) => `
+                    <span class="program-week ${i === week ? 'current' : ''} ${i < week ? 'done' : ''} ${w.deload ? 'deload' : ''}"
+                          title="${escapeHtml(describeWeek(w))}">W${i + 1}</span>
+                `).join('')}
+            </div>
+            <div class="program-next">
+                Next: <strong>${escapeHtml(program.days[day]?.name)}</strong> · ${escapeHtml(describeWeek(program.weeks[week]))}
+            </div>
+            <div class="modal-actions">
+                <button class="btn btn-secondary" onclick="stopActiveProgram()">Stop</button>
+                <button class="btn btn-secondary" onclick="skipProgramSession()">Skip Day</button>
+                <button class="btn btn-primary" onclick="startProgramWorkout()">
+                    <i class="fas fa-play"></i> Start
+                </button>
+            </div>
+        </div>
+    `;
+}
+
+async function renderProgramList() {
+    const content = document.getElementById('programs-content');
+    if (!content) return;
+
+    const [programs, active] = await Promise.all([getPrograms(), getActiveProgram()]);
+
+    content.innerHTML = `
+        ${active ? renderActiveProgram(active) : `
+            <p class="method-description">
+                A program runs your sessions in order over several weeks, setting loads from your estimated 1RM.
+                While one is running, the dashboard suggests its next session.
+            </p>
+        `}
+
+        <h4 class="program-section-title">Programs</h4>
+        <div class="program-list">
+            ${programs.map(program => `
+                <div class="program-card">
+                    <div class="program-card-info">
+                        <div class="program-name">${escapeHtml(program.name)}</div>
+                        <small>${program.weeks.length} weeks · ${program.days.length} days/week${program.isBuiltIn ? '' : ' · yours'}</small>
+                        ${program.description ? `<p>${escapeHtml(program.description)}</p>` : ''}
+                    </div>
+                    <div class="program-card-actions">
+                        ${active?.program.id === program.id
+                            ? '<span class="program-badge">Running</span>'
+                            : `<button class="btn btn-primary btn-small" onclick="startProgramFromModal('${program.id}')">Start</button>`}
+                        ${program.isBuiltIn ? '' : `
+                            <button class="btn-icon" onclick="deleteProgramFromModal('${program.id}')" title="Delete program">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        `}
+                    </div>
+                </div>
+            `).join('')}
+        </div>
+
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="closeProgramsModal()">Done</button>
+            <button class="btn btn-primary" onclick="showProgramBuilder()">
+                <i class="fas fa-plus"></i> Build From Templates
+            </button>
+        </div>
+    `;
+}
+
+// ===================================================================
+// POINTER ACTIONS
+// ===================================================================
+
+export async function startProgramFromModal(programId) {
+    const active = await getActiveProgram();
+    if (active && !confirm(`Stop ${active.program.name} and start this program from week 1?`)) return;
+
+    if (!(await startProgram(programId))) {
+        showNotification('Could not start program', 'error');
+        return;
+    }
+
+    programsChanged = true;
+    showNotification('Program started', 'success');
+    await renderProgramList();
+}
+
+export async function stopActiveProgram() {
+    if (!confirm('Stop this program? Your workouts stay in history.')) return;
+
+    if (!(await stopProgram())) {
+        showNotification('Could not stop program', 'error');
+        return;
+    }
+
+    programsChanged = true;
+    await renderProgramList();
+}
+
+export async function skipProgramSession() {
+    const { finished } = await skipProgramDay();
+    programsChanged = true;
+    if (finished) {
+        showNotification('Program complete!', 'success');
+    }
+    await renderProgramList();
+}
+
+/**
+ * Start the active program's next session (dashboard card or modal)
+ */
+export async function startProgramWorkout() {
+    const plan = await getNextProgramWorkout();
+    if (!plan) {
+        showNotification('This program session could not be loaded. Its template may have been deleted.', 'error');
+        return;
+    }
+
+    const modal = document.getElementById('programs-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    programsChanged = false;
+
+    const { startWorkout } = await import('../workout/workout-core.js');
+    await startWorkout(plan.name, plan);
+}
+
+// ===================================================================
+// BUILDER
+// ===================================================================
+
+export async function showProgramBuilder() {
+    const content = document.getElementById('programs-content');
+    if (!content) return;
+
+    const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const templates = await workoutManager.getUserWorkoutTemplates();
+
+    content.innerHTML = `
+        <div class="form-group">
+            <label for="program-name">Name</label>
+            <input type="text" id="program-name" class="form-input" placeholder="e.g. Spring Block">
+        </div>
+        <div class="form-group">
+            <label>Days, in order</label>
+            <div class="program-template-list">
+                ${templates.map(template => `
+                    <label class="program-template-option">
+                        <input type="checkbox" value="${escapeHtml(template.id || template.day || template.name)}"
+                               data-name="${escapeHtml(template.name || template.day)}">
+                        <span>${escapeHtml(template.name || template.day)}</span>
+                    </label>
+                `).join('')}
+            </div>
+        </div>
+        <div class="form-row">
+            <div class="form-group">
+                <label for="program-weeks">Weeks</label>
+                <input type="number" id="program-weeks" class="form-input" min="1" max="16" value="4">
+            </div>
+            <div class="form-group">
+                <label for="program-start-rpe">Start RPE</label>
+                <input type="number" id="program-start-rpe" class="form-input" min="5" max="10" step="0.5" value="7">
+            </div>
+            <div class="form-group">
+                <label for="program-end-rpe">End RPE</label>
+                <input type="number" id="program-end-rpe" class="form-input" min="5" max="10" step="0.5" value="9">
+            </div>
+        </div>
+        <label class="program-template-option">
+            <input type="checkbox" id="program-deload" checked>
+            <span>Finish with a deload week</span>
+        </label>
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="showProgramsModal()">Back</button>
+            <button class="btn btn-primary" onclick="createProgramFromForm()">
+                <i class="fas fa-save"></i> Save Program
+            </button>
+        </div>
+    `;
+}
+
+export async function createProgramFromForm() {
+    const name = document.getElementById('program-name')?.value.trim();
+    const templates = [...document.querySelectorAll('.program-template-list input:checked')]
+        .map(input => ({ id: input.value, name: input.dataset.name }));
+    const weeks = parseInt(document.getElementById('program-weeks')?.value);
+    const startRPE = parseFloat(document.getElementById('program-start-rpe')?.value) || 7;
+    const endRPE = parseFloat(document.getElementById('program-end-rpe')?.value) || startRPE;
+
+    if (!name || templates.length === 0 || !(weeks > 0)) {
+        showNotification('Enter a name, pick at least one day and set the number of weeks', 'warning');
+        return;
+    }
+
+    const program = await createProgramFromTemplates({
+        name,
+        templates,
+        weeks,
+        startRPE,
+        endRPE,
+        deload: document.getElementById('program-deload')?.checked
+    });
+
+    if (!program) {
+        showNotification('Could not save program', 'error');
+        return;
+    }
+
+    showNotification('Program saved', 'success');
+    await renderProgramList();
+}
+
+export async function deleteProgramFromModal(programId) {
+    if (!confirm('Delete this program?')) return;
+
+    if (!(await deleteCustomProgram(programId))) {
+        showNotification('Could not delete program', 'error');
+        return;
+    }
+
+    programsChanged = true;
+    await renderProgramList();
+}
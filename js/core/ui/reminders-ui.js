@@ -0,0 +1,310 @@
+// Reminders UI Module - core/ui/reminders-ui.js
+// Reminders modal: training days, inactivity and streak nudges, quiet hours,
+// and the notification health of this account
+
+import { AppState } from '../utils/app-state.js';
+import { showNotification, escapeHtml } from './ui-helpers.js';
+import { closeSidebar } from './navigation.js';
+import {
+    getReminderSettings, setReminderSettings, normalizeTime, REMINDER_TYPES
+} from '../features/reminders.js';
+
+const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// ===================================================================
+// MODAL
+// ===================================================================
+
+export async function showRemindersModal() {
+    closeSidebar();
+
+    if (!AppState.currentUser) {
+        showNotification('Sign in to set up reminders', 'warning');
+        return;
+    }
+
+    const modal = document.getElementById('reminders-modal');
+    if (!modal) return;
+
+    modal.classList.remove('hidden');
+    await renderRemindersForm();
+    await loadNotificationHealth();
+}
+
+export function closeRemindersModal() {
+    const modal = document.getElementById('reminders-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+async function renderRemindersForm() {
+    const content = document.getElementById('reminders-content');
+    if (!content) return;
+
+    const settings = await getReminderSettings();
+    const checked = value => value ? 'checked' : '';
+
+    content.innerHTML = `
+        <p class="method-description">
+            Reminders arrive as notifications on this device, even when the app is closed.
+        </p>
+
+        <label class="program-template-option">
+            <input type="checkbox" id="reminders-enabled" ${checked(settings.remindersEnabled)}
+                   onchange="updateRemindersForm()">
+            <span>Send me reminders</span>
+        </label>
+
+        <div id="reminders-fields" class="${settings.remindersEnabled ? '' : 'hidden'}">
+            <h4 class="program-section-title">Training days</h4>
+            <label class="program-template-option">
+                <input type="checkbox" id="reminder-type-training" ${checked(settings.types.training)}>
+                <span>${REMINDER_TYPES.training}</span>
+            </label>
+            <div class="reminder-days">
+                ${DAY_LABELS.map((label, day) => `
+                    <label class="reminder-day">
+                        <input type="checkbox" value="${day}" ${checked(settings.trainingDays.includes(day))}>
+                        <span>${label}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <div class="form-group">
+                <label for="reminder-training-time">Remind me at</label>
+                <input type="time" id="reminder-training-time" class="form-input" value="${settings.trainingTime}">
+            </div>
+
+            <h4 class="program-section-title">Nudges</h4>
+            <label class="program-template-option">
+                <input type="checkbox" id="reminder-type-inactivity" ${checked(settings.types.inactivity)}>
+                <span>${REMINDER_TYPES.inactivity}</span>
+            </label>
+            <div class="form-group">
+                <label for="reminder-inactive-days">After this many days without a workout</label>
+                <input type="number" id="reminder-inactive-days" class="form-input" min="1" max="30"
+                       value="${settings.inactiveDays}">
+            </div>
+            <label class="program-template-option">
+                <input type="checkbox" id="reminder-type-streak" ${checked(settings.types.streak)}>
+                <span>${REMINDER_TYPES.streak}</span>
+            </label>
+            <div class="form-group">
+                <label for="reminder-streak-time">Streak warning at</label>
+                <input type="time" id="reminder-streak-time" class="form-input" value="${settings.streakTime}">
+            </div>
+
+            <h4 class="program-section-title">Quiet hours</h4>
+            <label class="program-template-option">
+                <input type="checkbox" id="reminder-quiet-enabled" ${checked(settings.quietHours)}>
+                <span>No reminders between</span>
+            </label>
+            <div class="form-row">
+                <div class="form-group">
+                    <label for="reminder-quiet-start">From</label>
+                    <input type="time" id="reminder-quiet-start" class="form-input"
+                           value="${settings.quietHours?.start || '22:00'}">
+                </div>
+                <div class="form-group">
+                    <label for="reminder-quiet-end">Until</label>
+                    <input type="time" id="reminder-quiet-end" class="form-input"
+                           value="${settings.quietHours?.end || '07:00'}">
+                </div>
+            </div>
+        </div>
+
+        <h4 class="program-section-title">Notification health</h4>
+        <div id="notification-health" class="notification-health">
+            <div class="spinner"></div>
+        </div>
+
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="closeRemindersModal()">Cancel</button>
+            <button class="btn btn-primary" onclick="saveRemindersFromForm()">
+                <i class="fas fa-save"></i> Save
+            </button>
+        </div>
+    `;
+}
+
+export function updateRemindersForm() {
+    const enabled = document.getElementById('reminders-enabled')?.checked;
+    document.getElementById('reminders-fields')?.classList.toggle('hidden', !enabled);
+}
+
+// ===================================================================
+// SAVE
+// ===================================================================
+
+function readRemindersForm() {
+    const value = id => document.getElementById(id)?.value;
+    const isChecked = id => !!document.getElementById(id)?.checked;
+
+    const trainingTime = normalizeTime(value('reminder-training-time'));
+    const streakTime = normalizeTime(value('reminder-streak-time'));
+    const quietStart = normalizeTime(value('reminder-quiet-start'));
+    const quietEnd = normalizeTime(value('reminder-quiet-end'));
+    const inactiveDays = parseInt(value('reminder-inactive-days'));
+
+    if (!trainingTime || !streakTime || !(inactiveDays >= 1)) return null;
+
+    return {
+        remindersEnabled: isChecked('reminders-enabled'),
+        trainingDays: [...document.querySelectorAll('.reminder-days input:checked')]
+            .map(input => parseInt(input.value)),
+        trainingTime,
+        inactiveDays,
+        streakTime,
+        quietHours: isChecked('reminder-quiet-enabled') && quietStart && quietEnd && quietStart !== quietEnd
+            ? { start: quietStart, end: quietEnd }
+            : null,
+        types: {
+            training: isChecked('reminder-type-training'),
+            inactivity: isChecked('reminder-type-inactivity'),
+            streak: isChecked('reminder-type-streak')
+        }
+    };
+}
+
+/**
+ * Make sure this device can receive the reminders
+ * @returns {Promise<boolean>} Whether push is set up
+ */
+async function ensurePushRegistered() {
+    try {
+        const { isNativeApp, initializeCapacitorPush } = await import('../utils/capacitor-push.js');
+        if (isNativeApp()) {
+            return await initializeCapacitorPush();
+        }
+
+        const { isFCMAvailable, initializeFCM } = await import('../utils/push-notification-manager.js');
+        return isFCMAvailable() || await initializeFCM();
+    } catch (error) {
+        console.error('❌ Error registering for push:', error);
+        return false;
+    }
+}
+
+export async function saveRemindersFromForm() {
+    const settings = readRemindersForm();
+    if (!settings) {
+        showNotification('Enter valid times and a number of days', 'warning');
+        return;
+    }
+
+    if (!(await setReminderSettings(settings))) {
+        showNotification('Could not save reminders', 'error');
+        return;
+    }
+
+    closeRemindersModal();
+
+    if (settings.remindersEnabled && !(await ensurePushRegistered())) {
+        showNotification('Reminders saved, but notifications are blocked on this device', 'warning');
+        return;
+    }
+    showNotification(settings.remindersEnabled ? 'Reminders saved' : 'Reminders turned off', 'success');
+}
+
+// ===================================================================
+// NOTIFICATION HEALTH
+// ===================================================================
+
+function formatWhen(iso) {
+    return iso ? new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' }) : 'never';
+}
+
+/**
+ * Plain-language reasons pushes might not be arriving, most likely first
+ */
+function diagnoseHealth(health, device) {
+    const problems = [];
+    const { web, native } = health;
+
+    if (device.permission === 'denied') {
+        problems.push('Notifications are blocked for this site. Allow them in your browser or phone settings.');
+    }
+    if (!web.subscribed && !native.registered) {
+        problems.push(web.prunedAt || native.prunedAt
+            ? `Your push registration expired and was removed on ${formatWhen(web.prunedAt || native.prunedAt)}. Re-register this device.`
+            : 'No device is registered for push notifications. Re-register this device.');
+    }
+    if (web.subscribed && device.endpoint && web.endpoint !== device.endpoint) {
+        problems.push('Pushes go to the last device that registered, which isn\'t this one. Re-register to move them here.');
+    }
+    for (const [label, channel] of [['Web push', web], ['iPhone app', native]]) {
+        if (channel.status === 'failed') {
+            problems.push(`${label}: last delivery failed on ${formatWhen(channel.lastErrorAt)} (${channel.lastError}).`);
+        }
+    }
+
+    return problems;
+}
+
+function renderChannel(label, connected, channel) {
+    const status = !connected ? 'Not registered'
+        : channel.status === 'sent' ? `Last delivered ${formatWhen(channel.lastSentAt)}`
+        : channel.status ? `Last attempt ${channel.status} ${formatWhen(channel.lastAttemptAt)}`
+        : 'Registered, nothing sent yet';
+
+    return `
+        <div class="notification-health-row">
+            <span>${label}</span>
+            <span class="notification-health-status ${connected && channel.status !== 'failed' ? 'ok' : 'problem'}">
+                ${escapeHtml(status)}
+            </span>
+        </div>
+    `;
+}
+
+async function loadNotificationHealth() {
+    const container = document.getElementById('notification-health');
+    if (!container) return;
+
+    const { getNotificationHealth, getPushSubscription } = await import('../utils/push-notification-manager.js');
+    const health = await getNotificationHealth();
+    if (!health) {
+        container.innerHTML = '<p class="empty-state">Couldn\'t load notification health. Check your connection.</p>';
+        return;
+    }
+
+    const device = {
+        permission: 'Notification' in window ? Notification.permission : 'unsupported',
+        endpoint: getPushSubscription()?.endpoint || null
+    };
+    const problems = diagnoseHealth(health, device);
+
+    container.innerHTML = `
+        ${renderChannel('Web push', health.web.subscribed, health.web)}
+        ${renderChannel('iPhone app', health.native.registered, health.native)}
+        ${problems.length > 0 ? `
+            <ul class="notification-health-problems">
+                ${problems.map(problem => `<li>${escapeHtml(problem)}</li>`).join('')}
+            </ul>
+        ` : '<p class="notification-health-ok">Notifications look healthy.</p>'}
+        ${health.recent.length > 0 ? `
+            <details class="notification-health-recent">
+                <summary>Recent notifications</summary>
+                ${health.recent.map(item => `
+                    <div class="notification-health-row">
+                        <span>${formatWhen(new Date(item.sendAt).toISOString())} · ${escapeHtml(item.category)} (${item.channel})</span>
+                        <span class="notification-health-status ${item.status === 'sent' || item.status === 'pending' ? 'ok' : 'problem'}"
+                              title="${escapeHtml(item.error || '')}">${escapeHtml(item.status)}</span>
+                    </div>
+                `).join('')}
+            </details>
+        ` : ''}
+        <button class="btn btn-secondary btn-small" onclick="reregisterPushDevice()">
+            <i class="fas fa-sync"></i> Re-register this device
+        </button>
+    `;
+}
+
+export async function reregisterPushDevice() {
+    if (!(await ensurePushRegistered())) {
+        showNotification('Notifications are blocked or not supported on this device', 'warning');
+    } else {
+        showNotification('This device is registered for notifications', 'success');
+    }
+    await loadNotificationHealth();
+}
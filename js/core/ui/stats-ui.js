@@ -6,6 +6,9 @@ import { StreakTracker } from '../features/streak-tracker.js';
 import { ExerciseProgress } from '../features/exercise-progress.js';
 import { setBottomNavVisible, navigateTo } from './navigation.js';
 import { AppState } from '../utils/app-state.js';
+import { formatRPE, showNotification } from './ui-helpers.js';
+import { BodyMeasurements, BODY_METRICS, CIRCUMFERENCES } from '../features/body-measurements.js';
+import { formatDuration, formatPace, formatDistance } from '../workout/measurement-types.js';
 
 // ===================================================================
 // STATE
@@ -14,11 +17,58 @@ import { AppState } from '../utils/app-state.js';
 let currentChart = null;
 let selectedExerciseKey = null;
 let selectedTimeRange = '3M';
+let selectedChartMetric = 'weight';
 let exerciseList = [];
 let exerciseHierarchy = {};
 let selectedCategory = null;
 let selectedExercise = null;
 
+// Chart series shown by the metric toggle
+// types = measurement types the series applies to (see measurement-types.js)
+const CHART_METRICS = {
+    weight: { label: 'Top Weight', datasetLabel: 'Max Weight (lbs)', color: '#1dd3b0', fill: 'rgba(29, 211, 176, 0.1)', types: ['weight'] },
+    volume: { label: 'Volume', datasetLabel: 'Total Volume (lbs)', color: '#5856d6', fill: 'rgba(88, 86, 214, 0.1)', types: ['weight'] },
+    e1rm: { label: 'e1RM', datasetLabel: 'Estimated 1RM (lbs)', color: '#ff9500', fill: 'rgba(255, 149, 0, 0.1)', types: ['weight'] },
+    reps: { label: 'Reps', datasetLabel: 'Best Set (reps)', color: '#1dd3b0', fill: 'rgba(29, 211, 176, 0.1)', types: ['reps'] },
+    duration: { label: 'Time', datasetLabel: 'Total Time (min)', color: '#1dd3b0', fill: 'rgba(29, 211, 176, 0.1)', types: ['time', 'time_distance'] },
+    distance: { label: 'Distance', datasetLabel: 'Total Distance (mi)', color: '#5856d6', fill: 'rgba(88, 86, 214, 0.1)', types: ['distance', 'time_distance'] },
+    pace: { label: 'Pace', datasetLabel: 'Best Pace (min/mi)', color: '#ff9500', fill: 'rgba(255, 149, 0, 0.1)', types: ['time_distance'] }
+};
+
+/**
+ * Measurement type of the currently selected exercise + equipment
+ */
+function getSelectedMeasurementType() {
+    return exerciseList.find(item => item.key === selectedExerciseKey)?.measurementType || 'weight';
+}
+
+/**
+ * Chart metrics that apply to the selected exercise. Falls back to the first
+ * one if the current metric doesn't apply (e.g. switching from a lift to a run).
+ */
+function getAvailableChartMetrics() {
+    const type = getSelectedMeasurementType();
+    const available = Object.keys(CHART_METRICS).filter(metric => CHART_METRICS[metric].types.includes(type));
+    if (!available.includes(selectedChartMetric)) {
+        selectedChartMetric = available[0] || 'weight';
+    }
+    return available;
+}
+
+function renderChartMetricPicker() {
+    return `
+        <div class="chart-metric-picker">
+            ${getAvailableChartMetrics().map(metric => `
+                <button class="chart-metric-btn ${selectedChartMetric === metric ? 'active' : ''}"
+                        data-metric="${metric}"
+                        onclick="setProgressChartMetric('${metric}')">
+                    ${CHART_METRICS[metric].label}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
 // ===================================================================
 // MAIN VIEW
 // ===================================================================
@@ -117,6 +167,10 @@ async function renderProgressView() {
 
                 <!-- Chart Section -->
                 <div class="progress-chart-section">
+                    <!-- Chart Metric Toggle -->
+                    ${renderChartMetricPicker()}
+                    ${renderE1RMFormulaPicker()}
+
                     <!-- Time Range Picker -->
                     <div class="time-range-picker">
                         ${['1M', '3M', '6M', '1Y', 'ALL'].map(range => `
@@ -148,6 +202,11 @@ async function renderProgressView() {
                     <!-- Populated after data loads -->
                 </div>
 
+                <!-- Body Composition -->
+                <div id="body-composition-section" class="body-composition-section">
+                    <!-- Populated after data loads -->
+                </div>
+
                 <!-- Consistency Heat Map -->
                 <div id="heat-map-section" class="heat-map-section">
                     <!-- Populated after data loads -->
@@ -170,6 +229,7 @@ async function renderProgressView() {
         // Render additional sections
         await Promise.all([
             renderBodyPartDistribution(),
+            renderBodyComposition(),
             renderHeatMapCalendar(),
             renderPRTimeline()
         ]);
@@ -308,11 +368,78 @@ function renderExerciseSelector() {
 // CHART RENDERING
 // ===================================================================
 
+/**
+ * Render the Epley/Brzycki picker (only shown for the e1RM series)
+ */
+function renderE1RMFormulaPicker() {
+    const formula = PRTracker.getE1RMFormula();
+
+    return `
+        <div id="e1rm-formula-picker" class="e1rm-formula-picker ${selectedChartMetric === 'e1rm' ? '' : 'hidden'}">
+            <span class="selector-label">Formula</span>
+            ${['epley', 'brzycki'].map(f => `
+                <button class="e1rm-formula-btn ${formula === f ? 'active' : ''}"
+                        data-formula="${f}"
+                        onclick="setProgressE1RMFormula('${f}')">
+                    ${f.charAt(0).toUpperCase() + f.slice(1)}
+                </button>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Format a chart value for the selected metric
+ */
+function formatMetricValue(value, metric) {
+    switch (metric) {
+        case 'reps':
+            return `${value} reps`;
+        case 'duration':
+            return `${value} min`;
+        case 'distance':
+            return `${value} mi`;
+        case 'pace':
+            return formatPace(value * 60);
+    }
+    if (metric === 'volume' && value >= 1000) {
+        return `${(value / 1000).toFixed(1)}k lbs`;
+    }
+    return `${value} lbs`;
+}
+
+/**
+ * Tooltip lines for the reps/time/distance series
+ */
+function getMeasurementTooltipLines(tip, metric) {
+    switch (metric) {
+        case 'reps':
+            return [`Best Set: ${tip.reps} reps`, `Total: ${tip.totalReps} reps`];
+        case 'duration':
+            return [`Time: ${formatDuration(tip.duration)}`, tip.distance ? `Distance: ${formatDistance(tip.distance)}` : ''];
+        case 'distance':
+            return [`Distance: ${formatDistance(tip.distance)}`, tip.duration ? `Time: ${formatDuration(tip.duration)}` : ''];
+        case 'pace':
+            return [`Pace: ${formatPace(tip.pace)}`, `${formatDistance(tip.distance)} in ${formatDuration(tip.duration)}`];
+        default:
+            return null;
+    }
+}
+
 /**
  * Render progress chart for selected exercise
  */
 async function renderExerciseChart(exerciseKey, timeRange) {
-    const chartData = await ExerciseProgress.getChartData(exerciseKey, timeRange);
+    // Swap the metric buttons when the selected exercise is measured differently
+    const metricPicker = document.querySelector('.chart-metric-picker');
+    if (metricPicker) {
+        metricPicker.outerHTML = renderChartMetricPicker();
+    }
+
+    const metric = selectedChartMetric;
+    document.getElementById('e1rm-formula-picker')?.classList.toggle('hidden', metric !== 'e1rm');
+    const metricConfig = CHART_METRICS[metric] || CHART_METRICS.weight;
+    const chartData = await ExerciseProgress.getChartData(exerciseKey, timeRange, metric);
 
     // Destroy existing chart
     if (currentChart) {
@@ -336,16 +463,16 @@ async function renderExerciseChart(exerciseKey, timeRange) {
         data: {
             labels: chartData.labels,
             datasets: [{
-                label: 'Max Weight (lbs)',
+                label: metricConfig.datasetLabel,
                 data: chartData.data,
-                borderColor: '#1dd3b0',
-                backgroundColor: 'rgba(29, 211, 176, 0.1)',
+                borderColor: metricConfig.color,
+                backgroundColor: metricConfig.fill,
                 borderWidth: 2,
                 fill: true,
                 tension: 0.3,
                 pointRadius: 4,
-                pointBackgroundColor: '#1dd3b0',
-                pointBorderColor: '#1dd3b0',
+                pointBackgroundColor: metricConfig.color,
+                pointBorderColor: metricConfig.color,
                 pointHoverRadius: 6
             }]
         },
@@ -372,11 +499,38 @@ async function renderExerciseChart(exerciseKey, timeRange) {
                         label: function(context) {
                             const idx = context.dataIndex;
                             const tip = chartData.tooltips[idx];
+                            const measurementLines = getMeasurementTooltipLines(tip, metric);
+                            if (measurementLines) {
+                                return [
+                                    ...measurementLines,
+                                    tip.location ? `Location: ${tip.location}` : ''
+                                ].filter(Boolean);
+                            }
+                            if (metric === 'volume') {
+                                return [
+                                    `Volume: ${formatMetricValue(tip.volume, 'volume')}`,
+                                    `Top Set: ${tip.weight} lbs × ${tip.reps}`,
+                                    tip.location ? `Location: ${tip.location}` : ''
+                                ].filter(Boolean);
+                            }
+                            if (metric === 'e1rm') {
+                                return [
+                                    `e1RM: ${tip.e1rm} lbs`,
+                                    tip.e1rmSet ? `From: ${tip.e1rmSet.weight} lbs × ${tip.e1rmSet.reps}` : '',
+                                    tip.e1rmSet?.rpe ? `Effort: ${formatRPE(tip.e1rmSet.rpe)}` : '',
+                                    tip.location ? `Location: ${tip.location}` : ''
+                                ].filter(Boolean);
+                            }
                             return [
                                 `Weight: ${tip.weight} lbs`,
                                 `Reps: ${tip.reps}`,
+                                tip.rpe ? `Effort: ${formatRPE(tip.rpe)}` : '',
                                 tip.location ? `Location: ${tip.location}` : ''
                             ].filter(Boolean);
+                        },
+                        footer: function(context) {
+                            const tip = chartData.tooltips[context[0].dataIndex];
+                            return tip?.substitutedFor ? `Sub for ${tip.substitutedFor}` : '';
                         }
                     }
                 }
@@ -399,9 +553,11 @@ async function renderExerciseChart(exerciseKey, timeRange) {
                     ticks: {
                         color: '#7a8a9e',
                         callback: function(value) {
-                            return value + ' lbs';
+                            return formatMetricValue(value, metric);
                         }
                     },
+                    // Faster pace is a lower number - keep "up" meaning better
+                    reverse: metric === 'pace',
                     beginAtZero: false
                 }
             },
@@ -413,7 +569,7 @@ async function renderExerciseChart(exerciseKey, timeRange) {
     });
 
     // Render stats summary
-    renderExerciseStatsSummary(chartData.stats);
+    renderExerciseStatsSummary(chartData.stats, metric, getSelectedMeasurementType());
 
     // Render session history
     await renderSessionHistory(exerciseKey, timeRange);
@@ -440,10 +596,20 @@ function renderNoDataMessage() {
 // STATS SUMMARY
 // ===================================================================
 
-function renderExerciseStatsSummary(stats) {
+function renderExerciseStatsSummary(stats, metric = 'weight', measurementType = 'weight') {
     const container = document.getElementById('exercise-stats-summary');
     if (!container || !stats) return;
 
+    if (measurementType !== 'weight') {
+        renderMeasurementStatsSummary(container, stats, measurementType);
+        return;
+    }
+
+    if (metric === 'e1rm') {
+        renderE1RMStatsSummary(container, stats);
+        return;
+    }
+
     const improvementClass = stats.improvement >= 0 ? 'positive' : 'negative';
     const improvementIcon = stats.improvement >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
 
@@ -474,6 +640,91 @@ function renderExerciseStatsSummary(stats) {
     `;
 }
 
+/**
+ * Summary for reps-only, timed and distance exercises
+ */
+function renderMeasurementStatsSummary(container, stats, measurementType) {
+    const boxes = [];
+
+    if (measurementType === 'reps') {
+        boxes.push({ value: stats.bestReps, unit: 'reps', label: 'Best Set', highlight: true });
+        boxes.push({ value: stats.totalReps, unit: 'reps', label: 'Total' });
+    }
+    if (measurementType === 'time') {
+        boxes.push({ value: formatDuration(stats.maxDuration), label: 'Longest', highlight: true });
+    }
+    if (measurementType === 'time' || measurementType === 'time_distance') {
+        boxes.push({ value: formatDuration(stats.totalDuration), label: 'Total Time' });
+    }
+    if (measurementType === 'distance' || measurementType === 'time_distance') {
+        boxes.push({ value: stats.totalDistance, unit: 'mi', label: 'Total Distance', highlight: measurementType === 'distance' });
+    }
+    if (measurementType === 'time_distance') {
+        boxes.push({ value: stats.bestPace ? formatDuration(stats.bestPace) : '-', unit: '/mi', label: 'Best Pace', highlight: true });
+    }
+    boxes.push({ value: stats.sessionCount, label: 'Sessions' });
+
+    container.innerHTML = `
+        <div class="stats-grid">
+            ${boxes.map(box => `
+                <div class="stat-box ${box.highlight ? 'highlight' : ''}">
+                    <div class="stat-value">${box.value || 0}${box.unit ? `<span class="stat-unit">${box.unit}</span>` : ''}</div>
+                    <div class="stat-label">${box.label}</div>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+/**
+ * Session history line for reps-only, timed and distance exercises
+ */
+function renderMeasurementSessionDetails(session, measurementType) {
+    switch (measurementType) {
+        case 'reps':
+            return `<span class="history-weight">${session.totalReps} reps</span>
+                    <span class="history-reps">best ${session.maxReps}</span>`;
+        case 'time':
+            return `<span class="history-weight">${formatDuration(session.totalDuration)}</span>`;
+        case 'distance':
+            return `<span class="history-weight">${formatDistance(session.totalDistance)}</span>`;
+        default:
+            return `<span class="history-weight">${formatDistance(session.totalDistance)}</span>
+                    <span class="history-reps">in ${formatDuration(session.totalDuration)}</span>
+                    ${session.bestPace ? `<span class="history-e1rm">${formatPace(session.bestPace)}</span>` : ''}`;
+    }
+}
+
+function renderE1RMStatsSummary(container, stats) {
+    const improvementClass = stats.e1rmImprovement >= 0 ? 'positive' : 'negative';
+    const improvementIcon = stats.e1rmImprovement >= 0 ? 'fa-arrow-up' : 'fa-arrow-down';
+
+    container.innerHTML = `
+        <div class="stats-grid">
+            <div class="stat-box">
+                <div class="stat-value">${stats.currentE1RM}<span class="stat-unit">lbs</span></div>
+                <div class="stat-label">Current e1RM</div>
+            </div>
+            <div class="stat-box highlight">
+                <div class="stat-value">${stats.maxE1RM}<span class="stat-unit">lbs</span></div>
+                <div class="stat-label">Best e1RM</div>
+            </div>
+            <div class="stat-box">
+                <div class="stat-value ${improvementClass}">
+                    <i class="fas ${improvementIcon}"></i>
+                    ${Math.abs(stats.e1rmImprovement)}
+                </div>
+                <div class="stat-label">Change</div>
+                <div class="stat-detail">${stats.e1rmImprovementPercent}%</div>
+            </div>
+            <div class="stat-box">
+                <div class="stat-value">${stats.sessionCount}</div>
+                <div class="stat-label">Sessions</div>
+            </div>
+        </div>
+    `;
+}
+
 // ===================================================================
 // SESSION HISTORY
 // ===================================================================
@@ -502,9 +753,16 @@ async function renderSessionHistory(exerciseKey, timeRange) {
                 ${sessions.map(session => `
                     <div class="history-item">
                         <div class="history-date">${formatDate(session.date)}</div>
+                        ${session.substitutedFor ? `
+                            <div class="history-substitution">Sub for ${session.substitutedFor}</div>
+                        ` : ''}
                         <div class="history-details">
+                            ${progressData.measurementType !== 'weight' ? renderMeasurementSessionDetails(session, progressData.measurementType) : `
                             <span class="history-weight">${session.maxWeight} lbs</span>
                             <span class="history-reps">× ${session.maxReps}</span>
+                            ${session.topSetRPE ? `<span class="history-rpe" title="${formatRPE(session.topSetRPE)}">@ ${formatRPE(session.topSetRPE, { showBoth: false })}</span>` : ''}
+                            ${session.bestE1RM ? `<span class="history-e1rm">e1RM ${session.bestE1RM}</span>` : ''}
+                            `}
                         </div>
                         ${session.location && session.location !== 'Unknown' ? `
                             <div class="history-location">
@@ -612,8 +870,50 @@ export async function setProgressTimeRange(range) {
         await renderExerciseChart(selectedExerciseKey, range);
     }
 
-    // Also update body part distribution which uses time range
+    // Also update body part distribution and body composition which use time range
     await renderBodyPartDistribution();
+    await renderBodyComposition();
+}
+
+/**
+ * Handle chart metric change (top weight / volume / e1RM)
+ */
+export async function setProgressChartMetric(metric) {
+    if (!CHART_METRICS[metric]) return;
+    selectedChartMetric = metric;
+
+    // Update button states
+    document.querySelectorAll('.chart-metric-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.metric === metric);
+    });
+
+    // Formula picker only applies to the e1RM series
+    const formulaPicker = document.getElementById('e1rm-formula-picker');
+    if (formulaPicker) {
+        formulaPicker.classList.toggle('hidden', metric !== 'e1rm');
+    }
+
+    if (selectedExerciseKey) {
+        await renderExerciseChart(selectedExerciseKey, selectedTimeRange);
+    }
+}
+
+/**
+ * Handle e1RM formula change (Epley / Brzycki)
+ */
+export async function setProgressE1RMFormula(formula) {
+    await PRTracker.setE1RMFormula(formula);
+
+    document.querySelectorAll('.e1rm-formula-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.formula === formula);
+    });
+
+    // Session e1RMs are computed with the selected formula, so reload them
+    ExerciseProgress.clearProgressCache();
+
+    if (selectedExerciseKey) {
+        await renderExerciseChart(selectedExerciseKey, selectedTimeRange);
+    }
 }
 
 // ===================================================================
@@ -701,6 +1001,283 @@ async function renderBodyPartDistribution() {
     });
 }
 
+// ===================================================================
+// BODY COMPOSITION (Measurements + DEXA)
+// ===================================================================
+
+let bodyCompositionChart = null;
+let selectedBodyMetric = 'weight';
+let bodyMeasurementFormOpen = false;
+
+function formatBodyValue(value, metric) {
+    const unit = BODY_METRICS[metric]?.unit || '';
+    return unit === '%' ? `${value}%` : `${value} ${unit}`;
+}
+
+function renderBodyMetricSelect() {
+    const groups = [
+        ['Body', ['weight', 'bodyFat', 'leanMass', 'fatMass']],
+        ['Circumferences', Object.keys(CIRCUMFERENCES)],
+        ['DEXA Regional Lean', Object.keys(BODY_METRICS).filter(key => BODY_METRICS[key].kind === 'regional')]
+    ];
+
+    return `
+        <select class="body-metric-select" onchange="setBodyMetric(this.value)">
+            ${groups.map(([label, keys]) => `
+                <optgroup label="${label}">
+                    ${keys.map(key => `
+                        <option value="${key}" ${key === selectedBodyMetric ? 'selected' : ''}>${BODY_METRICS[key].label}</option>
+                    `).join('')}
+                </optgroup>
+            `).join('')}
+        </select>
+    `;
+}
+
+function renderBodyMeasurementForm() {
+    const metric = AppState.globalUnit === 'kg';
+    const massUnit = metric ? 'kg' : 'lbs';
+    const lengthUnit = metric ? 'cm' : 'in';
+    const field = (key, label, unit) => `
+        <label class="body-measurement-field">
+            <span>${label} (${unit})</span>
+            <input type="number" id="body-measurement-${key}" class="form-input" step="0.1" min="0">
+        </label>
+    `;
+
+    return `
+        <div class="body-measurement-form">
+            <label class="body-measurement-field">
+                <span>Date</span>
+                <input type="date" id="body-measurement-date" class="form-input" value="${AppState.getTodayDateString()}">
+            </label>
+            ${field('weight', 'Weight', massUnit)}
+            ${field('bodyFat', 'Body Fat', '%')}
+            ${field('leanMass', 'Lean Mass', massUnit)}
+            ${Object.entries(CIRCUMFERENCES).map(([key, label]) => field(key, label, lengthUnit)).join('')}
+            <div class="body-measurement-actions">
+                <button class="btn btn-secondary btn-small" onclick="toggleBodyMeasurementForm()">Cancel</button>
+                <button class="btn btn-primary btn-small" onclick="saveBodyMeasurements()">Save</button>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Lean mass change per DEXA region next to the training volume for the
+ * body parts that region covers
+ */
+function renderLeanMassCorrelation(correlation) {
+    if (!correlation) {
+        return `
+            <p class="body-composition-note">
+                Import at least two DEXA scans to compare regional lean mass with training volume.
+            </p>
+        `;
+    }
+
+    const formatVolume = (vol) => vol >= 1000 ? `${(vol / 1000).toFixed(1)}k` : vol;
+
+    return `
+        <div class="lean-correlation">
+            <div class="lean-correlation-title">
+                Lean mass vs. training volume · ${formatDate(correlation.from)} → ${formatDate(correlation.to)}
+                ${correlation.leanChange !== null ? `<span class="lean-correlation-total">${correlation.leanChange > 0 ? '+' : ''}${correlation.leanChange} lbs total</span>` : ''}
+            </div>
+            ${correlation.regions.map(region => `
+                <div class="lean-correlation-row">
+                    <span class="lean-correlation-region">${region.label}</span>
+                    <span class="lean-correlation-change ${region.change > 0 ? 'positive' : region.change < 0 ? 'negative' : ''}">
+                        ${region.change !== null ? `${region.change > 0 ? '+' : ''}${region.change} lbs` : '—'}
+                    </span>
+                    <span class="lean-correlation-volume">${formatVolume(region.volume)} lbs lifted</span>
+                </div>
+            `).join('')}
+        </div>
+    `;
+}
+
+async function renderBodyComposition() {
+    const container = document.getElementById('body-composition-section');
+    if (!container) return;
+
+    const [series, correlation] = await Promise.all([
+        BodyMeasurements.getMeasurementSeries(selectedBodyMetric, selectedTimeRange),
+        BodyMeasurements.getLeanMassCorrelation(selectedTimeRange)
+    ]);
+
+    const first = series.data[0];
+    const latest = series.data[series.data.length - 1];
+    const change = series.data.length > 1 ? Math.round((latest - first) * 10) / 10 : null;
+
+    container.innerHTML = `
+        <div class="section-card">
+            <div class="section-card-header">
+                <h3><i class="fas fa-weight"></i> Body Composition</h3>
+                <div class="body-composition-actions">
+                    <button class="btn btn-secondary btn-small" onclick="toggleBodyMeasurementForm()">
+                        <i class="fas fa-plus"></i> Log
+                    </button>
+                    <label class="btn btn-secondary btn-small">
+                        <i class="fas fa-file-import"></i> DEXA CSV
+                        <input type="file" accept=".csv,text/csv" hidden onchange="importDexaFile(this)">
+                    </label>
+                </div>
+            </div>
+
+            ${bodyMeasurementFormOpen ? renderBodyMeasurementForm() : ''}
+
+            ${renderBodyMetricSelect()}
+
+            ${series.data.length > 0 ? `
+                <div class="body-composition-summary">
+                    <span>Latest: <strong>${formatBodyValue(latest, selectedBodyMetric)}</strong></span>
+                    ${change !== null ? `<span>Change: <strong>${change > 0 ? '+' : ''}${formatBodyValue(change, selectedBodyMetric)}</strong></span>` : ''}
+                </div>
+                <div class="chart-container">
+                    <canvas id="body-composition-chart"></canvas>
+                </div>
+            ` : `
+                <div class="no-chart-data">
+                    <i class="fas fa-chart-line"></i>
+                    <p>No ${BODY_METRICS[selectedBodyMetric].label.toLowerCase()} entries for selected time range</p>
+                </div>
+            `}
+
+            ${renderLeanMassCorrelation(correlation)}
+        </div>
+    `;
+
+    if (bodyCompositionChart) {
+        bodyCompositionChart.destroy();
+        bodyCompositionChart = null;
+    }
+
+    const canvas = document.getElementById('body-composition-chart');
+    if (!canvas) return;
+
+    bodyCompositionChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: {
+            labels: series.labels.map(formatDate),
+            datasets: [{
+                label: BODY_METRICS[selectedBodyMetric].label,
+                data: series.data,
+                borderColor: '#5856d6',
+                backgroundColor: 'rgba(88, 86, 214, 0.1)',
+                borderWidth: 2,
+                fill: true,
+                tension: 0.3,
+                pointRadius: 4,
+                // DEXA scans stand out from everyday entries
+                pointBackgroundColor: series.points.map(p => p.source === 'dexa' ? '#ff9500' : '#5856d6'),
+                pointBorderColor: series.points.map(p => p.source === 'dexa' ? '#ff9500' : '#5856d6')
+            }]
+        },
+        options: {
+            responsive: true,
+            maintainAspectRatio: false,
+            plugins: {
+                legend: {
+                    display: false
+                },
+                tooltip: {
+                    backgroundColor: 'rgba(20, 25, 35, 0.95)',
+                    titleColor: '#fff',
+                    bodyColor: '#b8c5d6',
+                    padding: 12,
+                    displayColors: false,
+                    callbacks: {
+                        label: function(context) {
+                            const point = series.points[context.dataIndex];
+                            return [
+                                formatBodyValue(context.raw, selectedBodyMetric),
+                                point?.source === 'dexa' ? 'DEXA scan' : ''
+                            ].filter(Boolean);
+                        }
+                    }
+                }
+            },
+            scales: {
+                x: {
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: { color: '#7a8a9e', maxRotation: 45, minRotation: 0 }
+                },
+                y: {
+                    grid: { color: 'rgba(255,255,255,0.05)' },
+                    ticks: {
+                        color: '#7a8a9e',
+                        callback: function(value) {
+                            return formatBodyValue(value, selectedBodyMetric);
+                        }
+                    },
+                    beginAtZero: false
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Handle body composition metric change
+ */
+export async function setBodyMetric(metric) {
+    if (!BODY_METRICS[metric]) return;
+    selectedBodyMetric = metric;
+    await renderBodyComposition();
+}
+
+export async function toggleBodyMeasurementForm() {
+    bodyMeasurementFormOpen = !bodyMeasurementFormOpen;
+    await renderBodyComposition();
+}
+
+/**
+ * Save the measurement form
+ */
+export async function saveBodyMeasurements() {
+    const values = {};
+    for (const key of ['weight', 'bodyFat', 'leanMass', ...Object.keys(CIRCUMFERENCES)]) {
+        values[key] = document.getElementById(`body-measurement-${key}`)?.value;
+    }
+    const date = document.getElementById('body-measurement-date')?.value || null;
+
+    const entry = await BodyMeasurements.logMeasurements(values, AppState.globalUnit || 'lbs', date);
+    if (!entry) {
+        showNotification('Enter at least one measurement', 'warning');
+        return;
+    }
+
+    showNotification('Measurements saved', 'success');
+    bodyMeasurementFormOpen = false;
+    await renderBodyComposition();
+}
+
+/**
+ * Import DEXA scans from a CSV file input
+ */
+export async function importDexaFile(input) {
+    const file = input?.files?.[0];
+    if (!file) return;
+
+    try {
+        const { imported } = await BodyMeasurements.importDexaCsv(await file.text());
+        if (imported === 0) {
+            showNotification('No DEXA scans found in that file', 'warning');
+            return;
+        }
+
+        showNotification(`Imported ${imported} DEXA scan${imported === 1 ? '' : 's'}`, 'success');
+        selectedBodyMetric = 'leanMass';
+        await renderBodyComposition();
+    } catch (error) {
+        console.error('❌ Error importing DEXA CSV:', error);
+        showNotification('Could not read DEXA file', 'error');
+    } finally {
+        input.value = '';
+    }
+}
+
 // ===================================================================
 // CONSISTENCY HEAT MAP
 // ===================================================================
@@ -1,4 +1,7 @@
 // UI utility functions
+import { getMeasurementType, isSetLogged } from '../workout/measurement-types.js';
+import { isWarmupSet, getWorkingSetTarget } from '../workout/set-types.js';
+
 export function showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.style.cssText = `
@@ -62,6 +65,95 @@ export function convertWeight(weight, fromUnit, toUnit) {
     return weight;
 }
 
+/**
+ * Escape user text for HTML content and double-quoted attributes
+ */
+export function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Normalize an RPE entry to the 1-10 scale in half steps.
+ * Returns null for empty or out-of-range input so the field can be cleared.
+ */
+export function normalizeRPE(value) {
+    const rpe = parseFloat(value);
+    if (isNaN(rpe) || rpe < 1 || rpe > 10) return null;
+    return Math.round(rpe * 2) / 2;
+}
+
+// Per device - how effort is entered and shown. Sets always store RPE;
+// reps in reserve is the same scale counted down from failure (RIR = 10 - RPE).
+const EFFORT_MODE_KEY = 'effortMode';
+
+export const EFFORT_MODES = {
+    rpe: { label: 'RPE', min: 1, max: 10, title: 'Rate of perceived exertion (10 = failure, 8 = 2 reps in reserve)' },
+    rir: { label: 'RIR', min: 0, max: 9, title: 'Reps in reserve (0 = failure, 2 = RPE 8)' }
+};
+
+export function getEffortMode() {
+    try {
+        return localStorage.getItem(EFFORT_MODE_KEY) === 'rir' ? 'rir' : 'rpe';
+    } catch (error) {
+        return 'rpe';
+    }
+}
+
+export function setEffortMode(mode) {
+    try {
+        localStorage.setItem(EFFORT_MODE_KEY, mode === 'rir' ? 'rir' : 'rpe');
+    } catch (error) {
+        // Storage blocked - stays on RPE
+    }
+}
+
+/**
+ * Convert an effort entry in the chosen mode to RPE.
+ * Returns null for empty or out-of-range input so the field can be cleared.
+ */
+export function parseEffort(value, mode = getEffortMode()) {
+    if (mode !== 'rir') return normalizeRPE(value);
+    const rir = parseFloat(value);
+    if (isNaN(rir) || rir < EFFORT_MODES.rir.min || rir > EFFORT_MODES.rir.max) return null;
+    return normalizeRPE(10 - rir);
+}
+
+/**
+ * Stored RPE as the value of an effort input in the chosen mode
+ */
+export function getEffortInputValue(rpe, mode = getEffortMode()) {
+    const value = normalizeRPE(rpe);
+    if (value === null) return '';
+    return mode === 'rir' ? 10 - value : value;
+}
+
+/**
+ * Warning for an effort entry that didn't parse, e.g. "RIR must be between 0 and 9"
+ */
+export function getEffortRangeMessage(mode = getEffortMode()) {
+    const { label, min, max } = EFFORT_MODES[mode];
+    return `${label} must be between ${min} and ${max}`;
+}
+
+/**
+ * Format an RPE value for display in the chosen mode, e.g. "RPE 8 (2 RIR)"
+ * or "2 RIR (RPE 8)"; `showBoth: false` gives just "RPE 8" or "2 RIR"
+ */
+export function formatRPE(rpe, { showBoth = true, mode = getEffortMode() } = {}) {
+    const value = normalizeRPE(rpe);
+    if (value === null) return '';
+    const rpeText = `RPE ${value}`;
+    const rirText = `${10 - value} RIR`;
+    if (mode === 'rir') {
+        return showBoth ? `${rirText} (${rpeText})` : rirText;
+    }
+    return showBoth ? `${rpeText} (${rirText})` : rpeText;
+}
+
 // Module-level interval for active workout page rest timer
 let activeWorkoutRestInterval = null;
 
@@ -74,10 +166,11 @@ export function updateProgress(state) {
     const totalExercises = state.currentWorkout.exercises.length;
 
     state.currentWorkout.exercises.forEach((exercise, index) => {
-        const targetSets = exercise.sets || 3;
-        totalSets += targetSets;
         const sets = state.savedData.exercises[`exercise_${index}`]?.sets || [];
-        const exerciseCompletedSets = sets.filter(set => set && set.reps && set.weight).length;
+        const targetSets = getWorkingSetTarget(sets, exercise.sets || 3);
+        totalSets += targetSets;
+        const measurementType = getMeasurementType(exercise);
+        const exerciseCompletedSets = sets.filter(set => isSetLogged(set, measurementType) && !isWarmupSet(set)).length;
         completedSets += exerciseCompletedSets;
 
         // Count exercise as complete if all target sets are done
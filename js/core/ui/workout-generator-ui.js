@@ -0,0 +1,236 @@
+// Workout Generator UI Module - core/ui/workout-generator-ui.js
+// "What can I do here?" modal: pick a gym, time and body parts, review the
+// generated session, then start it or save it as a template
+
+import { AppState } from '../utils/app-state.js';
+import { showNotification, escapeHtml } from './ui-helpers.js';
+import { getSessionLocation, setSessionLocation, detectLocation } from '../features/location-service.js';
+import {
+    getLocationExercises, getAvailableBodyParts, generateWorkout, saveGeneratedTemplate
+} from '../features/workout-generator.js';
+
+const TIME_OPTIONS = [20, 30, 45, 60, 75, 90];
+
+let generatorState = { location: null, minutes: 45, bodyParts: [], workout: null };
+
+// ===================================================================
+// MODAL
+// ===================================================================
+
+export async function showWorkoutGenerator() {
+    if (!AppState.currentUser) {
+        showNotification('Sign in to generate workouts', 'warning');
+        return;
+    }
+
+    const modal = document.getElementById('workout-generator-modal');
+    const content = document.getElementById('workout-generator-content');
+    if (!modal || !content) return;
+
+    content.innerHTML = '<div class="spinner"></div>';
+    modal.classList.remove('hidden');
+
+    const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    const locations = await workoutManager.getUserLocations();
+
+    if (locations.length === 0) {
+        content.innerHTML = `
+            <p class="empty-state">
+                Save a gym and the equipment you use there first. Locations are saved when you start a workout.
+            </p>
+        `;
+        return;
+    }
+
+    // Where we are now, else the gym used most recently
+    let location = getSessionLocation();
+    if (!location) {
+        const detected = await detectLocation(locations);
+        location = detected.location?.name || locations[0].name;
+    }
+
+    generatorState = { ...generatorState, location, bodyParts: [], workout: null };
+    await renderGeneratorForm(locations);
+}
+
+export function closeWorkoutGenerator() {
+    const modal = document.getElementById('workout-generator-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    generatorState.workout = null;
+}
+
+async function renderGeneratorForm(locations) {
+    const content = document.getElementById('workout-generator-content');
+    if (!content) return;
+
+    const bodyParts = getAvailableBodyParts(await getLocationExercises(generatorState.location));
+
+    content.innerHTML = `
+        <p class="method-description">
+            Builds a session from the equipment saved at this gym, favouring what you've trained least this week.
+        </p>
+
+        <div class="form-row">
+            <div class="form-group">
+                <label for="generator-location">Gym</label>
+                <select id="generator-location" class="form-input" onchange="changeGeneratorLocation()">
+                    ${locations.map(loc => `
+                        <option value="${escapeHtml(loc.name)}" ${loc.name === generatorState.location ? 'selected' : ''}>
+                            ${escapeHtml(loc.name)}
+                        </option>
+                    `).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="generator-minutes">Time</label>
+                <select id="generator-minutes" class="form-input">
+                    ${TIME_OPTIONS.map(minutes => `
+                        <option value="${minutes}" ${minutes === generatorState.minutes ? 'selected' : ''}>${minutes} min</option>
+                    `).join('')}
+                </select>
+            </div>
+        </div>
+
+        <h4 class="program-section-title">Body parts</h4>
+        ${bodyParts.length > 0 ? `
+            <div class="reminder-days generator-body-parts">
+                ${bodyParts.map(bodyPart => `
+                    <label class="reminder-day">
+                        <input type="checkbox" value="${escapeHtml(bodyPart)}"
+                               ${generatorState.bodyParts.includes(bodyPart) ? 'checked' : ''}>
+                        <span>${escapeHtml(bodyPart)}</span>
+                    </label>
+                `).join('')}
+            </div>
+            <small class="generator-hint">Leave all unticked to train what's been missed this week.</small>
+        ` : `
+            <p class="empty-state">
+                No equipment saved at ${escapeHtml(generatorState.location)} yet. Add some from Manage Equipment.
+            </p>
+        `}
+
+        <div id="generator-result"></div>
+
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="closeWorkoutGenerator()">Cancel</button>
+            <button class="btn btn-primary" onclick="runWorkoutGenerator()" ${bodyParts.length === 0 ? 'disabled' : ''}>
+                <i class="fas fa-magic"></i> Generate
+            </button>
+        </div>
+    `;
+}
+
+function readGeneratorForm() {
+    generatorState.location = document.getElementById('generator-location')?.value || generatorState.location;
+    generatorState.minutes = parseInt(document.getElementById('generator-minutes')?.value) || generatorState.minutes;
+    generatorState.bodyParts = [...document.querySelectorAll('.generator-body-parts input:checked')]
+        .map(input => input.value);
+}
+
+export async function changeGeneratorLocation() {
+    readGeneratorForm();
+    generatorState.bodyParts = [];
+    generatorState.workout = null;
+
+    const { FirebaseWorkoutManager } = await import('../data/firebase-workout-manager.js');
+    const workoutManager = new FirebaseWorkoutManager(AppState);
+    await renderGeneratorForm(await workoutManager.getUserLocations());
+}
+
+// ===================================================================
+// RESULT
+// ===================================================================
+
+/**
+ * Generate (or with shuffle, re-roll) a session from the form
+ */
+export async function runWorkoutGenerator(shuffle = false) {
+    readGeneratorForm();
+
+    const resultEl = document.getElementById('generator-result');
+    if (!resultEl) return;
+    resultEl.innerHTML = '<div class="spinner"></div>';
+
+    const { workout, recentLoad, reason } = await generateWorkout({ ...generatorState, shuffle });
+    generatorState.workout = workout;
+
+    if (!workout) {
+        resultEl.innerHTML = `<p class="empty-state">${escapeHtml(reason)}</p>`;
+        return;
+    }
+
+    const untrained = workout.generated.bodyParts.filter(bodyPart => !recentLoad[bodyPart]);
+
+    resultEl.innerHTML = `
+        <h4 class="program-section-title">
+            ${escapeHtml(workout.generated.bodyParts.join(' + '))} · about ${workout.estimatedMinutes} min
+        </h4>
+        ${untrained.length > 0 ? `
+            <small class="generator-hint">Not trained in the last 7 days: ${escapeHtml(untrained.join(', '))}</small>
+        ` : ''}
+        <div class="program-list">
+            ${workout.exercises.map(ex => `
+                <div class="program-card">
+                    <div>
+                        <div class="program-name">${escapeHtml(ex.machine)}</div>
+                        <small>${escapeHtml(ex.bodyPart)}${ex.equipment ? ` · ${escapeHtml(ex.equipment)}` : ''}</small>
+                    </div>
+                    <span class="program-badge">${ex.sets} × ${ex.reps}</span>
+                </div>
+            `).join('')}
+        </div>
+        <div class="form-group">
+            <label for="generator-template-name">Template name</label>
+            <input type="text" id="generator-template-name" class="form-input" value="${escapeHtml(workout.name)}">
+        </div>
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="runWorkoutGenerator(true)">
+                <i class="fas fa-random"></i> Try another
+            </button>
+            <button class="btn btn-secondary" onclick="saveGeneratedWorkout()">
+                <i class="fas fa-save"></i> Save as Template
+            </button>
+            <button class="btn btn-primary" onclick="startGeneratedWorkout()">
+                <i class="fas fa-play"></i> Start
+            </button>
+        </div>
+    `;
+}
+
+export async function saveGeneratedWorkout() {
+    const workout = generatorState.workout;
+    if (!workout) return;
+
+    const name = document.getElementById('generator-template-name')?.value.trim();
+    if (!name) {
+        showNotification('Give the template a name', 'warning');
+        return;
+    }
+
+    const templateId = await saveGeneratedTemplate(workout, name);
+    if (!templateId) {
+        showNotification('Could not save template', 'error');
+        return;
+    }
+
+    workout.name = name;
+    workout.day = name;
+    showNotification(`Saved "${name}" to your templates`, 'success');
+}
+
+export async function startGeneratedWorkout() {
+    const workout = generatorState.workout;
+    if (!workout) return;
+
+    const { estimatedMinutes, ...plan } = workout;
+    closeWorkoutGenerator();
+
+    // The session was built for this gym - don't ask where we are again
+    setSessionLocation(plan.generated.location);
+
+    const { startWorkout } = await import('../workout/workout-core.js');
+    await startWorkout(plan.name, plan);
+}
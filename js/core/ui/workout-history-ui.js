@@ -4,6 +4,7 @@
 import { AppState } from '../utils/app-state.js';
 import { showNotification, setHeaderMode } from './ui-helpers.js';
 import { setBottomNavVisible, updateBottomNavActive } from './navigation.js';
+import { getMeasurementType, formatSetSummary } from '../workout/measurement-types.js';
 
 // ===================================================================
 // MAIN HISTORY DISPLAY FUNCTION
@@ -268,7 +269,7 @@ function showWorkoutDetailModal(workout) {
                 <h4>${exercise.name}</h4>
                 <div class="exercise-sets">
                     ${exercise.sets.map((set, index) => `
-                        <span class="set-summary">Set ${index + 1}: ${set.reps} reps @ ${set.weight}lbs</span>
+                        <span class="set-summary">Set ${index + 1}: ${formatSetSummary(set, getMeasurementType(exercise))}</span>
                     `).join('')}
                 </div>
             </div>
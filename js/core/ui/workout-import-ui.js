@@ -0,0 +1,233 @@
+// Workout Import UI Module - core/ui/workout-import-ui.js
+// Import modal: choose file -> review exercise mapping and conflicts -> write
+
+import { AppState } from '../utils/app-state.js';
+import { showNotification, escapeHtml } from './ui-helpers.js';
+import { closeSidebar } from './navigation.js';
+import { stripEquipmentHint } from '../data/exercise-matching.js';
+import { IMPORT_SOURCES, previewImport, remapImportExercise, commitImport } from '../features/workout-import.js';
+
+// Preview currently being reviewed
+let currentPreview = null;
+
+// ===================================================================
+// MODAL
+// ===================================================================
+
+export function showWorkoutImportModal() {
+    closeSidebar();
+
+    if (!AppState.currentUser) {
+        showNotification('Sign in to import workouts', 'warning');
+        return;
+    }
+
+    currentPreview = null;
+    const modal = document.getElementById('workout-import-modal');
+    if (!modal) return;
+
+    modal.classList.remove('hidden');
+    renderFileStep();
+}
+
+export function closeWorkoutImportModal() {
+    const modal = document.getElementById('workout-import-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+    currentPreview = null;
+}
+
+function renderFileStep() {
+    const content = document.getElementById('workout-import-content');
+    if (!content) return;
+
+    content.innerHTML = `
+        <p class="method-description">
+            Export a CSV from Strong, Hevy or FitNotes and choose it below. Nothing is saved until you confirm.
+        </p>
+        <div class="form-row">
+            <div class="form-group">
+                <label for="import-source">App</label>
+                <select id="import-source" class="form-input">
+                    <option value="">Detect automatically</option>
+                    ${Object.entries(IMPORT_SOURCES).map(([key, source]) =>
+                        `<option value="${key}">${source.label}</option>`
+                    ).join('')}
+                </select>
+            </div>
+            <div class="form-group">
+                <label for="import-unit">Weights in file</label>
+                <select id="import-unit" class="form-input">
+                    <option value="lbs" ${AppState.globalUnit !== 'kg' ? 'selected' : ''}>lbs</option>
+                    <option value="kg" ${AppState.globalUnit === 'kg' ? 'selected' : ''}>kg</option>
+                </select>
+            </div>
+        </div>
+        <div class="form-group">
+            <input type="file" id="import-file" class="form-input" accept=".csv,text/csv">
+        </div>
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="closeWorkoutImportModal()">Cancel</button>
+            <button class="btn btn-primary" id="import-preview-btn" onclick="previewWorkoutImport()">
+                <i class="fas fa-search"></i> Preview
+            </button>
+        </div>
+    `;
+}
+
+// ===================================================================
+// PREVIEW
+// ===================================================================
+
+export async function previewWorkoutImport() {
+    const file = document.getElementById('import-file')?.files?.[0];
+    if (!file) {
+        showNotification('Choose a CSV file first', 'warning');
+        return;
+    }
+
+    const button = document.getElementById('import-preview-btn');
+    if (button) {
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Reading...';
+    }
+
+    try {
+        const preview = await previewImport(await file.text(), {
+            source: document.getElementById('import-source')?.value || null,
+            unit: document.getElementById('import-unit')?.value || 'lbs'
+        });
+
+        if (!preview.source) {
+            showNotification('Could not recognise that file as a Strong, Hevy or FitNotes export', 'warning');
+            renderFileStep();
+            return;
+        }
+        if (preview.workouts.length === 0) {
+            showNotification('No workouts found in that file', 'warning');
+            renderFileStep();
+            return;
+        }
+
+        currentPreview = preview;
+        renderPreviewStep();
+    } catch (error) {
+        console.error('❌ Error reading import file:', error);
+        showNotification('Could not read that file', 'error');
+        renderFileStep();
+    }
+}
+
+function renderMatchBadge(mapping) {
+    if (!mapping.matched) return '<span class="import-badge new">New</span>';
+    if (mapping.score >= 0.95) return '<span class="import-badge exact">Matched</span>';
+    return `<span class="import-badge fuzzy">${Math.round(mapping.score * 100)}% match</span>`;
+}
+
+function renderPreviewStep() {
+    const content = document.getElementById('workout-import-content');
+    if (!content || !currentPreview) return;
+
+    const { summary, exerciseMap, conflicts, workouts } = currentPreview;
+    const libraryNames = [...new Set(currentPreview.library.map(ex => ex.name).filter(Boolean))].sort();
+    const sourceNames = Object.keys(exerciseMap).sort();
+    const conflictWorkouts = workouts
+        .map((workout, index) => ({ workout, index, conflict: conflicts[workout.sourceKey] }))
+        .filter(item => item.conflict);
+    const importCount = workouts.filter(w => !conflicts[w.sourceKey]?.skip).length;
+
+    content.innerHTML = `
+        <div class="import-summary">
+            <strong>${IMPORT_SOURCES[currentPreview.source].label}</strong> ·
+            ${summary.workouts} workouts · ${summary.sets} sets · ${summary.exercises} exercises<br>
+            <span>${summary.from} → ${summary.to}</span>
+        </div>
+
+        <h4 class="import-section-title">Exercises</h4>
+        <div class="import-mapping-list">
+            ${sourceNames.map((sourceName, i) => {
+                const mapping = exerciseMap[sourceName];
+                return `
+                    <div class="import-mapping-row">
+                        <div class="import-mapping-source">
+                            ${escapeHtml(sourceName)}
+                            <small>${mapping.setCount} sets</small>
+                        </div>
+                        <select class="form-input" onchange="setImportExerciseMapping(${i}, this.value)">
+                            <option value="" ${!mapping.matched ? 'selected' : ''}>New: ${escapeHtml(mapping.matched ? stripEquipmentHint(sourceName) : mapping.name)}</option>
+                            ${libraryNames.map(name => `
+                                <option value="${escapeHtml(name)}" ${mapping.matched && mapping.name === name ? 'selected' : ''}>${escapeHtml(name)}</option>
+                            `).join('')}
+                        </select>
+                        ${renderMatchBadge(mapping)}
+                    </div>
+                `;
+            }).join('')}
+        </div>
+
+        ${conflictWorkouts.length > 0 ? `
+            <h4 class="import-section-title">Conflicts</h4>
+            <div class="import-conflict-list">
+                ${conflictWorkouts.map(({ workout, index, conflict }) => `
+                    <label class="import-conflict-row">
+                        <input type="checkbox" ${conflict.skip ? '' : 'checked'} onchange="toggleImportConflict(${index}, this.checked)">
+                        <span>
+                            <strong>${workout.date}</strong> ${escapeHtml(workout.name)}
+                            <small>${conflict.type === 'duplicate'
+                                ? 'Already imported'
+                                : `Same day as ${escapeHtml(conflict.existing.join(', '))}`}</small>
+                        </span>
+                    </label>
+                `).join('')}
+            </div>
+        ` : ''}
+
+        <div class="modal-actions">
+            <button class="btn btn-secondary" onclick="showWorkoutImportModal()">Back</button>
+            <button class="btn btn-primary" id="import-confirm-btn" onclick="confirmWorkoutImport()" ${importCount === 0 ? 'disabled' : ''}>
+                <i class="fas fa-file-import"></i> Import ${importCount} workout${importCount === 1 ? '' : 's'}
+            </button>
+        </div>
+    `;
+}
+
+/**
+ * Change which library exercise an imported name maps to ('' = keep as new exercise)
+ */
+export function setImportExerciseMapping(index, libraryName) {
+    if (!currentPreview) return;
+    const sourceName = Object.keys(currentPreview.exerciseMap).sort()[index];
+    remapImportExercise(currentPreview, sourceName, libraryName);
+    renderPreviewStep();
+}
+
+export function toggleImportConflict(workoutIndex, include) {
+    const workout = currentPreview?.workouts[workoutIndex];
+    if (!workout || !currentPreview.conflicts[workout.sourceKey]) return;
+    currentPreview.conflicts[workout.sourceKey].skip = !include;
+    renderPreviewStep();
+}
+
+// ===================================================================
+// COMMIT
+// ===================================================================
+
+export async function confirmWorkoutImport() {
+    if (!currentPreview) return;
+
+    const button = document.getElementById('import-confirm-btn');
+    if (button) {
+        button.disabled = true;
+        button.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Importing...';
+    }
+
+    const result = await commitImport(currentPreview);
+    closeWorkoutImportModal();
+
+    if (result.failed > 0) {
+        showNotification(`Imported ${result.imported} workouts, ${result.failed} failed`, 'warning');
+    } else {
+        showNotification(`Imported ${result.imported} workouts${result.skipped ? ` (${result.skipped} skipped)` : ''}`, 'success');
+    }
+}
@@ -0,0 +1,74 @@
+// CSV Module - core/utils/csv.js
+// Minimal CSV reading/writing shared by the importers and the data export
+
+/**
+ * Guess the delimiter from the header line (some locales export with ';')
+ */
+export function detectDelimiter(text) {
+    const header = (text || '').split(/\r?\n/, 1)[0];
+    const counts = [',', ';', '\t'].map(d => [d, header.split(d).length]);
+    return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Split CSV text into rows of trimmed cells (handles quoted fields)
+ */
+export function parseCsvRows(text, delimiter = ',') {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+    text = (text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell.trim());
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell.trim());
+            if (row.some(Boolean)) rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell.trim());
+    if (row.some(Boolean)) rows.push(row);
+
+    return rows;
+}
+
+/**
+ * Parse CSV text into objects keyed by header name
+ * @returns {Object} { headers: [], records: [{ header: value }] }
+ */
+export function parseCsvRecords(text) {
+    const rows = parseCsvRows(text, detectDelimiter(text));
+    if (rows.length === 0) return { headers: [], records: [] };
+
+    const headers = rows[0];
+    const records = rows.slice(1).map(row =>
+        Object.fromEntries(headers.map((header, i) => [header, row[i] ?? '']))
+    );
+    return { headers, records };
+}
+
+export function toCsvCell(value) {
+    if (value === null || value === undefined) return '';
+    const str = String(value);
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
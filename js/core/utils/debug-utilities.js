@@ -580,63 +580,11 @@ export async function scanDuplicateExercises() {
     console.log('🔍 Scanning for duplicate exercises...\n');
 
     try {
-        const { db, collection, getDocs } = await import('../data/firebase-config.js');
-        const uid = AppState.currentUser.uid;
-
-        // Collect exercises from all sources
-        const allExercises = [];
-
-        // 1. Custom exercises
-        const customRef = collection(db, "users", uid, "customExercises");
-        const customSnapshot = await getDocs(customRef);
-        customSnapshot.forEach((docSnap) => {
-            const data = docSnap.data();
-            allExercises.push({
-                id: docSnap.id,
-                name: data.name || '',
-                collection: 'customExercises',
-                data: data
-            });
-        });
-
-        // 2. Exercise overrides
-        const overridesRef = collection(db, "users", uid, "exerciseOverrides");
-        const overridesSnapshot = await getDocs(overridesRef);
-        overridesSnapshot.forEach((docSnap) => {
-            const data = docSnap.data();
-            allExercises.push({
-                id: docSnap.id,
-                name: data.name || data.originalName || '',
-                collection: 'exerciseOverrides',
-                data: data
-            });
-        });
-
-        // 3. Default exercises
-        const defaultRef = collection(db, "exercises");
-        const defaultSnapshot = await getDocs(defaultRef);
-        defaultSnapshot.forEach((docSnap) => {
-            const data = docSnap.data();
-            if (data.name) {
-                allExercises.push({
-                    id: docSnap.id,
-                    name: data.name,
-                    collection: 'exercises (default)',
-                    data: data
-                });
-            }
-        });
+        const { collectExerciseSources, groupExercisesByName } = await import('../data/exercise-matching.js');
 
-        // Group by name (case-insensitive)
-        const exercisesByName = {};
-        allExercises.forEach(ex => {
-            const name = (ex.name || '').toLowerCase();
-            if (!name) return;
-            if (!exercisesByName[name]) {
-                exercisesByName[name] = [];
-            }
-            exercisesByName[name].push(ex);
-        });
+        // Collect exercises from all sources and group by name (case-insensitive)
+        const allExercises = await collectExerciseSources();
+        const exercisesByName = groupExercisesByName(allExercises);
 
         // Find duplicates
         const duplicates = [];
@@ -8,6 +8,10 @@ const errorLog = [];
 const MAX_ERRORS_SHOWN = 3;
 const ERROR_WINDOW_MS = 5000;
 
+// Last known connection state, shown in #connection-status
+let lastConnected = true;
+let pendingWriteCount = 0;
+
 /**
  * Global error handler for uncaught errors
  */
@@ -35,17 +39,35 @@ export function initializeErrorHandler() {
     window.addEventListener('offline', () => {
         console.warn('⚠️ Lost internet connection');
         showNotification('You are offline. Changes will sync when reconnected.', 'warning');
+        refreshConnectionStatus(false);
     });
 
     window.addEventListener('online', () => {
         showNotification('Back online! Syncing data...', 'success');
 
-        // Trigger data sync if needed
-        if (window.AppState?.currentUser) {
-        }
+        // Replay writes queued while offline
+        syncPendingWrites();
+    });
+
+    // Saves queued or replayed - keep the status pill's pending count current
+    window.addEventListener('offlineQueueChanged', (event) => {
+        pendingWriteCount = event.detail.pending;
+        updateConnectionStatus(lastConnected, pendingWriteCount);
     });
 }
 
+/**
+ * Replay the offline write queue and report the outcome
+ */
+async function syncPendingWrites() {
+    const { replayPendingWrites } = await import('../data/offline-store.js');
+    const { synced, remaining } = await replayPendingWrites();
+
+    if (synced > 0 && remaining === 0) {
+        showNotification(`Synced ${synced} offline change${synced === 1 ? '' : 's'}`, 'success');
+    }
+}
+
 /**
  * Handle errors with user-friendly messages
  */
@@ -127,11 +149,13 @@ export function isOnline() {
  * Check Firebase connectivity
  */
 export async function checkFirebaseConnection(db) {
+    if (!isOnline()) return false;
+
     try {
-        // Try to read from a test collection
-        const { collection, getDocs, limit, query } = await import('../data/firebase-config.js');
+        // Try to read from a test collection - from the server, a cached answer proves nothing
+        const { collection, getDocsFromServer, limit, query } = await import('../data/firebase-config.js');
         const testQuery = query(collection(db, 'exercises'), limit(1));
-        await getDocs(testQuery);
+        await getDocsFromServer(testQuery);
         return true;
     } catch (error) {
         // Permission denied is expected when not signed in
@@ -145,34 +169,54 @@ export async function checkFirebaseConnection(db) {
 
 /**
  * Show connection status in UI
+ * @param {boolean} isConnected
+ * @param {number} pending - Writes waiting in the offline queue
  */
-export function updateConnectionStatus(isConnected) {
+export function updateConnectionStatus(isConnected, pending = pendingWriteCount) {
+    lastConnected = isConnected;
+    pendingWriteCount = pending;
+
     const statusEl = document.getElementById('connection-status');
     if (!statusEl) return;
 
+    const pendingText = pending > 0 ? ` · ${pending} unsynced` : '';
+    statusEl.classList.toggle('pending', pending > 0);
+
     if (isConnected) {
         statusEl.classList.remove('offline');
         statusEl.classList.add('online');
-        statusEl.innerHTML = '<i class="fas fa-check-circle"></i> Connected';
+        statusEl.innerHTML = pending > 0
+            ? `<i class="fas fa-sync-alt fa-spin"></i> Syncing${pendingText}`
+            : '<i class="fas fa-check-circle"></i> Connected';
     } else {
         statusEl.classList.remove('online');
         statusEl.classList.add('offline');
-        statusEl.innerHTML = '<i class="fas fa-exclamation-circle"></i> Offline';
+        statusEl.innerHTML = `<i class="fas fa-exclamation-circle"></i> Offline${pendingText}`;
     }
 }
 
+async function refreshConnectionStatus(isConnected) {
+    const { getPendingWriteCount } = await import('../data/offline-store.js');
+    updateConnectionStatus(isConnected, await getPendingWriteCount());
+}
+
 /**
  * Monitor connection status
  */
 export function startConnectionMonitoring(db) {
+    const check = async () => {
+        const isConnected = await checkFirebaseConnection(db);
+        await refreshConnectionStatus(isConnected);
+
+        // Reconnected without an 'online' event (e.g. signal came back in the basement)
+        if (isConnected && pendingWriteCount > 0) {
+            await syncPendingWrites();
+        }
+    };
+
     // Initial check
-    checkFirebaseConnection(db).then(isConnected => {
-        updateConnectionStatus(isConnected);
-    });
+    check();
 
     // Check every 30 seconds
-    setInterval(async () => {
-        const isConnected = await checkFirebaseConnection(db);
-        updateConnectionStatus(isConnected);
-    }, 30000);
+    setInterval(check, 30000);
 }
@@ -248,3 +248,20 @@ export async function sendTestNotification() {
         return false;
     }
 }
+
+/**
+ * Delivery health for the signed-in user (saved subscription/token, last
+ * results, recent notifications) from the getNotificationHealth function
+ */
+export async function getNotificationHealth() {
+    if (!auth.currentUser) return null;
+
+    try {
+        const getHealth = httpsCallable(functions, 'getNotificationHealth');
+        const result = await getHealth();
+        return result.data;
+    } catch (error) {
+        console.error('❌ Error loading notification health:', error);
+        return null;
+    }
+}
@@ -0,0 +1,105 @@
+// Exercise Groups Module - core/workout/exercise-groups.js
+// Superset / circuit grouping shared by templates, live workouts and history
+//
+// Exercises opt into a group with a single-letter `group` field ("A", "B", ...).
+// Two exercises sharing a letter form a superset, three or more form a circuit.
+// A letter used by only one exercise is treated as ungrouped.
+
+export const GROUP_LABELS = ['A', 'B', 'C', 'D', 'E', 'F'];
+
+// ===================================================================
+// GROUP LOOKUP
+// ===================================================================
+
+/**
+ * Get the indices of every exercise in the same group as exercises[index].
+ * Returns an empty array when the exercise is not part of a real group.
+ */
+export function getGroupMembers(exercises, index) {
+    const group = exercises?.[index]?.group;
+    if (!group) return [];
+
+    const members = [];
+    exercises.forEach((ex, i) => {
+        if (ex?.group === group) members.push(i);
+    });
+
+    return members.length > 1 ? members : [];
+}
+
+/**
+ * 'superset' for a pair, 'circuit' for three or more, null if ungrouped
+ */
+export function getGroupType(exercises, index) {
+    const members = getGroupMembers(exercises, index);
+    if (members.length === 0) return null;
+    return members.length === 2 ? 'superset' : 'circuit';
+}
+
+/**
+ * Display label like "Superset A" or "Circuit B"
+ */
+export function getGroupLabel(exercises, index) {
+    const type = getGroupType(exercises, index);
+    if (!type) return '';
+    const name = type === 'superset' ? 'Superset' : 'Circuit';
+    return `${name} ${exercises[index].group}`;
+}
+
+// ===================================================================
+// ROUND CYCLING
+// ===================================================================
+
+/**
+ * Find the next exercise to perform in the current round.
+ * A round is one set of every exercise in the group; exercises with fewer
+ * target sets drop out of later rounds.
+ * @returns {number|null} Next exercise index, or null if this set ends the round
+ */
+export function getNextInRound(exercises, index, setIndex) {
+    const members = getGroupMembers(exercises, index);
+    if (members.length === 0) return null;
+
+    const position = members.indexOf(index);
+    for (let i = position + 1; i < members.length; i++) {
+        const candidate = exercises[members[i]];
+        if ((candidate.sets || 3) > setIndex) {
+            return members[i];
+        }
+    }
+
+    return null;
+}
+
+/**
+ * First exercise of the group that still has a set left for the given round.
+ * Used to send the user back to the top of the group after resting.
+ */
+export function getRoundStart(exercises, index, setIndex) {
+    const members = getGroupMembers(exercises, index);
+    const start = members.find(i => (exercises[i].sets || 3) > setIndex);
+    return start ?? null;
+}
+
+// ===================================================================
+// NORMALIZATION
+// ===================================================================
+
+/**
+ * Clear group letters that only one exercise uses so saved templates and
+ * workouts never carry a dangling group. Always returns group as a string or
+ * null (Firestore rejects undefined values in nested objects).
+ */
+export function normalizeExerciseGroups(exercises) {
+    if (!Array.isArray(exercises)) return exercises;
+
+    const counts = {};
+    exercises.forEach(ex => {
+        if (ex?.group) counts[ex.group] = (counts[ex.group] || 0) + 1;
+    });
+
+    return exercises.map(ex => ({
+        ...ex,
+        group: ex?.group && counts[ex.group] > 1 ? ex.group : null
+    }));
+}
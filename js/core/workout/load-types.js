@@ -0,0 +1,106 @@
+// Load Types Module - core/workout/load-types.js
+// Whether a weighted exercise's load is external, bodyweight-based or machine-assisted
+//
+// Stored as `loadType` on library, template and workout exercises. Sets logged
+// for bodyweight/assisted exercises are stamped with `loadType` and the
+// `bodyWeight` (lbs) at the time, so their effective load doesn't shift when
+// the body-weight log changes later. For those sets `weight` is the signed
+// adjustment: +25 for a weighted pull-up, -40 for 40 lbs of machine assistance.
+
+import { AppState } from '../utils/app-state.js';
+
+export const DEFAULT_LOAD_TYPE = 'external';
+
+/**
+ * weightLabel: column/placeholder label for the weight input
+ */
+export const LOAD_TYPES = {
+    external: { label: 'External weight', weightLabel: 'Weight' },
+    bodyweight: { label: 'Bodyweight (+ added weight)', weightLabel: '+ Weight' },
+    assisted: { label: 'Assisted (weight subtracts)', weightLabel: 'Assist' }
+};
+
+// ===================================================================
+// TYPE LOOKUP
+// ===================================================================
+
+/**
+ * Resolve an exercise's load type, falling back to the exercise library by name
+ */
+export function getLoadType(exercise) {
+    if (LOAD_TYPES[exercise?.loadType]) {
+        return exercise.loadType;
+    }
+
+    const name = (exercise?.machine || exercise?.name || '').toLowerCase();
+    if (name && AppState.exerciseDatabase) {
+        const libraryExercise = AppState.exerciseDatabase.find(ex =>
+            (ex.name || ex.machine || '').toLowerCase() === name
+        );
+        if (LOAD_TYPES[libraryExercise?.loadType]) {
+            return libraryExercise.loadType;
+        }
+    }
+
+    return DEFAULT_LOAD_TYPE;
+}
+
+/**
+ * Does this load type include the lifter's body weight?
+ */
+export function isBodyweightLoad(loadType) {
+    return loadType === 'bodyweight' || loadType === 'assisted';
+}
+
+// ===================================================================
+// LOAD CALCULATION
+// ===================================================================
+
+/**
+ * Convert a weight entry into the stored signed adjustment.
+ * External loads must be positive; bodyweight loads may be zero or negative;
+ * assisted entries are always stored as negative (assistance subtracts).
+ * @returns {number|null} Weight in the entry's unit, or null if invalid/empty
+ */
+export function normalizeLoadWeight(value, loadType = DEFAULT_LOAD_TYPE) {
+    const weight = parseFloat(value);
+    if (isNaN(weight)) return null;
+
+    if (loadType === 'assisted') return -Math.abs(weight);
+    if (loadType === 'bodyweight') return weight;
+    return weight > 0 ? weight : null;
+}
+
+/**
+ * Load actually moved for a set (lbs). Bodyweight/assisted sets add their
+ * adjustment to the body weight recorded with the set; sets logged before a
+ * body weight was known fall back to `fallbackBodyWeight`.
+ */
+export function getEffectiveLoad(set, fallbackBodyWeight = 0) {
+    if (!set) return 0;
+    if (!isBodyweightLoad(set.loadType)) return set.weight > 0 ? set.weight : 0;
+
+    const bodyWeight = set.bodyWeight || fallbackBodyWeight || 0;
+    return Math.max(0, bodyWeight + (set.weight || 0));
+}
+
+/**
+ * Display a set's load, e.g. "135", "BW + 25", "BW − 40"
+ * @param {number} displayWeight - Adjustment already converted to the display unit
+ */
+export function formatLoad(set, displayWeight = null) {
+    const weight = displayWeight ?? set?.weight ?? 0;
+    if (!isBodyweightLoad(set?.loadType)) return `${weight}`;
+    if (!weight) return 'BW';
+    return weight > 0 ? `BW + ${weight}` : `BW − ${Math.abs(weight)}`;
+}
+
+/**
+ * Build <option> tags for a load type <select>
+ */
+export function renderLoadTypeOptions(selected) {
+    const current = LOAD_TYPES[selected] ? selected : DEFAULT_LOAD_TYPE;
+    return Object.entries(LOAD_TYPES).map(([value, type]) =>
+        `<option value="${value}" ${value === current ? 'selected' : ''}>${type.label}</option>`
+    ).join('');
+}
@@ -0,0 +1,172 @@
+// Measurement Types Module - core/workout/measurement-types.js
+// How an exercise is logged: weight × reps, reps only, time, distance, or time + distance
+//
+// Stored as `measurementType` on library exercises, template/workout exercises
+// and saved exercise data. Exercises without one are weight × reps.
+// Set fields: reps, weight (lbs), duration (seconds), distance (miles), heartRate (avg bpm)
+
+import { AppState } from '../utils/app-state.js';
+import { isBodyweightLoad, formatLoad } from './load-types.js';
+
+export const DEFAULT_MEASUREMENT_TYPE = 'weight';
+
+/**
+ * fields: set fields that must be filled for the set to count as logged
+ * optional: extra set fields shown as inputs but not required
+ */
+export const MEASUREMENT_TYPES = {
+    weight: { label: 'Weight × Reps', fields: ['reps', 'weight'], optional: [] },
+    reps: { label: 'Reps only (bodyweight)', fields: ['reps'], optional: [] },
+    time: { label: 'Time', fields: ['duration'], optional: ['heartRate'] },
+    distance: { label: 'Distance', fields: ['distance'], optional: ['heartRate'] },
+    time_distance: { label: 'Time + Distance', fields: ['duration', 'distance'], optional: ['heartRate'] }
+};
+
+// ===================================================================
+// TYPE LOOKUP
+// ===================================================================
+
+/**
+ * Resolve an exercise's measurement type.
+ * Falls back to the exercise library by name so workouts saved before
+ * measurement types existed still pick up the right inputs.
+ */
+export function getMeasurementType(exercise) {
+    if (MEASUREMENT_TYPES[exercise?.measurementType]) {
+        return exercise.measurementType;
+    }
+
+    const name = (exercise?.machine || exercise?.name || '').toLowerCase();
+    if (name && AppState.exerciseDatabase) {
+        const libraryExercise = AppState.exerciseDatabase.find(ex =>
+            (ex.name || ex.machine || '').toLowerCase() === name
+        );
+        if (MEASUREMENT_TYPES[libraryExercise?.measurementType]) {
+            return libraryExercise.measurementType;
+        }
+    }
+
+    return DEFAULT_MEASUREMENT_TYPE;
+}
+
+export function isWeightedType(type) {
+    return (type || DEFAULT_MEASUREMENT_TYPE) === 'weight';
+}
+
+/**
+ * Has every required field for this measurement type been entered?
+ * Bodyweight/assisted sets only need reps - their added weight can be zero or negative.
+ */
+export function isSetLogged(set, type = DEFAULT_MEASUREMENT_TYPE) {
+    if (!set) return false;
+    const def = MEASUREMENT_TYPES[type] || MEASUREMENT_TYPES[DEFAULT_MEASUREMENT_TYPE];
+    const fields = type === 'weight' && isBodyweightLoad(set.loadType) ? ['reps'] : def.fields;
+    return fields.every(field => set[field] > 0);
+}
+
+/**
+ * Does the set have anything entered at all? (used when trimming empty sets)
+ */
+export function hasSetData(set) {
+    return !!set && ['reps', 'weight', 'duration', 'distance'].some(field => set[field] > 0);
+}
+
+// ===================================================================
+// PARSING & FORMATTING
+// ===================================================================
+
+/**
+ * Parse a duration entry into seconds.
+ * Accepts "m:ss", "h:mm:ss" or a bare number of seconds.
+ */
+export function parseDuration(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const str = String(value).trim();
+
+    if (str.includes(':')) {
+        const parts = str.split(':').map(p => parseFloat(p));
+        if (parts.some(isNaN)) return null;
+        const seconds = parts.reduce((total, part) => total * 60 + part, 0);
+        return seconds > 0 ? Math.round(seconds) : null;
+    }
+
+    const seconds = parseFloat(str);
+    return !isNaN(seconds) && seconds > 0 ? Math.round(seconds) : null;
+}
+
+/**
+ * Format seconds as "m:ss" (or "h:mm:ss" for an hour or more)
+ */
+export function formatDuration(seconds) {
+    if (!seconds || seconds <= 0) return '';
+    const hours = Math.floor(seconds / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    const secs = Math.round(seconds % 60);
+
+    if (hours > 0) {
+        return `${hours}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+    }
+    return `${minutes}:${secs.toString().padStart(2, '0')}`;
+}
+
+/**
+ * Pace in seconds per mile, or null if it can't be calculated
+ */
+export function calculatePace(duration, distance) {
+    if (!duration || !distance || duration <= 0 || distance <= 0) return null;
+    return Math.round(duration / distance);
+}
+
+export function formatPace(secondsPerMile) {
+    return secondsPerMile ? `${formatDuration(secondsPerMile)} /mi` : '';
+}
+
+export function formatDistance(miles) {
+    if (!miles || miles <= 0) return '';
+    return `${Math.round(miles * 100) / 100} mi`;
+}
+
+/**
+ * One-line summary of a set for history displays, e.g.
+ * "10 × 135 lbs", "8 × BW + 25 lbs", "15 reps", "1:30", "3.1 mi in 28:00 (9:02 /mi)"
+ * @param {string} displayWeight - Already converted weight for the display unit
+ */
+export function formatSetSummary(set, type = DEFAULT_MEASUREMENT_TYPE, displayWeight = null, unit = 'lbs') {
+    if (!set) return '';
+
+    let summary;
+    switch (type) {
+        case 'reps':
+            summary = `${set.reps || 0} reps${set.weight > 0 ? ` (+${displayWeight ?? set.weight} ${unit})` : ''}`;
+            break;
+        case 'time':
+            summary = formatDuration(set.duration) || '0:00';
+            break;
+        case 'distance':
+            summary = formatDistance(set.distance) || '0 mi';
+            break;
+        case 'time_distance': {
+            const pace = calculatePace(set.duration, set.distance);
+            summary = `${formatDistance(set.distance) || '0 mi'} in ${formatDuration(set.duration) || '0:00'}${pace ? ` (${formatPace(pace)})` : ''}`;
+            break;
+        }
+        default:
+            summary = `${set.reps || 0} × ${formatLoad(set, displayWeight)} ${unit}`;
+    }
+
+    if (set.heartRate) {
+        summary += ` · ${set.heartRate} bpm`;
+    }
+
+    return summary;
+}
+
+/**
+ * Build <option> tags for a measurement type <select>
+ */
+export function renderMeasurementTypeOptions(selected) {
+    const current = MEASUREMENT_TYPES[selected] ? selected : DEFAULT_MEASUREMENT_TYPE;
+    return Object.entries(MEASUREMENT_TYPES).map(([value, type]) =>
+        `<option value="${value}" ${value === current ? 'selected' : ''}>${type.label}</option>`
+    ).join('');
+}
@@ -0,0 +1,63 @@
+// Set Types Module - core/workout/set-types.js
+// Tags individual sets as warm-up, working, drop, failure or AMRAP
+//
+// Stored on each set as `setType`. Sets without a tag (all data saved before
+// set types existed) are treated as working sets.
+
+export const DEFAULT_SET_TYPE = 'working';
+
+/**
+ * Set type definitions.
+ * countsForPRs / countsForVolume control whether sets of this type feed PR
+ * detection and volume/set totals. Warm-ups are excluded from both.
+ */
+export const SET_TYPES = {
+    working: { label: 'Working', short: 'W', countsForPRs: true, countsForVolume: true },
+    warmup: { label: 'Warm-up', short: 'WU', countsForPRs: false, countsForVolume: false },
+    drop: { label: 'Drop set', short: 'D', countsForPRs: true, countsForVolume: true },
+    failure: { label: 'Failure', short: 'F', countsForPRs: true, countsForVolume: true },
+    amrap: { label: 'AMRAP', short: 'A', countsForPRs: true, countsForVolume: true }
+};
+
+/**
+ * Get a set's type, falling back to working for untagged/unknown values
+ */
+export function getSetType(set) {
+    return SET_TYPES[set?.setType] ? set.setType : DEFAULT_SET_TYPE;
+}
+
+export function isWarmupSet(set) {
+    return getSetType(set) === 'warmup';
+}
+
+/**
+ * Planned sets that count towards completing an exercise - warm-ups among
+ * them are optional
+ */
+export function getWorkingSetTarget(sets, plannedSets) {
+    return plannedSets - (sets || []).slice(0, plannedSets).filter(isWarmupSet).length;
+}
+
+/**
+ * Should this set be considered for PR detection?
+ */
+export function countsForPRs(set) {
+    return SET_TYPES[getSetType(set)].countsForPRs;
+}
+
+/**
+ * Should this set be included in volume and set-count totals?
+ */
+export function countsForVolume(set) {
+    return SET_TYPES[getSetType(set)].countsForVolume;
+}
+
+/**
+ * Build <option> tags for a set type <select>
+ */
+export function renderSetTypeOptions(selected) {
+    const current = SET_TYPES[selected] ? selected : DEFAULT_SET_TYPE;
+    return Object.entries(SET_TYPES).map(([value, type]) =>
+        `<option value="${value}" ${value === current ? 'selected' : ''}>${type.label}</option>`
+    ).join('');
+}
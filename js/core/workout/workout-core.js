@@ -2,7 +2,7 @@
 // Handles workout session execution, exercise management, and workout lifecycle
 
 import { AppState } from '../utils/app-state.js';
-import { showNotification, convertWeight, updateProgress, setHeaderMode, stopActiveWorkoutRestTimer } from '../ui/ui-helpers.js';
+import { showNotification, convertWeight, getEffortMode, setEffortMode, parseEffort, getEffortInputValue, getEffortRangeMessage, EFFORT_MODES, updateProgress, setHeaderMode, stopActiveWorkoutRestTimer, escapeHtml } from '../ui/ui-helpers.js';
 import { setBottomNavVisible } from '../ui/navigation.js';
 import { saveWorkoutData, loadExerciseHistory } from '../data/data-manager.js';
 import { scheduleRestNotification, cancelRestNotification, isFCMAvailable } from '../utils/push-notification-manager.js';
@@ -11,10 +11,44 @@ import {
     lockLocation, isLocationLocked, resetLocationState,
     showLocationPrompt, updateLocationIndicator, getCurrentCoords
 } from '../features/location-service.js';
+import { getGroupMembers, getGroupLabel, getNextInRound, getRoundStart } from './exercise-groups.js';
+import {
+    SET_TYPES, DEFAULT_SET_TYPE, countsForPRs, getSetType, renderSetTypeOptions, isWarmupSet, getWorkingSetTarget
+} from './set-types.js';
+import {
+    getMeasurementType, isWeightedType, isSetLogged, hasSetData,
+    parseDuration, formatDuration, formatSetSummary
+} from './measurement-types.js';
+import { LOAD_TYPES, getLoadType, isBodyweightLoad, normalizeLoadWeight, getEffectiveLoad } from './load-types.js';
+import { getBodyWeightOn, logBodyWeight } from '../features/body-weight.js';
+import { getLoadingSetup, roundWeightToLoadable, describePlates } from '../features/plate-calculator.js';
+import {
+    getRestProfile, setRestProfile, clearRestProfile, getRestDuration, measureRest
+} from '../features/rest-profiles.js';
+import { findSubstitutes, buildSubstitute, formatSubstitutionName } from '../features/exercise-substitution.js';
+import {
+    EQUIPMENT_SETTING_FIELDS, getEquipmentSettings, saveEquipmentSettings, formatSettings, formatSettingsChange
+} from '../features/equipment-settings.js';
+import {
+    touchSet, ensureSetIds, ensureEntryIds, createEntryId, removeSet, markEntryDeleted,
+    watchWorkout, mergeWorkoutDocs, alignWorkoutExercises, hasSetChanges,
+    getWorkoutConflict, clearWorkoutConflict
+} from '../data/workout-sync.js';
+import { discardPendingWrite } from '../data/offline-store.js';
 
 // Global timer state to persist across modal re-renders
 let activeRestTimer = null;
 
+// Rest running since the last logged set, recorded on that set once the next one is logged
+// { workoutStartedAt, exerciseIndex, setIndex, timerIndex, target, startedAt }
+let pendingRest = null;
+
+// Unsubscribe for the live listener on the active workout's doc
+let unsubscribeWorkoutSync = null;
+
+// Alternatives shown in the substitute picker { exerciseIndex, options }
+let pendingSubstitution = null;
+
 // Listen for exercise rename events to refresh active workout UI
 window.addEventListener('exerciseRenamed', (event) => {
     // If we have an active workout, refresh the exercises display
@@ -31,11 +65,84 @@ window.addEventListener('exerciseRenamed', (event) => {
     }
 });
 
+// A save merged in sets from another device - show them
+window.addEventListener('workoutMerged', (event) => {
+    if (AppState.currentWorkout && AppState.savedData.workoutId === event.detail.workoutId) {
+        refreshAfterRemoteChange();
+    }
+});
+
+// ===================================================================
+// MULTI-DEVICE SYNC
+// ===================================================================
+
+function refreshAfterRemoteChange() {
+    renderExercises();
+    const modal = document.getElementById('exercise-modal');
+    if (modal && !modal.classList.contains('hidden') && typeof AppState.focusedExerciseIndex === 'number') {
+        focusExercise(AppState.focusedExerciseIndex);
+    }
+}
+
+/**
+ * Fold a save made on another device into the workout open here
+ */
+function handleRemoteWorkoutChange(remote) {
+    if (!AppState.currentWorkout || AppState.savedData.workoutId !== remote.workoutId) return;
+
+    if (remote.completedAt || remote.cancelledAt) {
+        showNotification('This workout was finished on another device', 'info');
+        stopActiveWorkoutSync();
+        return;
+    }
+
+    const before = AppState.savedData;
+    ensureEntryIds(AppState.currentWorkout.exercises);
+    AppState.savedData = {
+        ...mergeWorkoutDocs(before, remote),
+        revision: Math.max(before.revision || 0, remote.revision || 0)
+    };
+
+    // Exercises added, removed or moved on the other device
+    AppState.currentWorkout.exercises = alignWorkoutExercises(AppState.currentWorkout.exercises, AppState.savedData);
+    AppState.exerciseUnits = { ...(AppState.savedData.exerciseUnits || {}) };
+
+    if (hasSetChanges(before, AppState.savedData)) {
+        refreshAfterRemoteChange();
+        showNotification('Workout updated from another device', 'info');
+    }
+}
+
+/**
+ * Listen for edits to the active workout from other open sessions
+ */
+function startActiveWorkoutSync() {
+    stopActiveWorkoutSync();
+    if (!AppState.currentUser || !AppState.savedData.workoutId) return;
+
+    unsubscribeWorkoutSync = watchWorkout(
+        AppState.currentUser.uid,
+        AppState.savedData.workoutId,
+        handleRemoteWorkoutChange
+    );
+}
+
+function stopActiveWorkoutSync() {
+    if (unsubscribeWorkoutSync) {
+        unsubscribeWorkoutSync();
+        unsubscribeWorkoutSync = null;
+    }
+}
+
 // ===================================================================
 // CORE WORKOUT LIFECYCLE
 // ===================================================================
 
-export async function startWorkout(workoutType) {
+/**
+ * Start a workout from a template, found by name/day/id, or from a ready-made
+ * plan (program sessions, whose loads are set for the current week)
+ */
+export async function startWorkout(workoutType, plan = null) {
     if (!AppState.currentUser) {
         alert('Please sign in to start a workout');
         return;
@@ -103,8 +210,8 @@ export async function startWorkout(workoutType) {
     await initializeWorkoutLocation();
 
     // Find the workout plan (refresh from Firebase if not found in cache)
-    let workout = AppState.workoutPlans.find(plan =>
-        plan.day === workoutType || plan.name === workoutType || plan.id === workoutType
+    let workout = plan || AppState.workoutPlans.find(p =>
+        p.day === workoutType || p.name === workoutType || p.id === workoutType
     );
 
     // If not found in cache, try refreshing from Firebase
@@ -113,8 +220,8 @@ export async function startWorkout(workoutType) {
         const workoutManager = new FirebaseWorkoutManager(AppState);
         AppState.workoutPlans = await workoutManager.getUserWorkoutTemplates();
 
-        workout = AppState.workoutPlans.find(plan =>
-            plan.day === workoutType || plan.name === workoutType || plan.id === workoutType
+        workout = AppState.workoutPlans.find(p =>
+            p.day === workoutType || p.name === workoutType || p.id === workoutType
         );
     }
 
@@ -135,6 +242,17 @@ export async function startWorkout(workoutType) {
         location: getSessionLocation() || null
     };
 
+    // Remember which program session this is so completing it advances the program
+    if (workout.program) {
+        AppState.savedData.program = workout.program;
+    }
+
+    // During a deload week every workout starts from lighter weights
+    const { applyDeloadToWorkout } = await import('../features/fatigue-monitor.js');
+    if (await applyDeloadToWorkout(AppState.currentWorkout)) {
+        AppState.savedData.deload = true;
+    }
+
     // Initialize exercise units
     AppState.exerciseUnits = {};
 
@@ -184,6 +302,7 @@ export async function startWorkout(workoutType) {
 
     // Save initial state
     await saveWorkoutData(AppState);
+    startActiveWorkoutSync();
 
     // Removed annoying "workout started" notification
 }
@@ -203,6 +322,8 @@ export function pauseWorkout() {
 export async function completeWorkout() {
     if (!AppState.currentWorkout) return;
 
+    stopActiveWorkoutSync();
+
     // Stop duration timer and rest timer display
     AppState.clearTimers();
     stopActiveWorkoutRestTimer();
@@ -241,6 +362,14 @@ export async function completeWorkout() {
     if (!isEditingHistorical) {
         const { PRTracker } = await import('../features/pr-tracker.js');
         await PRTracker.processWorkoutForPRs(AppState.savedData);
+
+        if (AppState.savedData.program) {
+            const { advanceProgram } = await import('../features/programs.js');
+            const { finished } = await advanceProgram(AppState.savedData.program);
+            if (finished) {
+                showNotification(`${AppState.savedData.program.programName} complete!`, 'success');
+            }
+        }
     }
 
     // Reset state BEFORE showing dashboard (critical order!)
@@ -272,6 +401,7 @@ export function cancelWorkout(skipConfirmation = false) {
         }
     }
 
+    stopActiveWorkoutSync();
     AppState.savedData.cancelledAt = new Date().toISOString();
     saveWorkoutData(AppState);
 
@@ -314,6 +444,12 @@ export function continueInProgressWorkout() {
     if (!window.inProgressWorkout) {
         return;
     }
+
+    // Edited offline here and on another device - ask which to keep first
+    if (getWorkoutConflict(window.inProgressWorkout.workoutId)) {
+        showWorkoutConflictPrompt();
+        return;
+    }
     
     // Restore workout state
     AppState.currentWorkout = window.inProgressWorkout.originalWorkout;
@@ -328,7 +464,7 @@ export function continueInProgressWorkout() {
     }
 
     // Hide all other sections and show active workout
-    const sections = ['workout-selector', 'dashboard', 'workout-history-section', 'stats-section', 'workout-management-section', 'exercise-manager-section', 'location-management-section'];
+    const sections = ['workout-selector', 'dashboard', 'workout-history-section', 'stats-section', 'workout-management-section', 'exercise-manager-section', 'location-management-section', 'equipment-manager-section'];
     sections.forEach(sectionId => {
         const section = document.getElementById(sectionId);
         if (section) section.classList.add('hidden');
@@ -358,7 +494,7 @@ export function continueInProgressWorkout() {
         setSessionLocation(window.inProgressWorkout.location);
         // If workout has logged sets, location should be locked
         const hasLoggedSets = Object.values(window.inProgressWorkout.exercises || {}).some(ex =>
-            ex.sets && ex.sets.some(set => set.reps || set.weight)
+            ex.sets && ex.sets.some(set => hasSetData(set))
         );
         if (hasLoggedSets) {
             lockLocation();
@@ -366,6 +502,9 @@ export function continueInProgressWorkout() {
         updateLocationIndicator(window.inProgressWorkout.location, hasLoggedSets);
     }
 
+    // Pick up sets logged on other devices while this one is open
+    startActiveWorkoutSync();
+
     // Clear in-progress state
     // DON'T clear this - keep it so we can resume again if user navigates away
     // It will be cleared when workout is completed or cancelled
@@ -373,6 +512,76 @@ export function continueInProgressWorkout() {
 
 }
 
+function countLoggedSets(workout) {
+    return Object.values(workout?.exercises || {})
+        .reduce((total, exercise) => total + (exercise.sets || []).filter(set => hasSetData(set)).length, 0);
+}
+
+function formatEditTime(isoString) {
+    return isoString ? new Date(isoString).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }) : '—';
+}
+
+function showWorkoutConflictPrompt() {
+    const conflict = getWorkoutConflict(window.inProgressWorkout.workoutId);
+    const modal = document.getElementById('workout-conflict-modal');
+    const summary = document.getElementById('workout-conflict-summary');
+    if (!conflict || !modal) return;
+
+    if (summary) {
+        const merged = mergeWorkoutDocs(conflict.local, conflict.remote);
+        summary.innerHTML = `
+            <div class="conflict-side">
+                <strong>This device</strong>
+                <span>${countLoggedSets(conflict.local)} sets · last edit ${formatEditTime(conflict.local.lastUpdated)}</span>
+            </div>
+            <div class="conflict-side">
+                <strong>Other device</strong>
+                <span>${countLoggedSets(conflict.remote)} sets · last edit ${formatEditTime(conflict.remote.lastUpdated)}</span>
+            </div>
+            <div class="conflict-side">
+                <strong>Merged</strong>
+                <span>${countLoggedSets(merged)} sets · each set keeps its latest edit</span>
+            </div>
+        `;
+    }
+
+    modal.classList.remove('hidden');
+}
+
+/**
+ * Resolve a two-device conflict and resume
+ * @param {string} choice - 'merge', 'local' (this device) or 'remote' (other device)
+ */
+export async function resolveWorkoutConflict(choice) {
+    const modal = document.getElementById('workout-conflict-modal');
+    if (modal) modal.classList.add('hidden');
+
+    const workoutId = window.inProgressWorkout?.workoutId;
+    const conflict = getWorkoutConflict(workoutId);
+    if (!conflict) return;
+
+    let resolved = conflict.local;
+    if (choice === 'merge') {
+        resolved = mergeWorkoutDocs(conflict.local, conflict.remote);
+    } else if (choice === 'remote') {
+        resolved = conflict.remote;
+        // The queued offline save would merge this device's sets back in
+        await discardPendingWrite(['users', AppState.currentUser.uid, 'workouts', workoutId]);
+    }
+
+    clearWorkoutConflict(workoutId);
+
+    // Based on the stored revision, so the next save replaces instead of merging again
+    window.inProgressWorkout = {
+        ...resolved,
+        revision: conflict.remote.revision || 0,
+        originalWorkout: resolved.originalWorkout || window.inProgressWorkout.originalWorkout
+    };
+
+    continueInProgressWorkout();
+    await saveWorkoutData(AppState);
+}
+
 // ===================================================================
 // EDIT HISTORICAL WORKOUT
 // ===================================================================
@@ -416,13 +625,18 @@ export async function editHistoricalWorkout(docIdOrDate) {
             const key = `exercise_${index}`;
             const savedExercise = workoutData.exercises?.[key] || {};
             return {
+                entryId: ex.entryId,
                 machine: ex.machine || ex.name,
                 sets: ex.sets || 3,
                 reps: ex.reps || 10,
                 weight: ex.weight || 0,
                 video: ex.video || '',
                 equipment: savedExercise.equipment || ex.equipment || null,
-                equipmentLocation: savedExercise.equipmentLocation || ex.equipmentLocation || null
+                equipmentLocation: savedExercise.equipmentLocation || ex.equipmentLocation || null,
+                group: ex.group || null,
+                measurementType: ex.measurementType || savedExercise.measurementType || getMeasurementType(ex),
+                loadType: getLoadType(ex),
+                substitutedFor: ex.substitutedFor || null
             };
         });
     } else if (workoutData.exerciseNames) {
@@ -438,7 +652,9 @@ export async function editHistoricalWorkout(docIdOrDate) {
                 weight: 0,
                 video: '',
                 equipment: savedExercise.equipment || null,
-                equipmentLocation: savedExercise.equipmentLocation || null
+                equipmentLocation: savedExercise.equipmentLocation || null,
+                measurementType: savedExercise.measurementType || getMeasurementType({ machine: name }),
+                loadType: getLoadType({ machine: name })
             };
         });
     }
@@ -487,7 +703,7 @@ export async function editHistoricalWorkout(docIdOrDate) {
     AppState.workoutStartTime = null;
 
     // Hide all sections and show active workout
-    const sections = ['workout-selector', 'dashboard', 'workout-history-section', 'stats-section', 'workout-management-section', 'exercise-manager-section', 'location-management-section'];
+    const sections = ['workout-selector', 'dashboard', 'workout-history-section', 'stats-section', 'workout-management-section', 'exercise-manager-section', 'location-management-section', 'equipment-manager-section'];
     sections.forEach(sectionId => {
         const section = document.getElementById(sectionId);
         if (section) section.classList.add('hidden');
@@ -608,6 +824,8 @@ export async function discardInProgressWorkout() {
     if (!confirmDiscard) {
         return;
     }
+
+    stopActiveWorkoutSync();
     
     try {
         // Store workout info BEFORE clearing variables
@@ -677,12 +895,15 @@ export function renderExercises() {
 function generateQuickSetsHtml(exercise, exerciseIndex, unit) {
     const savedSets = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`]?.sets || [];
     const targetSets = exercise.sets || 3;
+    const measurementType = getMeasurementType(exercise);
     
     let html = '<div style="display: flex; gap: 0.5rem; flex-wrap: wrap;">';
     
+    let workingSetNumber = 0;
     for (let setIndex = 0; setIndex < targetSets; setIndex++) {
         const set = savedSets[setIndex] || {};
-        const isCompleted = set.reps && set.weight;
+        const isCompleted = isSetLogged(set, measurementType);
+        const label = isWarmupSet(set) ? 'Warm-up' : `Set ${++workingSetNumber}`;
         
         if (isCompleted) {
             // Convert stored lbs weight to display unit
@@ -693,14 +914,14 @@ function generateQuickSetsHtml(exercise, exerciseIndex, unit) {
             
             html += `
                 <div style="background: var(--success); color: white; padding: 0.25rem 0.5rem; border-radius: 4px; font-size: 0.75rem; font-weight: 500;">
-                    Set ${setIndex + 1}: ${set.reps} × ${displayWeight} ${unit}
+                    ${label}: ${formatSetSummary(set, measurementType, displayWeight, unit)}
                 </div>
             `;
         } else {
             // Show incomplete sets as gray placeholders
             html += `
                 <div style="background: var(--bg-tertiary); color: var(--text-secondary); padding: 0.25rem 0.5rem; border-radius: 4px; font-size: 0.75rem; border: 1px dashed var(--border);">
-                    Set ${setIndex + 1}
+                    ${label}
                 </div>
             `;
         }
@@ -719,8 +940,10 @@ export function createExerciseCard(exercise, index) {
     const savedSets = AppState.savedData.exercises?.[`exercise_${index}`]?.sets || [];
 
     // Calculate completion status
-    const completedSets = savedSets.filter(set => set && set.reps && set.weight).length;
-    const totalSets = exercise.sets || 3;
+    // Warm-ups are optional - only working sets count towards completion
+    const measurementType = getMeasurementType(exercise);
+    const completedSets = savedSets.filter(set => isSetLogged(set, measurementType) && !isWarmupSet(set)).length;
+    const totalSets = getWorkingSetTarget(savedSets, exercise.sets || 3);
 
     // Use the larger of completedSets or totalSets for display to avoid showing 4/3
     const displayTotal = Math.max(completedSets, totalSets);
@@ -732,6 +955,13 @@ export function createExerciseCard(exercise, index) {
         card.classList.add('completed');
         // Don't collapse - show full exercise with green border indicator
     }
+
+    // Superset/circuit membership
+    const groupLabel = getGroupLabel(AppState.currentWorkout.exercises, index);
+    if (groupLabel) {
+        card.classList.add('grouped');
+        card.dataset.group = exercise.group;
+    }
     
     // Calculate progress percentage using displayTotal to avoid >100%
     const progressPercent = displayTotal > 0 ? Math.min((completedSets / displayTotal) * 100, 100) : 0;
@@ -747,9 +977,10 @@ export function createExerciseCard(exercise, index) {
 
     card.innerHTML = `
         <div class="exercise-title-row" onclick="focusExercise(${index})" style="cursor: pointer;">
-            <h3 class="exercise-title">${exercise.machine}</h3>
+            <h3 class="exercise-title">${formatSubstitutionName(exercise.machine, exercise.substitutedFor)}</h3>
             ${equipmentDisplay ? `<div class="exercise-equipment-tag">${equipmentDisplay}</div>` : ''}
         </div>
+        ${groupLabel ? `<div class="exercise-group-badge">${groupLabel}</div>` : ''}
         <div class="exercise-progress-row" onclick="focusExercise(${index})" style="cursor: pointer;">
             <div class="progress-bar-track">
                 <div class="progress-bar-fill" style="width: ${progressPercent}%"></div>
@@ -757,6 +988,9 @@ export function createExerciseCard(exercise, index) {
             <span class="progress-text">${completedSets}/${displayTotal}</span>
         </div>
         <div class="exercise-actions-row">
+            <button class="btn-text" onclick="event.stopPropagation(); showSubstituteOptions(${index})">
+                <i class="fas fa-exchange-alt"></i> Substitute
+            </button>
             <button class="btn-text btn-text-danger" onclick="event.stopPropagation(); deleteExerciseFromWorkout(${index})">
                 <i class="fas fa-trash-alt"></i> Delete
             </button>
@@ -785,7 +1019,15 @@ export function focusExercise(index) {
         ? `${exercise.equipment}${exercise.equipmentLocation ? ' @ ' + exercise.equipmentLocation : ''}`
         : null;
 
-    title.innerHTML = `${exercise.machine} <a href="#" class="exercise-edit-icon" onclick="event.preventDefault(); editExerciseDefaults('${exercise.machine.replace(/'/g, "\\'")}')"><i class="fas fa-pen"></i></a><br><span class="modal-equipment-subtitle">${equipmentText || 'No equipment'} <a href="#" class="equipment-change-icon" onclick="event.preventDefault(); changeExerciseEquipment(${index})"><i class="fas fa-sync-alt"></i></a></span>`;
+    const substitution = `<br><a href="#" class="exercise-substitute-link" onclick="event.preventDefault(); showSubstituteOptions(${index})"><i class="fas fa-exchange-alt"></i> ${exercise.substitutedFor ? `Sub for ${escapeHtml(exercise.substitutedFor)}` : 'Substitute'}</a>`;
+    title.innerHTML = `${exercise.machine} <a href="#" class="exercise-edit-icon" onclick="event.preventDefault(); editExerciseDefaults('${exercise.machine.replace(/'/g, "\\'")}')"><i class="fas fa-pen"></i></a><br><span class="modal-equipment-subtitle">${equipmentText || 'No equipment'} <a href="#" class="equipment-change-icon" onclick="event.preventDefault(); changeExerciseEquipment(${index})"><i class="fas fa-sync-alt"></i></a></span>${substitution}`;
+
+    // Show position within a superset/circuit so the user knows what comes next
+    const groupMembers = getGroupMembers(AppState.currentWorkout.exercises, index);
+    if (groupMembers.length > 0) {
+        const position = groupMembers.indexOf(index) + 1;
+        title.innerHTML += `<br><span class="exercise-group-badge">${getGroupLabel(AppState.currentWorkout.exercises, index)} · ${position}/${groupMembers.length}</span>`;
+    }
     
     // Define currentUnit FIRST
     const currentUnit = AppState.exerciseUnits[index] || AppState.globalUnit;
@@ -807,6 +1049,15 @@ export function focusExercise(index) {
 
     modal.classList.remove('hidden');
 
+    // Pre-fill suggested weight/reps from recent history (async, non-blocking)
+    plateSetupCache = { key: null, setup: null };
+    renderPlateBreakdowns(index);
+    loadProgressionHint(index).then(() => loadWarmupPanel(index));
+    loadBodyWeightHint(index);
+    loadRestProfilePanel(index);
+    editingSettingsIndex = null;
+    loadEquipmentSettingsPanel(index);
+
     // Hide nav when exercise modal is open (no hamburger needed - has X to close)
     setHeaderMode(false);
     setBottomNavVisible(false);
@@ -824,6 +1075,10 @@ export function generateExerciseTable(exercise, exerciseIndex, unit) {
     const savedSets = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`]?.sets || [];
     const savedNotes = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`]?.notes || '';
     const convertedWeight = convertWeight(exercise.weight, 'lbs', unit);
+    const measurementType = getMeasurementType(exercise);
+    const isWeighted = isWeightedType(measurementType);
+    const loadType = isWeighted ? getLoadType(exercise) : 'external';
+    const effortMode = EFFORT_MODES[getEffortMode()];
 
     // Ensure we have the right number of sets
     while (savedSets.length < exercise.sets) {
@@ -847,15 +1102,29 @@ export function generateExerciseTable(exercise, exerciseIndex, unit) {
                 }
             </div>
             <div id="exercise-history-${exerciseIndex}" class="exercise-history-display hidden"></div>
+
+            <!-- Machine setup for the equipment (filled by loadEquipmentSettingsPanel) -->
+            ${exercise.equipment ? `<div id="equipment-settings-${exerciseIndex}" class="progression-settings equipment-settings-panel hidden"></div>` : ''}
         </div>
 
-        <!-- Exercise Unit Toggle -->
+        <!-- Body weight for bodyweight/assisted loads (filled by loadBodyWeightHint) -->
+        ${isBodyweightLoad(loadType) ? `<div id="bodyweight-hint-${exerciseIndex}" class="bodyweight-hint"></div>` : ''}
+
+        <!-- Progressive overload suggestion (filled by loadProgressionHint) -->
+        <div id="progression-hint-${exerciseIndex}" class="progression-hint hidden"></div>
+
+        <!-- Warm-up ramp (filled by loadWarmupPanel) -->
+        <div id="warmup-panel-${exerciseIndex}" class="progression-hint warmup-panel hidden"></div>
+
+        <!-- Exercise Unit Toggle (weighted exercises only) -->
+        ${isWeighted ? `
         <div class="exercise-unit-toggle">
             <div class="unit-toggle">
                 <button class="unit-btn ${unit === 'lbs' ? 'active' : ''}" data-unit="lbs">lbs</button>
                 <button class="unit-btn ${unit === 'kg' ? 'active' : ''}" data-unit="kg">kg</button>
             </div>
         </div>
+        ` : ''}
 
         <!-- In-Modal Rest Timer -->
         <div id="modal-rest-timer-${exerciseIndex}" class="modal-rest-timer hidden">
@@ -877,36 +1146,57 @@ export function generateExerciseTable(exercise, exerciseIndex, unit) {
             <thead>
                 <tr>
                     <th>Set</th>
-                    <th>Reps</th>
-                    <th>Weight (${unit})</th>
+                    ${renderMeasurementHeaders(measurementType, unit, loadType)}
+                    <th class="rpe-cell">
+                        <button type="button" class="effort-mode-btn" title="${effortMode.title} - tap to switch RPE/RIR"
+                                onclick="toggleEffortMode()">${effortMode.label}</button>
+                    </th>
                 </tr>
             </thead>
             <tbody>
     `;
 
+    let workingSetNumber = 0;
     for (let i = 0; i < exercise.sets; i++) {
     const set = savedSets[i] || { reps: '', weight: '' };
+    const isWarmup = isWarmupSet(set);
+    if (!isWarmup) workingSetNumber++;
+
+    // Generated warm-ups suggest their own reps and load
+    const rowExercise = set.warmupTarget ? { ...exercise, reps: set.warmupTarget.reps } : exercise;
+    const rowWeight = set.warmupTarget ? convertWeight(set.warmupTarget.weight, 'lbs', unit) : convertedWeight;
     
     // Convert stored lbs weight to display unit
     let displayWeight = set.weight || '';
     if (displayWeight && unit === 'kg') {
-        displayWeight = Math.round(displayWeight * 0.453592); // Round kg to whole number
+        // Sets entered in kg keep their exact plate weight (62.5, not 63)
+        displayWeight = set.originalUnit === 'kg' && set.originalWeights?.kg
+            ? set.originalWeights.kg
+            : Math.round(displayWeight * 0.453592); // Round kg to whole number
+    }
+
+    // Assistance is stored negative but entered/shown as the machine's number
+    if (displayWeight && loadType === 'assisted') {
+        displayWeight = Math.abs(displayWeight);
     }
     
+    const setType = getSetType(set);
+
     html += `
-        <tr>
-            <td>Set ${i + 1}</td>
+        <tr class="${isWarmup ? 'warmup-row' : ''}">
             <td>
-                <input type="number" class="set-input" 
-                       placeholder="${exercise.reps}" 
-                       value="${set.reps}"
-                       onchange="updateSet(${exerciseIndex}, ${i}, 'reps', this.value)">
+                ${isWarmup ? 'Warm-up' : `Set ${workingSetNumber}`}
+                <select class="set-type-select" title="Set type"
+                        onchange="updateSet(${exerciseIndex}, ${i}, 'setType', this.value)">
+                    ${renderSetTypeOptions(setType)}
+                </select>
             </td>
-            <td>
-                <input type="number" class="set-input" 
-                       placeholder="${convertedWeight}" 
-                       value="${displayWeight}"
-                       onchange="updateSet(${exerciseIndex}, ${i}, 'weight', this.value)">
+            ${renderMeasurementCells(measurementType, rowExercise, exerciseIndex, i, set, displayWeight, rowWeight)}
+            <td class="rpe-cell">
+                <input type="number" class="set-input rpe-input"
+                       placeholder="-" min="${effortMode.min}" max="${effortMode.max}" step="0.5"
+                       value="${getEffortInputValue(set.rpe)}"
+                       onchange="updateSet(${exerciseIndex}, ${i}, 'rpe', this.value)">
             </td>
         </tr>
     `;
@@ -925,6 +1215,8 @@ export function generateExerciseTable(exercise, exerciseIndex, unit) {
             </button>
         </div>
 
+        <div id="rest-profile-${exerciseIndex}" class="progression-settings rest-profile-settings hidden"></div>
+
         <textarea id="exercise-notes-${exerciseIndex}" class="notes-area" placeholder="Exercise notes..."
                   onchange="saveExerciseNotes(${exerciseIndex})">${savedNotes}</textarea>
         
@@ -938,18 +1230,105 @@ export function generateExerciseTable(exercise, exerciseIndex, unit) {
     return html;
 }
 
+/**
+ * Column headers for the set table, based on how the exercise is measured
+ */
+function renderMeasurementHeaders(measurementType, unit, loadType = 'external') {
+    switch (measurementType) {
+        case 'reps':
+            return '<th>Reps</th>';
+        case 'time':
+            return '<th>Time</th><th title="Average heart rate">HR</th>';
+        case 'distance':
+            return '<th>Distance (mi)</th><th title="Average heart rate">HR</th>';
+        case 'time_distance':
+            return '<th>Time</th><th>Distance (mi)</th><th title="Average heart rate">HR</th>';
+        default:
+            return `<th>Reps</th><th>${LOAD_TYPES[loadType].weightLabel} (${unit})</th>`;
+    }
+}
+
+/**
+ * Input cells for one set row, based on how the exercise is measured
+ */
+function renderMeasurementCells(measurementType, exercise, exerciseIndex, setIndex, set, displayWeight, convertedWeight) {
+    const input = (field, value, placeholder, attrs = 'type="number"', extra = '') => `
+            <td>
+                <input ${attrs} class="set-input" data-field="${field}"
+                       placeholder="${placeholder}"
+                       value="${value ?? ''}"
+                       onchange="updateSet(${exerciseIndex}, ${setIndex}, '${field}', this.value)">${extra}
+            </td>`;
+
+    const durationInput = input('duration', formatDuration(set.duration), 'mm:ss', 'type="text" inputmode="numeric"');
+    const distanceInput = input('distance', set.distance, '0.0', 'type="number" step="0.01" min="0"');
+    const heartRateInput = input('heartRate', set.heartRate, 'bpm', 'type="number" min="0"');
+
+    switch (measurementType) {
+        case 'reps':
+            return input('reps', set.reps, exercise.reps);
+        case 'time':
+            return durationInput + heartRateInput;
+        case 'distance':
+            return distanceInput + heartRateInput;
+        case 'time_distance':
+            return durationInput + distanceInput + heartRateInput;
+        default:
+            return input('reps', set.reps, exercise.reps) +
+                input('weight', displayWeight, convertedWeight, 'type="number"', '<div class="plate-breakdown"></div>');
+    }
+}
+
+// Loading setup for the exercise open in the modal, reset each time it opens
+let plateSetupCache = { key: null, setup: null };
+
+function getPlateSetup(exerciseIndex) {
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!exercise || !isWeightedType(getMeasurementType(exercise)) || getLoadType(exercise) !== 'external') {
+        return Promise.resolve(null);
+    }
+
+    // Keyed on equipment too, so switching equipment picks up its bar and plates
+    const key = `${exerciseIndex}|${exercise.machine}|${exercise.equipment || ''}`;
+    if (plateSetupCache.key !== key) {
+        const location = exercise.equipmentLocation || getSessionLocation() || AppState.savedData?.location || null;
+        plateSetupCache = { key, setup: getLoadingSetup(exercise, location) };
+    }
+    return plateSetupCache.setup;
+}
+
+/**
+ * Fill the plate breakdown under each weight input from its value, or from
+ * the suggested placeholder while the set is still empty
+ */
+async function renderPlateBreakdowns(exerciseIndex) {
+    const setup = await getPlateSetup(exerciseIndex);
+    if (AppState.focusedExerciseIndex !== exerciseIndex) return;
+
+    const unit = AppState.exerciseUnits[exerciseIndex] || AppState.globalUnit;
+    const modal = document.getElementById('exercise-modal');
+    modal?.querySelectorAll('.exercise-table tbody tr').forEach(row => {
+        const weightInput = row.querySelector('input[data-field="weight"]');
+        const breakdown = row.querySelector('.plate-breakdown');
+        if (!weightInput || !breakdown) return;
+
+        const plates = describePlates(parseFloat(weightInput.value || weightInput.placeholder), unit, setup);
+        breakdown.textContent = plates?.text || '';
+        breakdown.classList.toggle('inexact', !!plates && !plates.exact);
+        breakdown.classList.toggle('suggested', !!plates && !weightInput.value);
+    });
+}
+
 export { loadExerciseHistory };
 
 // ===================================================================
 // SET MANAGEMENT
 // ===================================================================
 
-export async function updateSet(exerciseIndex, setIndex, field, value) {
-
-    if (!AppState.currentWorkout || !AppState.savedData.exercises) {
-        AppState.savedData.exercises = {};
-    }
-
+/**
+ * Saved data for an exercise in the current workout, created on first use
+ */
+function getExerciseData(exerciseIndex) {
     const exerciseKey = `exercise_${exerciseIndex}`;
     if (!AppState.savedData.exercises[exerciseKey]) {
         // Include exercise name and equipment info when initializing
@@ -959,17 +1338,71 @@ export async function updateSet(exerciseIndex, setIndex, field, value) {
             notes: '',
             name: currentExercise?.machine || currentExercise?.name || null,
             equipment: currentExercise?.equipment || null,
-            equipmentLocation: currentExercise?.equipmentLocation || null
+            equipmentLocation: currentExercise?.equipmentLocation || null,
+            measurementType: getMeasurementType(currentExercise)
         };
     }
+    return AppState.savedData.exercises[exerciseKey];
+}
+
+export async function updateSet(exerciseIndex, setIndex, field, value) {
+
+    if (!AppState.currentWorkout || !AppState.savedData.exercises) {
+        AppState.savedData.exercises = {};
+    }
+
+    const exerciseKey = `exercise_${exerciseIndex}`;
+    // Sets saved before set IDs get theirs from their position, before it can move
+    ensureSetIds(getExerciseData(exerciseIndex).sets);
 
     if (!AppState.savedData.exercises[exerciseKey].sets[setIndex]) {
         AppState.savedData.exercises[exerciseKey].sets[setIndex] = {};
     }
+    const wasLogged = isSetLogged(
+        AppState.savedData.exercises[exerciseKey].sets[setIndex],
+        getMeasurementType(AppState.currentWorkout?.exercises?.[exerciseIndex])
+    );
+
+    // Per-set edit stamp - decides which device wins when the same set is edited twice
+    touchSet(AppState.savedData.exercises[exerciseKey].sets[setIndex]);
     
+    // Set type is metadata - store it and skip PR/rest timer handling
+    if (field === 'setType') {
+        AppState.savedData.exercises[exerciseKey].sets[setIndex].setType = SET_TYPES[value] ? value : DEFAULT_SET_TYPE;
+        saveWorkoutData(AppState);
+        renderExercises();
+        return;
+    }
+
+    // RPE is optional effort metadata - store it and skip PR/rest timer handling.
+    // It's entered as RPE or RIR depending on the effort mode, but stored as RPE.
+    if (field === 'rpe') {
+        const rpe = parseEffort(value);
+        AppState.savedData.exercises[exerciseKey].sets[setIndex].rpe = rpe;
+        if (value !== '' && value !== null && rpe === null) {
+            showNotification(getEffortRangeMessage(), 'warning');
+        }
+        adaptRestToRPE(exerciseIndex, setIndex);
+        saveWorkoutData(AppState);
+        renderExercises();
+        return;
+    }
+
     // Convert and validate value
-    const numValue = parseFloat(value);
-    if (!isNaN(numValue) && numValue > 0) {
+    // Bodyweight/assisted adjustments may be zero or negative
+    const loadType = getLoadType(AppState.currentWorkout?.exercises?.[exerciseIndex]);
+    const bodyweightLoad = isBodyweightLoad(loadType);
+    const numValue = field === 'weight' && bodyweightLoad
+        ? normalizeLoadWeight(value, loadType)
+        : parseFloat(value);
+    if (field === 'duration') {
+        // Durations are entered as m:ss (or plain seconds) and stored in seconds
+        const seconds = parseDuration(value);
+        if (value !== '' && seconds === null) {
+            showNotification('Enter time as mm:ss or seconds', 'warning');
+        }
+        AppState.savedData.exercises[exerciseKey].sets[setIndex].duration = seconds;
+    } else if (numValue !== null && !isNaN(numValue) && (numValue > 0 || (field === 'weight' && bodyweightLoad))) {
         if (field === 'weight') {
             const currentUnit = AppState.exerciseUnits[exerciseIndex] || AppState.globalUnit;
             let weightInLbs = numValue;
@@ -988,12 +1421,30 @@ export async function updateSet(exerciseIndex, setIndex, field, value) {
                 lbs: weightInLbs,
                 kg: currentUnit === 'kg' ? numValue : Math.round(weightInLbs * 0.453592)
             };
+        } else if (field === 'distance') {
+            AppState.savedData.exercises[exerciseKey].sets[setIndex][field] = Math.round(numValue * 100) / 100;
+        } else if (field === 'heartRate') {
+            AppState.savedData.exercises[exerciseKey].sets[setIndex][field] = Math.round(numValue);
         } else {
             AppState.savedData.exercises[exerciseKey].sets[setIndex][field] = numValue;
         }
     } else {
         AppState.savedData.exercises[exerciseKey].sets[setIndex][field] = null;
     }
+
+    // Stamp bodyweight/assisted sets with the load type and body weight at the time
+    if (bodyweightLoad && (field === 'reps' || field === 'weight')) {
+        const set = AppState.savedData.exercises[exerciseKey].sets[setIndex];
+        set.loadType = loadType;
+        if (!set.bodyWeight) {
+            set.bodyWeight = await getBodyWeightOn(AppState.savedData.date || AppState.getTodayDateString());
+        }
+    }
+
+    // Logging a new set ends the rest that came before it
+    if (!wasLogged) {
+        recordRestTaken(exerciseIndex, setIndex);
+    }
     
     // Save to Firebase
     saveWorkoutData(AppState);
@@ -1001,10 +1452,14 @@ export async function updateSet(exerciseIndex, setIndex, field, value) {
     // Update UI
     updateProgress(AppState);
     renderExercises();
+    if (field === 'weight') {
+        renderPlateBreakdowns(exerciseIndex);
+    }
 
     const setData = AppState.savedData.exercises[exerciseKey].sets[setIndex];
+    const measurementType = getMeasurementType(AppState.currentWorkout?.exercises?.[exerciseIndex]);
 
-    if (setData.reps && setData.weight) {
+    if (isSetLogged(setData, measurementType)) {
         // Lock location on first completed set (can't change location after logging sets)
         if (!isLocationLocked()) {
             lockLocation();
@@ -1047,10 +1502,18 @@ async function checkSetForPR(exerciseIndex, setIndex) {
         const exerciseKey = `exercise_${exerciseIndex}`;
         const set = AppState.savedData.exercises[exerciseKey].sets[setIndex];
 
-        if (!set || !set.reps || !set.weight) return false;
+        // Bodyweight/assisted sets compete on the load actually moved
+        const load = getEffectiveLoad(set);
+        if (!set || !set.reps || !load) return false;
+
+        // PRs are weight × reps records - timed/distance/bodyweight sets don't apply
+        if (!isWeightedType(getMeasurementType(exercise))) return false;
+
+        // Warm-up sets never count as PRs
+        if (!countsForPRs(set)) return false;
 
         // Create unique key for this set to track if we've already notified
-        const setKey = `${exerciseIndex}-${setIndex}-${set.reps}-${set.weight}`;
+        const setKey = `${exerciseIndex}-${setIndex}-${set.reps}-${load}`;
 
         // Skip if we've already notified about this exact set
         if (prNotifiedSets.has(setKey)) {
@@ -1058,7 +1521,7 @@ async function checkSetForPR(exerciseIndex, setIndex) {
         }
 
         const { PRTracker } = await import('../features/pr-tracker.js');
-        const prCheck = PRTracker.checkForNewPR(exerciseName, set.reps, set.weight, equipment);
+        const prCheck = PRTracker.checkForNewPR(exerciseName, set.reps, load, equipment);
 
         if (prCheck.isNewPR) {
             // Mark this set as notified
@@ -1070,7 +1533,9 @@ async function checkSetForPR(exerciseIndex, setIndex) {
                 const prBadge = document.createElement('span');
                 prBadge.className = 'pr-badge';
                 prBadge.innerHTML = ' <i class="fas fa-trophy" style="color: gold; margin-left: 0.5rem; animation: pulse 1s infinite;"></i>';
-                prBadge.title = `New ${prCheck.prType.replace('max', '').replace(/([A-Z])/g, ' $1').trim()} PR!`;
+                prBadge.title = prCheck.prType === 'maxE1RM'
+                    ? 'New Estimated 1RM PR!'
+                    : `New ${prCheck.prType.replace('max', '').replace(/([A-Z])/g, ' $1').trim()} PR!`;
 
                 const firstCell = setRow.querySelector('td');
                 if (firstCell) {
@@ -1094,11 +1559,13 @@ async function checkSetForPR(exerciseIndex, setIndex) {
                 // Show PR notification
                 let prMessage = '🏆 NEW PR! ';
                 if (prCheck.prType === 'maxWeight') {
-                    prMessage += `Max Weight: ${set.weight} lbs × ${set.reps}`;
+                    prMessage += `Max Weight: ${load} lbs × ${set.reps}`;
                 } else if (prCheck.prType === 'maxReps') {
-                    prMessage += `Max Reps: ${set.reps} @ ${set.weight} lbs`;
+                    prMessage += `Max Reps: ${set.reps} @ ${load} lbs`;
+                } else if (prCheck.prType === 'maxE1RM') {
+                    prMessage += `Est. 1RM: ${PRTracker.calculateE1RM(load, set.reps)} lbs (${load} × ${set.reps})`;
                 } else if (prCheck.prType === 'maxVolume') {
-                    prMessage += `Max Volume: ${set.reps * set.weight} lbs`;
+                    prMessage += `Max Volume: ${set.reps * load} lbs`;
                 } else if (prCheck.prType === 'first') {
                     prMessage += `First time doing ${exerciseName}!`;
                 }
@@ -1134,7 +1601,7 @@ export function deleteSet(exerciseIndex, setIndex) {
     
     const exerciseKey = `exercise_${exerciseIndex}`;
     if (AppState.savedData.exercises[exerciseKey]?.sets) {
-        AppState.savedData.exercises[exerciseKey].sets.splice(setIndex, 1);
+        removeSet(AppState.savedData.exercises[exerciseKey], setIndex);
         saveWorkoutData(AppState);
         renderExercises();
     }
@@ -1183,7 +1650,7 @@ export function removeSetFromExercise(exerciseIndex) {
     if (AppState.savedData.exercises?.[exerciseKey]?.sets) {
         const lastSetIndex = currentSets - 1;
         if (AppState.savedData.exercises[exerciseKey].sets[lastSetIndex]) {
-            AppState.savedData.exercises[exerciseKey].sets.splice(lastSetIndex, 1);
+            removeSet(AppState.savedData.exercises[exerciseKey], lastSetIndex);
             saveWorkoutData(AppState);
         }
     }
@@ -1212,7 +1679,8 @@ export function saveExerciseNotes(exerciseIndex) {
             notes: '',
             name: currentExercise?.machine || currentExercise?.name || null,
             equipment: currentExercise?.equipment || null,
-            equipmentLocation: currentExercise?.equipmentLocation || null
+            equipmentLocation: currentExercise?.equipmentLocation || null,
+            measurementType: getMeasurementType(currentExercise)
         };
     }
 
@@ -1230,17 +1698,18 @@ export function markExerciseComplete(exerciseIndex) {
             notes: '',
             name: exercise?.machine || exercise?.name || null,
             equipment: exercise?.equipment || null,
-            equipmentLocation: exercise?.equipmentLocation || null
+            equipmentLocation: exercise?.equipmentLocation || null,
+            measurementType: getMeasurementType(exercise)
         };
     }
 
-    // Remove empty sets (sets without both reps AND weight)
-    // Only keep sets that have actual data entered
-    const existingSets = AppState.savedData.exercises[exerciseKey].sets || [];
-    AppState.savedData.exercises[exerciseKey].sets = existingSets.filter(set => {
-        // Keep set if it has reps OR weight (or both)
-        return (set.reps && set.reps > 0) || (set.weight && set.weight > 0);
-    });
+    // Remove empty sets - only keep sets that have actual data entered
+    // (reps, weight, time or distance)
+    const exerciseData = AppState.savedData.exercises[exerciseKey];
+    exerciseData.sets = exerciseData.sets || [];
+    for (let i = exerciseData.sets.length - 1; i >= 0; i--) {
+        if (!hasSetData(exerciseData.sets[i])) removeSet(exerciseData, i);
+    }
 
     const keptSets = AppState.savedData.exercises[exerciseKey].sets.length;
 
@@ -1271,8 +1740,10 @@ export function deleteExerciseFromWorkout(exerciseIndex) {
         return; // User cancelled
     }
 
-    // Delete the exercise
-    AppState.currentWorkout.exercises.splice(exerciseIndex, 1);
+    // Delete the exercise - tombstoned so another device's copy doesn't bring it back
+    ensureEntryIds(AppState.currentWorkout.exercises);
+    const [removed] = AppState.currentWorkout.exercises.splice(exerciseIndex, 1);
+    markEntryDeleted(AppState.savedData, removed);
 
     // Remove saved data for this exercise and shift remaining exercises
     if (AppState.savedData.exercises) {
@@ -1350,13 +1821,16 @@ export function confirmExerciseAddToWorkout(exerciseData) {
 
     // Add exercise to current workout (include equipment if provided)
     const newExercise = {
+        entryId: createEntryId(),
         machine: exerciseName,
         sets: exercise.sets || 3,
         reps: exercise.reps || 10,
         weight: exercise.weight || 50,
         video: exercise.video || '',
         equipment: exercise.equipment || null,
-        equipmentLocation: exercise.equipmentLocation || null
+        equipmentLocation: exercise.equipmentLocation || null,
+        measurementType: getMeasurementType(exercise),
+        loadType: getLoadType(exercise)
     };
 
     AppState.currentWorkout.exercises.push(newExercise);
@@ -1374,7 +1848,120 @@ export function confirmExerciseAddToWorkout(exerciseData) {
     
 }
 
-// REMOVED: swapExercise() and confirmExerciseSwap() - Replaced by delete + add workflow
+// ===================================================================
+// EXERCISE SUBSTITUTION
+// ===================================================================
+
+/**
+ * Offer alternatives for an exercise ("machine is taken"), ranked by body
+ * part, movement tags and the equipment at this session's location
+ */
+export async function showSubstituteOptions(exerciseIndex) {
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    const modal = document.getElementById('substitute-modal');
+    const listEl = document.getElementById('substitute-list');
+    if (!exercise || !modal || !listEl) return;
+
+    const titleEl = document.getElementById('substitute-exercise-name');
+    if (titleEl) titleEl.textContent = `for "${exercise.machine}"`;
+    listEl.innerHTML = '<div class="spinner"></div>';
+    modal.classList.remove('hidden');
+
+    const options = await findSubstitutes(exercise, {
+        location: getSessionLocation() || AppState.savedData.location || null,
+        exclude: AppState.currentWorkout.exercises.map(ex => ex.machine)
+    });
+    pendingSubstitution = { exerciseIndex, options };
+
+    // Offer the template's exercise back first when this slot is already a substitute
+    const original = exercise.substitutedFor
+        ? `
+            <div class="equipment-option" onclick="confirmExerciseSubstitution(-1)">
+                <div class="equipment-option-details">
+                    <div class="equipment-option-name">${escapeHtml(exercise.substitutedFor)}</div>
+                    <div class="equipment-option-location">Back to the planned exercise</div>
+                </div>
+            </div>
+        `
+        : '';
+
+    listEl.innerHTML = original + (options.length > 0
+        ? options.map((option, i) => `
+            <div class="equipment-option" onclick="confirmExerciseSubstitution(${i})">
+                <div class="equipment-option-details">
+                    <div class="equipment-option-name">${escapeHtml(option.exercise.name)}</div>
+                    <div class="equipment-option-location">${escapeHtml(option.reasons.join(' · '))}</div>
+                </div>
+            </div>
+        `).join('')
+        : '<div class="equipment-picker-empty">No similar exercises in your library</div>');
+}
+
+export function closeSubstituteModal() {
+    const modal = document.getElementById('substitute-modal');
+    if (modal) modal.classList.add('hidden');
+    pendingSubstitution = null;
+}
+
+/**
+ * Replace the exercise with the chosen alternative, keeping its place,
+ * set/rep targets and group. -1 switches back to the planned exercise.
+ */
+export function confirmExerciseSubstitution(optionIndex) {
+    if (!pendingSubstitution || !AppState.currentWorkout) return;
+
+    const { exerciseIndex, options } = pendingSubstitution;
+    const exercise = AppState.currentWorkout.exercises[exerciseIndex];
+    const substitute = optionIndex === -1
+        ? AppState.exerciseDatabase?.find(ex => ex.name === exercise?.substitutedFor) || { name: exercise?.substitutedFor }
+        : options[optionIndex]?.exercise;
+    if (!exercise || !substitute?.name) return;
+
+    const exerciseKey = `exercise_${exerciseIndex}`;
+    const exerciseData = AppState.savedData.exercises?.[exerciseKey];
+    const measurementType = getMeasurementType(exercise);
+    const loggedSets = (exerciseData?.sets || []).filter(set => isSetLogged(set, measurementType)).length;
+    if (loggedSets > 0 && !confirm(`${loggedSets} logged set${loggedSets === 1 ? '' : 's'} on ${exercise.machine} will be cleared. Substitute anyway?`)) {
+        return;
+    }
+
+    // Generated warm-ups were added on top of the planned sets
+    const warmupCount = exerciseData?.warmupsGenerated
+        ? exerciseData.sets.filter(set => set.warmupTarget).length
+        : 0;
+    const location = getSessionLocation() || AppState.savedData.location || null;
+    const replacement = buildSubstitute(exercise, substitute, {
+        sets: Math.max((exercise.sets || 3) - warmupCount, 1),
+        equipment: optionIndex === -1 ? null : options[optionIndex].equipment,
+        location
+    });
+
+    // A new plan entry - the planned one is tombstoned so its sets don't merge back in
+    ensureEntryIds(AppState.currentWorkout.exercises);
+    markEntryDeleted(AppState.savedData, exercise);
+    replacement.entryId = createEntryId();
+    AppState.currentWorkout.exercises[exerciseIndex] = replacement;
+    AppState.savedData.exercises = AppState.savedData.exercises || {};
+    AppState.savedData.exercises[exerciseKey] = {
+        sets: [],
+        notes: exerciseData?.notes || '',
+        name: replacement.machine,
+        equipment: replacement.equipment,
+        equipmentLocation: replacement.equipmentLocation,
+        measurementType: replacement.measurementType,
+        substitutedFor: replacement.substitutedFor
+    };
+    if (pendingRest?.exerciseIndex === exerciseIndex) pendingRest = null;
+
+    saveWorkoutData(AppState);
+    closeSubstituteModal();
+    renderExercises();
+
+    const exerciseModal = document.getElementById('exercise-modal');
+    if (exerciseModal && !exerciseModal.classList.contains('hidden') && AppState.focusedExerciseIndex === exerciseIndex) {
+        focusExercise(exerciseIndex);
+    }
+}
 
 export function closeExerciseModal() {
     const modal = document.getElementById('exercise-modal');
@@ -1583,8 +2170,9 @@ export function toggleModalRestTimer(exerciseIndex) {
     if (!modalTimer) return;
     
     if (modalTimer.classList.contains('hidden')) {
-        // Start new timer
-        startModalRestTimer(exerciseIndex, 90);
+        // Start new timer at this exercise's working rest
+        const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+        getRestProfile(exercise?.machine).then(profile => startModalRestTimer(exerciseIndex, profile.working));
     } else {
         // Pause/resume existing timer
         if (modalTimer.timerData && modalTimer.timerData.pause) {
@@ -2032,18 +2620,252 @@ export function updateWorkoutDuration() {
     startWorkoutTimer();
 }
 
-export function autoStartRestTimer(exerciseIndex, setIndex) {
+export async function autoStartRestTimer(exerciseIndex, setIndex) {
     
     const modal = document.getElementById('exercise-modal');
     const modalHidden = modal?.classList.contains('hidden');
     const focusedMatch = AppState.focusedExerciseIndex === exerciseIndex;
     
     if (modal && !modalHidden && focusedMatch) {
-        startModalRestTimer(exerciseIndex, 90);
+        const exercises = AppState.currentWorkout.exercises;
+
+        // Superset/circuit: go straight to the next exercise, no rest mid-round
+        const nextIndex = getNextInRound(exercises, exerciseIndex, setIndex);
+        if (nextIndex !== null) {
+            focusExercise(nextIndex);
+            return;
+        }
+
+        // Rest length follows the exercise's profile and the set just finished
+        const set = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`]?.sets?.[setIndex];
+        const duration = getRestDuration(await getRestProfile(exercises[exerciseIndex].machine), set);
+
+        // End of round: rest on the first exercise of the group so the next round starts there
+        const roundStart = getRoundStart(exercises, exerciseIndex, setIndex + 1);
+        const timerIndex = roundStart !== null && roundStart !== exerciseIndex ? roundStart : exerciseIndex;
+        if (timerIndex !== exerciseIndex) {
+            focusExercise(timerIndex);
+        }
+
+        startModalRestTimer(timerIndex, duration);
+        pendingRest = {
+            workoutStartedAt: AppState.savedData.startedAt,
+            exerciseIndex,
+            setIndex,
+            timerIndex,
+            target: duration,
+            startedAt: Date.now()
+        };
+    }
+}
+
+/**
+ * Store the rest actually taken on the set that started it, once the next
+ * set is logged
+ */
+function recordRestTaken(exerciseIndex, setIndex) {
+    if (!pendingRest) return;
+
+    // Still filling in the set that started the rest
+    if (pendingRest.exerciseIndex === exerciseIndex && pendingRest.setIndex === setIndex) return;
+
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    const set = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`]?.sets?.[setIndex];
+    if (!isSetLogged(set, getMeasurementType(exercise))) return;
+
+    const restedSet = pendingRest.workoutStartedAt === AppState.savedData.startedAt
+        ? AppState.savedData.exercises?.[`exercise_${pendingRest.exerciseIndex}`]?.sets?.[pendingRest.setIndex]
+        : null;
+    const taken = measureRest(pendingRest.startedAt);
+    if (restedSet && taken) {
+        restedSet.restTarget = pendingRest.target;
+        restedSet.restTaken = taken;
+        touchSet(restedSet);
+    }
+
+    pendingRest = null;
+}
+
+/**
+ * Rescale a running rest once the set's RPE is entered (profiles with
+ * "adapt to RPE" only)
+ */
+async function adaptRestToRPE(exerciseIndex, setIndex) {
+    if (!pendingRest || pendingRest.exerciseIndex !== exerciseIndex || pendingRest.setIndex !== setIndex) return;
+
+    const modalTimer = document.getElementById(`modal-rest-timer-${pendingRest.timerIndex}`);
+    if (!modalTimer?.timerData) return;
+
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    const profile = await getRestProfile(exercise?.machine);
+    if (!profile.adaptToRPE) return;
+
+    const set = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`]?.sets?.[setIndex];
+    const target = getRestDuration(profile, set);
+    if (!pendingRest || target === pendingRest.target) return;
+
+    // Keep the time already rested - only the target moves
+    const elapsed = Math.round((Date.now() - pendingRest.startedAt) / 1000);
+    startModalRestTimer(pendingRest.timerIndex, Math.max(target - elapsed, 1));
+    pendingRest.target = target;
+}
+
+/**
+ * Rest settings row in the exercise modal
+ */
+export async function loadRestProfilePanel(exerciseIndex) {
+    const panel = document.getElementById(`rest-profile-${exerciseIndex}`);
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!panel || !exercise || !AppState.currentUser) return;
+
+    const profile = await getRestProfile(exercise.machine);
+    if (AppState.focusedExerciseIndex !== exerciseIndex) return;
+
+    panel.innerHTML = `
+        <i class="fas fa-stopwatch"></i>
+        <label>Rest <input type="text" inputmode="numeric" value="${formatDuration(profile.working)}"
+            onchange="changeRestSetting(${exerciseIndex}, 'working', this.value)"></label>
+        <label>Warm-up <input type="text" inputmode="numeric" value="${formatDuration(profile.warmup)}"
+            onchange="changeRestSetting(${exerciseIndex}, 'warmup', this.value)"></label>
+        <label><input type="checkbox" ${profile.adaptToRPE ? 'checked' : ''}
+            onchange="changeRestSetting(${exerciseIndex}, 'adaptToRPE', this.checked)"> Adapt to RPE</label>
+        ${profile.custom
+            ? `<a href="#" onclick="event.preventDefault(); changeRestSetting(${exerciseIndex}, 'reset')">Use default</a>`
+            : ''}
+        <a href="#" onclick="event.preventDefault(); changeRestSetting(${exerciseIndex}, 'makeDefault')">Make default</a>
+    `;
+    panel.classList.remove('hidden');
+}
+
+/**
+ * Change this exercise's rest profile from the modal.
+ * field: 'working' / 'warmup' (m:ss or seconds), 'adaptToRPE' (boolean),
+ * 'reset' (back to the user default) or 'makeDefault' (copy to the user default)
+ */
+export async function changeRestSetting(exerciseIndex, field, value) {
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!exercise) return;
+
+    let saved;
+    if (field === 'reset') {
+        saved = await clearRestProfile(exercise.machine);
+    } else if (field === 'makeDefault') {
+        const { working, warmup, adaptToRPE } = await getRestProfile(exercise.machine);
+        saved = await setRestProfile(null, { working, warmup, adaptToRPE });
+        if (saved) showNotification('Rest times saved as your default', 'success');
+    } else if (field === 'adaptToRPE') {
+        saved = await setRestProfile(exercise.machine, { adaptToRPE: !!value });
     } else {
+        const seconds = parseDuration(value);
+        if (!seconds) {
+            showNotification('Enter rest as mm:ss or seconds', 'warning');
+            loadRestProfilePanel(exerciseIndex);
+            return;
+        }
+        saved = await setRestProfile(exercise.machine, { [field]: seconds });
+    }
+
+    if (saved) {
+        loadRestProfilePanel(exerciseIndex);
+    } else {
+        showNotification('Could not save rest settings', 'error');
     }
 }
 
+// ===================================================================
+// EQUIPMENT SETTINGS
+// ===================================================================
+
+// Exercise whose setup panel is open for editing
+let editingSettingsIndex = null;
+
+function getExerciseEquipmentLocation(exercise) {
+    return exercise.equipmentLocation || getSessionLocation() || AppState.savedData?.location || null;
+}
+
+/**
+ * Show the last-used seat/pin/grip setup for the exercise's equipment,
+ * or the form to change it
+ */
+export async function loadEquipmentSettingsPanel(exerciseIndex) {
+    const panel = document.getElementById(`equipment-settings-${exerciseIndex}`);
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!panel || !exercise?.equipment || !AppState.currentUser) return;
+
+    const saved = await getEquipmentSettings(exercise.equipment, getExerciseEquipmentLocation(exercise));
+    if (AppState.focusedExerciseIndex !== exerciseIndex) return;
+
+    const settings = saved?.settings || {};
+    const history = saved?.history || [];
+
+    if (editingSettingsIndex === exerciseIndex) {
+        panel.innerHTML = `
+            <i class="fas fa-sliders-h"></i>
+            ${EQUIPMENT_SETTING_FIELDS.map(field => `
+                <label>${field.label} <input type="text" data-setting="${field.key}"
+                    value="${escapeHtml(settings[field.key])}" placeholder="${field.placeholder}"></label>
+            `).join('')}
+            <a href="#" onclick="event.preventDefault(); saveEquipmentSettingsFromPanel(${exerciseIndex})">Save</a>
+            <a href="#" onclick="event.preventDefault(); editEquipmentSettings(${exerciseIndex}, false)">Cancel</a>
+            ${history.length > 0 ? `
+                <div class="equipment-settings-history">
+                    ${history.slice(0, 5).map(entry => `
+                        <div class="equipment-settings-change">
+                            <span>${new Date(entry.changedAt).toLocaleDateString()}</span>
+                            ${escapeHtml(formatSettingsChange(entry))}
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+        `;
+    } else {
+        const summary = formatSettings(settings);
+        const lastChange = history[0];
+        panel.innerHTML = `
+            <i class="fas fa-sliders-h"></i>
+            <span><strong>Setup:</strong> ${summary ? escapeHtml(summary) : `none saved for ${escapeHtml(exercise.equipment)}`}</span>
+            <a href="#" onclick="event.preventDefault(); editEquipmentSettings(${exerciseIndex}, true)">${summary ? 'Change' : 'Add'}</a>
+            ${lastChange ? `
+                <small>Changed ${new Date(lastChange.changedAt).toLocaleDateString()}: ${escapeHtml(formatSettingsChange(lastChange))}</small>
+            ` : ''}
+        `;
+    }
+    panel.classList.remove('hidden');
+}
+
+export function editEquipmentSettings(exerciseIndex, editing) {
+    editingSettingsIndex = editing ? exerciseIndex : null;
+    loadEquipmentSettingsPanel(exerciseIndex);
+}
+
+/**
+ * Save the setup form; the change is kept in the equipment's settings history
+ */
+export async function saveEquipmentSettingsFromPanel(exerciseIndex) {
+    const panel = document.getElementById(`equipment-settings-${exerciseIndex}`);
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!panel || !exercise?.equipment) return;
+
+    const settings = {};
+    panel.querySelectorAll('input[data-setting]').forEach(input => {
+        settings[input.dataset.setting] = input.value;
+    });
+
+    const saved = await saveEquipmentSettings({
+        equipmentName: exercise.equipment,
+        location: getExerciseEquipmentLocation(exercise),
+        exerciseName: exercise.machine,
+        settings,
+        date: AppState.savedData?.date || null
+    });
+
+    if (!saved) {
+        showNotification('Could not save equipment setup', 'error');
+        return;
+    }
+    editEquipmentSettings(exerciseIndex, false);
+}
+
 // ===================================================================
 // VIDEO FUNCTIONS
 // ===================================================================
@@ -2120,6 +2942,17 @@ export function hideExerciseVideoAndToggleButton(exerciseIndex) {
 // UNIT MANAGEMENT
 // ===================================================================
 
+/**
+ * Switch effort entry between RPE and reps in reserve. Stored values are
+ * always RPE, so only the display changes.
+ */
+export function toggleEffortMode() {
+    setEffortMode(getEffortMode() === 'rir' ? 'rpe' : 'rir');
+    if (AppState.currentWorkout) {
+        renderExercises();
+    }
+}
+
 export function setGlobalUnit(unit) {
     if (AppState.globalUnit === unit) return; // No change needed
     
@@ -2197,6 +3030,10 @@ export function setExerciseUnit(exerciseIndex, unit) {
             if (timerState && timerState.isActive) {
                 restoreModalRestTimer(exerciseIndex, timerState);
             }
+
+            renderPlateBreakdowns(exerciseIndex);
+            loadProgressionHint(exerciseIndex);
+            loadBodyWeightHint(exerciseIndex);
         }
     }
     
@@ -2395,6 +3232,420 @@ export async function loadLastWorkoutHint(exerciseName, exerciseIndex) {
     }
 }
 
+// ===================================================================
+// PROGRESSIVE OVERLOAD SUGGESTIONS
+// ===================================================================
+
+/**
+ * Show the progression engine's suggestion for an exercise and pre-fill it
+ * as the placeholder of every empty set (placeholders don't count as logged).
+ */
+export async function loadProgressionHint(exerciseIndex) {
+    const hintDiv = document.getElementById(`progression-hint-${exerciseIndex}`);
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!hintDiv || !exercise || !AppState.currentUser) return;
+
+    // Suggestions are weight/rep based on external loads
+    if (!isWeightedType(getMeasurementType(exercise)) || isBodyweightLoad(getLoadType(exercise))) {
+        hintDiv.classList.add('hidden');
+        return;
+    }
+
+    // Program sessions carry their own target for the week
+    if (exercise.programTarget) {
+        const plateSetup = await getPlateSetup(exerciseIndex);
+        if (AppState.focusedExerciseIndex !== exerciseIndex) return;
+        showProgramTarget(hintDiv, exercise, exerciseIndex, plateSetup);
+        return;
+    }
+
+    try {
+        const { getProgressionSuggestion, getProgressionRule, PROGRESSION_RULES } = await import('../features/progression-engine.js');
+        const { getActiveDeload } = await import('../features/fatigue-monitor.js');
+        const [progression, rule, deload, plateSetup] = await Promise.all([
+            getProgressionSuggestion(exercise),
+            getProgressionRule(exercise.machine, exercise.reps),
+            AppState.savedData?.deload ? getActiveDeload() : null,
+            getPlateSetup(exerciseIndex)
+        ]);
+
+        // Deload week: same reps, lighter weight
+        const suggestion = progression && deload ? {
+            ...progression,
+            weight: Math.round(progression.weight * deload.factor / 5) * 5,
+            reason: `Deload week - ${Math.round(deload.factor * 100)}% of ${progression.weight} lbs`
+        } : progression;
+
+        // Modal may have moved on to another exercise while loading
+        if (AppState.focusedExerciseIndex !== exerciseIndex) return;
+
+        const unit = AppState.exerciseUnits[exerciseIndex] || AppState.globalUnit;
+
+        // Suggest a load that can actually be put on the bar or machine
+        const displayWeight = suggestion
+            ? roundWeightToLoadable(convertWeight(suggestion.weight, 'lbs', unit), unit, plateSetup)
+            : null;
+
+        if (suggestion) {
+            const modal = document.getElementById('exercise-modal');
+            modal?.querySelectorAll('.exercise-table tbody tr:not(.warmup-row)').forEach(row => {
+                const repsInput = row.querySelector('input[data-field="reps"]');
+                const weightInput = row.querySelector('input[data-field="weight"]');
+                if (repsInput && !repsInput.value) repsInput.placeholder = suggestion.reps;
+                if (weightInput && !weightInput.value) weightInput.placeholder = displayWeight;
+            });
+        }
+
+        const ruleOptions = Object.entries(PROGRESSION_RULES).map(([value, def]) =>
+            `<option value="${value}" ${value === rule.type ? 'selected' : ''}>${def.label}</option>`
+        ).join('');
+
+        hintDiv.innerHTML = `
+            ${suggestion ? `
+                <div class="progression-suggestion">
+                    <i class="fas fa-arrow-up"></i>
+                    <strong>Suggested:</strong> ${suggestion.sets} × ${suggestion.reps} @ ${displayWeight} ${unit}
+                </div>
+                <div class="progression-reason">${suggestion.reason} · last ${new Date(suggestion.lastDate + 'T12:00:00').toLocaleDateString()}</div>
+            ` : `
+                <div class="progression-reason">
+                    ${rule.type === 'none'
+                        ? 'Progression suggestions are off for this exercise'
+                        : `No history yet on ${exercise.equipment || 'this equipment'}`}
+                </div>
+            `}
+            <div class="progression-settings">
+                <select onchange="changeProgressionRule(${exerciseIndex}, 'type', this.value)">${ruleOptions}</select>
+                ${rule.type !== 'none' ? `
+                    <label>+<input type="number" min="0" step="0.5" value="${rule.increment}"
+                        onchange="changeProgressionRule(${exerciseIndex}, 'increment', this.value)"> lbs</label>
+                ` : ''}
+                ${rule.type === 'double' ? `
+                    <label><input type="number" min="1" value="${rule.repMin}"
+                        onchange="changeProgressionRule(${exerciseIndex}, 'repMin', this.value)">-<input type="number" min="1" value="${rule.repMax}"
+                        onchange="changeProgressionRule(${exerciseIndex}, 'repMax', this.value)"> reps</label>
+                ` : ''}
+            </div>
+        `;
+        hintDiv.classList.remove('hidden');
+        renderPlateBreakdowns(exerciseIndex);
+    } catch (error) {
+        console.error('❌ Error loading progression suggestion:', error);
+        hintDiv.classList.add('hidden');
+    }
+}
+
+/**
+ * Show this week's program target and pre-fill it as placeholders
+ */
+function showProgramTarget(hintDiv, exercise, exerciseIndex, plateSetup = null) {
+    const target = exercise.programTarget;
+    const unit = AppState.exerciseUnits[exerciseIndex] || AppState.globalUnit;
+    const displayWeight = target.weight
+        ? roundWeightToLoadable(convertWeight(target.weight, 'lbs', unit), unit, plateSetup)
+        : null;
+    const intensity = target.percent ? `${target.percent}% of e1RM` : target.rpe ? `RPE ${target.rpe}` : '';
+
+    const modal = document.getElementById('exercise-modal');
+    modal?.querySelectorAll('.exercise-table tbody tr:not(.warmup-row)').forEach(row => {
+        const repsInput = row.querySelector('input[data-field="reps"]');
+        const weightInput = row.querySelector('input[data-field="weight"]');
+        const rpeInput = row.querySelector('.rpe-input');
+        if (repsInput && !repsInput.value) repsInput.placeholder = target.reps;
+        if (weightInput && !weightInput.value && displayWeight) weightInput.placeholder = displayWeight;
+        if (rpeInput && !rpeInput.value && target.rpe) rpeInput.placeholder = target.rpe;
+    });
+
+    hintDiv.innerHTML = `
+        <div class="progression-suggestion">
+            <i class="fas fa-calendar-alt"></i>
+            <strong>Program:</strong> ${target.sets} × ${target.reps}${displayWeight ? ` @ ${displayWeight} ${unit}` : ''}
+        </div>
+        <div class="progression-reason">
+            ${intensity}${displayWeight ? '' : `${intensity ? ' · ' : ''}no e1RM yet - pick a weight that matches`}
+        </div>
+    `;
+    hintDiv.classList.remove('hidden');
+    renderPlateBreakdowns(exerciseIndex);
+}
+
+/**
+ * Update one field of an exercise's progression rule and refresh the hint
+ */
+export async function changeProgressionRule(exerciseIndex, field, value) {
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!exercise) return;
+
+    const parsed = field === 'type' ? value : parseFloat(value);
+    if (field !== 'type' && (isNaN(parsed) || parsed < 0)) {
+        showNotification('Enter a valid number', 'warning');
+        return;
+    }
+
+    const { setProgressionRule } = await import('../features/progression-engine.js');
+    const saved = await setProgressionRule(exercise.machine, { [field]: parsed });
+    if (saved) {
+        loadProgressionHint(exerciseIndex);
+    } else {
+        showNotification('Could not save progression rule', 'error');
+    }
+}
+
+// ===================================================================
+// WARM-UP SETS
+// ===================================================================
+
+/**
+ * Working weight (lbs) from the first working set: what was entered, or
+ * the suggestion/program target shown as its placeholder
+ */
+function getWorkingWeightFromTable(exerciseIndex) {
+    const unit = AppState.exerciseUnits[exerciseIndex] || AppState.globalUnit;
+    const weightInput = document.querySelector(
+        '#exercise-modal .exercise-table tbody tr:not(.warmup-row) input[data-field="weight"]'
+    );
+    const weight = parseFloat(weightInput?.value || weightInput?.placeholder);
+    if (!(weight > 0)) return 0;
+    return unit === 'kg' ? weight / 0.453592 : weight;
+}
+
+/**
+ * Re-render the open exercise modal after its set list changed
+ */
+function refreshExerciseModal(exerciseIndex) {
+    saveActiveTimerState(exerciseIndex);
+    renderExercises();
+    focusExercise(exerciseIndex);
+    restoreActiveTimerState(exerciseIndex);
+}
+
+/**
+ * Insert a warm-up ramp above the working sets
+ * @returns {Promise<number>} Number of warm-up sets added
+ */
+async function insertWarmupSets(exerciseIndex) {
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!exercise) return 0;
+
+    const { getWarmupConfig, buildWarmupSets } = await import('../features/warmup-generator.js');
+    const [config, setup] = await Promise.all([
+        getWarmupConfig(exercise.machine),
+        getPlateSetup(exerciseIndex)
+    ]);
+
+    const warmups = buildWarmupSets(getWorkingWeightFromTable(exerciseIndex), config.ramp, setup);
+    if (warmups.length === 0) return 0;
+
+    // Pad to the planned set count first so working sets keep their rows
+    const exerciseData = getExerciseData(exerciseIndex);
+    while (exerciseData.sets.length < (exercise.sets || 3)) {
+        exerciseData.sets.push({ reps: '', weight: '' });
+    }
+
+    // Working sets move down - the merge follows them by ID, not by row, so
+    // edits to them from another device still land on the right set
+    ensureSetIds(exerciseData.sets);
+    exerciseData.sets.unshift(...warmups.map(warmup => touchSet({
+        setType: 'warmup',
+        warmupTarget: warmup
+    })));
+    exerciseData.warmupsGenerated = true;
+    exercise.sets = (exercise.sets || 3) + warmups.length;
+
+    // Set positions moved - a running rest can no longer find its set
+    if (pendingRest?.exerciseIndex === exerciseIndex) pendingRest = null;
+
+    saveWorkoutData(AppState);
+    return warmups.length;
+}
+
+/**
+ * Show the warm-up ramp for the open exercise, first inserting it
+ * automatically if the exercise hasn't been started yet
+ */
+export async function loadWarmupPanel(exerciseIndex) {
+    const panel = document.getElementById(`warmup-panel-${exerciseIndex}`);
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!panel || !exercise || AppState.focusedExerciseIndex !== exerciseIndex) return;
+
+    if (!isWeightedType(getMeasurementType(exercise)) || getLoadType(exercise) !== 'external') {
+        panel.classList.add('hidden');
+        return;
+    }
+
+    try {
+        const { getWarmupConfig, needsWarmup, formatRamp } = await import('../features/warmup-generator.js');
+        const [config, setup] = await Promise.all([
+            getWarmupConfig(exercise.machine),
+            getPlateSetup(exerciseIndex)
+        ]);
+        if (AppState.focusedExerciseIndex !== exerciseIndex) return;
+
+        if (!needsWarmup(exercise, getWorkingWeightFromTable(exerciseIndex), setup)) {
+            panel.classList.add('hidden');
+            return;
+        }
+
+        const exerciseData = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`];
+        const sets = exerciseData?.sets || [];
+        const measurementType = getMeasurementType(exercise);
+        const hasWarmups = sets.some(set => set.warmupTarget && !isSetLogged(set, measurementType));
+
+        // Only once per exercise, and never into sets already being logged
+        if (config.enabled && !exerciseData?.warmupsGenerated &&
+            !sets.some(set => isWarmupSet(set) || isSetLogged(set, measurementType))) {
+            if (await insertWarmupSets(exerciseIndex)) {
+                refreshExerciseModal(exerciseIndex);
+                return;
+            }
+        }
+
+        panel.innerHTML = `
+            <div class="progression-suggestion">
+                <i class="fas fa-fire"></i>
+                <strong>Warm-up:</strong> ${formatRamp(config.ramp)}
+                ${hasWarmups
+                    ? `<a href="#" onclick="event.preventDefault(); removeWarmupSets(${exerciseIndex})">Remove</a>`
+                    : `<a href="#" onclick="event.preventDefault(); addWarmupSets(${exerciseIndex})">Add</a>`}
+            </div>
+            <div class="progression-settings">
+                <select onchange="changeWarmupSetting(${exerciseIndex}, 'enabled', this.value)">
+                    <option value="on" ${config.enabled ? 'selected' : ''}>Auto</option>
+                    <option value="off" ${config.enabled ? '' : 'selected'}>Off</option>
+                </select>
+                <input type="text" class="warmup-ramp-input" value="${formatRamp(config.ramp)}"
+                       placeholder="bar×10, 40%×5, 60%×3"
+                       onchange="changeWarmupSetting(${exerciseIndex}, 'ramp', this.value)">
+                ${config.customRamp
+                    ? `<a href="#" onclick="event.preventDefault(); changeWarmupSetting(${exerciseIndex}, 'ramp', '')">Use default</a>`
+                    : ''}
+                <a href="#" onclick="event.preventDefault(); changeWarmupSetting(${exerciseIndex}, 'defaultRamp', '')">Make default</a>
+            </div>
+        `;
+        panel.classList.remove('hidden');
+    } catch (error) {
+        console.error('❌ Error loading warm-up ramp:', error);
+        panel.classList.add('hidden');
+    }
+}
+
+export async function addWarmupSets(exerciseIndex) {
+    if (!AppState.currentWorkout) return;
+
+    if (await insertWarmupSets(exerciseIndex)) {
+        refreshExerciseModal(exerciseIndex);
+    } else {
+        showNotification('Set a working weight first', 'warning');
+    }
+}
+
+/**
+ * Remove generated warm-ups that haven't been logged
+ */
+export function removeWarmupSets(exerciseIndex) {
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    const exerciseData = AppState.savedData.exercises?.[`exercise_${exerciseIndex}`];
+    if (!exercise || !exerciseData?.sets) return;
+
+    const measurementType = getMeasurementType(exercise);
+    let removed = 0;
+    for (let i = exerciseData.sets.length - 1; i >= 0; i--) {
+        const set = exerciseData.sets[i];
+        if (set?.warmupTarget && !isSetLogged(set, measurementType)) {
+            removeSet(exerciseData, i);
+            removed++;
+        }
+    }
+    if (removed === 0) return;
+
+    exercise.sets = Math.max((exercise.sets || 3) - removed, 1);
+    if (pendingRest?.exerciseIndex === exerciseIndex) pendingRest = null;
+
+    saveWorkoutData(AppState);
+    refreshExerciseModal(exerciseIndex);
+}
+
+/**
+ * Change this exercise's warm-up settings from the modal.
+ * field: 'enabled' ('on'/'off'), 'ramp' (typed ramp, '' = user default)
+ * or 'defaultRamp' (make this exercise's ramp the user default)
+ */
+export async function changeWarmupSetting(exerciseIndex, field, value) {
+    const exercise = AppState.currentWorkout?.exercises?.[exerciseIndex];
+    if (!exercise) return;
+
+    const { getWarmupConfig, setWarmupConfig, clearWarmupRamp, parseRamp } = await import('../features/warmup-generator.js');
+
+    let saved;
+    if (field === 'enabled') {
+        saved = await setWarmupConfig(exercise.machine, { enabled: value === 'on' });
+    } else if (field === 'defaultRamp') {
+        const { ramp } = await getWarmupConfig(exercise.machine);
+        saved = await setWarmupConfig(null, { ramp });
+        if (saved) showNotification('Warm-up ramp saved as your default', 'success');
+    } else if (!value.trim()) {
+        saved = await clearWarmupRamp(exercise.machine);
+    } else {
+        const ramp = parseRamp(value);
+        if (!ramp) {
+            showNotification('Enter a ramp like "bar×10, 40%×5, 60%×3"', 'warning');
+            return;
+        }
+        saved = await setWarmupConfig(exercise.machine, { ramp });
+    }
+
+    if (saved) {
+        loadWarmupPanel(exerciseIndex);
+    } else {
+        showNotification('Could not save warm-up settings', 'error');
+    }
+}
+
+/**
+ * Show the body weight used for a bodyweight/assisted exercise's effective load
+ */
+export async function loadBodyWeightHint(exerciseIndex) {
+    const hintDiv = document.getElementById(`bodyweight-hint-${exerciseIndex}`);
+    if (!hintDiv || !AppState.currentUser) return;
+
+    const bodyWeight = await getBodyWeightOn(AppState.savedData.date || AppState.getTodayDateString());
+    if (AppState.focusedExerciseIndex !== exerciseIndex) return;
+
+    const unit = AppState.exerciseUnits[exerciseIndex] || AppState.globalUnit;
+    hintDiv.innerHTML = `
+        <i class="fas fa-weight"></i>
+        ${bodyWeight
+            ? `Body weight: <strong>${convertWeight(bodyWeight, 'lbs', unit)} ${unit}</strong>`
+            : 'No body weight logged - load will only count added weight'}
+        <a href="#" onclick="event.preventDefault(); updateBodyWeight(${exerciseIndex})">${bodyWeight ? 'Update' : 'Log'}</a>
+    `;
+}
+
+/**
+ * Log today's body weight from the exercise modal and apply it to this
+ * workout's bodyweight/assisted sets
+ */
+export async function updateBodyWeight(exerciseIndex) {
+    const unit = AppState.exerciseUnits[exerciseIndex] || AppState.globalUnit;
+    const value = prompt(`Body weight (${unit}):`);
+    if (value === null) return;
+
+    const entry = await logBodyWeight(value, unit, AppState.savedData.date || AppState.getTodayDateString());
+    if (!entry) {
+        showNotification('Enter a valid body weight', 'warning');
+        return;
+    }
+
+    Object.values(AppState.savedData.exercises || {}).forEach(exerciseData => {
+        (exerciseData.sets || []).forEach(set => {
+            if (set && isBodyweightLoad(set.loadType)) set.bodyWeight = entry.weight;
+        });
+    });
+    saveWorkoutData(AppState);
+
+    loadBodyWeightHint(exerciseIndex);
+}
+
 // ===================================================================
 // LOCATION MANAGEMENT
 // ===================================================================
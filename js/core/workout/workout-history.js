@@ -1,5 +1,10 @@
 // Clean Workout History Module with Calendar View - core/workout-history.js
 import { showNotification } from '../ui/ui-helpers.js';
+import { getGroupLabel } from './exercise-groups.js';
+import { getMeasurementType, isSetLogged, hasSetData, formatSetSummary, formatDuration } from './measurement-types.js';
+import { summarizeRest } from '../features/rest-profiles.js';
+import { formatSubstitutionName } from '../features/exercise-substitution.js';
+import { isBodyweightLoad, formatLoad } from './load-types.js';
 
 export function getWorkoutHistory(appState) {
     let currentHistory = [];
@@ -193,14 +198,17 @@ export function getWorkoutHistory(appState) {
 
                     // Get video from original workout template
                     const exerciseIndex = exerciseKey.replace('exercise_', '');
-                    const video = workout.originalWorkout?.exercises?.[exerciseIndex]?.video || '';
+                    const originalExercise = workout.originalWorkout?.exercises?.[exerciseIndex];
+                    const video = originalExercise?.video || '';
 
                     if (exerciseData && exerciseData.sets) {
                         exercises.push({
                             name: exerciseName,
-                            sets: exerciseData.sets.filter(set => set && (set.reps || set.weight)),
+                            substitutedFor: originalExercise?.substitutedFor || exerciseData.substitutedFor || null,
+                            sets: exerciseData.sets.filter(set => hasSetData(set)),
                             notes: exerciseData.notes || '',
-                            video: video
+                            video: video,
+                            measurementType: exerciseData.measurementType || getMeasurementType(originalExercise || { name: exerciseName })
                         });
                     }
                 });
@@ -452,31 +460,42 @@ export function getWorkoutHistory(appState) {
         
         if (workout.exercises && workout.exercises.length > 0) {
             workout.exercises.forEach(exercise => {
+                const isWeighted = !exercise.measurementType || exercise.measurementType === 'weight';
                 exerciseHTML += `
                     <div style="background: var(--bg-tertiary); border-radius: 12px; padding: 1.5rem; margin-bottom: 1rem; border: 1px solid var(--border);">
                         <h4 style="color: var(--primary); margin-bottom: 1rem; display: flex; align-items: center; gap: 0.5rem;">
                             <i class="fas fa-trophy" style="color: var(--warning);"></i>
-                            ${exercise.name}
+                            ${formatSubstitutionName(exercise.name, exercise.substitutedFor)}
                         </h4>
                         
                         <table style="width: 100%; border-collapse: collapse;">
                             <thead>
                                 <tr style="border-bottom: 1px solid var(--border);">
                                     <th style="text-align: left; padding: 0.75rem; color: var(--text-secondary);">Set</th>
+                                    ${isWeighted ? `
                                     <th style="text-align: left; padding: 0.75rem; color: var(--text-secondary);">Reps</th>
                                     <th style="text-align: left; padding: 0.75rem; color: var(--text-secondary);">Weight</th>
+                                    ` : `
+                                    <th colspan="2" style="text-align: left; padding: 0.75rem; color: var(--text-secondary);">Result</th>
+                                    `}
                                 </tr>
                             </thead>
                             <tbody>`;
                 
                 if (exercise.sets && exercise.sets.length > 0) {
                     exercise.sets.forEach((set, index) => {
-                        if (set && (set.reps || set.weight)) {
+                        if (set && !isWeighted && hasSetData(set)) {
+                            exerciseHTML += `
+                                <tr style="background: rgba(40, 167, 69, 0.1); border-bottom: 1px solid rgba(40, 167, 69, 0.2);">
+                                    <td style="padding: 0.75rem; color: var(--text-primary);">Set ${index + 1}</td>
+                                    <td colspan="2" style="padding: 0.75rem; color: var(--text-primary);">${formatSetSummary(set, exercise.measurementType)}</td>
+                                </tr>`;
+                        } else if (set && (set.reps || set.weight)) {
                             exerciseHTML += `
                                 <tr style="background: rgba(40, 167, 69, 0.1); border-bottom: 1px solid rgba(40, 167, 69, 0.2);">
                                     <td style="padding: 0.75rem; color: var(--text-primary);">Set ${index + 1}</td>
                                     <td style="padding: 0.75rem; color: var(--text-primary);">${set.reps || '-'}</td>
-                                    <td style="padding: 0.75rem; color: var(--text-primary);">${set.weight ? set.weight + ' lbs' : '-'}</td>
+                                    <td style="padding: 0.75rem; color: var(--text-primary);">${isBodyweightLoad(set.loadType) ? formatLoad(set) + ' lbs' : (set.weight ? set.weight + ' lbs' : '-')}</td>
                                 </tr>`;
                         }
                     });
@@ -828,12 +847,17 @@ showFixedWorkoutModal(workout, workoutIndex = 0) {
         workout.originalWorkout.exercises.forEach((originalExercise, index) => {
             const exerciseKey = `exercise_${index}`;
             const exerciseData = workout.exercises[exerciseKey];
-            const exerciseName = workout.exerciseNames?.[exerciseKey] || originalExercise.machine || 'Unknown Exercise';
+            const exerciseName = formatSubstitutionName(
+                workout.exerciseNames?.[exerciseKey] || originalExercise.machine || 'Unknown Exercise',
+                originalExercise.substitutedFor || exerciseData?.substitutedFor
+            );
+            const groupLabel = getGroupLabel(workout.originalWorkout.exercises, index);
 
             exerciseHTML += `
-                <div class="exercise-detail-item">
-                    <h5>${exerciseName}</h5>
-                    ${this.generateSetsHTML(exerciseData?.sets || [])}
+                <div class="exercise-detail-item${groupLabel ? ' grouped' : ''}">
+                    <h5>${exerciseName}${groupLabel ? ` <span class="exercise-group-badge">${groupLabel}</span>` : ''}</h5>
+                    ${this.generateSetsHTML(exerciseData?.sets || [], exerciseData?.measurementType || getMeasurementType(originalExercise))}
+                    ${this.generateRestHTML(exerciseData?.sets || [])}
                     ${exerciseData?.notes ? `<p class="exercise-notes">Notes: ${exerciseData.notes}</p>` : ''}
                 </div>
             `;
@@ -913,21 +937,34 @@ showFixedWorkoutModal(workout, workoutIndex = 0) {
     modal.style.display = 'flex';
 },
 
-generateSetsHTML(sets) {
+generateSetsHTML(sets, measurementType = 'weight') {
     if (!sets || sets.length === 0) {
         return '<p class="no-sets-text">No sets recorded</p>';
     }
 
     let html = '<div class="sets-list">';
     sets.forEach((set, index) => {
-        if (set && (set.reps || set.weight)) {
-            html += `<span class="set-badge">Set ${index + 1}: ${set.reps || 0} × ${set.weight || 0} lbs</span>`;
+        if (hasSetData(set)) {
+            html += `<span class="set-badge">Set ${index + 1}: ${formatSetSummary(set, measurementType)}</span>`;
         }
     });
     html += '</div>';
     return html;
 },
 
+// Rest compliance for one exercise, from the rest recorded after each set
+generateRestHTML(sets) {
+    const rest = summarizeRest(sets);
+    if (rest.sets === 0) return '';
+
+    return `
+        <p class="exercise-rest-summary ${rest.percent >= 75 ? 'on-target' : ''}">
+            <i class="fas fa-stopwatch"></i>
+            Rest ${formatDuration(rest.avgTaken)} avg vs ${formatDuration(rest.avgTarget)} target
+            · ${rest.onTarget}/${rest.sets} on target
+        </p>`;
+},
+
 calculateProgress(workout) {
     if (!workout.exercises || !workout.originalWorkout?.exercises) return 0;
     
@@ -937,8 +974,9 @@ calculateProgress(workout) {
     Object.keys(workout.exercises).forEach(key => {
         const exercise = workout.exercises[key];
         if (exercise.sets) {
+            const measurementType = getMeasurementType(exercise);
             totalSets += exercise.sets.length;
-            completedSets += exercise.sets.filter(set => set.reps && set.weight).length;
+            completedSets += exercise.sets.filter(set => isSetLogged(set, measurementType)).length;
         }
     });
     
@@ -1085,7 +1123,7 @@ calculateProgress(workout) {
         // Method 3: If workout is completed but no duration, estimate based on sets
         if (workout.completedAt && workout.exercises) {
             const totalSets = Object.values(workout.exercises).reduce((count, exercise) => {
-                return count + (exercise.sets ? exercise.sets.filter(set => set.reps && set.weight).length : 0);
+                return count + (exercise.sets ? exercise.sets.filter(set => hasSetData(set)).length : 0);
             }, 0);
             
             // Estimate 2 minutes per set (reasonable assumption)
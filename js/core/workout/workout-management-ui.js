@@ -4,6 +4,9 @@ import { FirebaseWorkoutManager } from '../data/firebase-workout-manager.js';
 import { showNotification, setHeaderMode } from '../ui/ui-helpers.js';
 import { getSessionLocation } from '../features/location-service.js';
 import { setBottomNavVisible } from '../ui/navigation.js';
+import { GROUP_LABELS, getGroupLabel } from './exercise-groups.js';
+import { MEASUREMENT_TYPES, getMeasurementType } from './measurement-types.js';
+import { getLoadType, normalizeLoadWeight, formatLoad } from './load-types.js';
 
 let workoutManager;
 let currentEditingTemplate = null;
@@ -36,7 +39,7 @@ export async function showWorkoutManagement() {
     }
 
     // Hide all other sections
-    const sections = ['dashboard', 'workout-selector', 'active-workout', 'workout-history-section', 'stats-section', 'exercise-manager-section', 'location-management-section'];
+    const sections = ['dashboard', 'workout-selector', 'active-workout', 'workout-history-section', 'stats-section', 'exercise-manager-section', 'location-management-section', 'equipment-manager-section'];
     sections.forEach(id => {
         const el = document.getElementById(id);
         if (el) el.classList.add('hidden');
@@ -615,17 +618,32 @@ function renderTemplateExercises() {
 function createTemplateExerciseItem(exercise, index) {
     const item = document.createElement('div');
     item.className = 'template-exercise-item';
-    
+
+    const groupLabel = getGroupLabel(currentEditingTemplate.exercises, index);
+    if (groupLabel) {
+        item.classList.add('grouped');
+    }
+
     item.innerHTML = `
         <div class="exercise-info">
             <h5>${exercise.name}</h5>
             <div class="exercise-details">
-                ${exercise.sets} sets × ${exercise.reps} reps @ ${exercise.weight} lbs
+                ${getMeasurementType(exercise) === 'weight'
+                    ? `${exercise.sets} sets × ${exercise.reps} reps @ ${formatLoad({ loadType: getLoadType(exercise), weight: normalizeLoadWeight(exercise.weight, getLoadType(exercise)) ?? 0 })} lbs`
+                    : `${exercise.sets} sets • ${MEASUREMENT_TYPES[getMeasurementType(exercise)].label}`}
                 ${exercise.bodyPart ? ` • ${exercise.bodyPart}` : ''}
                 ${exercise.equipmentType ? ` • ${exercise.equipmentType}` : ''}
             </div>
+            ${groupLabel ? `<span class="exercise-group-badge">${groupLabel}</span>` : ''}
         </div>
         <div class="exercise-item-actions">
+            <select class="exercise-group-select" title="Superset / circuit group"
+                    onchange="setTemplateExerciseGroup(${index}, this.value)">
+                <option value="" ${!exercise.group ? 'selected' : ''}>No group</option>
+                ${GROUP_LABELS.map(label => `
+                    <option value="${label}" ${exercise.group === label ? 'selected' : ''}>Group ${label}</option>
+                `).join('')}
+            </select>
             <button type="button" class="btn btn-secondary btn-small" onclick="editTemplateExercise(${index})">
                 <i class="fas fa-edit"></i>
             </button>
@@ -754,6 +772,17 @@ export function saveTemplateExerciseEdit() {
     // Removed notification - UI update is self-evident
 }
 
+/**
+ * Put a template exercise into a superset/circuit group (or clear it).
+ * Exercises sharing a letter are performed back to back in the live workout.
+ */
+export function setTemplateExerciseGroup(index, group) {
+    if (!currentEditingTemplate?.exercises[index]) return;
+
+    currentEditingTemplate.exercises[index].group = group || null;
+    renderTemplateExercises();
+}
+
 export function removeTemplateExercise(index) {
     if (!currentEditingTemplate) return;
     
@@ -1242,6 +1271,8 @@ async function finalizeExerciseAddition(equipmentName, equipmentLocation, equipm
             machine: exercise.machine || exercise.name,
             bodyPart: exercise.bodyPart,
             equipmentType: exercise.equipmentType,
+            measurementType: exercise.measurementType || 'weight',
+            loadType: exercise.loadType || 'external',
             equipment: equipmentName,
             equipmentLocation: equipmentLocation,
             sets: exercise.sets || 3,
@@ -1304,6 +1335,8 @@ export async function createNewExercise(event) {
     const reps = parseInt(document.getElementById('new-exercise-reps')?.value) || 10;
     const weight = parseInt(document.getElementById('new-exercise-weight')?.value) || 50;
     const video = document.getElementById('new-exercise-video')?.value.trim();
+    const measurementType = document.getElementById('new-exercise-measurement')?.value || 'weight';
+    const loadType = document.getElementById('new-exercise-load')?.value || 'external';
 
     if (!name) {
         showNotification('Please enter an exercise name', 'warning');
@@ -1315,6 +1348,8 @@ export async function createNewExercise(event) {
         machine: name,
         bodyPart,
         equipmentType: equipment,
+        measurementType,
+        loadType,
         tags: [bodyPart.toLowerCase(), equipment.toLowerCase()],
         sets,
         reps,
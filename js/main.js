@@ -19,6 +19,7 @@ import {
 import {
     startWorkout, pauseWorkout, completeWorkout, cancelWorkout, cancelCurrentWorkout,
     continueInProgressWorkout, discardInProgressWorkout, discardEditedWorkout, editHistoricalWorkout,
+    resolveWorkoutConflict,
     renderExercises, createExerciseCard, focusExercise,
     updateSet, addSet, deleteSet, addSetToExercise, removeSetFromExercise,
     saveExerciseNotes, markExerciseComplete,
@@ -26,9 +27,14 @@ import {
     toggleModalRestTimer, skipModalRestTimer,
     updateWorkoutDuration, startWorkoutTimer,
     showExerciseVideo, hideExerciseVideo, showExerciseVideoAndToggleButton, hideExerciseVideoAndToggleButton, convertYouTubeUrl,
-    setGlobalUnit, setExerciseUnit, editExerciseDefaults,
+    setGlobalUnit, setExerciseUnit, editExerciseDefaults, toggleEffortMode,
     closeExerciseModal, loadExerciseHistory, loadLastWorkoutHint, autoStartRestTimer,
+    loadProgressionHint, changeProgressionRule, loadBodyWeightHint, updateBodyWeight,
+    loadWarmupPanel, addWarmupSets, removeWarmupSets, changeWarmupSetting,
+    loadRestProfilePanel, changeRestSetting,
+    loadEquipmentSettingsPanel, editEquipmentSettings, saveEquipmentSettingsFromPanel,
     changeExerciseEquipment, applyEquipmentChange,
+    showSubstituteOptions, closeSubstituteModal, confirmExerciseSubstitution,
     changeWorkoutLocation, selectWorkoutLocationOption, closeWorkoutLocationSelector, confirmWorkoutLocationChange
 } from './core/workout/workout-core.js';
 
@@ -51,7 +57,7 @@ import {
 import {
     initializeWorkoutManagement, showWorkoutManagement, closeWorkoutManagement, hideWorkoutManagement,
     createNewTemplate, closeTemplateEditor, saveCurrentTemplate,
-    addExerciseToTemplate, editTemplateExercise, removeTemplateExercise,
+    addExerciseToTemplate, editTemplateExercise, removeTemplateExercise, setTemplateExerciseGroup,
     openExerciseLibrary, closeExerciseLibrary,
     showCreateExerciseForm, closeCreateExerciseModal, createNewExercise,
     returnToWorkoutsFromManagement, editTemplate, deleteTemplate, resetToDefault,
@@ -84,6 +90,7 @@ import {
     deleteExerciseFromSection,
     openEquipmentEditor, closeEquipmentEditor, addLocationToEquipmentEditor,
     removeLocationFromEquipmentEditor, saveEquipmentFromEditor, deleteEquipmentFromEditor,
+    updateEquipmentLoadingForm, addEquipmentPhotoFromInput, deleteEquipmentPhotoFromEditor,
     // New category grid functions
     showCategoryView, selectBodyPartCategory, filterByEquipment,
     handleExerciseSearch, toggleExerciseListSearch, handleExerciseCardClick
@@ -101,6 +108,49 @@ import {
     switchLocationMethod, searchLocationAddress, selectAddressResult, applyManualCoords
 } from './core/features/location-ui.js';
 
+// Data export
+import { showDataExportModal, closeDataExportModal, runDataExport } from './core/ui/data-export-ui.js';
+
+// Workout import
+import {
+    showWorkoutImportModal, closeWorkoutImportModal, previewWorkoutImport,
+    setImportExerciseMapping, toggleImportConflict, confirmWorkoutImport
+} from './core/ui/workout-import-ui.js';
+
+// Goals
+import {
+    showGoalsModal, closeGoalsModal, setGoalFormType, addGoalFromForm, removeGoalFromModal
+} from './core/ui/goals-ui.js';
+
+// Equipment inventory
+import {
+    showEquipmentManager, filterEquipmentInventory, editEquipmentFromInventory, mergeEquipmentDuplicates
+} from './core/ui/equipment-manager-ui.js';
+
+// Workout generator
+import {
+    showWorkoutGenerator, closeWorkoutGenerator, changeGeneratorLocation, runWorkoutGenerator,
+    saveGeneratedWorkout, startGeneratedWorkout
+} from './core/ui/workout-generator-ui.js';
+
+// Gym geofencing
+import {
+    toggleGeofencePrompts, closeGeofencePrompt, acceptGeofencePrompt, chooseGeofenceWorkout
+} from './core/ui/geofence-ui.js';
+
+// Programs
+import {
+    showProgramsModal, closeProgramsModal, startProgramFromModal, stopActiveProgram,
+    skipProgramSession, startProgramWorkout, showProgramBuilder, createProgramFromForm,
+    deleteProgramFromModal
+} from './core/ui/programs-ui.js';
+
+// Reminders
+import {
+    showRemindersModal, closeRemindersModal, updateRemindersForm, saveRemindersFromForm,
+    reregisterPushDevice
+} from './core/ui/reminders-ui.js';
+
 // Location service (GPS-based location detection)
 import { getSessionLocation } from './core/features/location-service.js';
 
@@ -116,14 +166,17 @@ import {
 // Dashboard functionality
 import {
     showDashboard, repeatLastWorkout, startSuggestedWorkout,
-    toggleDashboardSection, toggleDashboardPRBodyPart
+    toggleDashboardSection, toggleDashboardPRBodyPart, logBodyWeightFromDashboard,
+    startDeloadFromDashboard, endDeloadFromDashboard
 } from './core/ui/dashboard-ui.js';
 
 // Stats functionality
 import {
     showStats, closeStats, toggleStatsSection, togglePRBodyPart,
     filterPRs, clearPRFilters, selectProgressExercise, setProgressTimeRange,
-    selectProgressCategory, selectProgressExerciseName
+    selectProgressCategory, selectProgressExerciseName,
+    setProgressChartMetric, setProgressE1RMFormula,
+    setBodyMetric, toggleBodyMeasurementForm, saveBodyMeasurements, importDexaFile
 } from './core/ui/stats-ui.js';
 
 // PR Migration (one-time utility)
@@ -191,6 +244,7 @@ window.completeWorkout = completeWorkout;
 window.cancelWorkout = cancelWorkout;
 window.cancelCurrentWorkout = cancelCurrentWorkout;
 window.continueInProgressWorkout = continueInProgressWorkout;
+window.resolveWorkoutConflict = resolveWorkoutConflict;
 window.discardInProgressWorkout = discardInProgressWorkout;
 window.discardEditedWorkout = discardEditedWorkout;
 window.editHistoricalWorkout = editHistoricalWorkout;
@@ -238,6 +292,11 @@ window.loadExerciseHistory = function(exerciseName, exerciseIndex) {
 window.changeExerciseEquipment = changeExerciseEquipment;
 window.applyEquipmentChange = applyEquipmentChange;
 
+// Exercise substitution during workout
+window.showSubstituteOptions = showSubstituteOptions;
+window.closeSubstituteModal = closeSubstituteModal;
+window.confirmExerciseSubstitution = confirmExerciseSubstitution;
+
 // Location management during workout
 window.changeWorkoutLocation = changeWorkoutLocation;
 window.selectWorkoutLocationOption = selectWorkoutLocationOption;
@@ -245,6 +304,29 @@ window.closeWorkoutLocationSelector = closeWorkoutLocationSelector;
 window.confirmWorkoutLocationChange = confirmWorkoutLocationChange;
 window.getSessionLocation = getSessionLocation;
 
+// Progressive overload suggestions
+window.loadProgressionHint = loadProgressionHint;
+window.changeProgressionRule = changeProgressionRule;
+
+// Warm-up sets
+window.loadWarmupPanel = loadWarmupPanel;
+window.addWarmupSets = addWarmupSets;
+window.removeWarmupSets = removeWarmupSets;
+window.changeWarmupSetting = changeWarmupSetting;
+
+// Rest profiles
+window.loadRestProfilePanel = loadRestProfilePanel;
+window.changeRestSetting = changeRestSetting;
+
+// Machine setup (seat, pin, grip) per equipment
+window.loadEquipmentSettingsPanel = loadEquipmentSettingsPanel;
+window.editEquipmentSettings = editEquipmentSettings;
+window.saveEquipmentSettingsFromPanel = saveEquipmentSettingsFromPanel;
+
+// Body weight for bodyweight/assisted exercises
+window.loadBodyWeightHint = loadBodyWeightHint;
+window.updateBodyWeight = updateBodyWeight;
+
 // Timer Functions
 window.toggleModalRestTimer = toggleModalRestTimer;
 window.skipModalRestTimer = skipModalRestTimer;
@@ -259,6 +341,7 @@ window.hideExerciseVideoAndToggleButton = hideExerciseVideoAndToggleButton;
 // Unit Management
 window.setGlobalUnit = setGlobalUnit;
 window.setExerciseUnit = setExerciseUnit;
+window.toggleEffortMode = toggleEffortMode;
 
 // Manual Workout Functions
 window.showAddManualWorkoutModal = showAddManualWorkoutModal;
@@ -310,6 +393,9 @@ window.addLocationToEquipmentEditor = addLocationToEquipmentEditor;
 window.removeLocationFromEquipmentEditor = removeLocationFromEquipmentEditor;
 window.saveEquipmentFromEditor = saveEquipmentFromEditor;
 window.deleteEquipmentFromEditor = deleteEquipmentFromEditor;
+window.updateEquipmentLoadingForm = updateEquipmentLoadingForm;
+window.addEquipmentPhotoFromInput = addEquipmentPhotoFromInput;
+window.deleteEquipmentPhotoFromEditor = deleteEquipmentPhotoFromEditor;
 // New category grid functions
 window.showCategoryView = showCategoryView;
 window.selectBodyPartCategory = selectBodyPartCategory;
@@ -342,6 +428,64 @@ window.searchLocationAddress = searchLocationAddress;
 window.selectAddressResult = selectAddressResult;
 window.applyManualCoords = applyManualCoords;
 
+// Data Export Functions
+window.showDataExportModal = showDataExportModal;
+window.closeDataExportModal = closeDataExportModal;
+window.runDataExport = runDataExport;
+
+// Workout Import Functions
+window.showWorkoutImportModal = showWorkoutImportModal;
+window.closeWorkoutImportModal = closeWorkoutImportModal;
+window.previewWorkoutImport = previewWorkoutImport;
+window.setImportExerciseMapping = setImportExerciseMapping;
+window.toggleImportConflict = toggleImportConflict;
+window.confirmWorkoutImport = confirmWorkoutImport;
+
+// Goals Functions
+window.showGoalsModal = showGoalsModal;
+window.closeGoalsModal = closeGoalsModal;
+window.setGoalFormType = setGoalFormType;
+window.addGoalFromForm = addGoalFromForm;
+window.removeGoalFromModal = removeGoalFromModal;
+
+// Equipment Inventory Functions
+window.showEquipmentManager = showEquipmentManager;
+window.filterEquipmentInventory = filterEquipmentInventory;
+window.editEquipmentFromInventory = editEquipmentFromInventory;
+window.mergeEquipmentDuplicates = mergeEquipmentDuplicates;
+
+// Workout Generator Functions
+window.showWorkoutGenerator = showWorkoutGenerator;
+window.closeWorkoutGenerator = closeWorkoutGenerator;
+window.changeGeneratorLocation = changeGeneratorLocation;
+window.runWorkoutGenerator = runWorkoutGenerator;
+window.saveGeneratedWorkout = saveGeneratedWorkout;
+window.startGeneratedWorkout = startGeneratedWorkout;
+
+// Gym Geofence Functions
+window.toggleGeofencePrompts = toggleGeofencePrompts;
+window.closeGeofencePrompt = closeGeofencePrompt;
+window.acceptGeofencePrompt = acceptGeofencePrompt;
+window.chooseGeofenceWorkout = chooseGeofenceWorkout;
+
+// Programs Functions
+window.showProgramsModal = showProgramsModal;
+window.closeProgramsModal = closeProgramsModal;
+window.startProgramFromModal = startProgramFromModal;
+window.stopActiveProgram = stopActiveProgram;
+window.skipProgramSession = skipProgramSession;
+window.startProgramWorkout = startProgramWorkout;
+window.showProgramBuilder = showProgramBuilder;
+window.createProgramFromForm = createProgramFromForm;
+window.deleteProgramFromModal = deleteProgramFromModal;
+
+// Reminders Functions
+window.showRemindersModal = showRemindersModal;
+window.closeRemindersModal = closeRemindersModal;
+window.updateRemindersForm = updateRemindersForm;
+window.saveRemindersFromForm = saveRemindersFromForm;
+window.reregisterPushDevice = reregisterPushDevice;
+
 // Navigation Functions
 window.openSidebar = openSidebar;
 window.closeSidebar = closeSidebar;
@@ -359,6 +503,9 @@ window.repeatLastWorkout = repeatLastWorkout;
 window.startSuggestedWorkout = startSuggestedWorkout;
 window.toggleDashboardSection = toggleDashboardSection;
 window.toggleDashboardPRBodyPart = toggleDashboardPRBodyPart;
+window.logBodyWeightFromDashboard = logBodyWeightFromDashboard;
+window.startDeloadFromDashboard = startDeloadFromDashboard;
+window.endDeloadFromDashboard = endDeloadFromDashboard;
 
 // Stats Functions
 window.showStats = showStats;
@@ -371,6 +518,12 @@ window.selectProgressExercise = selectProgressExercise;
 window.setProgressTimeRange = setProgressTimeRange;
 window.selectProgressCategory = selectProgressCategory;
 window.selectProgressExerciseName = selectProgressExerciseName;
+window.setProgressChartMetric = setProgressChartMetric;
+window.setProgressE1RMFormula = setProgressE1RMFormula;
+window.setBodyMetric = setBodyMetric;
+window.toggleBodyMeasurementForm = toggleBodyMeasurementForm;
+window.saveBodyMeasurements = saveBodyMeasurements;
+window.importDexaFile = importDexaFile;
 
 // Template Selection Functions
 window.showTemplateSelection = showTemplateSelection;
@@ -520,6 +673,7 @@ window.saveCurrentTemplate = saveCurrentTemplate;
 window.addExerciseToTemplate = addExerciseToTemplate;
 window.editTemplateExercise = editTemplateExercise;
 window.removeTemplateExercise = removeTemplateExercise;
+window.setTemplateExerciseGroup = setTemplateExerciseGroup;
 window.openExerciseLibrary = openExerciseLibrary;
 window.closeExerciseLibrary = closeExerciseLibrary;
 window.showCreateExerciseForm = showCreateExerciseForm;
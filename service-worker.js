@@ -1,7 +1,7 @@
 // Big Surf Workout Tracker - Service Worker
 // Provides basic offline functionality and faster loading
 
-const CACHE_NAME = 'big-surf-v4.86-unified-sw';
+const CACHE_NAME = 'big-surf-v4.88-programs';
 const STATIC_ASSETS = [
   '/index.html',
   '/style.css',
@@ -11,6 +11,12 @@ const STATIC_ASSETS = [
   '/js/core/utils/app-state.js',
   '/js/core/workout/workout-core.js',
   '/js/core/ui/ui-helpers.js',
+  '/js/core/data/firebase-config.js',
+  '/js/core/data/data-manager.js',
+  '/js/core/data/offline-store.js',
+  '/data/exercises.json',
+  '/data/workouts.json',
+  '/data/programs.json',
   'https://cdnjs.cloudflare.com/ajax/libs/font-awesome/6.0.0/css/all.min.css'
 ];
 
@@ -64,22 +70,31 @@ self.addEventListener('fetch', (event) => {
     return;
   }
 
-  // Network first for Firebase API calls
-  if (event.request.url.includes('firestore.googleapis.com') ||
-      event.request.url.includes('firebase')) {
+  // Firebase SDK modules are versioned - cache first so the app boots offline
+  if (event.request.url.includes('gstatic.com/firebasejs/')) {
     event.respondWith(
-      fetch(event.request)
-        .catch(() => {
-          // Return offline message for API calls
-          return new Response(
-            JSON.stringify({ error: 'offline', message: 'You are offline' }),
-            { headers: { 'Content-Type': 'application/json' } }
-          );
-        })
+      caches.match(event.request)
+        .then((cachedResponse) => cachedResponse || fetch(event.request)
+          .then((networkResponse) => {
+            if (networkResponse && networkResponse.status === 200) {
+              const responseToCache = networkResponse.clone();
+              caches.open(CACHE_NAME)
+                .then((cache) => cache.put(event.request, responseToCache));
+            }
+            return networkResponse;
+          }))
     );
     return;
   }
 
+  // Leave Firebase API calls alone - the SDK handles being offline itself and
+  // the app queues writes in IndexedDB (see offline-store.js)
+  // (our own firebase-*.js modules are same-origin and still cached below)
+  if (!event.request.url.startsWith(self.location.origin) &&
+      (event.request.url.includes('googleapis.com') || event.request.url.includes('firebase'))) {
+    return;
+  }
+
   // Network first for JavaScript files (always get fresh code)
   if (event.request.url.endsWith('.js')) {
     event.respondWith(